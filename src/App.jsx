@@ -4,53 +4,133 @@
  * Main application. It wires up:
  *  - theme toggle (light/dark)
  *  - loading timezone list
- *  - continent filters and search
- *  - pinned favorites persistence
+ *  - region and country filters and search, optionally collapsing zones with identical rules
+ *  - named teams (pinned zones + members) and their persistence
+ *  - pinned card order (drag-and-drop or arrow keys) and custom zone labels
+ *  - per-zone and per-person working hours
+ *  - time travel (a scrubbed time shared by every clock through TimeTravelContext)
+ *  - language and formats (LocaleContext: Intl locale, UI text, right-to-left layout)
+ *  - optional cloud sync of teams and working hours (useCloudSync, Firebase)
+ *  - zone reminders shown as browser notifications while the tab is open
  *  - render of ZoneCard components
  *
  * This file contains beginner-friendly comments explaining each piece.
  */
 
-import React, { useEffect, useMemo, useState } from 'react'
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import ClockFace from './components/ClockFace'
 import ZoneCard from './components/ZoneCard'
 import MeetingPanel from './components/MeetingPanel'
 import SearchBox from './components/SearchBox'
-import { buildZonesList, continentOf } from './utils/timeUtils'
+import PeoplePanel from './components/PeoplePanel'
+import TeamPanel from './components/TeamPanel'
+import WorkWindowInput from './components/WorkWindowInput'
+import TimeTravelBar from './components/TimeTravelBar'
+import WindowedGrid from './components/WindowedGrid'
+import TimeConverter from './components/TimeConverter'
+import ClockOptionsInput from './components/ClockOptionsInput'
+import LocaleInput from './components/LocaleInput'
+import SyncPanel from './components/SyncPanel'
+import { TimeTravelContext } from './utils/timeTravel'
+import { LocaleContext, displayName, loadLocaleSettings, makeLocale, saveLocaleSettings } from './utils/i18n'
+import { buildZonesList, canonicalZone, getAllTimeZones, zoneRulesKey } from './utils/timeUtils'
+import { REGIONS } from './data/regions'
+import { countryFlag } from './data/countries'
+import { DEFAULT_WORK_WINDOW, loadZoneDays, loadZoneHours, saveZoneDays, saveZoneHours, workDaysForZone, workWindowForZone } from './utils/workHours'
+import { personParticipantId, zoneParticipantId } from './utils/meetingUtils'
+import { loadBusyCalendars, saveBusyCalendars } from './utils/busyCalendars'
+import { buildSearchIndex, rankZones, searchZones } from './utils/searchIndex'
+import { decodeUrlState, encodeUrlState } from './utils/urlState'
+import { clockOverride, loadCardClockOptions, loadClockOptions, resolveClockOptions, saveCardClockOptions, saveClockOptions } from './utils/clockOptions'
+import { activateTeam, activeTeamOf, applySharedView, loadTeams, moveZone, normalizeLabel, saveTeams, updateActiveTeam } from './utils/teams'
+import { useCloudSync } from './utils/sync'
+import { loadReminders, saveReminders, useReminderNotifications } from './utils/reminders'
 
 // Path to the uploaded reference image — dev note: the environment transform tool can map this local path.
 // You can also copy the file into `public/reference.png` and set this to '/reference.png'
 export const REFERENCE_IMAGE_PATH = '/mnt/data/Screenshot 2025-11-25 at 11.20.38 AM.png'
 
+const ZONES_REFRESH_MS = 60 * 60 * 1000
+
 export default function App() {
+    // view shared through the URL (?pins=…&cont=…); it wins over localStorage on load
+    const [urlView] = useState(() => decodeUrlState(window.location.search))
+
     // theme stored in localStorage key 'wc_theme'
-    const [theme, setTheme] = useState(() => localStorage.getItem('wc_theme') || 'light')
+    const [theme, setTheme] = useState(() => urlView.theme || localStorage.getItem('wc_theme') || 'light')
 
     // Auto-detect user's timezone
     const [userTimezone, setUserTimezone] = useState(() => {
         try {
-            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'Asia/Kolkata'
+            return canonicalZone(Intl.DateTimeFormat().resolvedOptions().timeZone || 'Asia/Kolkata')
         } catch {
             return 'Asia/Kolkata'
         }
     })
 
-    // pinned favorites stored as array of zone strings
-    const [pinned, setPinned] = useState(() => {
-        try {
-            return JSON.parse(localStorage.getItem('favZones') || '[]')
-        } catch {
-            return []
-        }
+    // named teams { activeId, teams } in localStorage; a link's pins open in their team (see teams.js)
+    const [teamsState, setTeamsState] = useState(() => {
+        const state = loadTeams()
+        return urlView.team || urlView.pinned ? applySharedView(state, urlView) : state
     })
 
+    // the active team drives the pinned section and the meeting planner
+    const activeTeam = activeTeamOf(teamsState)
+    const pinned = activeTeam.zones
+    const people = activeTeam.members
+    const labels = activeTeam.labels
+    const setPinned = (next) => setTeamsState(prev => updateActiveTeam(prev, t => ({ zones: typeof next === 'function' ? next(t.zones) : next })))
+    const setPeople = (next) => setTeamsState(prev => updateActiveTeam(prev, () => ({ members: next })))
+
     // UI states
-    const [zones, setZones] = useState([]) // full zone objects with offset
-    const [filterContinent, setFilterContinent] = useState('all')
+    const [filterContinent, setFilterContinent] = useState(urlView.continent || 'all')
+    const [filterCountry, setFilterCountry] = useState(urlView.country || 'all') // ISO code
+    // one card per group of zones with identical rules ("+3 more cities"), stored in 'wc_collapseSameRules'
+    const [collapseSameRules, setCollapseSameRules] = useState(() => localStorage.getItem('wc_collapseSameRules') === 'true')
+    const [expandedRules, setExpandedRules] = useState([]) // rule keys of groups opened with the expander
     const [showAll, setShowAll] = useState(true)
-    const [query, setQuery] = useState('')
-    const [meetingTarget, setMeetingTarget] = useState(null) // zone string to show MeetingPanel
-    const [workWindow, setWorkWindow] = useState({ start: 9, end: 17 })
+    const [query, setQuery] = useState(urlView.query || '')
+    const [meetingZones, setMeetingZones] = useState(urlView.meeting || null) // participant ids shown in MeetingPanel
+    const [workWindow, setWorkWindow] = useState(urlView.workWindow || DEFAULT_WORK_WINDOW) // default for zones without their own hours
+    const [linkCopied, setLinkCopied] = useState(false)
+
+    // per-zone working hours { tz: [{ start, end }] } and working days { tz: [0..6] } in localStorage
+    const [zoneHours, setZoneHours] = useState(loadZoneHours)
+    const [zoneDays, setZoneDays] = useState(loadZoneDays)
+
+    // clock display: global options and per-card overrides { tz: { dial: '24h', ... } }
+    const [clockOptions, setClockOptions] = useState(loadClockOptions)
+    const [cardClockOptions, setCardClockOptions] = useState(loadCardClockOptions)
+
+    // language and formats { locale, hourCycle, numberingSystem } in localStorage ('auto' = browser)
+    const [localeSettings, setLocaleSettings] = useState(loadLocaleSettings)
+    const locale = useMemo(() => makeLocale(localeSettings, navigator.languages), [localeSettings])
+    const { t } = locale
+
+    // imported .ics busy calendars per meeting participant id
+    const [busyCalendars, setBusyCalendars] = useState(loadBusyCalendars)
+
+    // cloud sync (only when signed in): teams and working hours, merged with other devices
+    const syncedData = useMemo(() => ({ teams: teamsState.teams, zoneHours, zoneDays }), [teamsState.teams, zoneHours, zoneDays])
+    const applySyncedData = useCallback((data) => {
+        if (data.teams.length) {
+            setTeamsState(prev => ({
+                activeId: data.teams.some(team => team.id === prev.activeId) ? prev.activeId : data.teams[0].id,
+                teams: data.teams,
+            }))
+        }
+        setZoneHours(data.zoneHours)
+        setZoneDays(data.zoneDays)
+    }, [])
+    const sync = useCloudSync(syncedData, applySyncedData)
+
+    // reminders ("09:00 in New York", "30 min before the London overlap ends") in localStorage
+    const [reminders, setReminders] = useState(loadReminders)
+    const reminderContext = useMemo(() => ({ localZone: userTimezone, zoneHours, zoneDays, defaultWindow: workWindow }), [userTimezone, zoneHours, zoneDays, workWindow])
+    useReminderNotifications(reminders, reminderContext, locale)
+
+    // time travel: null = live, otherwise the UTC ms every clock should show
+    const [timeOverride, setTimeOverride] = useState(null)
 
     // apply theme by toggling class on <html>
     useEffect(() => {
@@ -60,123 +140,400 @@ export default function App() {
         localStorage.setItem('wc_theme', theme)
     }, [theme])
 
-    // load zones once on mount (uses the browser Intl APIs inside buildZonesList)
+    // apply language and writing direction (Arabic, Hebrew: right to left) on <html>
+    useEffect(() => {
+        const html = document.documentElement
+        html.lang = locale.tag
+        html.dir = locale.dir
+    }, [locale])
+
+    // zone list with the offsets in effect now (or at the time-travel moment).
+    // Offsets change when DST starts or ends, so the live list is rebuilt every hour.
+    const [zonesBuiltAt, setZonesBuiltAt] = useState(() => Date.now())
     useEffect(() => {
-        const list = buildZonesList()
-        setZones(list)
+        const id = setInterval(() => setZonesBuiltAt(Date.now()), ZONES_REFRESH_MS)
+        return () => clearInterval(id)
     }, [])
+    const zones = useMemo(() => buildZonesList(new Date(timeOverride ?? zonesBuiltAt)), [timeOverride, zonesBuiltAt])
 
-    // persist pinned changes to localStorage
+    // mirror the view into the URL. Every change is a history entry (so back/forward work),
+    // except typing in the search box, which just updates the current entry.
+    // After loading or back/forward the entry is only corrected (its pins may be out of date).
+    const firstUrlSync = useRef(true)
+    const [historyMoves, setHistoryMoves] = useState(0)
     useEffect(() => {
-        localStorage.setItem('favZones', JSON.stringify(pinned))
-    }, [pinned])
+        const view = { team: activeTeam.id, pinned, continent: filterContinent, country: filterCountry, query, workWindow, theme, meeting: meetingZones }
+        const search = encodeUrlState(view)
+        if (search === window.location.search) return
+        const url = window.location.pathname + search + window.location.hash
+        const previousQuery = decodeUrlState(window.location.search).query || ''
+        const onlyQueryChanged = encodeUrlState({ ...view, query: previousQuery }) === window.location.search
+        if (firstUrlSync.current || onlyQueryChanged) window.history.replaceState(null, '', url)
+        else window.history.pushState(null, '', url)
+        firstUrlSync.current = false
+    }, [activeTeam.id, pinned, filterContinent, filterCountry, query, workWindow, theme, meetingZones, historyMoves])
 
-    // helper: toggle pinned zone
-    const togglePin = (zone) => {
-        setPinned(prev => {
-            const copy = [...prev]
-            const idx = copy.indexOf(zone)
-            if (idx >= 0) copy.splice(idx, 1)
-            else copy.push(zone)
+    // back/forward: restore the view stored in that history entry (missing fields = defaults);
+    // the entry's team is activated, but its saved pins are not replaced by older ones
+    useEffect(() => {
+        const onPopState = () => {
+            const view = decodeUrlState(window.location.search)
+            firstUrlSync.current = true
+            setHistoryMoves(n => n + 1)
+            setTeamsState(prev => activateTeam(prev, view.team))
+            setFilterContinent(view.continent || 'all')
+            setFilterCountry(view.country || 'all')
+            setQuery(view.query || '')
+            setWorkWindow(view.workWindow || DEFAULT_WORK_WINDOW)
+            setTheme(view.theme || 'light')
+            setMeetingZones(view.meeting || null)
+        }
+        window.addEventListener('popstate', onPopState)
+        return () => window.removeEventListener('popstate', onPopState)
+    }, [])
+
+    // copy the current view's link for a teammate
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href)
+            setLinkCopied(true)
+            setTimeout(() => setLinkCopied(false), 2000)
+        } catch (err) {
+            console.warn('Could not copy link', err)
+        }
+    }
+
+    // persist teams (pinned zones + members) to localStorage
+    useEffect(() => {
+        saveTeams(teamsState)
+    }, [teamsState])
+
+    // persist working hours
+    useEffect(() => {
+        saveZoneHours(zoneHours)
+    }, [zoneHours])
+
+    useEffect(() => {
+        saveZoneDays(zoneDays)
+    }, [zoneDays])
+
+    useEffect(() => {
+        saveBusyCalendars(busyCalendars)
+    }, [busyCalendars])
+
+    // persist clock display options
+    useEffect(() => {
+        saveClockOptions(clockOptions)
+    }, [clockOptions])
+
+    useEffect(() => {
+        saveCardClockOptions(cardClockOptions)
+    }, [cardClockOptions])
+
+    useEffect(() => {
+        saveLocaleSettings(localeSettings)
+    }, [localeSettings])
+
+    useEffect(() => {
+        saveReminders(reminders)
+    }, [reminders])
+
+    useEffect(() => {
+        localStorage.setItem('wc_collapseSameRules', String(collapseSameRules))
+    }, [collapseSameRules])
+
+    // helper: set (or clear with null) one zone's own working window
+    const setZoneWindow = (tz, win) => {
+        setZoneHours(prev => {
+            const copy = { ...prev }
+            if (win) copy[tz] = win
+            else delete copy[tz]
+            return copy
+        })
+    }
+
+    // helper: set (or clear with null) one zone's working days
+    const setZoneWorkDays = (tz, days) => {
+        setZoneDays(prev => {
+            const copy = { ...prev }
+            if (days) copy[tz] = days
+            else delete copy[tz]
+            return copy
+        })
+    }
+
+    // helper: set (or clear with null) one card's clock options; only differences from the global setting are kept
+    const setCardClock = (tz, options) => {
+        setCardClockOptions(prev => {
+            const copy = { ...prev }
+            const override = options && clockOverride(clockOptions, options)
+            if (override) copy[tz] = override
+            else delete copy[tz]
             return copy
         })
     }
 
-    // computed: filter zones by continent and query, but keep pinned at top
+    // helper: replace one zone's reminders, keeping the others
+    const setZoneReminders = (tz, list) => {
+        setReminders(prev => [...prev.filter(r => r.tz !== tz), ...list])
+    }
+
+    // helper: toggle pinned zone (unpinning also drops its label)
+    const togglePin = (zone) => {
+        setTeamsState(prev => updateActiveTeam(prev, t => t.zones.includes(zone)
+            ? { zones: t.zones.filter(z => z !== zone), labels: Object.fromEntries(Object.entries(t.labels).filter(([tz]) => tz !== zone)) }
+            : { zones: [...t.zones, zone] }))
+    }
+
+    // pinned card order: the zone being dragged, and moving a zone to another position
+    const [draggedPin, setDraggedPin] = useState(null)
+    const movePinned = (zone, toIndex) => setPinned(prev => moveZone(prev, zone, toIndex))
+
+    const setZoneLabel = (zone, label) => {
+        setTeamsState(prev => updateActiveTeam(prev, t => {
+            const next = Object.fromEntries(Object.entries(t.labels).filter(([tz]) => tz !== zone))
+            const clean = normalizeLabel(label)
+            if (clean) next[zone] = clean
+            return { labels: next }
+        }))
+    }
+
+    // open the meeting planner with your zone + the team's pinned zones and members (+ an optional extra zone)
+    const openMeeting = (extraZone) => {
+        const list = [userTimezone, ...pinned].map(zoneParticipantId)
+        people.forEach(p => list.push(personParticipantId(p.id)))
+        if (extraZone) list.push(zoneParticipantId(extraZone))
+        setMeetingZones([...new Set(list)])
+    }
+
+    // offline search index (cities, countries, ISO codes, abbreviations, offsets)
+    const searchIndex = useMemo(() => buildSearchIndex(zones, t), [zones, t])
+    const zoneIds = useMemo(() => zones.map(z => z.tz), [zones])
+    const suggestions = useMemo(() => searchZones(searchIndex, query), [searchIndex, query])
+
+    // computed: filter zones by region, country and query, but keep pinned at top
     const filteredZones = useMemo(() => {
-        const q = query.trim().toLowerCase()
-        const byContinent = zones.filter(z => filterContinent.toLowerCase() === 'all' ? true : z.cont === filterContinent)
-        const byQuery = q ? byContinent.filter(z => z.tz.toLowerCase().includes(q) || z.tz.replace('_', ' ').toLowerCase().includes(q)) : byContinent
+        const byContinent = zones.filter(z =>
+            (filterContinent.toLowerCase() === 'all' || z.cont === filterContinent) &&
+            (filterCountry === 'all' || z.country === filterCountry))
+        let byQuery = byContinent
+        if (query.trim()) {
+            // best matches first; equal scores keep the offset ordering (sort is stable)
+            const ranks = rankZones(searchIndex, query)
+            byQuery = byContinent.filter(z => ranks.has(z.tz)).sort((a, b) => ranks.get(b.tz) - ranks.get(a.tz))
+        }
 
-        // pinned first (but keep original offset ordering)
-        const pinnedItems = byQuery.filter(z => pinned.includes(z.tz))
+        // pinned first, in the team's own order
+        const pinnedItems = byQuery.filter(z => pinned.includes(z.tz)).sort((a, b) => pinned.indexOf(a.tz) - pinned.indexOf(b.tz))
         const others = byQuery.filter(z => !pinned.includes(z.tz))
         return [...pinnedItems, ...others]
-    }, [zones, pinned, filterContinent, query])
+    }, [zones, pinned, filterContinent, filterCountry, query, searchIndex])
 
-    // continent list for UI
-    const continents = ['All', 'Africa', 'Antarctica', 'Asia', 'Australia', 'Europe', 'North America', 'South America']
+    // collapse zones with identical rules, as of the hourly refresh (time travel does not regroup)
+    const ruleKeys = useMemo(
+        () => collapseSameRules ? new Map(getAllTimeZones().map(tz => [tz, zoneRulesKey(tz, zonesBuiltAt)])) : null,
+        [collapseSameRules, zonesBuiltAt]
+    )
+    const gridZones = useMemo(() => {
+        if (!ruleKeys) return filteredZones
+        // pinned zones always get their own card; the first other zone of a group represents it
+        const groups = new Map()
+        filteredZones.forEach(z => {
+            if (pinned.includes(z.tz)) return
+            const key = ruleKeys.get(z.tz)
+            if (!groups.has(key)) groups.set(key, [])
+            groups.get(key).push(z)
+        })
+        const out = []
+        filteredZones.forEach(z => {
+            if (pinned.includes(z.tz)) {
+                out.push(z)
+                return
+            }
+            const key = ruleKeys.get(z.tz)
+            const [first, ...rest] = groups.get(key)
+            if (first !== z) return
+            out.push(rest.length ? { ...z, rulesKey: key, sameRules: rest.map(r => r.tz) } : z)
+            if (expandedRules.includes(key)) out.push(...rest)
+        })
+        return out
+    }, [ruleKeys, filteredZones, pinned, expandedRules])
 
-    return (
-        <div className="app-wrap">
-            <header className="app-header">
-                <div>
-                    <h1>World Clock for Remote Workers</h1>
-                    <p className="muted">A modern, beginner-friendly world-clock dashboard designed for people working remotely across global teams.</p>
-                </div>
+    const toggleRulesGroup = (key) => {
+        setExpandedRules(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key])
+    }
 
-                <div className="header-right">
-                    <button className="theme-toggle" onClick={() => setTheme(t => t === 'dark' ? 'light' : 'dark')}>
-                        {theme === 'dark' ? '☀️ Light Mode' : '🌙 Dark Mode'}
-                    </button>
-                    {/*<img className="reference" src={REFERENCE_IMAGE_PATH} alt="reference" />*/}
-                </div>
-            </header>
-
-            <main>
-                {/* Top Local Reference */}
-                <section className="top">
-                    <div className="india-card card">
-                        <div className="clock-left">
-                            <ClockFace zone={userTimezone} id="localClock" theme={theme} size={150} />
-                        </div>
-                        <div className="info">
-                            <h2>Your Local Time — {userTimezone}</h2>
-                            <div className="meta muted">Reference time. Adjust working hours and search for zones below.</div>
+    // region list for UI
+    const continents = ['All', ...REGIONS]
+
+    // countries of the selected region, by name in the current language
+    const countries = useMemo(() => {
+        const codes = new Set(zones.filter(z => z.country && (filterContinent.toLowerCase() === 'all' || z.cont === filterContinent)).map(z => z.country))
+        return [...codes]
+            .map(code => ({ code, name: displayName(code, 'region', locale.tag) }))
+            .sort((a, b) => a.name.localeCompare(b.name, locale.tag))
+    }, [zones, filterContinent, locale.tag])
+
+    return (
+        <LocaleContext.Provider value={locale}>
+            <TimeTravelContext.Provider value={timeOverride}>
+                <div className={`app-wrap ${timeOverride !== null ? 'time-travelling' : ''}`}>
+                    <header className="app-header">
+                        <div>
+                            <h1>{t('app.title')}</h1>
+                            <p className="muted">{t('app.subtitle')}</p>
                         </div>
-                    </div>
-
-                    {meetingTarget && (
-                        <MeetingPanel
-                            zone={meetingTarget}
-                            localZone={userTimezone}
-                            workStart={workWindow.start}
-                            workEnd={workWindow.end}
-                            onClose={() => setMeetingTarget(null)}
-                        />
-                    )}
-                </section>
-
-                {/* Controls: search, work window, continent filters */}
-                <section className="controls">
-                    <SearchBox query={query} onChange={setQuery} placeholder="Search by city / country / timezone (e.g. London, New_York, Tokyo)" />
-                    <label className="control-inline">
-                        Working hours
-                        <input type="number" value={workWindow.start} onChange={(e) => setWorkWindow(w => ({ ...w, start: Number(e.target.value) }))} min={0} max={23} />
-                        -
-                        <input type="number" value={workWindow.end} onChange={(e) => setWorkWindow(w => ({ ...w, end: Number(e.target.value) }))} min={1} max={24} />
-                    </label>
-
-                    <div className="continent-filters">
-                        {continents.map(c => (
-                            <button key={c} className={`cont-btn ${filterContinent === c ? 'active' : ''}`} onClick={() => setFilterContinent(c)}>
-                                {c}
+
+                        <div className="header-right">
+                            <SyncPanel sync={sync} />
+                            <button className="theme-toggle" onClick={copyLink} title={t('app.shareTitle')}>
+                                {linkCopied ? t('app.linkCopied') : t('app.share')}
                             </button>
-                        ))}
-                    </div>
-                </section>
-
-                {/* Zones grid */}
-                <section className="zones-grid">
-                    {filteredZones.map(z => (
-                        <ZoneCard
-                            key={z.tz}
-                            zone={z.tz}
-                            offset={z.offset}
-                            cont={z.cont}
-                            pinned={pinned.includes(z.tz)}
-                            onTogglePin={() => togglePin(z.tz)}
-                            onShowMeeting={() => setMeetingTarget(z.tz)}
-                            workStart={workWindow.start}
-                            workEnd={workWindow.end}
-                            theme={theme}
-                            localZoneName={userTimezone.split('/').pop().replace(/_/g, ' ')}
+                            <button className="theme-toggle" onClick={() => setTheme(prev => prev === 'dark' ? 'light' : 'dark')}>
+                                {theme === 'dark' ? t('app.lightMode') : t('app.darkMode')}
+                            </button>
+                            {/*<img className="reference" src={REFERENCE_IMAGE_PATH} alt="reference" />*/}
+                        </div>
+                    </header>
+
+                    <main>
+                        {/* Top Local Reference */}
+                        <section className="top">
+                            <div className="india-card card">
+                                <div className="clock-left">
+                                    <ClockFace zone={userTimezone} id="localClock" theme={theme} size={150} dial={clockOptions.dial} numerals={clockOptions.numerals} minuteTicks={clockOptions.minuteTicks} secondHand={clockOptions.secondHand} />
+                                </div>
+                                <div className="info">
+                                    <h2>{t('app.localTime', { zone: userTimezone })}</h2>
+                                    <div className="meta muted">{t('app.localHint')}</div>
+                                    <button className="btn meeting-open" onClick={() => openMeeting()}>{t('app.planMeeting', { team: activeTeam.name })}</button>
+                                </div>
+                            </div>
+
+                            <TeamPanel
+                                teams={teamsState.teams}
+                                activeId={activeTeam.id}
+                                onChange={setTeamsState}
+                            />
+
+                            <PeoplePanel
+                                title={t('people.membersOf', { team: activeTeam.name })}
+                                people={people}
+                                zoneOptions={zoneIds}
+                                defaultZone={userTimezone}
+                                onChange={setPeople}
+                            />
+
+                            {meetingZones && (
+                                <MeetingPanel
+                                    key={meetingZones.join('|')}
+                                    participants={meetingZones}
+                                    zoneOptions={zoneIds}
+                                    labels={labels}
+                                    people={people}
+                                    zoneHours={zoneHours}
+                                    zoneDays={zoneDays}
+                                    defaultWindow={workWindow}
+                                    busyCalendars={busyCalendars}
+                                    onChangeBusyCalendars={(id, list) => setBusyCalendars(prev => ({ ...prev, [id]: list }))}
+                                    localZone={userTimezone}
+                                    onClose={() => setMeetingZones(null)}
+                                />
+                            )}
+                        </section>
+
+                        {/* Controls: search, work window, region and country filters */}
+                        <section className="controls">
+                            <SearchBox query={query} onChange={setQuery} suggestions={suggestions} placeholder={t('search.placeholder')} />
+                            <TimeConverter index={searchIndex} zones={zoneIds} localZone={userTimezone} pinned={pinned} />
+                            <label className="control-inline">
+                                {t('app.defaultHours')}
+                                <WorkWindowInput value={workWindow} onChange={setWorkWindow} ariaLabel={t('app.defaultHours')} />
+                            </label>
+
+                            <div className="control-inline">
+                                {t('clock.display')}
+                                <ClockOptionsInput value={clockOptions} onChange={setClockOptions} />
+                            </div>
+
+                            <div className="control-inline">
+                                {t('locale.label')}
+                                <LocaleInput value={localeSettings} onChange={setLocaleSettings} />
+                            </div>
+
+                            <label className="control-inline">
+                                <input type="checkbox" checked={collapseSameRules} onChange={(e) => setCollapseSameRules(e.target.checked)} />
+                                {t('app.collapseSameRules')}
+                            </label>
+
+                            <TimeTravelBar value={timeOverride} onChange={setTimeOverride} zone={userTimezone} />
+
+                            <div className="continent-filters">
+                                {continents.map(c => (
+                                    <button
+                                        key={c}
+                                        className={`cont-btn ${filterContinent === c ? 'active' : ''}`}
+                                        onClick={() => {
+                                            setFilterContinent(c)
+                                            setFilterCountry('all')
+                                        }}
+                                    >
+                                        {t(`continent.${c}`)}
+                                    </button>
+                                ))}
+                                <select className="country-filter" value={filterCountry} onChange={(e) => setFilterCountry(e.target.value)} aria-label={t('country.label')}>
+                                    <option value="all">{t('country.all')}</option>
+                                    {countries.map(c => <option key={c.code} value={c.code}>{countryFlag(c.code)} {c.name}</option>)}
+                                </select>
+                            </div>
+                        </section>
+
+                        {/* Zones grid: only cards near the viewport mount (and tick) */}
+                        <WindowedGrid
+                            className="zones-grid"
+                            items={gridZones}
+                            getKey={z => z.tz}
+                            renderItem={z => (
+                                <ZoneCard
+                                    zone={z.tz}
+                                    cont={z.cont}
+                                    pinned={pinned.includes(z.tz)}
+                                    onTogglePin={() => togglePin(z.tz)}
+                                    label={labels[z.tz]}
+                                    onChangeLabel={(label) => setZoneLabel(z.tz, label)}
+                                    pinIndex={pinned.indexOf(z.tz)}
+                                    pinCount={pinned.length}
+                                    onMovePin={(toIndex) => movePinned(z.tz, toIndex)}
+                                    draggingPin={draggedPin !== null}
+                                    onPinDragStart={() => setDraggedPin(z.tz)}
+                                    onPinDragEnd={() => setDraggedPin(null)}
+                                    onPinDrop={() => draggedPin && movePinned(draggedPin, pinned.indexOf(z.tz))}
+                                    onShowMeeting={() => openMeeting(z.tz)}
+                                    workWindow={workWindowForZone(zoneHours, z.tz, workWindow)}
+                                    customHours={Boolean(zoneHours[z.tz])}
+                                    onChangeWorkWindow={(win) => setZoneWindow(z.tz, win)}
+                                    workDays={workDaysForZone(zoneDays, z.tz)}
+                                    customDays={Boolean(zoneDays[z.tz])}
+                                    onChangeWorkDays={(days) => setZoneWorkDays(z.tz, days)}
+                                    clockOptions={resolveClockOptions(clockOptions, cardClockOptions[z.tz])}
+                                    customClock={Boolean(cardClockOptions[z.tz])}
+                                    onChangeClockOptions={(options) => setCardClock(z.tz, options)}
+                                    reminders={reminders.filter(r => r.tz === z.tz)}
+                                    onChangeReminders={(list) => setZoneReminders(z.tz, list)}
+                                    reminderContext={reminderContext}
+                                    sameRules={z.sameRules}
+                                    sameRulesExpanded={expandedRules.includes(z.rulesKey)}
+                                    onToggleSameRules={() => toggleRulesGroup(z.rulesKey)}
+                                    theme={theme}
+                                    localZoneName={userTimezone.split('/').pop().replace(/_/g, ' ')}
+                                />
+                            )}
                         />
-                    ))}
-                </section>
-            </main>
+                    </main>
 
-            <footer className="muted">Pinned zones persist to localStorage. Uses browser Intl API for accurate offsets & DST.</footer>
-        </div>
+                    <footer className="muted">{t('app.footer')}</footer>
+                </div>
+            </TimeTravelContext.Provider>
+        </LocaleContext.Provider>
     )
 }
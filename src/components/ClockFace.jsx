@@ -1,4 +1,9 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
+import { useIsTimeTravelling, useNow } from '../utils/timeTravel';
+import { formatNumber, zoneParts } from '../utils/format';
+import { useLocale } from '../utils/locale';
+
+const TIME_OPTIONS = { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' };
 
 /**
  * ClockFace Component
@@ -7,42 +12,43 @@ import React, { useState, useEffect, useMemo } from 'react';
  * - theme: "light" | "dark"
  * - size: number (diameter in pixels)
  * - id: string (unique identifier)
+ * - dial: "12h" | "24h" (24h: the hour hand goes round once a day, 24 at the top)
+ * - numerals: "quarters" (12/3/6/9) | "all"
+ * - minuteTicks: boolean, draw 60 minute markers like clock.html
+ * - secondHand: "ticking" | "smooth" | "hidden"
+ *   (smooth sweeps with a CSS animation; while time travelling it ticks so it shows the frozen time)
+ * Numerals use the digits of the current locale (e.g. ١٢ with Arabic digits).
  */
-const ClockFace = ({ zone = 'UTC', theme = 'light', size = 200, id }) => {
-    const [time, setTime] = useState({ h: 0, m: 0, s: 0 });
-
-    // Update time every second based on the provided timezone
-    useEffect(() => {
-        const updateTime = () => {
-            const now = new Date();
-            try {
-                const timeString = now.toLocaleTimeString('en-US', {
-                    timeZone: zone,
-                    hour12: false,
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    second: '2-digit',
-                });
-
-                const [h, m, s] = timeString.split(':').map(Number);
-                setTime({ h, m, s });
-            } catch (e) {
-                console.error(`Invalid timezone: ${zone}`, e);
-            }
-        };
+const ClockFace = ({ zone = 'UTC', theme = 'light', size = 200, id, dial = '12h', numerals = 'quarters', minuteTicks = false, secondHand = 'ticking' }) => {
+    // Current time (live, or the time-travel scrubber's time), ticking every second
+    const nowMs = useNow(1000);
+    const travelling = useIsTimeTravelling();
+    const { tag } = useLocale();
+    // the sweep animation starts at the second the hand is mounted (same in every zone)
+    const [sweepOffset] = useState(() => (Date.now() % 60000) / 1000);
+    const smooth = secondHand === 'smooth' && !travelling;
+    const hourCount = dial === '24h' ? 24 : 12;
 
-        updateTime(); // Initial call
-        const interval = setInterval(updateTime, 1000);
-        return () => clearInterval(interval);
-    }, [zone]);
+    // Read hours/minutes/seconds in the provided timezone (cached formatter per zone)
+    const time = useMemo(() => {
+        try {
+            const parts = zoneParts(nowMs, zone, TIME_OPTIONS);
+            return { h: Number(parts.hour) % 24, m: Number(parts.minute), s: Number(parts.second) };
+        } catch (e) {
+            console.error(`Invalid timezone: ${zone}`, e);
+            return { h: 0, m: 0, s: 0 };
+        }
+    }, [nowMs, zone]);
 
     // Calculate rotation degrees
     // Seconds: 6 degrees per second
     const secondsDeg = time.s * 6;
     // Minutes: 6 degrees per minute + adjustment for seconds
     const minutesDeg = time.m * 6 + time.s * 0.1;
-    // Hours: 30 degrees per hour + adjustment for minutes
-    const hoursDeg = (time.h % 12) * 30 + time.m * 0.5;
+    // Hours: 30 degrees per hour + adjustment for minutes (15 and 0.25 on a 24h dial)
+    const hoursDeg = dial === '24h'
+        ? time.h * 15 + time.m * 0.25
+        : (time.h % 12) * 30 + time.m * 0.5;
 
     // Theme configuration
     const isDark = theme === 'dark';
@@ -137,67 +143,73 @@ const ClockFace = ({ zone = 'UTC', theme = 'light', size = 200, id }) => {
         }
     };
 
-    // Generate numbers 12, 3, 6, 9
+    // Numbers: every hour, or only the quarters (12/3/6/9, or 24/6/12/18 on a 24h dial)
+    const showsNumber = (i) => numerals === 'all' || i % (hourCount / 4) === 0;
+
     const renderNumbers = () => {
-        const positions = [
-            { num: 12, top: '5%', left: '50%', transform: 'translate(-50%, 0)' },
-            { num: 3, top: '50%', right: '5%', transform: 'translate(0, -50%)' },
-            { num: 6, bottom: '5%', left: '50%', transform: 'translate(-50%, 0)' },
-            { num: 9, top: '50%', left: '5%', transform: 'translate(0, -50%)' },
-        ];
-
-        return positions.map((pos) => (
+        const numbers = [];
+        const radius = 38; // % of the face
+        const fontSize = size * (hourCount === 24 && numerals === 'all' ? 0.065 : 0.1);
+        for (let i = 0; i < hourCount; i++) {
+            if (!showsNumber(i)) continue;
+            const angle = (i * 360 / hourCount) * Math.PI / 180;
+            numbers.push(
+                <div
+                    key={i}
+                    style={{
+                        ...styles.number,
+                        fontSize: `${fontSize}px`,
+                        top: `${50 - radius * Math.cos(angle)}%`,
+                        left: `${50 + radius * Math.sin(angle)}%`,
+                        transform: 'translate(-50%, -50%)',
+                    }}
+                >
+                    {formatNumber(i === 0 ? hourCount : i, tag)}
+                </div>
+            );
+        }
+        return numbers;
+    };
+
+    // One marker rotated from the center; length and width as fractions of the size
+    const renderMarker = (key, deg, length, width, color) => (
+        <div
+            key={key}
+            style={{
+                position: 'absolute',
+                top: '0',
+                left: '0',
+                width: '100%',
+                height: '100%',
+                transform: `rotate(${deg}deg)`,
+                pointerEvents: 'none',
+            }}
+        >
             <div
-                key={pos.num}
                 style={{
-                    ...styles.number,
-                    top: pos.top,
-                    bottom: pos.bottom,
-                    left: pos.left,
-                    right: pos.right,
-                    transform: pos.transform,
+                    width: `${size * width}px`,
+                    height: `${size * length}px`,
+                    backgroundColor: color,
+                    margin: `${size * 0.05}px auto 0`, // Push it down from edge
+                    borderRadius: '4px',
                 }}
-            >
-                {pos.num}
-            </div>
-        ));
-    };
+            />
+        </div>
+    );
 
-    // Generate ticks for other hours
+    // Hour ticks where there is no number, plus optional minute ticks
     const renderTicks = () => {
         const ticks = [];
-        for (let i = 0; i < 12; i++) {
-            if (i % 3 !== 0) { // Skip 12, 3, 6, 9
-                const deg = i * 30;
-                // Calculate position on the circle
-                // This is a bit complex in pure CSS without trig, but we can rotate a container
-                // Easier method: Rotate a div from the center
-                ticks.push(
-                    <div
-                        key={i}
-                        style={{
-                            position: 'absolute',
-                            top: '0',
-                            left: '0',
-                            width: '100%',
-                            height: '100%',
-                            transform: `rotate(${deg}deg)`,
-                            pointerEvents: 'none',
-                        }}
-                    >
-                        <div
-                            style={{
-                                width: `${size * 0.01}px`,
-                                height: `${size * 0.05}px`,
-                                backgroundColor: isDark ? '#4a5568' : '#cbd5e0',
-                                margin: `${size * 0.05}px auto 0`, // Push it down from edge
-                                borderRadius: '4px',
-                            }}
-                        />
-                    </div>
-                );
+        if (minuteTicks) {
+            for (let i = 0; i < 60; i++) {
+                if (hourCount === 12 && i % 5 === 0) continue; // hour positions
+                ticks.push(renderMarker(`m${i}`, i * 6, 0.025, 0.005, isDark ? '#3a4150' : '#d5dce6'));
             }
         }
+        for (let i = 0; i < hourCount; i++) {
+            if (showsNumber(i)) continue;
+            ticks.push(renderMarker(`h${i}`, i * 360 / hourCount, 0.05, 0.01, isDark ? '#4a5568' : '#cbd5e0'));
+        }
         return ticks;
     };
 
@@ -225,14 +237,21 @@ const ClockFace = ({ zone = 'UTC', theme = 'light', size = 200, id }) => {
                     }}
                 />
 
-                {/* Second Hand */}
-                <div
-                    style={{
-                        ...styles.hand,
-                        ...styles.secondHand,
-                        transform: `rotate(${secondsDeg}deg)`,
-                    }}
-                />
+                {/* Second Hand: ticking, a smooth sweep, or none */}
+                {secondHand !== 'hidden' && (
+                    <div
+                        style={smooth ? {
+                            ...styles.hand,
+                            ...styles.secondHand,
+                            animation: 'clockface-sweep 60s linear infinite',
+                            animationDelay: `-${sweepOffset}s`,
+                        } : {
+                            ...styles.hand,
+                            ...styles.secondHand,
+                            transform: `rotate(${secondsDeg}deg)`,
+                        }}
+                    />
+                )}
 
                 {/* Center Dot */}
                 <div style={styles.centerDot} />
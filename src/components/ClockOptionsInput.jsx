@@ -0,0 +1,55 @@
+/**
+ * ClockOptionsInput.jsx
+ *
+ * Controls for how a clock is drawn (see utils/clockOptions.js): 12h/24h dial, numerals,
+ * minute ticks, second hand and analog vs digital-only. Used for the global display
+ * setting and for a single card's override.
+ *
+ * Props:
+ *  - value: full options object
+ *  - onChange(options): called with the full updated options
+ *  - label: accessible name prefix ("Clock display", "Clock for Asia/Tokyo"); defaults to
+ *    the translated "Clock display"
+ */
+
+import React from 'react'
+import { formatNumber } from '../utils/format'
+import { useLocale } from '../utils/i18n'
+
+export default function ClockOptionsInput({ value, onChange, label }) {
+    const { tag, t } = useLocale()
+    const name = label || t('clock.display')
+    const set = (key, v) => onChange({ ...value, [key]: v })
+    const quarters = (value.dial === '24h' ? [24, 6, 12, 18] : [12, 3, 6, 9]).map(n => formatNumber(n, tag)).join(' · ')
+    const analog = value.style === 'analog'
+
+    return (
+        <div className="clock-options control-inline" role="group" aria-label={name}>
+            <select aria-label={`${name}: ${t('clock.style')}`} value={value.style} onChange={(e) => set('style', e.target.value)}>
+                <option value="analog">{t('clock.analog')}</option>
+                <option value="digital">{t('clock.digital')}</option>
+            </select>
+            {analog && (
+                <>
+                    <select aria-label={`${name}: ${t('clock.dial')}`} value={value.dial} onChange={(e) => set('dial', e.target.value)}>
+                        <option value="12h">{t('clock.dial12')}</option>
+                        <option value="24h">{t('clock.dial24')}</option>
+                    </select>
+                    <select aria-label={`${name}: ${t('clock.numerals')}`} value={value.numerals} onChange={(e) => set('numerals', e.target.value)}>
+                        <option value="quarters">{quarters}</option>
+                        <option value="all">{t('clock.allNumerals')}</option>
+                    </select>
+                    <select aria-label={`${name}: ${t('clock.secondHand')}`} value={value.secondHand} onChange={(e) => set('secondHand', e.target.value)}>
+                        <option value="ticking">{t('clock.ticking')}</option>
+                        <option value="smooth">{t('clock.smooth')}</option>
+                        <option value="hidden">{t('clock.noSecondHand')}</option>
+                    </select>
+                    <label className="clock-option-check">
+                        <input type="checkbox" checked={value.minuteTicks} onChange={(e) => set('minuteTicks', e.target.checked)} />
+                        {t('clock.minuteTicks')}
+                    </label>
+                </>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,46 @@
+/**
+ * LocaleInput.jsx
+ *
+ * Language and format controls (see utils/i18n.js): the UI language / formatting locale,
+ * 12- or 24-hour times and which digits numbers are written with.
+ *
+ * Props:
+ *  - value: locale settings { locale, hourCycle, numberingSystem }
+ *  - onChange(settings): called with the full updated settings
+ *
+ * Beginner notes:
+ * - Each language is listed in its own language ("Deutsch", "العربية") with Intl.DisplayNames.
+ * - Digit choices show the digits themselves (0123456789, ٠١٢٣٤٥٦٧٨٩, ०१२३४५६७८९).
+ */
+
+import React from 'react'
+import { HOUR_CYCLES, NUMBERING_SYSTEMS, SUPPORTED_LOCALES, displayName, useLocale } from '../utils/i18n'
+
+const DIGITS = 1234567890
+
+// numbering systems this browser can format, with a sample of their digits
+const NUMBERING_CHOICES = NUMBERING_SYSTEMS
+    .filter(ns => typeof Intl.supportedValuesOf !== 'function' || Intl.supportedValuesOf('numberingSystem').includes(ns))
+    .map(ns => ({ id: ns, sample: new Intl.NumberFormat(`en-u-nu-${ns}`, { useGrouping: false }).format(DIGITS) }))
+
+export default function LocaleInput({ value, onChange }) {
+    const { t } = useLocale()
+    const set = (key, v) => onChange({ ...value, [key]: v })
+
+    return (
+        <div className="locale-options control-inline" role="group" aria-label={t('locale.label')}>
+            <select aria-label={t('locale.language')} value={value.locale} onChange={(e) => set('locale', e.target.value)}>
+                <option value="auto">{t('locale.auto')}</option>
+                {SUPPORTED_LOCALES.map(tag => <option key={tag} value={tag} lang={tag}>{displayName(tag, 'language', tag)}</option>)}
+            </select>
+            <select aria-label={t('locale.hourCycle')} value={value.hourCycle} onChange={(e) => set('hourCycle', e.target.value)}>
+                <option value="auto">{t('locale.hourCycle.auto')}</option>
+                {HOUR_CYCLES.map(hc => <option key={hc} value={hc}>{t(`locale.hourCycle.${hc}`)}</option>)}
+            </select>
+            <select aria-label={t('locale.digits')} value={value.numberingSystem} onChange={(e) => set('numberingSystem', e.target.value)}>
+                <option value="auto">{t('locale.digits.auto')}</option>
+                {NUMBERING_CHOICES.map(ns => <option key={ns.id} value={ns.id}>{ns.sample}</option>)}
+            </select>
+        </div>
+    )
+}
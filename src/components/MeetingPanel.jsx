@@ -1,131 +1,366 @@
 /**
  * MeetingPanel.jsx
  *
- * Shows a panel that visualizes working windows and a 15-minute resolution overlap grid.
+ * Shows a panel that visualizes working windows and a 15-minute resolution overlap grid
+ * for any number of participants (one row per timezone).
  *
  * Implementation notes:
- * - We display the next 24 hours in the UTC day as 96 slots (24 * 4).
- * - Each slot is tested whether it falls inside the working window in a timezone.
- * - Overlap slots are highlighted with .overlap class.
+ * - We display 1–14 UTC days starting today (horizon picker), 96 slots (24 * 4) per day,
+ *   as a grid with one block per day and one row per participant.
+ * - Each slot is tested whether it falls inside every participant's own working window
+ *   on one of their working days (weekends differ per zone, see workHours.js);
+ *   public holidays of the participant's country count as days off (see utils/holidays.js).
+ * - Overlap slots (everyone working) are highlighted with .overlap class.
+ * - When nobody-left-out overlap does not exist, the slots where the most
+ *   participants are available get the .best class instead.
+ * - Busy blocks from imported .ics files (per participant, picker or drag-and-drop)
+ *   are subtracted from working time and shown with the .busy class.
+ * - Clicking any slot (or "Use suggested start") picks a meeting start; together with the
+ *   chosen duration it can be downloaded as an .ics calendar invite (see utils/ics.js).
+ * - A warning lists participant pairs whose hour gap changes because of DST in the next
+ *   few weeks (e.g. the weeks when the US and Europe switch on different dates).
+ * - Below the day view, RotationPlanner plans a recurring meeting over several weeks
+ *   for the same participants and duration, rotating who takes the awkward hours.
  *
  * Props:
- *  - zone: the other timezone to compare with India (Asia/Kolkata).
- *  - workStart, workEnd: integers in 0..24 specifying work window local hours.
+ *  - participants: initial array of participant ids ('zone:<tz>' or 'person:<id>').
+ *  - zoneOptions: array of timezone strings that can be added from the picker.
+ *  - labels: custom names of pinned zones { tz: label }, shown instead of the IANA id.
+ *  - people: named people [{ id, name, tz, window }] that can be added.
+ *  - zoneHours: per-zone working windows { tz: [{ start, end }] } in local minutes.
+ *  - zoneDays: per-zone working days { tz: [0..6] } (missing zones use their country's default).
+ *  - defaultWindow: window used for zones without their own hours.
+ *  - busyCalendars: imported calendars { participantId: [{ id, name, events }] }.
+ *  - onChangeBusyCalendars(participantId, calendars): save a participant's calendars.
+ *  - localZone: your own timezone, used for the summary times.
  *  - onClose: callback to close.
  *
+ * Text comes from the message catalog and times are shown in the current locale (useLocale());
+ * the exported .ics description stays in en-US so it reads the same for every invitee.
+ *
  * Beginner explanation:
- * - For each 15-minute slot (UTC timestamp) we compute local hour/min for both India and the other tz.
- * - If a slot lies within both work windows -> overlap.
+ * - For each 15-minute slot (UTC timestamp) we compute local hour/min for every participant.
+ * - If a slot lies within everyone's work window -> overlap.
+ * - The grid starts at today's 00:00 UTC, so the start of today is already past: those slots
+ *   are greyed out, and suggestions, picks and the .ics export only use slots from now on.
  */
 
-import React, { useMemo } from 'react'
-import { tzOffsetMinutes } from '../utils/timeUtils'
+import React, { useMemo, useState } from 'react'
+import { SLOT_MS, SLOTS_PER_DAY, buildSlots, findSegments, personParticipantId, resolveParticipants, upcomingGapChanges, zoneParticipantId } from '../utils/meetingUtils'
+import { formatWorkDays, formatWorkWindow } from '../utils/workHours'
+import { useNow } from '../utils/timeTravel'
+import { holidayName } from '../utils/holidays'
+import { buildIcsCalendar, downloadTextFile, expandBusyBlocks, makeIcsUid } from '../utils/ics'
+import { readIcsFiles } from '../utils/busyCalendars'
+import { formatDuration, formatLocalDay, formatLocalTime } from '../utils/format'
+import { useLocale, weekdayNames } from '../utils/i18n'
+import RotationPlanner from './RotationPlanner'
+
+const DURATIONS = [15, 30, 45, 60, 90, 120, 180] // minutes
+const HORIZONS = [1, 2, 3, 5, 7, 10, 14] // days
+const GAP_WARNING_DAYS = 28 // look this far ahead for DST changes between participants
+const MAX_GAP_WARNINGS = 3
 
-function localHourMinuteFromUtcMs(utcMs, tz) {
-    const d = new Date(utcMs)
-    const fmt = new Intl.DateTimeFormat('en-US', { timeZone: tz, hour12: false, hour: '2-digit', minute: '2-digit' })
-    const parts = fmt.formatToParts(d)
-    const map = {}; parts.forEach(p => { if (p.type) map[p.type] = p.value })
-    const h = Number(map.hour), m = Number(map.minute)
-    return { h, m }
+// gap = minutes A is ahead of B -> "4h behind", "5h 30m ahead of", "the same time as"
+function formatGap(gap, { tag, t }) {
+    if (gap === 0) return t('meeting.gap.same')
+    return t(gap > 0 ? 'meeting.gap.ahead' : 'meeting.gap.behind', { duration: formatDuration(Math.abs(gap), tag) })
 }
 
-export default function MeetingPanel({ zone, localZone = 'Asia/Kolkata', workStart, workEnd, onClose }) {
-    // build 96 slots for the current UTC day (starting at today's 00:00 UTC)
-    const now = new Date()
+export default function MeetingPanel({ participants = [], zoneOptions = [], labels = {}, people = [], zoneHours = {}, zoneDays = {}, defaultWindow, busyCalendars = {}, onChangeBusyCalendars, localZone = 'Asia/Kolkata', onClose }) {
+    const locale = useLocale()
+    const { tag, t } = locale
+    // the participant id list can be edited inside the panel
+    const [selectedIds, setSelectedIds] = useState(() => [...new Set(participants)])
+
+    // resolve ids into { id, label, tz, window } with each participant's own hours
+    const selected = useMemo(
+        () => resolveParticipants(selectedIds, { people, zoneHours, zoneDays, defaultWindow, labels, unnamed: t('meeting.unnamed') }),
+        [selectedIds, people, zoneHours, zoneDays, defaultWindow, labels, t]
+    )
+
+    // build 96 slots per UTC day for the chosen horizon (starting at today's 00:00 UTC)
+    // "current" follows the time-travel scrubber when it is set
+    const now = new Date(useNow(60_000))
+    const nowMs = now.getTime()
     const utcDayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0)
+    const [horizonDays, setHorizonDays] = useState(2)
+    const horizonEnd = utcDayStart + horizonDays * SLOTS_PER_DAY * SLOT_MS
+    const horizon = t('meeting.horizon', { count: horizonDays })
+    const weekdays = weekdayNames(tag)
+
+    // attach each participant's busy blocks (from imported .ics files) for the horizon
+    const withBusy = useMemo(() => selected.map(p => {
+        const events = (busyCalendars[p.id] || []).flatMap(cal => cal.events)
+        return { ...p, busy: events.length ? expandBusyBlocks(events, utcDayStart, horizonEnd) : [] }
+    }), [selected, busyCalendars, utcDayStart, horizonEnd])
 
     // create array of slots with metadata
-    const slots = useMemo(() => {
-        const arr = []
-        for (let i = 0; i < 96; i++) { // 96 * 15 minutes = 24 hours
-            const slotStart = utcDayStart + i * 15 * 60 * 1000
-            const slotEnd = slotStart + 15 * 60 * 1000
-            const localLM = localHourMinuteFromUtcMs(slotStart, localZone)
-            const otherLM = localHourMinuteFromUtcMs(slotStart, zone)
-            const localWork = (localLM.h >= workStart && localLM.h < workEnd) ||
-                (localLM.h === workEnd && localLM.m === 0 && workEnd === 24) // inclusive corner
-            const otherWork = (otherLM.h >= workStart && otherLM.h < workEnd) ||
-                (otherLM.h === workEnd && otherLM.m === 0 && workEnd === 24)
-            const overlap = localWork && otherWork
-            arr.push({
-                i, slotStart, slotEnd, localLM, otherLM, localWork, otherWork, overlap
-            })
-        }
-        return arr
-    }, [utcDayStart, zone, localZone, workStart, workEnd])
-
-    // compute longest contiguous overlap segments and check if any contiguous >= 3 hours (12 slots)
-    const overlapSegments = useMemo(() => {
-        const segs = []
-        let cur = null
+    const slots = useMemo(
+        () => buildSlots({ dayStartMs: utcDayStart, participants: withBusy, days: horizonDays }),
+        [utcDayStart, withBusy, horizonDays]
+    )
+
+    // the grid shows one block per UTC day
+    const days = useMemo(() => Array.from({ length: horizonDays }, (_, d) => {
+        const daySlots = slots.slice(d * SLOTS_PER_DAY, (d + 1) * SLOTS_PER_DAY)
+        return { start: utcDayStart + d * SLOTS_PER_DAY * SLOT_MS, slots: daySlots, overlapSlots: daySlots.filter(s => s.overlap).length }
+    }), [slots, horizonDays, utcDayStart])
+
+    // public holidays inside the horizon, per participant: ["Diwali (Sun, Nov 8)", ...]
+    const holidayNotes = useMemo(() => withBusy.map((p, pIdx) => {
+        const notes = []
         slots.forEach(s => {
-            if (s.overlap) {
-                if (!cur) cur = { startIdx: s.i, endIdx: s.i }
-                else cur.endIdx = s.i
-            } else {
-                if (cur) { segs.push(cur); cur = null }
-            }
+            const local = s.locals[pIdx]
+            const note = local.holiday && `${holidayName(local.holiday, t)} (${formatLocalDay(s.slotStart, p.tz, tag)})`
+            if (note && !notes.includes(note)) notes.push(note)
         })
-        if (cur) segs.push(cur)
-        return segs
-    }, [slots])
-
-    const hasFull3h = overlapSegments.some(s => (s.endIdx - s.startIdx + 1) >= (3 * 4)) // 3 hours * 4 slots per hour
-
-    // earliest full 3h start (if present)
-    const earliestFull3h = (() => {
-        for (const seg of overlapSegments) {
-            if ((seg.endIdx - seg.startIdx + 1) >= 12) { // 12 slots = 3 hours
-                const startMs = utcDayStart + seg.startIdx * 15 * 60 * 1000
-                return startMs
-            }
-        }
-        return null
-    })()
+        return notes
+    }), [withBusy, slots, tag, t])
+
+    // contiguous segments where everyone is working (from now on: a past slot is no suggestion)
+    const overlapSegments = useMemo(() => findSegments(slots, s => s.overlap && s.slotStart >= nowMs), [slots, nowMs])
+
+    // when there is no full overlap, highlight the slots where the most people are available
+    const bestCount = useMemo(() => Math.max(0, ...slots.filter(s => s.slotStart >= nowMs).map(s => s.available)), [slots, nowMs])
+    const showBest = overlapSegments.length === 0 && bestCount > 0
+    const bestSegments = useMemo(
+        () => showBest ? findSegments(slots, s => s.available === bestCount && s.slotStart >= nowMs) : [],
+        [slots, showBest, bestCount, nowMs]
+    )
+
+    // pairs of participants whose gap changes soon because only one side switches DST
+    const gapChanges = useMemo(
+        () => upcomingGapChanges(selected.map(p => p.tz), utcDayStart, GAP_WARNING_DAYS),
+        [selected, utcDayStart]
+    )
+    const labelOfTz = (tz) => (selected.find(p => p.tz === tz) || { label: tz }).label
+
+    // earliest full 3h start (if present) — 12 slots = 3 hours
+    const full3h = overlapSegments.find(seg => seg.length >= 12)
+    const earliestFull3h = full3h ? utcDayStart + full3h.startIdx * SLOT_MS : null
+    const bestStart = bestSegments.length ? utcDayStart + bestSegments[0].startIdx * SLOT_MS : null
+    const firstOverlap = overlapSegments.length ? utcDayStart + overlapSegments[0].startIdx * SLOT_MS : null
+    // suggested start: a full 3h window, else the first (shorter) overlap, else the best partial slot
+    const suggestedStart = earliestFull3h ?? firstOverlap ?? bestStart
+
+    // meeting chosen for export: clicked slot (or the suggestion) + duration
+    const [pickedStart, setPickedStart] = useState(null)
+    const [duration, setDuration] = useState(60)
+    const [title, setTitle] = useState(() => t('meeting.defaultTitle'))
+    // a picked slot that has passed in the meantime falls back to the suggestion
+    const meetingStart = pickedStart !== null && pickedStart >= nowMs ? pickedStart : suggestedStart
+    const meetingEnd = meetingStart !== null ? meetingStart + duration * 60 * 1000 : null
+
+    const exportIcs = () => {
+        if (meetingStart === null) return
+        const description = [
+            'Local times:',
+            ...selected.map(p => `${p.label}: ${formatLocalDay(meetingStart, p.tz)}, ${formatLocalTime(meetingStart, p.tz)} – ${formatLocalTime(meetingEnd, p.tz)}`)
+        ].join('\n')
+        const ics = buildIcsCalendar([{
+            uid: makeIcsUid(meetingStart),
+            start: meetingStart,
+            end: meetingEnd,
+            summary: title.trim() || 'Meeting',
+            description
+        }])
+        downloadTextFile(`meeting-${new Date(meetingStart).toISOString().slice(0, 10)}.ics`, ics)
+    }
+
+    // .ics import: file picker or drag-and-drop onto a participant row
+    const [dropTarget, setDropTarget] = useState(null)
+    const importIcs = async (p, files) => {
+        setDropTarget(null)
+        if (!onChangeBusyCalendars || !files || !files.length) return
+        const calendars = await readIcsFiles(files, p.tz)
+        if (calendars.length) onChangeBusyCalendars(p.id, [...(busyCalendars[p.id] || []), ...calendars])
+    }
+    const removeCalendar = (p, calId) => {
+        onChangeBusyCalendars(p.id, (busyCalendars[p.id] || []).filter(c => c.id !== calId))
+    }
+
+    const addParticipant = (id) => {
+        if (!id) return
+        setSelectedIds(prev => prev.includes(id) ? prev : [...prev, id])
+    }
+    const removeParticipant = (id) => setSelectedIds(prev => prev.filter(p => p !== id))
+
+    const availablePeople = people.filter(p => !selectedIds.includes(personParticipantId(p.id)))
+    const availableZones = zoneOptions.filter(tz => !selectedIds.includes(zoneParticipantId(tz)))
 
     return (
         <div className="meeting-panel" role="dialog" aria-modal="true">
-            <button className="close" onClick={onClose}>×</button>
-            <h3>3-hour meeting overlap — {zone}</h3>
+            <button className="close" onClick={onClose} aria-label={t('common.close')}>×</button>
+            <h3>{t('meeting.title', { count: selected.length })}</h3>
 
-            {hasFull3h ? (
-                <p>There is at least one full 3-hour overlap in this UTC day. Earliest start:</p>
+            <div className="participants">
+                {selected.map(p => (
+                    <span key={p.id} className="participant-chip" title={t('meeting.hoursTitle', { hours: formatWorkWindow(p.window) })}>
+                        {p.label}
+                        <button aria-label={t('common.remove', { name: p.label })} onClick={() => removeParticipant(p.id)}>×</button>
+                    </span>
+                ))}
+                <select className="participant-add" value="" onChange={(e) => addParticipant(e.target.value)} aria-label={t('meeting.add')}>
+                    <option value="">{t('meeting.addOption')}</option>
+                    {availablePeople.length > 0 && (
+                        <optgroup label={t('meeting.people')}>
+                            {availablePeople.map(p => <option key={p.id} value={personParticipantId(p.id)}>{p.name || t('meeting.unnamed')} ({p.tz})</option>)}
+                        </optgroup>
+                    )}
+                    <optgroup label={t('meeting.zones')}>
+                        {availableZones.map(tz => <option key={tz} value={zoneParticipantId(tz)}>{labels[tz] ? `${labels[tz]} (${tz})` : tz}</option>)}
+                    </optgroup>
+                </select>
+            </div>
+
+            {selected.length < 2 ? (
+                <p>{t('meeting.needTwo')}</p>
+            ) : earliestFull3h !== null ? (
+                <p>{t('meeting.full3h', { horizon })}</p>
+            ) : overlapSegments.length ? (
+                <p>{t('meeting.shortOverlap', { horizon })}</p>
+            ) : showBest ? (
+                <p>{t('meeting.bestOption', { horizon, best: bestCount, total: selected.length })}</p>
             ) : (
-                <p>No full 3-hour overlap in the next 24 hours. Here is the best overlap visualization.</p>
+                <p>{t('meeting.nobody', { horizon })}</p>
             )}
 
-            {earliestFull3h && (
-                <div className="meta">
-                    Start ({localZone}): {new Date(earliestFull3h).toLocaleString('en-US', { timeZone: localZone, hour: 'numeric', minute: '2-digit', hour12: true })}
-                    &nbsp;•&nbsp;
-                    Start ({zone}): {new Date(earliestFull3h).toLocaleString('en-US', { timeZone: zone, hour: 'numeric', minute: '2-digit', hour12: true })}
+            {gapChanges.length > 0 && (
+                <div className="dst-warning" role="note">
+                    <strong>{t('meeting.dstHeading')}</strong>
+                    <ul>
+                        {gapChanges.slice(0, MAX_GAP_WARNINGS).map(c => (
+                            <li key={`${c.tzA}|${c.tzB}`}>
+                                {t(c.until !== null ? 'meeting.gapChangeUntil' : 'meeting.gapChange', {
+                                    from: formatLocalDay(c.at, localZone, tag),
+                                    until: c.until !== null ? formatLocalDay(c.until, localZone, tag) : '',
+                                    a: labelOfTz(c.tzA),
+                                    b: labelOfTz(c.tzB),
+                                    after: formatGap(c.gapAfter, locale),
+                                    before: formatGap(c.gapBefore, locale),
+                                })}
+                            </li>
+                        ))}
+                    </ul>
+                    {gapChanges.length > MAX_GAP_WARNINGS && (
+                        <div className="muted">{t('meeting.morePairs', { count: gapChanges.length - MAX_GAP_WARNINGS })}</div>
+                    )}
                 </div>
             )}
 
-            <div className="bars" style={{ marginTop: 12 }}>
-                <div className="bar-title">{localZone} (UTC)</div>
-                <div className="bar">
-                    {slots.map(s => (
-                        <div
-                            key={'i' + s.i}
-                            className={`hour-block ${s.localWork ? 'work' : ''} ${s.overlap ? 'overlap' : ''}`}
-                            title={`${s.localLM.h.toString().padStart(2, '0')}:${s.localLM.m.toString().padStart(2, '0')} local`}
-                        />
+            {selected.length >= 2 && suggestedStart !== null && (
+                <div className="meta">
+                    {selected.map((p, idx) => (
+                        <span key={p.id}>
+                            {idx > 0 && <>&nbsp;•&nbsp;</>}
+                            {t('meeting.start', {
+                                label: p.label,
+                                time: `${horizonDays > 1 ? `${formatLocalDay(suggestedStart, p.tz, tag)}, ` : ''}${formatLocalTime(suggestedStart, p.tz, tag)}`,
+                            })}
+                        </span>
                     ))}
+                    &nbsp;<button className="link-btn" onClick={() => setPickedStart(suggestedStart)}>{t('meeting.useSuggested')}</button>
                 </div>
+            )}
 
-                <div className="bar-title" style={{ marginTop: 8 }}>{zone} (UTC)</div>
-                <div className="bar">
-                    {slots.map(s => (
-                        <div
-                            key={'o' + s.i}
-                            className={`hour-block ${s.otherWork ? 'work' : ''} ${s.overlap ? 'overlap' : ''}`}
-                            title={`${s.otherLM.h.toString().padStart(2, '0')}:${s.otherLM.m.toString().padStart(2, '0')} local`}
-                        />
-                    ))}
+            <div className="control-inline horizon-picker">
+                {t('meeting.show')}
+                <select aria-label={t('meeting.daysToShow')} value={horizonDays} onChange={(e) => setHorizonDays(Number(e.target.value))}>
+                    {HORIZONS.map(d => <option key={d} value={d}>{t('meeting.days', { count: d })}</option>)}
+                </select>
+            </div>
+
+            <div className="participant-rows">
+                {selected.map((p, pIdx) => (
+                    <div
+                        key={p.id}
+                        className={`participant-row ${dropTarget === p.id ? 'drop-target' : ''}`}
+                        onDragOver={(e) => { e.preventDefault(); setDropTarget(p.id) }}
+                        onDragLeave={() => setDropTarget(null)}
+                        onDrop={(e) => { e.preventDefault(); importIcs(p, e.dataTransfer.files) }}
+                    >
+                        <div className="bar-title">
+                            {p.id === zoneParticipantId(localZone) ? t('common.you', { name: p.label }) : p.label}
+                            <span className="muted"> • {formatWorkWindow(p.window)} • {formatWorkDays(p.days, locale)}</span>
+                            {onChangeBusyCalendars && (
+                                <label className="ics-import" title={t('meeting.icsImport')}>
+                                    📂 .ics
+                                    <input type="file" accept=".ics,text/calendar" multiple onChange={(e) => { importIcs(p, e.target.files); e.target.value = '' }} />
+                                </label>
+                            )}
+                            {(busyCalendars[p.id] || []).map(cal => (
+                                <span key={cal.id} className="participant-chip calendar-chip">
+                                    {cal.name}
+                                    <button aria-label={t('common.remove', { name: cal.name })} onClick={() => removeCalendar(p, cal.id)}>×</button>
+                                </span>
+                            ))}
+                        </div>
+                        {holidayNotes[pIdx]?.length > 0 && <div className="holiday-note">{t('meeting.holiday', { names: holidayNotes[pIdx].join(', ') })}</div>}
+                    </div>
+                ))}
+            </div>
+
+            <div className="bars week-grid">
+                {days.map(day => (
+                    <div key={day.start} className="day-block">
+                        <div className="day-label">
+                            {formatLocalDay(day.start, 'UTC', tag)} (UTC)
+                            <span className="muted"> • {day.overlapSlots ? t('meeting.everyoneFree', { duration: formatDuration(day.overlapSlots * 15, tag) }) : t('meeting.noOverlap')}</span>
+                        </div>
+                        {selected.map((p, pIdx) => (
+                            <div key={p.id} className="day-row">
+                                <span className="day-row-label" title={p.label}>{p.label}</span>
+                                <div className="bar">
+                                    {day.slots.map(s => {
+                                        const local = s.locals[pIdx]
+                                        const past = s.slotStart < nowMs
+                                        const best = showBest && !past && s.available === bestCount
+                                        const chosen = meetingStart !== null && s.slotStart >= meetingStart && s.slotStart < meetingEnd
+                                        return (
+                                            <div
+                                                key={s.i}
+                                                className={`hour-block ${local.free ? 'work' : ''} ${local.off ? 'off' : ''} ${local.busy ? 'busy' : ''} ${s.overlap ? 'overlap' : ''} ${best ? 'best' : ''} ${chosen ? 'chosen' : ''} ${past ? 'past' : ''}`}
+                                                title={`${t('meeting.slotLocal', { time: `${weekdays[local.weekday]} ${String(local.h).padStart(2, '0')}:${String(local.m).padStart(2, '0')}` })}${local.holiday ? ` (${holidayName(local.holiday, t)})` : local.off ? ` (${t('meeting.dayOff')})` : ''}${local.busy ? ` (${t('meeting.busy')})` : ''} • ${t('meeting.available', { available: s.available, total: selected.length })}`}
+                                                onClick={past ? undefined : () => setPickedStart(s.slotStart)}
+                                            />
+                                        )
+                                    })}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+
+            <div className="bar-legend muted">
+                <span><i className="hour-block work" /> {t('legend.working')}</span>
+                <span><i className="hour-block busy" /> {t('legend.busy')}</span>
+                <span><i className="hour-block off" /> {t('legend.off')}</span>
+                <span><i className="hour-block overlap" /> {t('legend.everyone')}</span>
+                {showBest && <span><i className="hour-block best" /> {t('legend.best')}</span>}
+            </div>
+
+            <div className="ics-export">
+                <div className="bar-title">{t('meeting.export')}</div>
+                <div className="control-inline">
+                    <input className="ics-title" aria-label={t('meeting.titleLabel')} value={title} onChange={(e) => setTitle(e.target.value)} />
+                    <select aria-label={t('meeting.duration')} value={duration} onChange={(e) => setDuration(Number(e.target.value))}>
+                        {DURATIONS.map(d => <option key={d} value={d}>{formatDuration(d, tag)}</option>)}
+                    </select>
+                    <button className="btn" disabled={meetingStart === null} onClick={exportIcs}>{t('meeting.download')}</button>
                 </div>
+                {meetingStart !== null ? (
+                    <div className="muted ics-summary">
+                        {formatLocalDay(meetingStart, localZone, tag)}, {formatLocalTime(meetingStart, localZone, tag)} – {formatLocalTime(meetingEnd, localZone, tag)} ({localZone})
+                        {pickedStart === null ? ` • ${t('meeting.suggested')}` : ''} • {t('meeting.clickToChange')}
+                    </div>
+                ) : (
+                    <div className="muted ics-summary">{t('meeting.clickToChoose')}</div>
+                )}
             </div>
+
+            <RotationPlanner participants={selected} duration={duration} title={title} localZone={localZone} />
         </div>
     )
 }
@@ -0,0 +1,72 @@
+/**
+ * PeoplePanel.jsx
+ *
+ * A small card for managing named people (e.g. "Priya — Asia/Kolkata, 11:00–20:00").
+ * Each person has their own working window which the meeting planner uses
+ * instead of the zone's hours.
+ *
+ * Props:
+ *  - title: heading (App.jsx passes "Members of <team>")
+ *  - people: array [{ id, name, tz, window }]
+ *  - zoneOptions: array of timezone strings for the zone picker
+ *  - defaultZone: zone pre-selected for a new person
+ *  - onChange(nextPeople): called with the full updated list
+ *
+ * Beginner notes:
+ * - State lives in App.jsx (so it can be saved to localStorage); this component
+ *   only renders inputs and reports edits back up.
+ */
+
+import React, { useState } from 'react'
+import WorkWindowInput from './WorkWindowInput'
+import { DEFAULT_WORK_WINDOW, makeId } from '../utils/workHours'
+import { useLocale } from '../utils/i18n'
+
+export default function PeoplePanel({ title, people, zoneOptions, defaultZone, onChange }) {
+    const { t } = useLocale()
+    const [name, setName] = useState('')
+    const [tz, setTz] = useState(defaultZone)
+
+    const addPerson = (e) => {
+        e.preventDefault()
+        if (!name.trim() || !tz) return
+        onChange([...people, { id: makeId(), name: name.trim(), tz, window: DEFAULT_WORK_WINDOW }])
+        setName('')
+    }
+
+    const updatePerson = (id, patch) => {
+        onChange(people.map(p => p.id === id ? { ...p, ...patch } : p))
+    }
+
+    const removePerson = (id) => onChange(people.filter(p => p.id !== id))
+
+    return (
+        <div className="people-card card">
+            <h2>{title || t('people.title')}</h2>
+            <div className="meta muted">{t('people.hint')}</div>
+
+            {people.length > 0 && (
+                <ul className="people-list">
+                    {people.map(p => (
+                        <li key={p.id} className="person-row control-inline">
+                            <input className="person-name" aria-label={t('people.name')} value={p.name} onChange={(e) => updatePerson(p.id, { name: e.target.value })} />
+                            <select aria-label={t('people.zone')} value={p.tz} onChange={(e) => updatePerson(p.id, { tz: e.target.value })}>
+                                {zoneOptions.map(z => <option key={z} value={z}>{z}</option>)}
+                            </select>
+                            <WorkWindowInput value={p.window} onChange={(win) => updatePerson(p.id, { window: win })} ariaLabel={t('people.hoursFor', { name: p.name })} />
+                            <button className="link-btn" aria-label={t('common.remove', { name: p.name })} onClick={() => removePerson(p.id)}>×</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form className="person-add control-inline" onSubmit={addPerson}>
+                <input className="person-name" placeholder={t('people.namePlaceholder')} aria-label={t('people.newName')} value={name} onChange={(e) => setName(e.target.value)} />
+                <select aria-label={t('people.newZone')} value={tz} onChange={(e) => setTz(e.target.value)}>
+                    {zoneOptions.map(z => <option key={z} value={z}>{z}</option>)}
+                </select>
+                <button type="submit" className="btn">{t('people.add')}</button>
+            </form>
+        </div>
+    )
+}
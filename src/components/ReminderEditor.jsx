@@ -0,0 +1,106 @@
+/**
+ * ReminderEditor.jsx
+ *
+ * The 🔔 panel of a zone card: this zone's reminders (on/off, remove, when the next one
+ * fires) and a small form to add one.
+ *
+ * Props:
+ *  - zone (tz string)
+ *  - reminders: this zone's reminders (see utils/reminders.js)
+ *  - onChange(nextReminders): save this zone's list
+ *  - context: { localZone, zoneHours, zoneDays, defaultWindow } for overlap reminders
+ *
+ * Beginner notes:
+ * - Reminders are browser notifications: the first one you add asks for permission, and
+ *   they only fire while the dashboard is open in a tab.
+ * - "09:00" means 09:00 in this zone, whatever your own clock says; the next time is shown
+ *   in your timezone.
+ */
+
+import React, { useState } from 'react'
+import WorkDaysInput from './WorkDaysInput'
+import { useNow } from '../utils/timeTravel'
+import { useLocale } from '../utils/i18n'
+import { formatDuration, formatLocalDay, formatLocalTime } from '../utils/format'
+import { formatTimeOfDay, formatWorkDays, parseTimeOfDay } from '../utils/workHours'
+import { REMINDER_KINDS, makeReminder, nextReminderTime, notificationPermission, requestNotificationPermission } from '../utils/reminders'
+
+export default function ReminderEditor({ zone, reminders, onChange, context }) {
+    const { tag, t } = useLocale()
+    const nowMs = useNow(60 * 1000)
+    const [draft, setDraft] = useState(() => makeReminder(zone))
+    const [permission, setPermission] = useState(notificationPermission)
+    const place = zone.split('/').pop().replace(/_/g, ' ')
+
+    const describe = (r) => r.kind === 'overlapEnd'
+        ? t('reminder.overlapEnd', { duration: formatDuration(r.before, tag), place })
+        : t('reminder.time', { time: formatTimeOfDay(r.time), days: formatWorkDays(r.days, { tag, t }) })
+
+    const update = (id, patch) => onChange(reminders.map(r => r.id === id ? { ...r, ...patch } : r))
+
+    const add = async () => {
+        onChange([...reminders, draft])
+        setDraft(makeReminder(zone, draft.kind))
+        setPermission(await requestNotificationPermission())
+    }
+
+    return (
+        <div className="reminder-editor">
+            {reminders.length === 0 && <div className="muted">{t('reminder.none')}</div>}
+            <ul className="reminder-list">
+                {reminders.map(r => {
+                    const next = r.enabled ? nextReminderTime(r, nowMs, context) : null
+                    return (
+                        <li key={r.id} className={r.enabled ? '' : 'disabled'}>
+                            <label>
+                                <input type="checkbox" checked={r.enabled} onChange={(e) => update(r.id, { enabled: e.target.checked })} />
+                                {describe(r)}
+                            </label>
+                            {next !== null && (
+                                <span className="muted">{t('reminder.next', { when: `${formatLocalDay(next, context.localZone, tag)} ${formatLocalTime(next, context.localZone, tag)}` })}</span>
+                            )}
+                            <button className="link-btn" onClick={() => onChange(reminders.filter(x => x.id !== r.id))} aria-label={t('common.remove', { name: describe(r) })}>✕</button>
+                        </li>
+                    )
+                })}
+            </ul>
+
+            <div className="reminder-add control-inline">
+                <select value={draft.kind} onChange={(e) => setDraft({ ...draft, kind: e.target.value })} aria-label={t('reminder.kind')}>
+                    {REMINDER_KINDS.map(kind => <option key={kind} value={kind}>{t(`reminder.kind.${kind}`)}</option>)}
+                </select>
+                {draft.kind === 'time' ? (
+                    <input
+                        type="time"
+                        value={formatTimeOfDay(draft.time)}
+                        onChange={(e) => {
+                            const time = parseTimeOfDay(e.target.value)
+                            if (time !== null && time < 24 * 60) setDraft({ ...draft, time })
+                        }}
+                        aria-label={t('reminder.timeIn', { zone })}
+                    />
+                ) : (
+                    <input
+                        type="number"
+                        min="0"
+                        max="720"
+                        step="5"
+                        value={draft.before}
+                        onChange={(e) => {
+                            const before = Number(e.target.value)
+                            if (Number.isInteger(before) && before >= 0 && before <= 720) setDraft({ ...draft, before })
+                        }}
+                        aria-label={t('reminder.minutesBefore')}
+                    />
+                )}
+                <button className="btn" onClick={add}>{t('reminder.add')}</button>
+            </div>
+            {draft.kind === 'time' && (
+                <WorkDaysInput value={draft.days} onChange={(days) => setDraft({ ...draft, days })} ariaLabel={t('reminder.daysIn', { zone })} />
+            )}
+
+            {permission === 'denied' && <div className="reminder-warning">{t('reminder.denied')}</div>}
+            {permission === 'unsupported' && <div className="reminder-warning">{t('reminder.unsupported')}</div>}
+        </div>
+    )
+}
@@ -0,0 +1,155 @@
+/**
+ * RotationPlanner.jsx
+ *
+ * Recurring-meeting planner shown inside the MeetingPanel: picks a start time for
+ * each of the next N meetings so the out-of-hours burden rotates fairly
+ * (see utils/rotation.js for the scoring).
+ *
+ * Props:
+ *  - participants: resolved participants [{ id, label, tz, window }] from the MeetingPanel
+ *  - duration: meeting length in minutes
+ *  - title: meeting title used for the exported events
+ *  - localZone: organizer zone; meetings follow its calendar (e.g. every Tuesday)
+ *
+ * Beginner notes:
+ * - Each cell shows a participant's local start time; amber = outside working hours,
+ *   red = at night (22:00–07:00). The last row is the running tally of points.
+ * - Export gives one .ics file with every meeting, or a CSV for spreadsheets
+ *   (both in en-US, like the meeting panel's invite; the table follows the current locale).
+ */
+
+import React, { useMemo, useState } from 'react'
+import { useNow } from '../utils/timeTravel'
+import { planRotation, rotationToCsv } from '../utils/rotation'
+import { buildIcsCalendar, downloadTextFile, makeIcsUid } from '../utils/ics'
+import { formatDuration, formatLocalDay, formatLocalTime, zoneParts } from '../utils/format'
+import { useLocale, weekdayNames } from '../utils/i18n'
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const CADENCES = [1, 2, 4] // weeks between meetings
+const COUNTS = [4, 6, 8, 12, 16, 26]
+const QUARTER_MS = 15 * 60 * 1000
+
+const DATE_OPTIONS = { year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'long' }
+
+// today's calendar date and weekday in a zone
+function todayIn(tz, nowMs) {
+    const parts = zoneParts(nowMs, tz, DATE_OPTIONS)
+    return { y: Number(parts.year), m: Number(parts.month), d: Number(parts.day), weekday: WEEKDAYS.indexOf(parts.weekday) }
+}
+
+export default function RotationPlanner({ participants, duration, title, localZone }) {
+    const { tag, t } = useLocale()
+    const nowMs = useNow(60_000)
+    const today = todayIn(localZone, nowMs)
+    const [weekday, setWeekday] = useState(today.weekday)
+    const [everyWeeks, setEveryWeeks] = useState(1)
+    const [count, setCount] = useState(8)
+
+    // first meeting: the next chosen weekday (today counts)
+    const ahead = (weekday - today.weekday + 7) % 7
+    const first = new Date(Date.UTC(today.y, today.m - 1, today.d + ahead))
+    const firstKey = first.toISOString().slice(0, 10)
+    // starts that are already over today are skipped; rounded up to the quarter hour every
+    // candidate start falls on, so the plan is only redone when that changes the answer
+    const notBefore = ahead === 0 ? Math.ceil(nowMs / QUARTER_MS) * QUARTER_MS : 0
+
+    const plan = useMemo(() => {
+        if (participants.length < 2) return null
+        const [y, m, d] = firstKey.split('-').map(Number)
+        return planRotation({ participants, firstDate: { y, m, d }, organizerTz: localZone, everyWeeks, count, durationMinutes: duration, nowMs: notBefore })
+    }, [participants, firstKey, localZone, everyWeeks, count, duration, notBefore])
+
+    const exportIcs = () => {
+        const events = plan.meetings.map(m => ({
+            uid: makeIcsUid(m.start),
+            start: m.start,
+            end: m.end,
+            summary: `${title.trim() || 'Meeting'} (${m.index + 1}/${plan.meetings.length})`,
+            description: [
+                'Local times:',
+                ...participants.map(p => `${p.label}: ${formatLocalDay(m.start, p.tz)}, ${formatLocalTime(m.start, p.tz)} – ${formatLocalTime(m.end, p.tz)}`),
+            ].join('\n'),
+        }))
+        downloadTextFile(`rotation-${firstKey}.ics`, buildIcsCalendar(events))
+    }
+
+    const exportCsv = () => {
+        downloadTextFile(`rotation-${firstKey}.csv`, rotationToCsv(plan, participants, formatLocalTime), 'text/csv;charset=utf-8')
+    }
+
+    return (
+        <div className="rotation-planner">
+            <div className="bar-title">{t('rotation.title')}</div>
+            <div className="control-inline rotation-controls">
+                <select aria-label={t('rotation.cadence')} value={everyWeeks} onChange={(e) => setEveryWeeks(Number(e.target.value))}>
+                    {CADENCES.map(weeks => <option key={weeks} value={weeks}>{t('rotation.every', { count: weeks })}</option>)}
+                </select>
+                {t('rotation.on')}
+                <select aria-label={t('rotation.weekday')} value={weekday} onChange={(e) => setWeekday(Number(e.target.value))}>
+                    {weekdayNames(tag, 'long').map((w, i) => <option key={i} value={i}>{w}</option>)}
+                </select>
+                <select aria-label={t('rotation.count')} value={count} onChange={(e) => setCount(Number(e.target.value))}>
+                    {COUNTS.map(n => <option key={n} value={n}>{t('rotation.meetings', { count: n })}</option>)}
+                </select>
+                <span className="muted">{t('rotation.each', { duration: formatDuration(duration, tag), zone: localZone })}</span>
+            </div>
+
+            {!plan ? (
+                <p className="muted">{t('rotation.needTwo')}</p>
+            ) : (
+                <>
+                    <div className="rotation-table-wrap">
+                        <table className="rotation-table">
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th>{t('rotation.date')}</th>
+                                    {participants.map(p => <th key={p.id}>{p.label}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {plan.meetings.map(m => (
+                                    <tr key={m.index}>
+                                        <td>{m.index + 1}</td>
+                                        <td>{formatLocalDay(m.start, localZone, tag)}</td>
+                                        {participants.map((p, i) => {
+                                            const cost = m.costs[i]
+                                            const level = cost.nightMinutes > 0 ? 'night' : cost.outsideMinutes > 0 ? 'outside' : 'ok'
+                                            return (
+                                                <td key={p.id} className={`rotation-cell ${level}`} title={t('rotation.points', { points: cost.points.toFixed(1) })}>
+                                                    {formatLocalTime(m.start, p.tz, tag)}
+                                                    {formatLocalDay(m.start, p.tz, tag) !== formatLocalDay(m.start, localZone, tag) && <span className="muted"> ({formatLocalDay(m.start, p.tz, tag)})</span>}
+                                                </td>
+                                            )
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                            <tfoot>
+                                <tr>
+                                    <td colSpan={2}>{t('rotation.inconvenience')}</td>
+                                    {plan.tally.map(tally => (
+                                        <td key={tally.id}>
+                                            <strong>{t('rotation.pts', { points: tally.points.toFixed(1) })}</strong>
+                                            <div className="muted">{t('rotation.tally', { outside: tally.outOfHours, night: tally.atNight })}</div>
+                                        </td>
+                                    ))}
+                                </tr>
+                            </tfoot>
+                        </table>
+                    </div>
+                    <div className="bar-legend muted">
+                        <span><i className="rotation-cell ok" /> {t('rotation.legend.ok')}</span>
+                        <span><i className="rotation-cell outside" /> {t('rotation.legend.outside')}</span>
+                        <span><i className="rotation-cell night" /> {t('rotation.legend.night')}</span>
+                    </div>
+                    <div className="control-inline rotation-export">
+                        <button className="btn" onClick={exportIcs}>{t('rotation.download', { count: plan.meetings.length })}</button>
+                        <button className="btn" onClick={exportCsv}>⬇ CSV</button>
+                    </div>
+                </>
+            )}
+        </div>
+    )
+}
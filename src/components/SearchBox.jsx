@@ -1,45 +1,112 @@
 /**
- * Quick search box for filtering zones. Very small component.
- * - props: query, onChange, placeholder
+ * Quick search box for filtering zones, with a suggestion dropdown.
+ * - props: query, onChange, placeholder, suggestions
+ *   (suggestions come from searchZones() in utils/searchIndex.js: [{ id, label, detail, kind }])
  *
  * Beginner notes:
  * - We lift search state to App.jsx; this component simply renders input and calls onChange.
+ * - Keyboard: ↓/↑ move through suggestions, Enter picks one, Escape closes the list.
+ * - Picking a suggestion puts its label ("Bangalore", "India", "PST") into the search,
+ *   which the index understands and turns into the matching zones.
  */
 
-import React from 'react'
+import React, { useState } from 'react'
+import { useLocale } from '../utils/i18n'
+
+// suggestion kinds with a label in the message catalog ('search.kind.city', …)
+const KINDS = ['zone', 'city', 'country', 'code', 'abbr', 'offset']
+
+export default function SearchBox({ query, onChange, placeholder, suggestions = [] }) {
+    const { t } = useLocale()
+    const [open, setOpen] = useState(false)
+    const [active, setActive] = useState(-1)
+    const showList = open && query.trim() !== '' && suggestions.length > 0
+    const listId = 'search-suggestions'
+
+    const pick = (s) => {
+        onChange(s.label)
+        setOpen(false)
+        setActive(-1)
+    }
+
+    const onKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault()
+            setOpen(true)
+            setActive(i => suggestions.length ? (i + 1) % suggestions.length : -1)
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault()
+            setActive(i => suggestions.length ? (i <= 0 ? suggestions.length - 1 : i - 1) : -1)
+        } else if (e.key === 'Enter') {
+            if (showList && active >= 0 && suggestions[active]) {
+                e.preventDefault()
+                pick(suggestions[active])
+            }
+        } else if (e.key === 'Escape') {
+            setOpen(false)
+            setActive(-1)
+        }
+    }
 
-export default function SearchBox({ query, onChange, placeholder }) {
     return (
         <div style={{ display: 'flex', gap: 12, alignItems: 'center', flex: 1, minWidth: '280px' }}>
             <div style={{ position: 'relative', flex: 1 }}>
-                <span style={{ 
-                    position: 'absolute', 
-                    left: '12px', 
-                    top: '50%', 
+                <span style={{
+                    position: 'absolute',
+                    insetInlineStart: '12px',
+                    top: '50%',
                     transform: 'translateY(-50%)',
                     fontSize: '18px',
                     opacity: 0.4,
                     pointerEvents: 'none'
                 }}>🔍</span>
                 <input
-                    aria-label="Search timezones"
+                    aria-label={t('search.label')}
                     className="search-input"
+                    role="combobox"
+                    aria-expanded={showList}
+                    aria-controls={listId}
+                    aria-autocomplete="list"
+                    aria-activedescendant={showList && active >= 0 ? `${listId}-${active}` : undefined}
                     value={query}
-                    onChange={(e) => onChange(e.target.value)}
-                    placeholder={placeholder || "Search timezones..."}
-                    style={{ 
+                    onChange={(e) => { onChange(e.target.value); setOpen(true); setActive(-1) }}
+                    onFocus={() => setOpen(true)}
+                    onBlur={() => setOpen(false)}
+                    onKeyDown={onKeyDown}
+                    placeholder={placeholder || t('search.short')}
+                    style={{
                         width: '100%',
-                        paddingLeft: '40px'
+                        paddingInlineStart: '40px'
                     }}
                 />
+                {showList && (
+                    <ul className="search-suggestions" id={listId} role="listbox">
+                        {suggestions.map((s, i) => (
+                            <li
+                                key={s.id}
+                                id={`${listId}-${i}`}
+                                role="option"
+                                aria-selected={i === active}
+                                className={i === active ? 'active' : ''}
+                                // mousedown (not click) so the input's blur does not close the list first
+                                onMouseDown={(e) => { e.preventDefault(); pick(s) }}
+                                onMouseEnter={() => setActive(i)}
+                            >
+                                <span className="suggestion-label">{s.label}</span>
+                                <span className="suggestion-detail">{s.detail}</span>
+                                <span className="suggestion-kind">{KINDS.includes(s.kind) ? t(`search.kind.${s.kind}`) : s.kind}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
             </div>
             {query && (
-                <button 
-                    className="btn" 
+                <button
+                    className="btn"
                     onClick={() => onChange('')}
                     style={{ whiteSpace: 'nowrap' }}
                 >
-                    Clear
+                    {t('search.clear')}
                 </button>
             )}
         </div>
@@ -0,0 +1,44 @@
+/**
+ * SyncPanel.jsx
+ *
+ * Sign-in button and sync status for the optional cloud sync (see utils/sync.js).
+ * Renders nothing when Firebase is not configured.
+ *
+ * Props:
+ *  - sync: the object returned by useCloudSync()
+ *
+ * Beginner notes:
+ * - Signed out, everything still works on this device (localStorage); signing in only
+ *   adds copying to and from your other devices.
+ * - "Conflicts" are fields changed differently on two devices before they synced; the
+ *   device that saved last kept its version.
+ */
+
+import React from 'react'
+import { useLocale } from '../utils/i18n'
+
+export default function SyncPanel({ sync }) {
+    const { t } = useLocale()
+    if (!sync.available) return null
+
+    if (!sync.user) {
+        return (
+            <button className="theme-toggle" onClick={sync.signIn} title={t('sync.hint')}>
+                {t('sync.signIn')}
+            </button>
+        )
+    }
+
+    return (
+        <div className="sync-status" role="status">
+            <span className={`sync-dot ${sync.status}`} aria-hidden="true" />
+            <span title={sync.user.name}>{t(`sync.status.${sync.status}`)}</span>
+            {sync.conflicts > 0 && (
+                <button className="link-btn" onClick={sync.clearConflicts} title={t('sync.conflictsHint')}>
+                    {t('sync.conflicts', { count: sync.conflicts })} ✕
+                </button>
+            )}
+            <button className="link-btn" onClick={sync.signOut}>{t('sync.signOut')}</button>
+        </div>
+    )
+}
@@ -0,0 +1,94 @@
+/**
+ * TeamPanel.jsx
+ *
+ * A card for switching between named teams ("Platform team", "Client: Acme"),
+ * creating, renaming and deleting them, and moving them between browsers as JSON.
+ *
+ * Props:
+ *  - teams: array [{ id, name, zones, members }]
+ *  - activeId: id of the team that drives the pinned section and the meeting planner
+ *  - onChange({ activeId, teams }): called with the full updated state
+ *
+ * Beginner notes:
+ * - State lives in App.jsx (so it can be saved to localStorage); this component
+ *   only renders inputs and reports edits back up, like PeoplePanel.
+ * - Export downloads every team; import adds the teams from a file (same id = replaced).
+ */
+
+import React, { useState } from 'react'
+import { exportTeamsFile, makeTeam, mergeTeams, parseTeamsFile } from '../utils/teams'
+import { downloadTextFile } from '../utils/ics'
+import { useLocale } from '../utils/i18n'
+
+export default function TeamPanel({ teams, activeId, onChange }) {
+    const { t } = useLocale()
+    const [newName, setNewName] = useState('')
+    const [message, setMessage] = useState(null) // { text, error }
+    const active = teams.find(t => t.id === activeId) || teams[0]
+
+    const addTeam = (e) => {
+        e.preventDefault()
+        if (!newName.trim()) return
+        const team = makeTeam(newName)
+        onChange({ activeId: team.id, teams: [...teams, team] })
+        setNewName('')
+    }
+
+    const renameTeam = (name) => {
+        onChange({ activeId, teams: teams.map(team => team.id === active.id ? { ...team, name } : team) })
+    }
+
+    const deleteTeam = () => {
+        if (teams.length < 2) return
+        if (!window.confirm(t('team.confirmDelete', { name: active.name }))) return
+        const rest = teams.filter(team => team.id !== active.id)
+        onChange({ activeId: rest[0].id, teams: rest })
+    }
+
+    const exportTeams = () => {
+        downloadTextFile('world-clock-teams.json', exportTeamsFile(teams), 'application/json')
+    }
+
+    const importTeams = async (file) => {
+        if (!file) return
+        try {
+            const imported = parseTeamsFile(await file.text())
+            onChange({ activeId: imported[0].id, teams: mergeTeams(teams, imported) })
+            setMessage({ text: t('team.imported', { count: imported.length, file: file.name }) })
+        } catch (err) {
+            setMessage({ text: err.code ? t(`team.importError.${err.code}`, err.params) : err.message, error: true })
+        }
+    }
+
+    return (
+        <div className="teams-card card">
+            <h2>{t('team.title')}</h2>
+            <div className="meta muted">{t('team.hint')}</div>
+
+            <div className="team-row control-inline">
+                <select aria-label={t('team.active')} value={active.id} onChange={(e) => onChange({ activeId: e.target.value, teams })}>
+                    {teams.map(team => (
+                        <option key={team.id} value={team.id}>{t('team.option', { name: team.name, zones: team.zones.length, people: team.members.length })}</option>
+                    ))}
+                </select>
+                <input className="team-name" aria-label={t('team.name')} value={active.name} onChange={(e) => renameTeam(e.target.value)} />
+                <button className="link-btn" onClick={deleteTeam} disabled={teams.length < 2} aria-label={t('team.deleteNamed', { name: active.name })}>{t('team.delete')}</button>
+            </div>
+
+            <form className="team-add control-inline" onSubmit={addTeam}>
+                <input className="team-name" placeholder={t('team.newPlaceholder')} aria-label={t('team.newName')} value={newName} onChange={(e) => setNewName(e.target.value)} />
+                <button type="submit" className="btn">{t('team.add')}</button>
+            </form>
+
+            <div className="team-io control-inline">
+                <button className="btn" onClick={exportTeams}>{t('team.export')}</button>
+                <label className="btn team-import">
+                    {t('team.import')}
+                    <input type="file" accept=".json,application/json" onChange={(e) => { importTeams(e.target.files[0]); e.target.value = '' }} />
+                </label>
+            </div>
+
+            {message && <div className={`team-message ${message.error ? 'error' : 'muted'}`}>{message.text}</div>}
+        </div>
+    )
+}
@@ -0,0 +1,100 @@
+/**
+ * TimeConverter.jsx
+ *
+ * "What's 3pm London on Tuesday for everyone?" — a text box next to the search that
+ * understands phrases like "3pm London", "tomorrow 09:30 in Tokyo", "14:00 PST" or
+ * "2026-11-02 10:00 Europe/Berlin" and converts them for your zone and every pinned zone.
+ *
+ * Props:
+ *  - index: search index (buildSearchIndex) used to find places by name
+ *  - zones: tz ids the browser knows
+ *  - localZone: your timezone (first row, and the place when the phrase names none)
+ *  - pinned: pinned tz ids (one row each)
+ *
+ * Beginner notes:
+ * - Parsing lives in utils/timeQuery.js; this component only shows the result.
+ *   Phrases are read in English; the result is shown in the chosen locale.
+ * - "+1 day" / "−1 day" mark rows whose calendar date differs from the named place.
+ * - "Copy as text" puts the whole table on the clipboard for chat or e-mail.
+ */
+
+import React, { useMemo, useState } from 'react'
+import { useNow } from '../utils/timeTravel'
+import { conversionToText, convertTime, parseTimeQuery } from '../utils/timeQuery'
+import { formatLocalDay, formatLocalTime } from '../utils/format'
+import { useLocale } from '../utils/i18n'
+
+// "3:00 PM, Mon, Oct 19" for a zone or a fixed offset
+function formatSource({ utcMs, source }, locale) {
+    if (source.tz) return `${formatLocalTime(utcMs, source.tz, locale)}, ${formatLocalDay(utcMs, source.tz, locale)}`
+    const shifted = utcMs + source.offset * 60000
+    return `${formatLocalTime(shifted, 'UTC', locale)}, ${formatLocalDay(shifted, 'UTC', locale)}`
+}
+
+export default function TimeConverter({ index, zones, localZone, pinned = [] }) {
+    const { tag, t } = useLocale()
+    const [text, setText] = useState('')
+    const [copied, setCopied] = useState(false)
+    const nowMs = useNow(60_000)
+
+    const result = useMemo(
+        () => parseTimeQuery(text, { index, zones, localZone, nowMs }),
+        [text, index, zones, localZone, nowMs]
+    )
+
+    const rows = useMemo(() => {
+        if (!result.ok) return []
+        const targets = [
+            { tz: localZone, label: t('common.you', { name: localZone }) },
+            ...pinned.filter(tz => tz !== localZone).map(tz => ({ tz, label: tz })),
+        ]
+        return convertTime(result, targets, tag)
+    }, [result, localZone, pinned, tag, t])
+
+    // errors and notes are codes from parseTimeQuery; "(you)" marks your own zone
+    const place = result.ok && (result.source.you ? t('common.you', { name: result.source.label }) : result.source.label)
+    const heading = result.ok ? t('converter.heading', { time: formatSource(result, tag), place }) : ''
+    const dayDelta = (delta) => `${delta > 0 ? '+' : '−'}${t('converter.days', { count: Math.abs(delta) })}`
+
+    const copyText = async () => {
+        try {
+            await navigator.clipboard.writeText(conversionToText(heading, rows, dayDelta))
+            setCopied(true)
+            setTimeout(() => setCopied(false), 2000)
+        } catch (err) {
+            console.warn('Could not copy conversion', err)
+        }
+    }
+
+    return (
+        <div className="time-converter">
+            <input
+                className="search-input"
+                aria-label={t('converter.label')}
+                value={text}
+                onChange={(e) => { setText(e.target.value); setCopied(false) }}
+                placeholder={t('converter.placeholder')}
+            />
+            {!result.ok && result.error !== 'empty' && <div className="converter-error">{t(`converter.error.${result.error}`, { place: result.place })}</div>}
+            {result.ok && (
+                <div className="converter-result">
+                    <div className="converter-source">🕒 {heading}</div>
+                    {result.note && <div className="converter-note muted">{t('converter.skippedTime', result.note)}</div>}
+                    <table className="converter-table">
+                        <tbody>
+                            {rows.map(r => (
+                                <tr key={r.tz}>
+                                    <th scope="row">{r.label}</th>
+                                    <td>{r.time}</td>
+                                    <td className="muted">{r.day}</td>
+                                    <td>{r.dayDelta !== 0 && <span className={`day-delta ${r.dayDelta > 0 ? 'ahead' : 'behind'}`}>{dayDelta(r.dayDelta)}</span>}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <button className="btn" onClick={copyText}>{copied ? t('converter.copied') : t('converter.copy')}</button>
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,99 @@
+/**
+ * TimeTravelBar.jsx
+ *
+ * Global "what if it's Thursday 15:00 in my zone?" control.
+ * - a date-time picker (wall time in your own zone),
+ * - a slider to scrub ±7 days in 15-minute steps,
+ * - a "Back to live" button.
+ *
+ * Props:
+ *  - value: travelled UTC timestamp in ms, or null when live
+ *  - onChange(ms | null): set the travelled time (null = back to live)
+ *  - zone: your timezone (the picker reads and writes wall time in this zone)
+ *
+ * Beginner notes:
+ * - App.jsx puts `value` into TimeTravelContext, so every clock, card and the
+ *   meeting planner re-render with the travelled time at once.
+ */
+
+import React, { useState } from 'react'
+import { localToUtcMs } from '../utils/timeUtils'
+import { useNow } from '../utils/timeTravel'
+import { zoneParts } from '../utils/format'
+import { useLocale } from '../utils/i18n'
+
+const STEP_MS = 15 * 60 * 1000
+const RANGE_STEPS = 7 * 24 * 4 // 7 days of 15-minute steps each way
+
+// UTC ms -> "YYYY-MM-DDTHH:MM" wall time in tz (the format <input type="datetime-local"> uses)
+const INPUT_OPTIONS = { hour12: false, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+
+function toInputValue(ms, tz) {
+    const map = zoneParts(ms, tz, INPUT_OPTIONS)
+    const hour = String(Number(map.hour) % 24).padStart(2, '0')
+    return `${map.year}-${map.month}-${map.day}T${hour}:${map.minute}`
+}
+
+// "YYYY-MM-DDTHH:MM" wall time in tz -> UTC ms (null when the input is empty/invalid)
+function fromInputValue(text, tz) {
+    const m = String(text).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/)
+    if (!m) return null
+    return localToUtcMs(tz, Number(m[1]), Number(m[2]), Number(m[3]), Number(m[4]), Number(m[5]))
+}
+
+export default function TimeTravelBar({ value, onChange, zone }) {
+    const { t } = useLocale()
+    const liveMs = useNow(60_000)
+    // the slider is relative to the moment you started scrubbing
+    const [anchorMs, setAnchorMs] = useState(null)
+    const base = anchorMs ?? Math.floor(liveMs / STEP_MS) * STEP_MS
+    const shownMs = value ?? liveMs
+    const sliderValue = value === null ? 0 : Math.max(-RANGE_STEPS, Math.min(RANGE_STEPS, Math.round((value - base) / STEP_MS)))
+
+    const onSlide = (steps) => {
+        if (anchorMs === null) setAnchorMs(base)
+        onChange(base + steps * STEP_MS)
+    }
+
+    const onPick = (text) => {
+        const ms = fromInputValue(text, zone)
+        if (ms === null) return
+        setAnchorMs(ms)
+        onChange(ms)
+    }
+
+    const backToLive = () => {
+        setAnchorMs(null)
+        onChange(null)
+    }
+
+    return (
+        <div className={`time-travel ${value !== null ? 'active' : ''}`}>
+            <label className="control-inline">
+                {t('travel.label')}
+                <input
+                    type="datetime-local"
+                    className="time-travel-picker"
+                    aria-label={t('travel.pickerIn', { zone })}
+                    value={toInputValue(shownMs, zone)}
+                    onChange={(e) => onPick(e.target.value)}
+                />
+            </label>
+            <input
+                type="range"
+                className="time-travel-slider"
+                aria-label={t('travel.slider')}
+                min={-RANGE_STEPS}
+                max={RANGE_STEPS}
+                step={1}
+                value={sliderValue}
+                onChange={(e) => onSlide(Number(e.target.value))}
+            />
+            {value !== null ? (
+                <button className="btn back-to-live" onClick={backToLive}>{t('travel.backToLive')}</button>
+            ) : (
+                <span className="muted time-travel-status">{t('travel.live')}</span>
+            )}
+        </div>
+    )
+}
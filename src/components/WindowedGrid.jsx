@@ -0,0 +1,77 @@
+/**
+ * WindowedGrid.jsx
+ *
+ * A CSS grid that only mounts the items near the viewport. With "All" selected the
+ * dashboard lists ~400 zones; mounting them all means ~400 clocks formatting and
+ * re-rendering every second. Off-screen cells keep their place as empty boxes.
+ *
+ * Props:
+ *  - items: array to render
+ *  - getKey(item): stable key per item
+ *  - renderItem(item): the element to mount while the cell is near the viewport
+ *  - className: class of the grid element (the grid layout itself stays in CSS)
+ *  - estimatedHeight: placeholder height (px) for cells that were never measured
+ *
+ * Beginner notes:
+ * - One IntersectionObserver watches every cell; rootMargin mounts cells a little before
+ *   they scroll into view so fast scrolling doesn't show blanks.
+ * - When a cell leaves the viewport we remember its height, so the placeholder keeps the
+ *   same size and the page doesn't jump.
+ * - Browsers without IntersectionObserver simply get every item.
+ */
+
+import React, { useEffect, useRef, useState } from 'react'
+
+const ROOT_MARGIN = '600px 0px'
+
+export default function WindowedGrid({ items, getKey, renderItem, className = '', estimatedHeight = 360 }) {
+    const gridRef = useRef(null)
+    const supported = typeof IntersectionObserver !== 'undefined'
+    const [visible, setVisible] = useState(() => new Set())
+    const [heights, setHeights] = useState(() => new Map()) // key -> last measured height
+
+    const keys = items.map(getKey).join('|')
+    useEffect(() => {
+        if (!supported || !gridRef.current) return
+        const observer = new IntersectionObserver((entries) => {
+            const hidden = entries.filter(entry => !entry.isIntersecting)
+            if (hidden.length) {
+                setHeights(prev => {
+                    const next = new Map(prev)
+                    hidden.forEach(entry => next.set(entry.target.dataset.key, entry.boundingClientRect.height))
+                    return next
+                })
+            }
+            setVisible(prev => {
+                const next = new Set(prev)
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) next.add(entry.target.dataset.key)
+                    else next.delete(entry.target.dataset.key)
+                })
+                return next
+            })
+        }, { rootMargin: ROOT_MARGIN })
+        gridRef.current.querySelectorAll(':scope > [data-key]').forEach(cell => observer.observe(cell))
+        return () => observer.disconnect()
+    }, [supported, keys])
+
+    return (
+        <section className={className} ref={gridRef}>
+            {items.map(item => {
+                const key = getKey(item)
+                const mounted = !supported || visible.has(key)
+                return (
+                    <div
+                        key={key}
+                        data-key={key}
+                        className="grid-cell"
+                        style={mounted ? undefined : { minHeight: heights.get(key) ?? estimatedHeight }}
+                        aria-hidden={mounted ? undefined : true}
+                    >
+                        {mounted && renderItem(item)}
+                    </div>
+                )
+            })}
+        </section>
+    )
+}
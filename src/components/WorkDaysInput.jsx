@@ -0,0 +1,39 @@
+/**
+ * WorkDaysInput.jsx
+ *
+ * Seven toggle buttons (Sun … Sat, named in the current locale) for choosing working days.
+ * - props: value (weekday numbers, 0 = Sunday), onChange(nextDays), ariaLabel
+ *
+ * Beginner notes:
+ * - Every click saves right away; the last remaining day cannot be switched off,
+ *   because "no working days" would hide the zone from every overlap.
+ */
+
+import React from 'react'
+import { weekdayNames, useLocale } from '../utils/i18n'
+
+export default function WorkDaysInput({ value, onChange, ariaLabel }) {
+    const { tag, t } = useLocale()
+    const longNames = weekdayNames(tag, 'long')
+    const toggle = (day) => {
+        const next = value.includes(day) ? value.filter(d => d !== day) : [...value, day].sort((a, b) => a - b)
+        if (next.length) onChange(next)
+    }
+
+    return (
+        <div className="work-days-input" role="group" aria-label={ariaLabel || t('workDays.label')}>
+            {weekdayNames(tag, 'short').map((name, day) => (
+                <button
+                    key={day}
+                    type="button"
+                    className={value.includes(day) ? 'on' : ''}
+                    aria-pressed={value.includes(day)}
+                    aria-label={longNames[day]}
+                    onClick={() => toggle(day)}
+                >
+                    {name}
+                </button>
+            ))}
+        </div>
+    )
+}
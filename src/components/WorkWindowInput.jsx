@@ -0,0 +1,46 @@
+/**
+ * WorkWindowInput.jsx
+ *
+ * Text input for a working window such as "09:30-13:00, 14:00-18:30".
+ * - props: value (interval list), onChange(nextWindow), ariaLabel
+ *
+ * Beginner notes:
+ * - While you type we keep a local draft; the window is only saved on Enter or blur,
+ *   so half-typed values like "09:3" never reach the rest of the app.
+ * - Invalid text gets the .invalid class and is not saved.
+ */
+
+import React, { useState } from 'react'
+import { formatWorkWindow, parseWorkWindow } from '../utils/workHours'
+import { useLocale } from '../utils/i18n'
+
+export default function WorkWindowInput({ value, onChange, ariaLabel }) {
+    const { t } = useLocale()
+    const [draft, setDraft] = useState(null) // null = show the saved value
+    const text = draft ?? formatWorkWindow(value, '-')
+    const parsed = draft === null ? value : parseWorkWindow(draft)
+
+    const commit = () => {
+        if (draft === null) return
+        if (parsed) {
+            onChange(parsed)
+            setDraft(null)
+        }
+    }
+
+    return (
+        <input
+            className={`work-window-input ${parsed ? '' : 'invalid'}`}
+            aria-label={ariaLabel || t('workHours.label')}
+            aria-invalid={!parsed}
+            title={t('workHours.title')}
+            value={text}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => {
+                if (e.key === 'Enter') commit()
+                if (e.key === 'Escape') setDraft(null)
+            }}
+        />
+    )
+}
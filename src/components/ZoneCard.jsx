@@ -2,82 +2,189 @@
  * ZoneCard.jsx
  *
  * Displays one timezone card:
- *  - the ClockFace component (analog),
- *  - digital time (12h AM/PM + tz short name),
- *  - pin button,
- *  - Quick 3h overlap button.
+ *  - the ClockFace component (analog), or a large digital time in the compact digital-only mode,
+ *  - digital time (12 or 24 hours as the locale prefers + tz short name),
+ *  - the zone's localized name and country with its flag (Intl, in the chosen language),
+ *  - clock display options (⚙) that override the global setting for this card,
+ *  - reminders (🔔) that notify you at a time in this zone or before your overlap with it ends,
+ *  - pin button; pinned cards also get a custom label (✎) and a drag handle (⠿) that
+ *    reorders them by drag-and-drop or with the arrow keys,
+ *  - "+3 more cities" when the grid collapses zones with identical rules behind this card,
+ *  - Quick 3h overlap button,
+ *  - working-hours and working-days editor (pinned cards only),
+ *  - a DST badge ("Clocks go back in 6 days") when the zone's offset changes soon,
+ *  - a "public holiday today" badge from the offline holiday rules (utils/holidays.js),
+ *  - today's sunrise and sunset; the card's sky (dawn, day, dusk, night) follows the real sun
+ *    at the zone's coordinates (utils/sun.js), including polar day and polar night.
  *
  * Props:
- *  - zone (tz string), offset, cont
+ *  - zone (tz string), cont (region, see data/regions.js; the UTC offset is read live, so it follows DST and time travel)
  *  - pinned (bool), onTogglePin(), onShowMeeting()
- *  - workStart/workEnd (numbers)
+ *  - label: this pinned zone's custom name, onChangeLabel(label | null)
+ *  - pinIndex, pinCount: position among the pinned cards, onMovePin(toIndex)
+ *  - draggingPin (bool): a pinned card is being dragged; onPinDragStart(), onPinDragEnd(),
+ *    onPinDrop(): the dragged card was dropped on this one
+ *  - workWindow (minute intervals, see workHours.js) used for the working-hour highlight
+ *  - customHours (bool): true when this zone has its own window
+ *  - onChangeWorkWindow(window | null): save (or reset with null) this zone's window
+ *  - workDays (weekday numbers, 0 = Sunday), customDays, onChangeWorkDays(days | null): same for working days
+ *  - clockOptions: resolved clock options for this card (see utils/clockOptions.js)
+ *  - customClock (bool), onChangeClockOptions(options | null): save (or reset with null) this card's override
+ *  - reminders (this zone's reminders), onChangeReminders(list), reminderContext (see ReminderEditor)
+ *  - sameRules: other zones with identical rules collapsed behind this card, sameRulesExpanded (bool), onToggleSameRules()
+ *
+ * Text comes from the message catalog and times are formatted for the current locale
+ * (useLocale() in utils/i18n.js); the hands and working-hour checks read en-US parts.
  */
 
-import React, { useEffect, useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import ClockFace from './ClockFace'
-import { tzOffsetMinutes } from '../utils/timeUtils' // small helper
-
-function getParts(date, tz) {
-    const fmt = new Intl.DateTimeFormat('en-US', {
-        timeZone: tz, hour12: false,
-        hour: '2-digit', minute: '2-digit', second: '2-digit', timeZoneName: 'short'
-    })
-    const parts = fmt.formatToParts(date)
-    const map = {}
-    parts.forEach(p => { if (p.type) map[p.type] = p.value })
-    const h = Number(map.hour), m = Number(map.minute), s = Number(map.second)
-    const h12 = ((h % 12) === 0) ? 12 : (h % 12)
-    return { hour24: h, hour12: h12, minute: m, second: s, isPM: h >= 12, tzName: map.timeZoneName || '' }
+import { useNow } from '../utils/timeTravel'
+import WorkWindowInput from './WorkWindowInput'
+import WorkDaysInput from './WorkDaysInput'
+import ClockOptionsInput from './ClockOptionsInput'
+import ReminderEditor from './ReminderEditor'
+import { WEEKDAY_SHORT, formatWorkDays, formatWorkWindow, isWithinWorkWindow } from '../utils/workHours'
+import { formatOffset, nextDstTransition, tzOffsetMinutes } from '../utils/timeUtils'
+import { holidayInZone, holidayName } from '../utils/holidays'
+import { skyPhase, sunTimes } from '../utils/sun'
+import { formatLocalTime, zoneFormatter, zoneParts } from '../utils/format'
+import { DEFAULT_CLOCK_OPTIONS } from '../utils/clockOptions'
+import { MAX_LABEL_LENGTH } from '../utils/teams'
+import { displayName, useLocale } from '../utils/i18n'
+import { countryCodeOfZone, countryFlag } from '../data/countries'
+
+const DST_BADGE_DAYS = 14 // show the badge this many days before a change
+const HOUR_MS = 60 * 60 * 1000
+
+// "in 6 days", "tomorrow", "in 3 hours"
+function formatCountdown(ms, t) {
+    const hours = Math.ceil(ms / HOUR_MS)
+    if (hours < 24) return t('time.inHours', { count: hours })
+    const days = Math.round(hours / 24)
+    return days === 1 ? t('time.tomorrow') : t('time.inDays', { count: days })
 }
 
-export default function ZoneCard({ zone, offset, cont, pinned, onTogglePin, onShowMeeting, workStart, workEnd, theme, localZoneName = 'your timezone' }) {
-    // digital text updates
-    const [digital, setDigital] = useState('--:--:--')
+const PARTS_OPTIONS = { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit', weekday: 'short', timeZoneName: 'short' }
+const DST_TITLE_OPTIONS = { dateStyle: 'medium', timeStyle: 'short' }
+// shown text: the locale picks 12 or 24 hours; the 24h dial forces 24 hours in digital-only mode
+const DIGITAL_OPTIONS = { hour: '2-digit', minute: '2-digit', second: '2-digit' }
+const LARGE_OPTIONS = {
+    locale: { hour: '2-digit', minute: '2-digit', second: '2-digit' },
+    localeNoSeconds: { hour: '2-digit', minute: '2-digit' },
+    h23: { hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' },
+    h23NoSeconds: { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+}
+const TZ_NAME_OPTIONS = { timeZoneName: 'short' }
+const ZONE_NAME_OPTIONS = { timeZoneName: 'longGeneric' }
 
-    useEffect(() => {
-        let mounted = true
-        const update = () => {
-            const parts = getParts(new Date(), zone)
-            if (!mounted) return
-            setDigital(`${String(parts.hour12).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}:${String(parts.second).padStart(2, '0')} ${parts.isPM ? 'PM' : 'AM'} • ${parts.tzName}`)
-        }
-        update()
-        const t = setInterval(update, 1000)
-        return () => { mounted = false; clearInterval(t) }
-    }, [zone])
-
-    // compute time-of-day state for card styling
-    // Day: 6-18, Night: 18-6
-    const [timeOfDay, setTimeOfDay] = useState('day')
-    const [isWorkingHour, setIsWorkingHour] = useState(false)
-    const [skyOpacity, setSkyOpacity] = useState({ sun: 0, moon: 0 })
+function getParts(nowMs, tz) {
+    const map = zoneParts(nowMs, tz, PARTS_OPTIONS)
+    const h = Number(map.hour) % 24, m = Number(map.minute), s = Number(map.second)
+    return { hour24: h, minute: m, second: s, weekday: WEEKDAY_SHORT.indexOf(map.weekday), tzName: map.timeZoneName || '' }
+}
+
+export default function ZoneCard({ zone, cont, pinned, onTogglePin, onShowMeeting, label, onChangeLabel, pinIndex = -1, pinCount = 0, onMovePin, draggingPin = false, onPinDragStart, onPinDragEnd, onPinDrop, workWindow, customHours = false, onChangeWorkWindow, workDays, customDays = false, onChangeWorkDays, clockOptions = DEFAULT_CLOCK_OPTIONS, customClock = false, onChangeClockOptions, reminders = [], onChangeReminders, reminderContext, sameRules, sameRulesExpanded = false, onToggleSameRules, theme, localZoneName }) {
+    const { tag, dir, t } = useLocale()
+    // current time (live or time-travelled) in this zone, refreshed every second
+    const nowMs = useNow(1000)
+    const parts = getParts(nowMs, zone)
+    const tzName = zoneParts(nowMs, zone, TZ_NAME_OPTIONS, tag).timeZoneName || parts.tzName
+
+    // offsets change with DST, so read the one in effect now (or at the time-travel moment)
+    const currentOffset = tzOffsetMinutes(zone, new Date(nowMs))
+    const dst = nextDstTransition(zone, nowMs, DST_BADGE_DAYS)
+    const holiday = holidayInZone(zone, nowMs)
+
+    // digital text
+    const digital = `${zoneFormatter(zone, DIGITAL_OPTIONS, tag).format(new Date(nowMs))} • ${tzName}`
+
+    // localized zone name and country ("Mitteleuropäische Zeit · 🇩🇪 Deutschland")
+    const country = countryCodeOfZone(zone)
+    const zoneName = [zoneParts(nowMs, zone, ZONE_NAME_OPTIONS, tag).timeZoneName, country && `${countryFlag(country)} ${displayName(country, 'region', tag)}`].filter(Boolean).join(' · ')
+
+    // digital-only mode: large time, 24h when the dial setting is 24h, seconds unless the second hand is hidden
+    const digitalOnly = clockOptions.style === 'digital'
+    const largeKey = `${clockOptions.dial === '24h' ? 'h23' : 'locale'}${clockOptions.secondHand === 'hidden' ? 'NoSeconds' : ''}`
+    const largeTime = zoneFormatter(zone, LARGE_OPTIONS[largeKey], tag).format(new Date(nowMs))
+
+    // compute time-of-day state for card styling from the real sun at the zone's coordinates;
+    // zones without a city (UTC, Etc/GMT+5) fall back to Day: 6-18, Night: 18-6
+    const h = parts.hour24
+    const sun = sunTimes(zone, nowMs)
+    const timeOfDay = skyPhase(zone, nowMs) ?? (h >= 6 && h < 18 ? 'day' : 'night')
 
+    // Working hours check (this zone's own window, on one of its working days, not a public holiday)
+    const isWorkDay = !holiday && (!workDays || workDays.includes(parts.weekday))
+    const isWorkingHour = isWorkDay && isWithinWorkWindow(h, parts.minute, workWindow)
+
+    // SVG Opacity Logic
+    // Sun visible during day, Moon visible during night, both faint at dawn and dusk
+    const twilight = timeOfDay === 'dawn' || timeOfDay === 'dusk'
+    const skyOpacity = {
+        sun: timeOfDay === 'day' ? 1 : twilight ? 0.5 : 0,
+        moon: timeOfDay === 'night' ? 0.4 : twilight ? 0.2 : 0
+    }
+
+    // working-hours editor (only shown on pinned cards)
+    const [editingHours, setEditingHours] = useState(false)
+    // clock display editor (⚙)
+    const [editingClock, setEditingClock] = useState(false)
+    // reminders editor (🔔)
+    const [editingReminders, setEditingReminders] = useState(false)
+    const activeReminders = reminders.filter(r => r.enabled).length
+
+    // custom label editor (✎); Enter or leaving the field saves, Escape keeps the old label
+    const [editingLabel, setEditingLabel] = useState(false)
+    const onLabelKey = (e) => {
+        if (e.key === 'Escape') e.currentTarget.value = label || ''
+        if (e.key === 'Enter' || e.key === 'Escape') e.currentTarget.blur()
+    }
+
+    // reordering: drag the handle onto another pinned card, or focus it and use the arrow keys
+    // (left and right follow the reading direction)
+    const canMove = pinned && onMovePin && pinIndex >= 0
+    const [dropTarget, setDropTarget] = useState(false)
+    const handleRef = useRef(null)
+    const movedByKey = useRef(false)
+    const onHandleKey = (e) => {
+        const back = dir === 'rtl' ? 'ArrowRight' : 'ArrowLeft'
+        const forward = dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight'
+        const to = e.key === 'ArrowUp' || e.key === back ? pinIndex - 1
+            : e.key === 'ArrowDown' || e.key === forward ? pinIndex + 1
+            : e.key === 'Home' ? 0
+            : e.key === 'End' ? pinCount - 1
+            : null
+        if (to === null) return
+        e.preventDefault()
+        if (to < 0 || to >= pinCount || to === pinIndex) return
+        movedByKey.current = true
+        onMovePin(to)
+    }
+    // the card may be remounted or moved in the DOM: keep the focus on the handle
     useEffect(() => {
-        const update = () => {
-            const parts = getParts(new Date(), zone)
-            const h = parts.hour24
-
-            // Simplified Day/Night logic
-            const isDay = h >= 6 && h < 18
-            setTimeOfDay(isDay ? 'day' : 'night')
-
-            // Working hours check (9 AM to 5 PM)
-            setIsWorkingHour(h >= 9 && h < 17)
-
-            // SVG Opacity Logic
-            // Sun visible during day, Moon visible during night
-            setSkyOpacity({
-                sun: isDay ? 1 : 0,
-                moon: isDay ? 0 : 0.4
-            })
-        }
-        update()
-        const t = setInterval(update, 60_000) // update once a minute
-        return () => clearInterval(t)
-    }, [zone])
+        if (!movedByKey.current) return
+        movedByKey.current = false
+        if (handleRef.current) handleRef.current.focus()
+    }, [pinIndex])
+    const dropHandlers = canMove && draggingPin ? {
+        onDragOver: (e) => {
+            e.preventDefault()
+            e.dataTransfer.dropEffect = 'move'
+            setDropTarget(true)
+        },
+        onDragLeave: (e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(false)
+        },
+        onDrop: (e) => {
+            e.preventDefault()
+            setDropTarget(false)
+            onPinDrop()
+        },
+    } : {}
 
     return (
-        <div className={`zone-card card ${theme === 'dark' ? 'dark' : 'light'}`} data-continent={cont} data-time-of-day={timeOfDay}>
+        <div className={`zone-card card ${theme === 'dark' ? 'dark' : 'light'} ${digitalOnly ? 'compact' : ''} ${dropTarget && draggingPin ? 'drop-target' : ''}`} data-continent={cont} data-time-of-day={timeOfDay} {...dropHandlers}>
             {/* Sky overlay with large SVG watermarks */}
             <div className="sky-overlay">
                 <svg className="sky-icon sun" style={{ opacity: skyOpacity.sun }} viewBox="0 0 120 120" fill="none" stroke="currentColor" strokeWidth="4" strokeLinecap="round">
@@ -106,21 +213,138 @@ export default function ZoneCard({ zone, offset, cont, pinned, onTogglePin, onSh
 
             </div>
 
-            <button className="pin" onClick={onTogglePin} aria-label="Pin zone">{pinned ? '★' : '☆'}</button>
+            <button className="pin" onClick={onTogglePin} aria-label={t('zone.pin')}>{pinned ? '★' : '☆'}</button>
+            {canMove && (
+                <button
+                    ref={handleRef}
+                    className="pin-handle"
+                    draggable
+                    onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move'
+                        e.dataTransfer.setData('text/plain', zone)
+                        e.dataTransfer.setDragImage(e.currentTarget.closest('.zone-card'), 24, 24)
+                        onPinDragStart()
+                    }}
+                    onDragEnd={onPinDragEnd}
+                    onKeyDown={onHandleKey}
+                    aria-label={t('zone.move', { zone: label || zone, position: pinIndex + 1, total: pinCount })}
+                    title={t('zone.moveHint')}
+                >⠿</button>
+            )}
+            {onChangeClockOptions && (
+                <button className={`clock-settings ${customClock ? 'custom' : ''}`} onClick={() => setEditingClock(v => !v)} aria-expanded={editingClock} aria-label={t('zone.clockFor', { zone })} title={customClock ? t('zone.clockOwn') : t('zone.clockGlobal')}>⚙</button>
+            )}
 
-            <div className="clock-wrap" >
-                <ClockFace zone={zone} theme={theme} size={150} />
-            </div>
+            {onChangeReminders && (
+                <button className={`reminder-toggle ${activeReminders ? 'active' : ''}`} onClick={() => setEditingReminders(v => !v)} aria-expanded={editingReminders} aria-label={t('reminder.for', { zone })} title={t('reminder.for', { zone })}>🔔</button>
+            )}
+
+            {editingReminders && onChangeReminders && (
+                <div className="clock-settings-editor" style={{zIndex: 100}}>
+                    <ReminderEditor zone={zone} reminders={reminders} onChange={onChangeReminders} context={reminderContext} />
+                </div>
+            )}
+
+            {editingClock && onChangeClockOptions && (
+                <div className="clock-settings-editor" style={{zIndex: 100}}>
+                    <ClockOptionsInput value={clockOptions} onChange={onChangeClockOptions} label={t('zone.clockLabel', { zone })} />
+                    {customClock && <button className="link-btn" onClick={() => onChangeClockOptions(null)}>{t('zone.useGlobal')}</button>}
+                </div>
+            )}
+
+            {digitalOnly ? (
+                <div className={`digital-clock ${isWorkingHour ? 'working-hour' : ''}`} style={{zIndex: 100}}>{largeTime}</div>
+            ) : (
+                <div className="clock-wrap" >
+                    <ClockFace zone={zone} theme={theme} size={150} dial={clockOptions.dial} numerals={clockOptions.numerals} minuteTicks={clockOptions.minuteTicks} secondHand={clockOptions.secondHand} />
+                </div>
+            )}
 
             <div className="title" style={{zIndex: 100}} >
-                <div className="zone-title">{zone}</div>
-                <div className="zone-sub">UTC{offset >= 0 ? '+' : ''}{Math.floor(Math.abs(offset) / 60)}:{String(Math.abs(offset) % 60).padStart(2, '0')}</div>
+                {editingLabel ? (
+                    <input
+                        className="zone-label-input"
+                        autoFocus
+                        defaultValue={label || ''}
+                        maxLength={MAX_LABEL_LENGTH}
+                        placeholder={t('zone.labelPlaceholder')}
+                        onKeyDown={onLabelKey}
+                        onBlur={(e) => {
+                            setEditingLabel(false)
+                            if (e.target.value.trim() !== (label || '')) onChangeLabel(e.target.value)
+                        }}
+                        aria-label={t('zone.rename', { zone })}
+                    />
+                ) : (
+                    <div className="zone-title">
+                        {label || zone}
+                        {pinned && onChangeLabel && (
+                            <button className="link-btn label-edit" onClick={() => setEditingLabel(true)} aria-label={t('zone.rename', { zone })} title={t('zone.rename', { zone })}>✎</button>
+                        )}
+                    </div>
+                )}
+                {label && <div className="zone-id">{zone}</div>}
+                <div className="zone-sub">{formatOffset(currentOffset)}{digitalOnly ? ` • ${tzName}` : ''}</div>
+                {zoneName && <div className="zone-local-name">{zoneName}</div>}
+                {sun && (
+                    <div className="sun-times">
+                        {sun.polar === 'day' && t('zone.polarDay')}
+                        {sun.polar === 'night' && t('zone.polarNight')}
+                        {!sun.polar && `🌅 ${formatLocalTime(sun.sunrise, zone, tag)} · 🌇 ${formatLocalTime(sun.sunset, zone, tag)}`}
+                    </div>
+                )}
             </div>
 
-            <div className={`digital ${isWorkingHour ? 'working-hour' : ''}`} style={{zIndex: 100}}>{digital}</div>
+            {dst && (
+                <div
+                    className={`dst-badge ${dst.direction}`}
+                    style={{zIndex: 100}}
+                    title={`${zoneFormatter(zone, DST_TITLE_OPTIONS, tag).format(new Date(dst.at))} • ${formatOffset(dst.offsetBefore)} → ${formatOffset(dst.offsetAfter)}`}
+                >
+                    {t(`zone.dst.${dst.direction}`, { when: formatCountdown(dst.at - nowMs, t) })}
+                </div>
+            )}
+
+            {holiday && (
+                <div className="holiday-badge" style={{zIndex: 100}} title={t('zone.holidayTitle')}>
+                    {t('zone.holiday', { name: holidayName(holiday, t) })}
+                </div>
+            )}
+
+            {!digitalOnly && <div className={`digital ${isWorkingHour ? 'working-hour' : ''}`} style={{zIndex: 100}}>{digital}</div>}
+
+            {pinned && onChangeWorkWindow && (
+                <div className="work-hours" style={{zIndex: 100}}>
+                    <button className="work-hours-toggle" onClick={() => setEditingHours(v => !v)} aria-expanded={editingHours}>
+                        🕘 {formatWorkWindow(workWindow)}{workDays ? ` · ${formatWorkDays(workDays, { tag, t })}` : ''}{customHours || customDays ? '' : ` ${t('zone.default')}`}
+                    </button>
+                    {editingHours && (
+                        <div className="work-hours-editor control-inline">
+                            <WorkWindowInput value={workWindow} onChange={onChangeWorkWindow} ariaLabel={t('zone.hoursIn', { zone })} />
+                            {customHours && <button className="link-btn" onClick={() => onChangeWorkWindow(null)}>{t('common.reset')}</button>}
+                        </div>
+                    )}
+                    {editingHours && workDays && onChangeWorkDays && (
+                        <div className="work-hours-editor control-inline">
+                            <WorkDaysInput value={workDays} onChange={onChangeWorkDays} ariaLabel={t('zone.daysIn', { zone })} />
+                            {customDays && <button className="link-btn" onClick={() => onChangeWorkDays(null)}>{t('common.reset')}</button>}
+                        </div>
+                    )}
+                </div>
+            )}
 
             <div className="card-actions" style={{zIndex: 100}}>
-                <button className="btn" onClick={() => onShowMeeting(zone)}>Quick 3h overlap with {localZoneName}</button>
+                <button className="btn" onClick={() => onShowMeeting(zone)}>{t('zone.quickOverlap', { name: localZoneName || t('zone.yourZone') })}</button>
+                {sameRules && sameRules.length > 0 && (
+                    <button
+                        className="link-btn same-rules-toggle"
+                        onClick={onToggleSameRules}
+                        aria-expanded={sameRulesExpanded}
+                        title={sameRules.map(tz => tz.split('/').pop().replace(/_/g, ' ')).join(', ')}
+                    >
+                        {sameRulesExpanded ? t('zone.fewerCities', { count: sameRules.length }) : t('zone.moreCities', { count: sameRules.length })}
+                    </button>
+                )}
             </div>
         </div>
     )
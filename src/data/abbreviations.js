@@ -0,0 +1,103 @@
+/**
+ * abbreviations.js
+ *
+ * Common timezone abbreviations and the zones people usually mean by them.
+ * Abbreviations are ambiguous ("IST" is India, Ireland and Israel), so each maps
+ * to a list — the first entry is the most common meaning.
+ *
+ * Both the standard and the daylight-saving variant point at the same zones
+ * (searching "PDT" in winter should still find Los Angeles).
+ *
+ * ABBREVIATION_OFFSETS gives the fixed UTC offset (minutes) a specific abbreviation stands
+ * for: "14:00 PST" is 14:00 at UTC−8 even in July, when Los Angeles is on PDT. The generic
+ * names (PT, ET, …) are not in it: they follow the zone's DST.
+ */
+
+export const ABBREVIATIONS = {
+    // North America
+    PST: ['America/Los_Angeles', 'America/Vancouver', 'America/Tijuana'],
+    PDT: ['America/Los_Angeles', 'America/Vancouver', 'America/Tijuana'],
+    PT: ['America/Los_Angeles', 'America/Vancouver'],
+    MST: ['America/Denver', 'America/Phoenix', 'America/Edmonton'],
+    MDT: ['America/Denver', 'America/Edmonton', 'America/Boise'],
+    MT: ['America/Denver', 'America/Edmonton'],
+    CST: ['America/Chicago', 'America/Mexico_City', 'America/Winnipeg', 'Asia/Shanghai'],
+    CDT: ['America/Chicago', 'America/Winnipeg'],
+    CT: ['America/Chicago', 'America/Winnipeg'],
+    EST: ['America/New_York', 'America/Toronto', 'America/Detroit'],
+    EDT: ['America/New_York', 'America/Toronto', 'America/Detroit'],
+    ET: ['America/New_York', 'America/Toronto'],
+    AKST: ['America/Anchorage'],
+    AKDT: ['America/Anchorage'],
+    HST: ['Pacific/Honolulu'],
+    AST: ['America/Halifax', 'America/Puerto_Rico', 'Asia/Riyadh'],
+    ADT: ['America/Halifax'],
+    NST: ['America/St_Johns'],
+    NDT: ['America/St_Johns'],
+    // South America
+    BRT: ['America/Sao_Paulo'],
+    ART: ['America/Argentina/Buenos_Aires'],
+    CLT: ['America/Santiago'],
+    COT: ['America/Bogota'],
+    PET: ['America/Lima'],
+    // Europe
+    GMT: ['Europe/London', 'Africa/Abidjan', 'Atlantic/Reykjavik'],
+    BST: ['Europe/London'],
+    UTC: ['UTC'],
+    WET: ['Europe/Lisbon', 'Atlantic/Canary'],
+    WEST: ['Europe/Lisbon', 'Atlantic/Canary'],
+    CET: ['Europe/Berlin', 'Europe/Paris', 'Europe/Madrid', 'Europe/Rome', 'Europe/Amsterdam'],
+    CEST: ['Europe/Berlin', 'Europe/Paris', 'Europe/Madrid', 'Europe/Rome', 'Europe/Amsterdam'],
+    EET: ['Europe/Athens', 'Europe/Helsinki', 'Europe/Kyiv', 'Europe/Bucharest', 'Africa/Cairo'],
+    EEST: ['Europe/Athens', 'Europe/Helsinki', 'Europe/Kyiv', 'Europe/Bucharest'],
+    MSK: ['Europe/Moscow'],
+    TRT: ['Europe/Istanbul'],
+    // Africa & Middle East
+    WAT: ['Africa/Lagos'],
+    CAT: ['Africa/Maputo', 'Africa/Harare'],
+    EAT: ['Africa/Nairobi', 'Africa/Addis_Ababa'],
+    SAST: ['Africa/Johannesburg'],
+    GST: ['Asia/Dubai', 'Atlantic/South_Georgia'],
+    IRST: ['Asia/Tehran'],
+    IDT: ['Asia/Jerusalem'],
+    // Asia
+    IST: ['Asia/Kolkata', 'Europe/Dublin', 'Asia/Jerusalem'],
+    PKT: ['Asia/Karachi'],
+    NPT: ['Asia/Kathmandu'],
+    BDT: ['Asia/Dhaka'],
+    ICT: ['Asia/Bangkok', 'Asia/Ho_Chi_Minh'],
+    WIB: ['Asia/Jakarta'],
+    WITA: ['Asia/Makassar'],
+    WIT: ['Asia/Jayapura'],
+    SGT: ['Asia/Singapore'],
+    MYT: ['Asia/Kuala_Lumpur'],
+    PHT: ['Asia/Manila'],
+    HKT: ['Asia/Hong_Kong'],
+    JST: ['Asia/Tokyo'],
+    KST: ['Asia/Seoul'],
+    // Oceania
+    AWST: ['Australia/Perth'],
+    ACST: ['Australia/Adelaide', 'Australia/Darwin'],
+    ACDT: ['Australia/Adelaide'],
+    AEST: ['Australia/Sydney', 'Australia/Melbourne', 'Australia/Brisbane'],
+    AEDT: ['Australia/Sydney', 'Australia/Melbourne'],
+    NZST: ['Pacific/Auckland'],
+    NZDT: ['Pacific/Auckland'],
+}
+
+export const ABBREVIATION_OFFSETS = {
+    // North America
+    PST: -480, PDT: -420, MST: -420, MDT: -360, CST: -360, CDT: -300, EST: -300, EDT: -240,
+    AKST: -540, AKDT: -480, HST: -600, AST: -240, ADT: -180, NST: -210, NDT: -150,
+    // South America
+    BRT: -180, ART: -180, CLT: -240, COT: -300, PET: -300,
+    // Europe
+    GMT: 0, BST: 60, UTC: 0, WET: 0, WEST: 60, CET: 60, CEST: 120, EET: 120, EEST: 180, MSK: 180, TRT: 180,
+    // Africa & Middle East
+    WAT: 60, CAT: 120, EAT: 180, SAST: 120, GST: 240, IRST: 210, IDT: 180,
+    // Asia
+    IST: 330, PKT: 300, NPT: 345, BDT: 360, ICT: 420, WIB: 420, WITA: 480, WIT: 540,
+    SGT: 480, MYT: 480, PHT: 480, HKT: 480, JST: 540, KST: 540,
+    // Oceania
+    AWST: 480, ACST: 570, ACDT: 630, AEST: 600, AEDT: 660, NZST: 720, NZDT: 780,
+}
@@ -0,0 +1,196 @@
+/**
+ * cities.js
+ *
+ * Offline city list for search: well-known cities that are NOT the name of their
+ * IANA zone (e.g. "Bangalore" lives in Asia/Kolkata, "San Francisco" in America/Los_Angeles),
+ * plus common alternative spellings.
+ *
+ * Zone names themselves ("Tokyo", "New York") are searchable already, so they are
+ * only listed here when they need an alternative spelling.
+ *
+ * Format: [name, zone, countryCode, ...alternative names]
+ */
+
+export const CITIES = [
+    // India
+    ['Bangalore', 'Asia/Kolkata', 'IN', 'Bengaluru'],
+    ['Mumbai', 'Asia/Kolkata', 'IN', 'Bombay'],
+    ['New Delhi', 'Asia/Kolkata', 'IN', 'Delhi'],
+    ['Chennai', 'Asia/Kolkata', 'IN', 'Madras'],
+    ['Hyderabad', 'Asia/Kolkata', 'IN'],
+    ['Pune', 'Asia/Kolkata', 'IN'],
+    ['Kolkata', 'Asia/Kolkata', 'IN', 'Calcutta'],
+    ['Ahmedabad', 'Asia/Kolkata', 'IN'],
+    ['Gurgaon', 'Asia/Kolkata', 'IN', 'Gurugram'],
+    ['Noida', 'Asia/Kolkata', 'IN'],
+    ['Kochi', 'Asia/Kolkata', 'IN', 'Cochin'],
+    ['Jaipur', 'Asia/Kolkata', 'IN'],
+    ['Chandigarh', 'Asia/Kolkata', 'IN'],
+    // United States
+    ['San Francisco', 'America/Los_Angeles', 'US', 'SF', 'Bay Area'],
+    ['San Jose', 'America/Los_Angeles', 'US', 'Silicon Valley'],
+    ['Seattle', 'America/Los_Angeles', 'US'],
+    ['Portland', 'America/Los_Angeles', 'US'],
+    ['San Diego', 'America/Los_Angeles', 'US'],
+    ['Las Vegas', 'America/Los_Angeles', 'US'],
+    ['Los Angeles', 'America/Los_Angeles', 'US', 'LA'],
+    ['Salt Lake City', 'America/Denver', 'US'],
+    ['Albuquerque', 'America/Denver', 'US'],
+    ['Austin', 'America/Chicago', 'US'],
+    ['Dallas', 'America/Chicago', 'US'],
+    ['Houston', 'America/Chicago', 'US'],
+    ['San Antonio', 'America/Chicago', 'US'],
+    ['Minneapolis', 'America/Chicago', 'US'],
+    ['New Orleans', 'America/Chicago', 'US'],
+    ['Nashville', 'America/Chicago', 'US'],
+    ['Kansas City', 'America/Chicago', 'US'],
+    ['St. Louis', 'America/Chicago', 'US', 'Saint Louis'],
+    ['Milwaukee', 'America/Chicago', 'US'],
+    ['Boston', 'America/New_York', 'US'],
+    ['Washington, D.C.', 'America/New_York', 'US', 'Washington', 'DC'],
+    ['Philadelphia', 'America/New_York', 'US'],
+    ['Atlanta', 'America/New_York', 'US'],
+    ['Miami', 'America/New_York', 'US'],
+    ['Orlando', 'America/New_York', 'US'],
+    ['Charlotte', 'America/New_York', 'US'],
+    ['Pittsburgh', 'America/New_York', 'US'],
+    ['Baltimore', 'America/New_York', 'US'],
+    ['Raleigh', 'America/New_York', 'US'],
+    ['New York City', 'America/New_York', 'US', 'NYC', 'Manhattan', 'Brooklyn'],
+    ['Cleveland', 'America/New_York', 'US'],
+    ['Columbus', 'America/New_York', 'US'],
+    ['Honolulu', 'Pacific/Honolulu', 'US', 'Hawaii'],
+    // Canada
+    ['Montreal', 'America/Toronto', 'CA', 'Montréal'],
+    ['Ottawa', 'America/Toronto', 'CA'],
+    ['Quebec City', 'America/Toronto', 'CA'],
+    ['Calgary', 'America/Edmonton', 'CA'],
+    // Latin America
+    ['Rio de Janeiro', 'America/Sao_Paulo', 'BR', 'Rio'],
+    ['Brasília', 'America/Sao_Paulo', 'BR', 'Brasilia'],
+    ['Belo Horizonte', 'America/Sao_Paulo', 'BR'],
+    ['Porto Alegre', 'America/Sao_Paulo', 'BR'],
+    ['Curitiba', 'America/Sao_Paulo', 'BR'],
+    ['São Paulo', 'America/Sao_Paulo', 'BR', 'Sao Paulo'],
+    ['Guadalajara', 'America/Mexico_City', 'MX'],
+    ['Medellín', 'America/Bogota', 'CO', 'Medellin'],
+    ['Quito', 'America/Guayaquil', 'EC'],
+    ['Ciudad de México', 'America/Mexico_City', 'MX', 'CDMX', 'Mexico City'],
+    ['San Juan', 'America/Puerto_Rico', 'PR'],
+    ['Buenos Aires', 'America/Argentina/Buenos_Aires', 'AR'],
+    ['Córdoba', 'America/Argentina/Cordoba', 'AR'],
+    ['Panama City', 'America/Panama', 'PA'],
+    ['San José', 'America/Costa_Rica', 'CR'],
+    // Europe
+    ['Manchester', 'Europe/London', 'GB'],
+    ['Edinburgh', 'Europe/London', 'GB'],
+    ['Birmingham', 'Europe/London', 'GB'],
+    ['Glasgow', 'Europe/London', 'GB'],
+    ['Bristol', 'Europe/London', 'GB'],
+    ['Cambridge', 'Europe/London', 'GB'],
+    ['Belfast', 'Europe/London', 'GB'],
+    ['Cardiff', 'Europe/London', 'GB'],
+    ['Munich', 'Europe/Berlin', 'DE', 'München'],
+    ['Frankfurt', 'Europe/Berlin', 'DE'],
+    ['Hamburg', 'Europe/Berlin', 'DE'],
+    ['Cologne', 'Europe/Berlin', 'DE', 'Köln'],
+    ['Stuttgart', 'Europe/Berlin', 'DE'],
+    ['Düsseldorf', 'Europe/Berlin', 'DE', 'Dusseldorf'],
+    ['Barcelona', 'Europe/Madrid', 'ES'],
+    ['Valencia', 'Europe/Madrid', 'ES'],
+    ['Seville', 'Europe/Madrid', 'ES', 'Sevilla'],
+    ['Milan', 'Europe/Rome', 'IT', 'Milano'],
+    ['Naples', 'Europe/Rome', 'IT'],
+    ['Turin', 'Europe/Rome', 'IT'],
+    ['Florence', 'Europe/Rome', 'IT'],
+    ['Lyon', 'Europe/Paris', 'FR'],
+    ['Marseille', 'Europe/Paris', 'FR'],
+    ['Toulouse', 'Europe/Paris', 'FR'],
+    ['Nice', 'Europe/Paris', 'FR'],
+    ['Rotterdam', 'Europe/Amsterdam', 'NL'],
+    ['The Hague', 'Europe/Amsterdam', 'NL'],
+    ['Eindhoven', 'Europe/Amsterdam', 'NL'],
+    ['Antwerp', 'Europe/Brussels', 'BE'],
+    ['Geneva', 'Europe/Zurich', 'CH', 'Genève'],
+    ['Bern', 'Europe/Zurich', 'CH'],
+    ['Basel', 'Europe/Zurich', 'CH'],
+    ['Porto', 'Europe/Lisbon', 'PT'],
+    ['Kraków', 'Europe/Warsaw', 'PL', 'Krakow'],
+    ['Wrocław', 'Europe/Warsaw', 'PL', 'Wroclaw'],
+    ['Gothenburg', 'Europe/Stockholm', 'SE', 'Göteborg'],
+    ['Bergen', 'Europe/Oslo', 'NO'],
+    ['Aarhus', 'Europe/Copenhagen', 'DK'],
+    ['Cork', 'Europe/Dublin', 'IE'],
+    ['Kyiv', 'Europe/Kyiv', 'UA', 'Kiev'],
+    ['Lviv', 'Europe/Kyiv', 'UA'],
+    ['Kharkiv', 'Europe/Kyiv', 'UA'],
+    ['Saint Petersburg', 'Europe/Moscow', 'RU', 'St Petersburg'],
+    ['Ankara', 'Europe/Istanbul', 'TR'],
+    ['Cluj-Napoca', 'Europe/Bucharest', 'RO', 'Cluj'],
+    ['Thessaloniki', 'Europe/Athens', 'GR'],
+    ['Tbilisi', 'Asia/Tbilisi', 'GE'],
+    // Middle East & Africa
+    ['Abu Dhabi', 'Asia/Dubai', 'AE'],
+    ['Sharjah', 'Asia/Dubai', 'AE'],
+    ['Doha', 'Asia/Qatar', 'QA'],
+    ['Manama', 'Asia/Bahrain', 'BH'],
+    ['Muscat', 'Asia/Muscat', 'OM'],
+    ['Jeddah', 'Asia/Riyadh', 'SA'],
+    ['Mecca', 'Asia/Riyadh', 'SA', 'Makkah'],
+    ['Tel Aviv', 'Asia/Jerusalem', 'IL'],
+    ['Haifa', 'Asia/Jerusalem', 'IL'],
+    ['Isfahan', 'Asia/Tehran', 'IR'],
+    ['Alexandria', 'Africa/Cairo', 'EG'],
+    ['Cape Town', 'Africa/Johannesburg', 'ZA'],
+    ['Durban', 'Africa/Johannesburg', 'ZA'],
+    ['Pretoria', 'Africa/Johannesburg', 'ZA'],
+    ['Abuja', 'Africa/Lagos', 'NG'],
+    ['Rabat', 'Africa/Casablanca', 'MA'],
+    ['Marrakesh', 'Africa/Casablanca', 'MA', 'Marrakech'],
+    ['Mombasa', 'Africa/Nairobi', 'KE'],
+    ['Zanzibar', 'Africa/Dar_es_Salaam', 'TZ'],
+    ['Dakar', 'Africa/Dakar', 'SN'],
+    // Asia
+    ['Karachi', 'Asia/Karachi', 'PK'],
+    ['Lahore', 'Asia/Karachi', 'PK'],
+    ['Islamabad', 'Asia/Karachi', 'PK'],
+    ['Chittagong', 'Asia/Dhaka', 'BD'],
+    ['Beijing', 'Asia/Shanghai', 'CN', 'Peking'],
+    ['Shenzhen', 'Asia/Shanghai', 'CN'],
+    ['Guangzhou', 'Asia/Shanghai', 'CN', 'Canton'],
+    ['Chengdu', 'Asia/Shanghai', 'CN'],
+    ['Hangzhou', 'Asia/Shanghai', 'CN'],
+    ['Wuhan', 'Asia/Shanghai', 'CN'],
+    ['Xi\'an', 'Asia/Shanghai', 'CN'],
+    ['Osaka', 'Asia/Tokyo', 'JP'],
+    ['Kyoto', 'Asia/Tokyo', 'JP'],
+    ['Yokohama', 'Asia/Tokyo', 'JP'],
+    ['Nagoya', 'Asia/Tokyo', 'JP'],
+    ['Fukuoka', 'Asia/Tokyo', 'JP'],
+    ['Sapporo', 'Asia/Tokyo', 'JP'],
+    ['Busan', 'Asia/Seoul', 'KR', 'Pusan'],
+    ['Incheon', 'Asia/Seoul', 'KR'],
+    ['Hanoi', 'Asia/Bangkok', 'VN'],
+    ['Saigon', 'Asia/Ho_Chi_Minh', 'VN', 'Ho Chi Minh City', 'HCMC'],
+    ['Da Nang', 'Asia/Ho_Chi_Minh', 'VN'],
+    ['Chiang Mai', 'Asia/Bangkok', 'TH'],
+    ['Phuket', 'Asia/Bangkok', 'TH'],
+    ['Penang', 'Asia/Kuala_Lumpur', 'MY'],
+    ['Cebu', 'Asia/Manila', 'PH'],
+    ['Quezon City', 'Asia/Manila', 'PH'],
+    ['Bali', 'Asia/Makassar', 'ID', 'Denpasar'],
+    ['Surabaya', 'Asia/Jakarta', 'ID'],
+    ['Bandung', 'Asia/Jakarta', 'ID'],
+    ['Kathmandu', 'Asia/Kathmandu', 'NP', 'Katmandu'],
+    ['Yangon', 'Asia/Yangon', 'MM', 'Rangoon'],
+    ['Astana', 'Asia/Almaty', 'KZ', 'Nur-Sultan'],
+    ['Taichung', 'Asia/Taipei', 'TW'],
+    ['Kaohsiung', 'Asia/Taipei', 'TW'],
+    // Oceania
+    ['Canberra', 'Australia/Sydney', 'AU'],
+    ['Gold Coast', 'Australia/Brisbane', 'AU'],
+    ['Wellington', 'Pacific/Auckland', 'NZ'],
+    ['Christchurch', 'Pacific/Auckland', 'NZ'],
+    ['Queenstown', 'Pacific/Auckland', 'NZ'],
+    ['Suva', 'Pacific/Fiji', 'FJ'],
+]
@@ -0,0 +1,272 @@
+/**
+ * holidays.js
+ *
+ * Offline public-holiday rules by country (ISO 3166-1 alpha-2), read by utils/holidays.js.
+ * Only nationwide days off are listed (regional ones such as German state holidays are left out).
+ *
+ * Rule shapes:
+ * - { name, date: 'MM-DD' }                    fixed date every year
+ * - { name, nth: [month, weekday, n] }         n-th weekday of a month (weekday 0 = Sunday, n = -1 for the last)
+ * - { name, before: ['MM-DD', weekday] }       last given weekday before a date (Canada's Victoria Day)
+ * - { name, easter: offset }                   days from Western Easter Sunday (Good Friday = -2)
+ * - { name, passover: offset }                 days from the first day of Passover (Jewish holidays)
+ * - { name, dates: { year: 'MM-DD' } }         lunar / announced holidays from a table (Diwali, Eid, Chinese New Year)
+ * Optional fields:
+ * - days: number of consecutive days off (default 1)
+ * - observed: 'us' (Sat -> Fri, Sun -> Mon), 'uk' (weekend -> next free weekday), 'sunday' (Sun -> next free day)
+ * - since: first year the holiday exists
+ *
+ * Islamic holidays depend on moon sighting and may move by a day; the tables hold the expected dates.
+ * Table-based holidays are only known for the years listed (2025–2028).
+ */
+
+// lunar and announced dates, shared by several countries
+const DIWALI = { 2025: '10-20', 2026: '11-08', 2027: '10-29', 2028: '10-17' }
+const HOLI = { 2025: '03-14', 2026: '03-04', 2027: '03-22', 2028: '03-11' }
+const DUSSEHRA = { 2025: '10-02', 2026: '10-20', 2027: '10-09', 2028: '09-27' }
+const EID_AL_FITR = { 2025: '03-31', 2026: '03-20', 2027: '03-10', 2028: '02-27' }
+const EID_AL_ADHA = { 2025: '06-06', 2026: '05-27', 2027: '05-16', 2028: '05-05' }
+const ARAFAT_DAY = { 2025: '06-05', 2026: '05-26', 2027: '05-15', 2028: '05-04' }
+const ISLAMIC_NEW_YEAR = { 2025: '06-26', 2026: '06-16', 2027: '06-06', 2028: '05-25' }
+const PROPHETS_BIRTHDAY = { 2025: '09-04', 2026: '08-25', 2027: '08-14', 2028: '08-03' }
+const CHINESE_NEW_YEAR = { 2025: '01-29', 2026: '02-17', 2027: '02-06', 2028: '01-26' }
+const QINGMING = { 2025: '04-04', 2026: '04-05', 2027: '04-05', 2028: '04-04' }
+const DRAGON_BOAT = { 2025: '05-31', 2026: '06-19', 2027: '06-09', 2028: '05-28' }
+const MID_AUTUMN = { 2025: '10-06', 2026: '09-25', 2027: '09-15', 2028: '10-03' }
+const VESAK = { 2025: '05-12', 2026: '05-31', 2027: '05-20', 2028: '05-09' }
+const VERNAL_EQUINOX_JP = { 2025: '03-20', 2026: '03-20', 2027: '03-21', 2028: '03-20' }
+const AUTUMNAL_EQUINOX_JP = { 2025: '09-23', 2026: '09-23', 2027: '09-23', 2028: '09-22' }
+const MATARIKI = { 2025: '06-20', 2026: '07-10', 2027: '06-25', 2028: '07-14' }
+const YOM_HAATZMAUT = { 2025: '05-01', 2026: '04-22', 2027: '05-12', 2028: '05-02' }
+
+export const HOLIDAY_RULES = {
+    US: [
+        { name: "New Year's Day", date: '01-01', observed: 'us' },
+        { name: 'Martin Luther King Jr. Day', nth: [1, 1, 3] },
+        { name: "Presidents' Day", nth: [2, 1, 3] },
+        { name: 'Memorial Day', nth: [5, 1, -1] },
+        { name: 'Juneteenth', date: '06-19', observed: 'us', since: 2021 },
+        { name: 'Independence Day', date: '07-04', observed: 'us' },
+        { name: 'Labor Day', nth: [9, 1, 1] },
+        { name: 'Columbus Day', nth: [10, 1, 2] },
+        { name: 'Veterans Day', date: '11-11', observed: 'us' },
+        { name: 'Thanksgiving', nth: [11, 4, 4] },
+        { name: 'Christmas Day', date: '12-25', observed: 'us' },
+    ],
+    // England and Wales
+    GB: [
+        { name: "New Year's Day", date: '01-01', observed: 'uk' },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Easter Monday', easter: 1 },
+        { name: 'Early May bank holiday', nth: [5, 1, 1] },
+        { name: 'Spring bank holiday', nth: [5, 1, -1] },
+        { name: 'Summer bank holiday', nth: [8, 1, -1] },
+        { name: 'Christmas Day', date: '12-25', observed: 'uk' },
+        { name: 'Boxing Day', date: '12-26', observed: 'uk' },
+    ],
+    IE: [
+        { name: "New Year's Day", date: '01-01' },
+        { name: "St Brigid's Day", nth: [2, 1, 1], since: 2023 },
+        { name: "St Patrick's Day", date: '03-17' },
+        { name: 'Easter Monday', easter: 1 },
+        { name: 'May bank holiday', nth: [5, 1, 1] },
+        { name: 'June bank holiday', nth: [6, 1, 1] },
+        { name: 'August bank holiday', nth: [8, 1, 1] },
+        { name: 'October bank holiday', nth: [10, 1, -1] },
+        { name: 'Christmas Day', date: '12-25' },
+        { name: "St Stephen's Day", date: '12-26' },
+    ],
+    IN: [
+        { name: 'Republic Day', date: '01-26' },
+        { name: 'Holi', dates: HOLI },
+        { name: 'Eid al-Fitr', dates: EID_AL_FITR },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Independence Day', date: '08-15' },
+        { name: 'Gandhi Jayanti', date: '10-02' },
+        { name: 'Dussehra', dates: DUSSEHRA },
+        { name: 'Diwali', dates: DIWALI },
+        { name: 'Christmas', date: '12-25' },
+    ],
+    DE: [
+        { name: 'Neujahr', date: '01-01' },
+        { name: 'Karfreitag', easter: -2 },
+        { name: 'Ostermontag', easter: 1 },
+        { name: 'Tag der Arbeit', date: '05-01' },
+        { name: 'Christi Himmelfahrt', easter: 39 },
+        { name: 'Pfingstmontag', easter: 50 },
+        { name: 'Tag der Deutschen Einheit', date: '10-03' },
+        { name: '1. Weihnachtstag', date: '12-25' },
+        { name: '2. Weihnachtstag', date: '12-26' },
+    ],
+    FR: [
+        { name: "Jour de l'an", date: '01-01' },
+        { name: 'Lundi de Pâques', easter: 1 },
+        { name: 'Fête du Travail', date: '05-01' },
+        { name: 'Victoire 1945', date: '05-08' },
+        { name: 'Ascension', easter: 39 },
+        { name: 'Lundi de Pentecôte', easter: 50 },
+        { name: 'Fête nationale', date: '07-14' },
+        { name: 'Assomption', date: '08-15' },
+        { name: 'Toussaint', date: '11-01' },
+        { name: 'Armistice 1918', date: '11-11' },
+        { name: 'Noël', date: '12-25' },
+    ],
+    ES: [
+        { name: 'Año Nuevo', date: '01-01' },
+        { name: 'Epifanía del Señor', date: '01-06' },
+        { name: 'Viernes Santo', easter: -2 },
+        { name: 'Fiesta del Trabajo', date: '05-01' },
+        { name: 'Asunción de la Virgen', date: '08-15' },
+        { name: 'Fiesta Nacional de España', date: '10-12' },
+        { name: 'Todos los Santos', date: '11-01' },
+        { name: 'Día de la Constitución', date: '12-06' },
+        { name: 'Inmaculada Concepción', date: '12-08' },
+        { name: 'Navidad', date: '12-25' },
+    ],
+    IT: [
+        { name: 'Capodanno', date: '01-01' },
+        { name: 'Epifania', date: '01-06' },
+        { name: "Lunedì dell'Angelo", easter: 1 },
+        { name: 'Festa della Liberazione', date: '04-25' },
+        { name: 'Festa del Lavoro', date: '05-01' },
+        { name: 'Festa della Repubblica', date: '06-02' },
+        { name: 'Ferragosto', date: '08-15' },
+        { name: 'Ognissanti', date: '11-01' },
+        { name: 'Immacolata Concezione', date: '12-08' },
+        { name: 'Natale', date: '12-25' },
+        { name: 'Santo Stefano', date: '12-26' },
+    ],
+    NL: [
+        { name: 'Nieuwjaarsdag', date: '01-01' },
+        { name: 'Tweede Paasdag', easter: 1 },
+        { name: 'Koningsdag', date: '04-27' },
+        { name: 'Hemelvaartsdag', easter: 39 },
+        { name: 'Tweede Pinksterdag', easter: 50 },
+        { name: 'Eerste Kerstdag', date: '12-25' },
+        { name: 'Tweede Kerstdag', date: '12-26' },
+    ],
+    CA: [
+        { name: "New Year's Day", date: '01-01', observed: 'uk' },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Victoria Day', before: ['05-25', 1] },
+        { name: 'Canada Day', date: '07-01', observed: 'uk' },
+        { name: 'Labour Day', nth: [9, 1, 1] },
+        { name: 'Thanksgiving', nth: [10, 1, 2] },
+        { name: 'Christmas Day', date: '12-25', observed: 'uk' },
+        { name: 'Boxing Day', date: '12-26', observed: 'uk' },
+    ],
+    AU: [
+        { name: "New Year's Day", date: '01-01', observed: 'uk' },
+        { name: 'Australia Day', date: '01-26', observed: 'uk' },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Easter Monday', easter: 1 },
+        { name: 'Anzac Day', date: '04-25' },
+        { name: "King's Birthday", nth: [6, 1, 2] },
+        { name: 'Christmas Day', date: '12-25', observed: 'uk' },
+        { name: 'Boxing Day', date: '12-26', observed: 'uk' },
+    ],
+    NZ: [
+        { name: "New Year's Day", date: '01-01', observed: 'uk' },
+        { name: 'Day after New Year', date: '01-02', observed: 'uk' },
+        { name: 'Waitangi Day', date: '02-06', observed: 'uk' },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Easter Monday', easter: 1 },
+        { name: 'Anzac Day', date: '04-25', observed: 'uk' },
+        { name: "King's Birthday", nth: [6, 1, 1] },
+        { name: 'Matariki', dates: MATARIKI },
+        { name: 'Labour Day', nth: [10, 1, 4] },
+        { name: 'Christmas Day', date: '12-25', observed: 'uk' },
+        { name: 'Boxing Day', date: '12-26', observed: 'uk' },
+    ],
+    JP: [
+        { name: '元日 New Year', date: '01-01', observed: 'sunday' },
+        { name: '成人の日 Coming of Age Day', nth: [1, 1, 2] },
+        { name: '建国記念の日 Foundation Day', date: '02-11', observed: 'sunday' },
+        { name: '天皇誕生日 Emperor’s Birthday', date: '02-23', observed: 'sunday' },
+        { name: '春分の日 Vernal Equinox', dates: VERNAL_EQUINOX_JP, observed: 'sunday' },
+        { name: '昭和の日 Showa Day', date: '04-29', observed: 'sunday' },
+        { name: '憲法記念日 Constitution Day', date: '05-03', observed: 'sunday' },
+        { name: 'みどりの日 Greenery Day', date: '05-04', observed: 'sunday' },
+        { name: 'こどもの日 Children’s Day', date: '05-05', observed: 'sunday' },
+        { name: '海の日 Marine Day', nth: [7, 1, 3] },
+        { name: '山の日 Mountain Day', date: '08-11', observed: 'sunday' },
+        { name: '敬老の日 Respect for the Aged Day', nth: [9, 1, 3] },
+        { name: '秋分の日 Autumnal Equinox', dates: AUTUMNAL_EQUINOX_JP, observed: 'sunday' },
+        { name: 'スポーツの日 Sports Day', nth: [10, 1, 2] },
+        { name: '文化の日 Culture Day', date: '11-03', observed: 'sunday' },
+        { name: '勤労感謝の日 Labour Thanksgiving', date: '11-23', observed: 'sunday' },
+    ],
+    CN: [
+        { name: '元旦 New Year', date: '01-01' },
+        { name: '春节 Spring Festival', dates: CHINESE_NEW_YEAR, days: 3 },
+        { name: '清明节 Qingming', dates: QINGMING },
+        { name: '劳动节 Labour Day', date: '05-01' },
+        { name: '端午节 Dragon Boat Festival', dates: DRAGON_BOAT },
+        { name: '中秋节 Mid-Autumn Festival', dates: MID_AUTUMN },
+        { name: '国庆节 National Day', date: '10-01', days: 3 },
+    ],
+    SG: [
+        { name: "New Year's Day", date: '01-01', observed: 'sunday' },
+        { name: 'Chinese New Year', dates: CHINESE_NEW_YEAR, days: 2, observed: 'sunday' },
+        { name: 'Hari Raya Puasa', dates: EID_AL_FITR, observed: 'sunday' },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Labour Day', date: '05-01', observed: 'sunday' },
+        { name: 'Vesak Day', dates: VESAK, observed: 'sunday' },
+        { name: 'Hari Raya Haji', dates: EID_AL_ADHA, observed: 'sunday' },
+        { name: 'National Day', date: '08-09', observed: 'sunday' },
+        { name: 'Deepavali', dates: DIWALI, observed: 'sunday' },
+        { name: 'Christmas Day', date: '12-25', observed: 'sunday' },
+    ],
+    BR: [
+        { name: 'Confraternização Universal', date: '01-01' },
+        { name: 'Carnaval', easter: -48, days: 2 },
+        { name: 'Sexta-feira Santa', easter: -2 },
+        { name: 'Tiradentes', date: '04-21' },
+        { name: 'Dia do Trabalho', date: '05-01' },
+        { name: 'Corpus Christi', easter: 60 },
+        { name: 'Independência', date: '09-07' },
+        { name: 'Nossa Senhora Aparecida', date: '10-12' },
+        { name: 'Finados', date: '11-02' },
+        { name: 'Proclamação da República', date: '11-15' },
+        { name: 'Consciência Negra', date: '11-20', since: 2024 },
+        { name: 'Natal', date: '12-25' },
+    ],
+    MX: [
+        { name: 'Año Nuevo', date: '01-01' },
+        { name: 'Día de la Constitución', nth: [2, 1, 1] },
+        { name: 'Natalicio de Benito Juárez', nth: [3, 1, 3] },
+        { name: 'Día del Trabajo', date: '05-01' },
+        { name: 'Día de la Independencia', date: '09-16' },
+        { name: 'Día de la Revolución', nth: [11, 1, 3] },
+        { name: 'Navidad', date: '12-25' },
+    ],
+    AE: [
+        { name: "New Year's Day", date: '01-01' },
+        { name: 'Eid al-Fitr', dates: EID_AL_FITR, days: 3 },
+        { name: 'Arafat Day', dates: ARAFAT_DAY },
+        { name: 'Eid al-Adha', dates: EID_AL_ADHA, days: 3 },
+        { name: 'Islamic New Year', dates: ISLAMIC_NEW_YEAR },
+        { name: "Prophet Muhammad's Birthday", dates: PROPHETS_BIRTHDAY },
+        { name: 'Commemoration Day', date: '12-01' },
+        { name: 'National Day', date: '12-02', days: 2 },
+    ],
+    SA: [
+        { name: 'Founding Day', date: '02-22', since: 2022 },
+        { name: 'Eid al-Fitr', dates: EID_AL_FITR, days: 4 },
+        { name: 'Arafat Day and Eid al-Adha', dates: ARAFAT_DAY, days: 4 },
+        { name: 'National Day', date: '09-23' },
+    ],
+    IL: [
+        { name: 'Pesach', passover: 0 },
+        { name: 'Pesach (seventh day)', passover: 6 },
+        { name: "Yom Ha'atzmaut", dates: YOM_HAATZMAUT },
+        { name: 'Shavuot', passover: 50 },
+        { name: 'Rosh Hashanah', passover: 163, days: 2 },
+        { name: 'Yom Kippur', passover: 172 },
+        { name: 'Sukkot', passover: 177 },
+        { name: 'Simchat Torah', passover: 184 },
+    ],
+}
+
+// first day of Passover (15 Nisan); the other Jewish holidays follow at fixed distances
+export const PASSOVER = { 2025: '04-13', 2026: '04-02', 2027: '04-22', 2028: '04-11' }
@@ -0,0 +1,2155 @@
+/**
+ * messages.js
+ *
+ * UI text per language, read by utils/i18n.js (useLocale().t).
+ *
+ * Format:
+ * - Keys are dotted ids grouped by component: 'zone.pin', 'meeting.export'.
+ * - {name} is replaced with a parameter; numbers come out in the locale's digits.
+ * - Plurals: 'key.one', 'key.two', 'key.few', 'key.many', 'key.other' (categories of
+ *   Intl.PluralRules for that language); 'key.other' is the fallback.
+ * - English is complete; a key missing from another language shows the English text.
+ * - Time phrases typed into the converter are parsed in English only (utils/timeQuery.js).
+ */
+
+const en = {
+    'app.title': 'World Clock for Remote Workers',
+    'app.subtitle': 'A modern, beginner-friendly world-clock dashboard designed for people working remotely across global teams.',
+    'app.share': '🔗 Share view',
+    'app.linkCopied': '✓ Link copied',
+    'app.shareTitle': 'Copy a link to this view (pins, filters, hours, theme, meeting)',
+    'app.lightMode': '☀️ Light Mode',
+    'app.darkMode': '🌙 Dark Mode',
+    'app.localTime': 'Your Local Time — {zone}',
+    'app.localHint': 'Reference time. Adjust working hours and search for zones below.',
+    'app.planMeeting': '👥 Plan a meeting with {team}',
+    'app.defaultHours': 'Default working hours',
+    'app.collapseSameRules': 'Group zones that keep the same time',
+    'app.footer': 'Teams (pinned zones and members) and working hours persist to localStorage; the current view is also kept in the URL. Uses browser Intl API for accurate offsets & DST.',
+
+    'continent.All': 'All',
+    'continent.Africa': 'Africa',
+    'continent.Antarctica': 'Antarctica',
+    'continent.Asia': 'Asia',
+    'continent.Arctic': 'Arctic',
+    'continent.Atlantic': 'Atlantic',
+    'continent.Indian Ocean': 'Indian Ocean',
+    'continent.Oceania': 'Oceania',
+    'continent.Europe': 'Europe',
+    'continent.North America': 'North America',
+    'continent.South America': 'South America',
+    'country.all': 'All countries',
+    'country.label': 'Country',
+
+    'common.close': 'Close',
+    'common.remove': 'Remove {name}',
+    'common.reset': 'Reset',
+    'common.you': '{name} (you)',
+
+    'locale.label': 'Language & format',
+    'locale.language': 'Language',
+    'locale.auto': 'Browser language',
+    'locale.hourCycle': 'Hours',
+    'locale.hourCycle.auto': '12/24 h: language default',
+    'locale.hourCycle.h12': '12-hour times',
+    'locale.hourCycle.h23': '24-hour times',
+    'locale.digits': 'Digits',
+    'locale.digits.auto': 'Digits: language default',
+
+    'clock.display': 'Clock display',
+    'clock.style': 'style',
+    'clock.analog': 'Analog',
+    'clock.digital': 'Digital only',
+    'clock.dial': 'dial',
+    'clock.dial12': '12-hour dial',
+    'clock.dial24': '24-hour dial',
+    'clock.numerals': 'numerals',
+    'clock.allNumerals': 'All numerals',
+    'clock.secondHand': 'second hand',
+    'clock.ticking': 'Ticking seconds',
+    'clock.smooth': 'Smooth seconds',
+    'clock.noSecondHand': 'No second hand',
+    'clock.minuteTicks': 'Minute ticks',
+
+    'search.label': 'Search timezones',
+    'search.short': 'Search timezones...',
+    'search.placeholder': 'Search by city, country, code, abbreviation or offset (e.g. Bangalore, India, PST, UTC+5:30)',
+    'search.clear': 'Clear',
+    'search.kind.zone': 'Zone',
+    'search.kind.city': 'City',
+    'search.kind.country': 'Country',
+    'search.kind.code': 'ISO code',
+    'search.kind.abbr': 'Abbreviation',
+    'search.kind.offset': 'Offset',
+    'search.zones.one': '{count} zone',
+    'search.zones.other': '{count} zones',
+
+    'converter.label': 'Convert a time',
+    'converter.placeholder': 'Convert a time: "3pm London", "tomorrow 09:30 in Tokyo", "14:00 PST"',
+    'converter.heading': '{time} in {place}',
+    'converter.days.one': '{count} day',
+    'converter.days.other': '{count} days',
+    'converter.copy': '📋 Copy as text',
+    'converter.copied': '✓ Copied',
+    'converter.error.invalidDate': 'That date does not exist.',
+    'converter.error.missingTime': 'Add a time, e.g. "3pm London" or "14:00 PST".',
+    'converter.error.unknownPlace': 'No place called "{place}" was found.',
+    'converter.skippedTime': '{time} does not exist that day in {zone} (clocks spring forward); showing the moment right after the change.',
+
+    'travel.label': '⏱ Time travel',
+    'travel.pickerIn': 'Date and time in {zone}',
+    'travel.slider': 'Scrub time (±7 days)',
+    'travel.backToLive': '● Back to live',
+    'travel.live': 'Live',
+
+    'time.inHours.one': 'in {count} hour',
+    'time.inHours.other': 'in {count} hours',
+    'time.inDays.one': 'in {count} day',
+    'time.inDays.other': 'in {count} days',
+    'time.tomorrow': 'tomorrow',
+
+    'zone.pin': 'Pin zone',
+    'zone.clockFor': 'Clock display for {zone}',
+    'zone.clockOwn': 'Clock display (own setting)',
+    'zone.clockGlobal': 'Clock display (global setting)',
+    'zone.clockLabel': 'Clock for {zone}',
+    'zone.useGlobal': 'Use global setting',
+    'zone.polarDay': '☀ Polar day: the sun stays up today',
+    'zone.polarNight': '🌑 Polar night: no sunrise today',
+    'zone.dst.back': '↩ Clocks go back {when}',
+    'zone.dst.forward': '↪ Clocks go forward {when}',
+    'zone.holiday': '🎉 Public holiday today: {name}',
+    'zone.holidayTitle': 'Public holiday today: counted as a day off in the meeting planner',
+    'holiday.observed': '{name} (observed)',
+    'zone.default': '(default)',
+    'zone.hoursIn': 'Working hours in {zone}',
+    'zone.daysIn': 'Working days in {zone}',
+    'zone.quickOverlap': 'Quick 3h overlap with {name}',
+    'zone.yourZone': 'your timezone',
+    'zone.moreCities.one': '+{count} more city',
+    'zone.moreCities.other': '+{count} more cities',
+    'zone.fewerCities.one': 'Hide {count} city',
+    'zone.fewerCities.other': 'Hide {count} cities',
+    'zone.rename': 'Rename {zone}',
+    'zone.labelPlaceholder': 'Label, e.g. HQ',
+    'zone.move': 'Move {zone}: position {position} of {total}',
+    'zone.moveHint': 'Drag to reorder, or use the arrow keys',
+
+    'workHours.label': 'Working hours',
+    'workHours.title': 'Minute-precision intervals, comma separated (e.g. 09:30-13:00, 14:00-18:30)',
+    'workDays.label': 'Working days',
+    'workDays.none': 'No days',
+    'workDays.every': 'Every day',
+    'workDays.range': '{from}–{to}',
+
+    'team.title': 'Teams',
+    'team.hint': 'Each team keeps its own pinned zones and members. Switching teams changes the pinned section and the meeting planner.',
+    'team.active': 'Active team',
+    'team.option': '{name} ({zones} zones, {people} people)',
+    'team.name': 'Team name',
+    'team.delete': 'Delete',
+    'team.deleteNamed': 'Delete {name}',
+    'team.confirmDelete': 'Delete "{name}" with its pinned zones and members?',
+    'team.newPlaceholder': 'New team (e.g. Client: Acme)',
+    'team.newName': 'New team name',
+    'team.add': 'Add team',
+    'team.export': '⬇ Export JSON',
+    'team.import': '⬆ Import JSON',
+    'team.imported.one': 'Imported {count} team from {file}.',
+    'team.imported.other': 'Imported {count} teams from {file}.',
+    'team.importError.invalidJson': 'This file is not valid JSON.',
+    'team.importError.noZones': 'No time zones found in this file.',
+    'team.importError.notTeamsFile': 'This is not a World Clock teams file.',
+    'team.importError.newerVersion': 'This file was made by a newer version of the app (v{version}).',
+    'team.importError.noTeams': 'No teams found in this file.',
+
+    'people.title': 'People',
+    'people.membersOf': 'Members of {team}',
+    'people.hint': 'Give teammates their own working hours. They can be added to the meeting planner.',
+    'people.name': 'Name',
+    'people.zone': 'Timezone',
+    'people.hoursFor': 'Working hours for {name}',
+    'people.namePlaceholder': 'Name (e.g. Priya)',
+    'people.newName': 'New person name',
+    'people.newZone': 'New person timezone',
+    'people.add': 'Add person',
+
+    'meeting.title.one': 'Meeting planner — {count} participant',
+    'meeting.title.other': 'Meeting planner — {count} participants',
+    'meeting.hoursTitle': 'Working hours {hours}',
+    'meeting.add': 'Add participant',
+    'meeting.addOption': '+ Add participant…',
+    'meeting.people': 'People',
+    'meeting.zones': 'Zones',
+    'meeting.unnamed': 'Unnamed',
+    'meeting.horizon.one': 'this UTC day',
+    'meeting.horizon.other': 'the next {count} UTC days',
+    'meeting.needTwo': 'Add at least two zones to look for an overlap.',
+    'meeting.full3h': 'There is at least one full 3-hour overlap in {horizon} where everyone is working. Earliest start:',
+    'meeting.shortOverlap': 'Everyone overlaps, but for less than 3 hours at a time in {horizon}. Earliest start:',
+    'meeting.bestOption': 'No slot in {horizon} where everyone is inside working hours. Best option: {best} of {total} available.',
+    'meeting.nobody': 'Nobody is inside working hours in {horizon}.',
+    'meeting.dstHeading': '⚠️ Clock changes ahead',
+    'meeting.gapChange': 'From {from}, {a} will be {after} {b} (now {before}).',
+    'meeting.gapChangeUntil': 'From {from} until {until}, {a} will be {after} {b} (now {before}).',
+    'meeting.gap.same': 'the same time as',
+    'meeting.gap.ahead': '{duration} ahead of',
+    'meeting.gap.behind': '{duration} behind',
+    'meeting.morePairs.one': '…and {count} more pair. Recurring meetings may need a new time.',
+    'meeting.morePairs.other': '…and {count} more pairs. Recurring meetings may need a new time.',
+    'meeting.start': 'Start ({label}): {time}',
+    'meeting.useSuggested': 'Use suggested start',
+    'meeting.show': 'Show',
+    'meeting.daysToShow': 'Days to show',
+    'meeting.days.one': '{count} day',
+    'meeting.days.other': '{count} days',
+    'meeting.icsImport': 'Import busy times from .ics files (or drop them on this row)',
+    'meeting.holiday': '🎉 Public holiday: {names}',
+    'meeting.everyoneFree': '{duration} everyone free',
+    'meeting.noOverlap': 'no full overlap',
+    'meeting.slotLocal': '{time} local',
+    'meeting.dayOff': 'day off',
+    'meeting.busy': 'busy',
+    'meeting.available': '{available}/{total} available',
+    'meeting.export': 'Export as calendar invite',
+    'meeting.defaultTitle': 'Team meeting',
+    'meeting.titleLabel': 'Meeting title',
+    'meeting.duration': 'Meeting duration',
+    'meeting.download': '📅 Download .ics',
+    'meeting.suggested': 'suggested',
+    'meeting.clickToChange': 'click any slot above to change the start',
+    'meeting.clickToChoose': 'Click any slot above to choose a start time.',
+
+    'legend.working': 'working',
+    'legend.busy': 'busy',
+    'legend.off': 'day off or public holiday',
+    'legend.everyone': 'everyone free',
+    'legend.best': 'most available',
+
+    'rotation.title': '🔁 Recurring meeting with a fair rotation',
+    'rotation.cadence': 'Cadence',
+    'rotation.every.one': 'Weekly',
+    'rotation.every.other': 'Every {count} weeks',
+    'rotation.on': 'on',
+    'rotation.weekday': 'Weekday',
+    'rotation.count': 'Number of meetings',
+    'rotation.meetings.one': '{count} meeting',
+    'rotation.meetings.other': '{count} meetings',
+    'rotation.each': '{duration} each, days in {zone}',
+    'rotation.needTwo': 'Add at least two participants to plan a rotation.',
+    'rotation.date': 'Date',
+    'rotation.points': '{points} points',
+    'rotation.pts': '{points} pts',
+    'rotation.inconvenience': 'Inconvenience',
+    'rotation.tally': '{outside} out of hours • {night} at night',
+    'rotation.legend.ok': 'in working hours',
+    'rotation.legend.outside': 'outside hours (1 pt/h)',
+    'rotation.legend.night': '22:00–07:00 (3 pts/h)',
+    'rotation.download.one': '📅 Download .ics ({count} meeting)',
+    'rotation.download.other': '📅 Download .ics ({count} meetings)',
+
+    'sync.signIn': '☁️ Sign in to sync',
+    'sync.hint': 'Sync teams, pinned zones and working hours between your devices',
+    'sync.signOut': 'Sign out',
+    'sync.status.synced': 'Synced',
+    'sync.status.syncing': 'Syncing…',
+    'sync.status.offline': 'Offline — saved on this device',
+    'sync.status.error': 'Sync failed — saved on this device',
+    'sync.conflicts.one': '{count} edit also changed on another device',
+    'sync.conflicts.other': '{count} edits also changed on another device',
+    'sync.conflictsHint': 'The last device to save kept its version. Click to dismiss.',
+    'reminder.for': 'Reminders for {zone}',
+    'reminder.none': 'No reminders for this zone yet.',
+    'reminder.time': '{time} here on {days}',
+    'reminder.overlapEnd': '{duration} before your overlap with {place} ends',
+    'reminder.next': 'next: {when}',
+    'reminder.kind': 'Reminder type',
+    'reminder.kind.time': 'At a time here',
+    'reminder.kind.overlapEnd': 'Before the overlap ends',
+    'reminder.timeIn': 'Time in {zone}',
+    'reminder.minutesBefore': 'Minutes before the overlap ends',
+    'reminder.daysIn': 'Days in {zone}',
+    'reminder.add': 'Add reminder',
+    'reminder.denied': 'Notifications are blocked for this site. Allow them in your browser to get reminders.',
+    'reminder.unsupported': 'This browser cannot show notifications.',
+    'reminder.notify.time': 'It’s {time} in {place}',
+    'reminder.notify.overlapEnd': 'Your overlap with {place} ends in {duration}',
+    'reminder.notify.body': '{time} your time',
+}
+
+const es = {
+    'app.title': 'Reloj mundial para equipos remotos',
+    'app.subtitle': 'Un panel de relojes mundiales moderno y sencillo para quienes trabajan en remoto con equipos de todo el mundo.',
+    'app.share': '🔗 Compartir vista',
+    'app.linkCopied': '✓ Enlace copiado',
+    'app.shareTitle': 'Copiar un enlace a esta vista (zonas fijadas, filtros, horario, tema, reunión)',
+    'app.lightMode': '☀️ Modo claro',
+    'app.darkMode': '🌙 Modo oscuro',
+    'app.localTime': 'Tu hora local — {zone}',
+    'app.localHint': 'Hora de referencia. Ajusta el horario laboral y busca zonas abajo.',
+    'app.planMeeting': '👥 Planificar una reunión con {team}',
+    'app.defaultHours': 'Horario laboral predeterminado',
+    'app.collapseSameRules': 'Agrupar zonas que marcan la misma hora',
+    'app.footer': 'Los equipos (zonas fijadas y miembros) y los horarios se guardan en localStorage; la vista actual también se guarda en la URL. Usa la API Intl del navegador para desfases y horario de verano exactos.',
+
+    'continent.All': 'Todas',
+    'continent.Africa': 'África',
+    'continent.Antarctica': 'Antártida',
+    'continent.Asia': 'Asia',
+    'continent.Arctic': 'Ártico',
+    'continent.Atlantic': 'Atlántico',
+    'continent.Indian Ocean': 'Océano Índico',
+    'continent.Oceania': 'Oceanía',
+    'continent.Europe': 'Europa',
+    'continent.North America': 'América del Norte',
+    'continent.South America': 'América del Sur',
+    'country.all': 'Todos los países',
+    'country.label': 'País',
+
+    'common.close': 'Cerrar',
+    'common.remove': 'Quitar {name}',
+    'common.reset': 'Restablecer',
+    'common.you': '{name} (tú)',
+
+    'locale.label': 'Idioma y formato',
+    'locale.language': 'Idioma',
+    'locale.auto': 'Idioma del navegador',
+    'locale.hourCycle': 'Horas',
+    'locale.hourCycle.auto': '12/24 h: según el idioma',
+    'locale.hourCycle.h12': 'Formato de 12 horas',
+    'locale.hourCycle.h23': 'Formato de 24 horas',
+    'locale.digits': 'Dígitos',
+    'locale.digits.auto': 'Dígitos: según el idioma',
+
+    'clock.display': 'Visualización del reloj',
+    'clock.style': 'estilo',
+    'clock.analog': 'Analógico',
+    'clock.digital': 'Solo digital',
+    'clock.dial': 'esfera',
+    'clock.dial12': 'Esfera de 12 horas',
+    'clock.dial24': 'Esfera de 24 horas',
+    'clock.numerals': 'números',
+    'clock.allNumerals': 'Todos los números',
+    'clock.secondHand': 'segundero',
+    'clock.ticking': 'Segundero a saltos',
+    'clock.smooth': 'Segundero continuo',
+    'clock.noSecondHand': 'Sin segundero',
+    'clock.minuteTicks': 'Marcas de minutos',
+
+    'search.label': 'Buscar zonas horarias',
+    'search.short': 'Buscar zonas horarias...',
+    'search.placeholder': 'Busca por ciudad, país, código, abreviatura o desfase (p. ej. Bangalore, India, PST, UTC+5:30)',
+    'search.clear': 'Borrar',
+    'search.kind.zone': 'Zona',
+    'search.kind.city': 'Ciudad',
+    'search.kind.country': 'País',
+    'search.kind.code': 'Código ISO',
+    'search.kind.abbr': 'Abreviatura',
+    'search.kind.offset': 'Desfase',
+    'search.zones.one': '{count} zona',
+    'search.zones.other': '{count} zonas',
+
+    'converter.label': 'Convertir una hora',
+    'converter.placeholder': 'Convertir una hora (en inglés): "3pm London", "tomorrow 09:30 in Tokyo", "14:00 PST"',
+    'converter.heading': '{time} en {place}',
+    'converter.days.one': '{count} día',
+    'converter.days.other': '{count} días',
+    'converter.copy': '📋 Copiar como texto',
+    'converter.copied': '✓ Copiado',
+    'converter.error.invalidDate': 'Esa fecha no existe.',
+    'converter.error.missingTime': 'Añade una hora, p. ej. "3pm London" o "14:00 PST".',
+    'converter.error.unknownPlace': 'No se encontró ningún lugar llamado "{place}".',
+    'converter.skippedTime': 'Las {time} no existen ese día en {zone} (se adelantan los relojes); se muestra el momento justo después del cambio.',
+
+    'travel.label': '⏱ Viaje en el tiempo',
+    'travel.pickerIn': 'Fecha y hora en {zone}',
+    'travel.slider': 'Desplazar la hora (±7 días)',
+    'travel.backToLive': '● Volver a la hora actual',
+    'travel.live': 'En directo',
+
+    'time.inHours.one': 'en {count} hora',
+    'time.inHours.other': 'en {count} horas',
+    'time.inDays.one': 'en {count} día',
+    'time.inDays.other': 'en {count} días',
+    'time.tomorrow': 'mañana',
+
+    'zone.pin': 'Fijar zona',
+    'zone.clockFor': 'Visualización del reloj de {zone}',
+    'zone.clockOwn': 'Visualización del reloj (ajuste propio)',
+    'zone.clockGlobal': 'Visualización del reloj (ajuste general)',
+    'zone.clockLabel': 'Reloj de {zone}',
+    'zone.useGlobal': 'Usar el ajuste general',
+    'zone.polarDay': '☀ Día polar: hoy el sol no se pone',
+    'zone.polarNight': '🌑 Noche polar: hoy no sale el sol',
+    'zone.dst.back': '↩ Los relojes se atrasan {when}',
+    'zone.dst.forward': '↪ Los relojes se adelantan {when}',
+    'zone.holiday': '🎉 Hoy es festivo: {name}',
+    'zone.holidayTitle': 'Festivo hoy: cuenta como día libre en el planificador de reuniones',
+    'holiday.observed': '{name} (trasladado)',
+    'zone.default': '(predeterminado)',
+    'zone.hoursIn': 'Horario laboral en {zone}',
+    'zone.daysIn': 'Días laborables en {zone}',
+    'zone.quickOverlap': 'Solapamiento rápido de 3 h con {name}',
+    'zone.yourZone': 'tu zona horaria',
+    'zone.moreCities.one': '+{count} ciudad más',
+    'zone.moreCities.other': '+{count} ciudades más',
+    'zone.fewerCities.one': 'Ocultar {count} ciudad',
+    'zone.fewerCities.other': 'Ocultar {count} ciudades',
+    'zone.rename': 'Renombrar {zone}',
+    'zone.labelPlaceholder': 'Etiqueta, p. ej. Oficina central',
+    'zone.move': 'Mover {zone}: posición {position} de {total}',
+    'zone.moveHint': 'Arrastra para reordenar o usa las flechas del teclado',
+
+    'workHours.label': 'Horario laboral',
+    'workHours.title': 'Intervalos con precisión de minutos, separados por comas (p. ej. 09:30-13:00, 14:00-18:30)',
+    'workDays.label': 'Días laborables',
+    'workDays.none': 'Ningún día',
+    'workDays.every': 'Todos los días',
+    'workDays.range': '{from}–{to}',
+
+    'team.title': 'Equipos',
+    'team.hint': 'Cada equipo tiene sus propias zonas fijadas y miembros. Al cambiar de equipo cambian la sección de zonas fijadas y el planificador de reuniones.',
+    'team.active': 'Equipo activo',
+    'team.option': '{name} ({zones} zonas, {people} personas)',
+    'team.name': 'Nombre del equipo',
+    'team.delete': 'Eliminar',
+    'team.deleteNamed': 'Eliminar {name}',
+    'team.confirmDelete': '¿Eliminar «{name}» con sus zonas fijadas y miembros?',
+    'team.newPlaceholder': 'Nuevo equipo (p. ej. Cliente: Acme)',
+    'team.newName': 'Nombre del nuevo equipo',
+    'team.add': 'Añadir equipo',
+    'team.export': '⬇ Exportar JSON',
+    'team.import': '⬆ Importar JSON',
+    'team.imported.one': 'Se importó {count} equipo de {file}.',
+    'team.imported.other': 'Se importaron {count} equipos de {file}.',
+    'team.importError.invalidJson': 'Este archivo no es un JSON válido.',
+    'team.importError.noZones': 'No se encontraron zonas horarias en este archivo.',
+    'team.importError.notTeamsFile': 'Este no es un archivo de equipos de World Clock.',
+    'team.importError.newerVersion': 'Este archivo se creó con una versión más reciente de la app (v{version}).',
+    'team.importError.noTeams': 'No se encontraron equipos en este archivo.',
+
+    'people.title': 'Personas',
+    'people.membersOf': 'Miembros de {team}',
+    'people.hint': 'Asigna a cada compañero su propio horario laboral. Se pueden añadir al planificador de reuniones.',
+    'people.name': 'Nombre',
+    'people.zone': 'Zona horaria',
+    'people.hoursFor': 'Horario laboral de {name}',
+    'people.namePlaceholder': 'Nombre (p. ej. Priya)',
+    'people.newName': 'Nombre de la nueva persona',
+    'people.newZone': 'Zona horaria de la nueva persona',
+    'people.add': 'Añadir persona',
+
+    'meeting.title.one': 'Planificador de reuniones — {count} participante',
+    'meeting.title.other': 'Planificador de reuniones — {count} participantes',
+    'meeting.hoursTitle': 'Horario laboral {hours}',
+    'meeting.add': 'Añadir participante',
+    'meeting.addOption': '+ Añadir participante…',
+    'meeting.people': 'Personas',
+    'meeting.zones': 'Zonas',
+    'meeting.unnamed': 'Sin nombre',
+    'meeting.horizon.one': 'este día UTC',
+    'meeting.horizon.other': 'los próximos {count} días UTC',
+    'meeting.needTwo': 'Añade al menos dos zonas para buscar un solapamiento.',
+    'meeting.full3h': 'Hay al menos un solapamiento completo de 3 horas en {horizon} en el que todos trabajan. Primer inicio posible:',
+    'meeting.shortOverlap': 'Todos coinciden, pero menos de 3 horas seguidas en {horizon}. Primer inicio posible:',
+    'meeting.bestOption': 'No hay ninguna franja en {horizon} en la que todos estén en horario laboral. Mejor opción: {best} de {total} disponibles.',
+    'meeting.nobody': 'Nadie está en horario laboral en {horizon}.',
+    'meeting.dstHeading': '⚠️ Próximos cambios de hora',
+    'meeting.gapChange': 'A partir del {from}, {a} irá {after} {b} (ahora {before}).',
+    'meeting.gapChangeUntil': 'Del {from} al {until}, {a} irá {after} {b} (ahora {before}).',
+    'meeting.gap.same': 'a la misma hora que',
+    'meeting.gap.ahead': '{duration} por delante de',
+    'meeting.gap.behind': '{duration} por detrás de',
+    'meeting.morePairs.one': '…y {count} pareja más. Puede que las reuniones periódicas necesiten otra hora.',
+    'meeting.morePairs.other': '…y {count} parejas más. Puede que las reuniones periódicas necesiten otra hora.',
+    'meeting.start': 'Inicio ({label}): {time}',
+    'meeting.useSuggested': 'Usar el inicio sugerido',
+    'meeting.show': 'Mostrar',
+    'meeting.daysToShow': 'Días que mostrar',
+    'meeting.days.one': '{count} día',
+    'meeting.days.other': '{count} días',
+    'meeting.icsImport': 'Importar horas ocupadas desde archivos .ics (o soltarlos en esta fila)',
+    'meeting.holiday': '🎉 Festivo: {names}',
+    'meeting.everyoneFree': '{duration} todos libres',
+    'meeting.noOverlap': 'sin solapamiento completo',
+    'meeting.slotLocal': '{time} hora local',
+    'meeting.dayOff': 'día libre',
+    'meeting.busy': 'ocupado',
+    'meeting.available': '{available}/{total} disponibles',
+    'meeting.export': 'Exportar como invitación de calendario',
+    'meeting.defaultTitle': 'Reunión de equipo',
+    'meeting.titleLabel': 'Título de la reunión',
+    'meeting.duration': 'Duración de la reunión',
+    'meeting.download': '📅 Descargar .ics',
+    'meeting.suggested': 'sugerido',
+    'meeting.clickToChange': 'haz clic en una franja de arriba para cambiar el inicio',
+    'meeting.clickToChoose': 'Haz clic en una franja de arriba para elegir la hora de inicio.',
+
+    'legend.working': 'trabajando',
+    'legend.busy': 'ocupado',
+    'legend.off': 'día libre o festivo',
+    'legend.everyone': 'todos libres',
+    'legend.best': 'máxima disponibilidad',
+
+    'rotation.title': '🔁 Reunión periódica con rotación justa',
+    'rotation.cadence': 'Frecuencia',
+    'rotation.every.one': 'Cada semana',
+    'rotation.every.other': 'Cada {count} semanas',
+    'rotation.on': 'el',
+    'rotation.weekday': 'Día de la semana',
+    'rotation.count': 'Número de reuniones',
+    'rotation.meetings.one': '{count} reunión',
+    'rotation.meetings.other': '{count} reuniones',
+    'rotation.each': '{duration} cada una, días según {zone}',
+    'rotation.needTwo': 'Añade al menos dos participantes para planificar una rotación.',
+    'rotation.date': 'Fecha',
+    'rotation.points': '{points} puntos',
+    'rotation.pts': '{points} pts',
+    'rotation.inconvenience': 'Molestia',
+    'rotation.tally': '{outside} fuera de horario • {night} de noche',
+    'rotation.legend.ok': 'en horario laboral',
+    'rotation.legend.outside': 'fuera de horario (1 pt/h)',
+    'rotation.legend.night': '22:00–07:00 (3 pts/h)',
+    'rotation.download.one': '📅 Descargar .ics ({count} reunión)',
+    'rotation.download.other': '📅 Descargar .ics ({count} reuniones)',
+
+    'sync.signIn': '☁️ Iniciar sesión para sincronizar',
+    'sync.hint': 'Sincroniza equipos, zonas fijadas y horarios entre tus dispositivos',
+    'sync.signOut': 'Cerrar sesión',
+    'sync.status.synced': 'Sincronizado',
+    'sync.status.syncing': 'Sincronizando…',
+    'sync.status.offline': 'Sin conexión — guardado en este dispositivo',
+    'sync.status.error': 'Error de sincronización — guardado en este dispositivo',
+    'sync.conflicts.one': '{count} cambio también se hizo en otro dispositivo',
+    'sync.conflicts.other': '{count} cambios también se hicieron en otro dispositivo',
+    'sync.conflictsHint': 'Se conservó la versión del último dispositivo que guardó. Haz clic para descartar.',
+    'reminder.for': 'Recordatorios para {zone}',
+    'reminder.none': 'Aún no hay recordatorios para esta zona.',
+    'reminder.time': '{time} aquí, {days}',
+    'reminder.overlapEnd': '{duration} antes de que termine tu solapamiento con {place}',
+    'reminder.next': 'próximo: {when}',
+    'reminder.kind': 'Tipo de recordatorio',
+    'reminder.kind.time': 'A una hora de aquí',
+    'reminder.kind.overlapEnd': 'Antes de que termine el solapamiento',
+    'reminder.timeIn': 'Hora en {zone}',
+    'reminder.minutesBefore': 'Minutos antes de que termine el solapamiento',
+    'reminder.daysIn': 'Días en {zone}',
+    'reminder.add': 'Añadir recordatorio',
+    'reminder.denied': 'Las notificaciones están bloqueadas para este sitio. Permítelas en el navegador para recibir recordatorios.',
+    'reminder.unsupported': 'Este navegador no puede mostrar notificaciones.',
+    'reminder.notify.time': 'Son las {time} en {place}',
+    'reminder.notify.overlapEnd': 'Tu solapamiento con {place} termina en {duration}',
+    'reminder.notify.body': '{time} en tu hora',
+}
+
+const fr = {
+    'app.title': 'Horloge mondiale pour le télétravail',
+    'app.subtitle': 'Un tableau de bord d’horloges mondiales moderne et simple, pensé pour les personnes qui travaillent à distance avec des équipes du monde entier.',
+    'app.share': '🔗 Partager la vue',
+    'app.linkCopied': '✓ Lien copié',
+    'app.shareTitle': 'Copier un lien vers cette vue (zones épinglées, filtres, horaires, thème, réunion)',
+    'app.lightMode': '☀️ Mode clair',
+    'app.darkMode': '🌙 Mode sombre',
+    'app.localTime': 'Votre heure locale — {zone}',
+    'app.localHint': 'Heure de référence. Réglez les horaires de travail et cherchez des fuseaux ci-dessous.',
+    'app.planMeeting': '👥 Planifier une réunion avec {team}',
+    'app.defaultHours': 'Horaires de travail par défaut',
+    'app.collapseSameRules': 'Regrouper les fuseaux qui ont la même heure',
+    'app.footer': 'Les équipes (zones épinglées et membres) et les horaires sont enregistrés dans localStorage ; la vue actuelle est aussi conservée dans l’URL. Utilise l’API Intl du navigateur pour des décalages et changements d’heure exacts.',
+
+    'continent.All': 'Tous',
+    'continent.Africa': 'Afrique',
+    'continent.Antarctica': 'Antarctique',
+    'continent.Asia': 'Asie',
+    'continent.Arctic': 'Arctique',
+    'continent.Atlantic': 'Atlantique',
+    'continent.Indian Ocean': 'Océan Indien',
+    'continent.Oceania': 'Océanie',
+    'continent.Europe': 'Europe',
+    'continent.North America': 'Amérique du Nord',
+    'continent.South America': 'Amérique du Sud',
+    'country.all': 'Tous les pays',
+    'country.label': 'Pays',
+
+    'common.close': 'Fermer',
+    'common.remove': 'Retirer {name}',
+    'common.reset': 'Réinitialiser',
+    'common.you': '{name} (vous)',
+
+    'locale.label': 'Langue et format',
+    'locale.language': 'Langue',
+    'locale.auto': 'Langue du navigateur',
+    'locale.hourCycle': 'Heures',
+    'locale.hourCycle.auto': '12/24 h : selon la langue',
+    'locale.hourCycle.h12': 'Format 12 heures',
+    'locale.hourCycle.h23': 'Format 24 heures',
+    'locale.digits': 'Chiffres',
+    'locale.digits.auto': 'Chiffres : selon la langue',
+
+    'clock.display': 'Affichage de l’horloge',
+    'clock.style': 'style',
+    'clock.analog': 'Analogique',
+    'clock.digital': 'Numérique uniquement',
+    'clock.dial': 'cadran',
+    'clock.dial12': 'Cadran 12 heures',
+    'clock.dial24': 'Cadran 24 heures',
+    'clock.numerals': 'chiffres',
+    'clock.allNumerals': 'Tous les chiffres',
+    'clock.secondHand': 'trotteuse',
+    'clock.ticking': 'Trotteuse saccadée',
+    'clock.smooth': 'Trotteuse continue',
+    'clock.noSecondHand': 'Sans trotteuse',
+    'clock.minuteTicks': 'Repères des minutes',
+
+    'search.label': 'Rechercher des fuseaux horaires',
+    'search.short': 'Rechercher des fuseaux horaires...',
+    'search.placeholder': 'Recherchez par ville, pays, code, abréviation ou décalage (ex. Bangalore, Inde, PST, UTC+5:30)',
+    'search.clear': 'Effacer',
+    'search.kind.zone': 'Fuseau',
+    'search.kind.city': 'Ville',
+    'search.kind.country': 'Pays',
+    'search.kind.code': 'Code ISO',
+    'search.kind.abbr': 'Abréviation',
+    'search.kind.offset': 'Décalage',
+    'search.zones.one': '{count} fuseau',
+    'search.zones.other': '{count} fuseaux',
+
+    'converter.label': 'Convertir une heure',
+    'converter.placeholder': 'Convertir une heure (en anglais) : "3pm London", "tomorrow 09:30 in Tokyo", "14:00 PST"',
+    'converter.heading': '{time} à {place}',
+    'converter.days.one': '{count} jour',
+    'converter.days.other': '{count} jours',
+    'converter.copy': '📋 Copier en texte',
+    'converter.copied': '✓ Copié',
+    'converter.error.invalidDate': 'Cette date n’existe pas.',
+    'converter.error.missingTime': 'Ajoutez une heure, p. ex. "3pm London" ou "14:00 PST".',
+    'converter.error.unknownPlace': 'Aucun lieu nommé "{place}" n’a été trouvé.',
+    'converter.skippedTime': '{time} n’existe pas ce jour-là à {zone} (passage à l’heure d’été) ; affichage du moment juste après le changement.',
+
+    'travel.label': '⏱ Voyage dans le temps',
+    'travel.pickerIn': 'Date et heure à {zone}',
+    'travel.slider': 'Faire défiler le temps (±7 jours)',
+    'travel.backToLive': '● Revenir à l’heure actuelle',
+    'travel.live': 'En direct',
+
+    'time.inHours.one': 'dans {count} heure',
+    'time.inHours.other': 'dans {count} heures',
+    'time.inDays.one': 'dans {count} jour',
+    'time.inDays.other': 'dans {count} jours',
+    'time.tomorrow': 'demain',
+
+    'zone.pin': 'Épingler le fuseau',
+    'zone.clockFor': 'Affichage de l’horloge pour {zone}',
+    'zone.clockOwn': 'Affichage de l’horloge (réglage propre)',
+    'zone.clockGlobal': 'Affichage de l’horloge (réglage général)',
+    'zone.clockLabel': 'Horloge pour {zone}',
+    'zone.useGlobal': 'Utiliser le réglage général',
+    'zone.polarDay': '☀ Jour polaire : le soleil ne se couche pas aujourd’hui',
+    'zone.polarNight': '🌑 Nuit polaire : pas de lever du soleil aujourd’hui',
+    'zone.dst.back': '↩ On recule d’une heure {when}',
+    'zone.dst.forward': '↪ On avance d’une heure {when}',
+    'zone.holiday': '🎉 Jour férié aujourd’hui : {name}',
+    'zone.holidayTitle': 'Jour férié aujourd’hui : compté comme jour de repos dans le planificateur de réunions',
+    'holiday.observed': '{name} (reporté)',
+    'zone.default': '(par défaut)',
+    'zone.hoursIn': 'Horaires de travail à {zone}',
+    'zone.daysIn': 'Jours travaillés à {zone}',
+    'zone.quickOverlap': 'Chevauchement rapide de 3 h avec {name}',
+    'zone.yourZone': 'votre fuseau',
+    'zone.moreCities.one': '+{count} autre ville',
+    'zone.moreCities.other': '+{count} autres villes',
+    'zone.fewerCities.one': 'Masquer {count} ville',
+    'zone.fewerCities.other': 'Masquer {count} villes',
+    'zone.rename': 'Renommer {zone}',
+    'zone.labelPlaceholder': 'Nom, p. ex. Siège',
+    'zone.move': 'Déplacer {zone} : position {position} sur {total}',
+    'zone.moveHint': 'Glissez pour réordonner, ou utilisez les flèches du clavier',
+
+    'workHours.label': 'Horaires de travail',
+    'workHours.title': 'Intervalles à la minute près, séparés par des virgules (ex. 09:30-13:00, 14:00-18:30)',
+    'workDays.label': 'Jours travaillés',
+    'workDays.none': 'Aucun jour',
+    'workDays.every': 'Tous les jours',
+    'workDays.range': '{from}–{to}',
+
+    'team.title': 'Équipes',
+    'team.hint': 'Chaque équipe a ses propres zones épinglées et membres. Changer d’équipe change la section épinglée et le planificateur de réunions.',
+    'team.active': 'Équipe active',
+    'team.option': '{name} ({zones} fuseaux, {people} personnes)',
+    'team.name': 'Nom de l’équipe',
+    'team.delete': 'Supprimer',
+    'team.deleteNamed': 'Supprimer {name}',
+    'team.confirmDelete': 'Supprimer « {name} » avec ses zones épinglées et ses membres ?',
+    'team.newPlaceholder': 'Nouvelle équipe (ex. Client : Acme)',
+    'team.newName': 'Nom de la nouvelle équipe',
+    'team.add': 'Ajouter une équipe',
+    'team.export': '⬇ Exporter en JSON',
+    'team.import': '⬆ Importer du JSON',
+    'team.imported.one': '{count} équipe importée depuis {file}.',
+    'team.imported.other': '{count} équipes importées depuis {file}.',
+    'team.importError.invalidJson': 'Ce fichier n’est pas un JSON valide.',
+    'team.importError.noZones': 'Aucun fuseau horaire trouvé dans ce fichier.',
+    'team.importError.notTeamsFile': 'Ce n’est pas un fichier d’équipes World Clock.',
+    'team.importError.newerVersion': 'Ce fichier a été créé par une version plus récente de l’app (v{version}).',
+    'team.importError.noTeams': 'Aucune équipe trouvée dans ce fichier.',
+
+    'people.title': 'Personnes',
+    'people.membersOf': 'Membres de {team}',
+    'people.hint': 'Donnez à chaque collègue ses propres horaires. Ils peuvent être ajoutés au planificateur de réunions.',
+    'people.name': 'Nom',
+    'people.zone': 'Fuseau horaire',
+    'people.hoursFor': 'Horaires de travail de {name}',
+    'people.namePlaceholder': 'Nom (ex. Priya)',
+    'people.newName': 'Nom de la nouvelle personne',
+    'people.newZone': 'Fuseau de la nouvelle personne',
+    'people.add': 'Ajouter une personne',
+
+    'meeting.title.one': 'Planificateur de réunions — {count} participant',
+    'meeting.title.other': 'Planificateur de réunions — {count} participants',
+    'meeting.hoursTitle': 'Horaires de travail {hours}',
+    'meeting.add': 'Ajouter un participant',
+    'meeting.addOption': '+ Ajouter un participant…',
+    'meeting.people': 'Personnes',
+    'meeting.zones': 'Fuseaux',
+    'meeting.unnamed': 'Sans nom',
+    'meeting.horizon.one': 'ce jour UTC',
+    'meeting.horizon.other': 'les {count} prochains jours UTC',
+    'meeting.needTwo': 'Ajoutez au moins deux fuseaux pour chercher un chevauchement.',
+    'meeting.full3h': 'Il y a au moins un chevauchement complet de 3 heures sur {horizon} pendant lequel tout le monde travaille. Premier début possible :',
+    'meeting.shortOverlap': 'Tout le monde se chevauche, mais moins de 3 heures d’affilée sur {horizon}. Premier début possible :',
+    'meeting.bestOption': 'Aucun créneau sur {horizon} où tout le monde est dans ses horaires. Meilleure option : {best} sur {total} disponibles.',
+    'meeting.nobody': 'Personne n’est dans ses horaires sur {horizon}.',
+    'meeting.dstHeading': '⚠️ Changements d’heure à venir',
+    'meeting.gapChange': 'À partir du {from}, {a} sera {after} {b} (actuellement {before}).',
+    'meeting.gapChangeUntil': 'Du {from} au {until}, {a} sera {after} {b} (actuellement {before}).',
+    'meeting.gap.same': 'à la même heure que',
+    'meeting.gap.ahead': '{duration} en avance sur',
+    'meeting.gap.behind': '{duration} en retard sur',
+    'meeting.morePairs.one': '…et {count} autre paire. Les réunions récurrentes devront peut-être changer d’heure.',
+    'meeting.morePairs.other': '…et {count} autres paires. Les réunions récurrentes devront peut-être changer d’heure.',
+    'meeting.start': 'Début ({label}) : {time}',
+    'meeting.useSuggested': 'Utiliser le début suggéré',
+    'meeting.show': 'Afficher',
+    'meeting.daysToShow': 'Jours à afficher',
+    'meeting.days.one': '{count} jour',
+    'meeting.days.other': '{count} jours',
+    'meeting.icsImport': 'Importer des créneaux occupés depuis des fichiers .ics (ou les déposer sur cette ligne)',
+    'meeting.holiday': '🎉 Jour férié : {names}',
+    'meeting.everyoneFree': '{duration} où tout le monde est libre',
+    'meeting.noOverlap': 'aucun chevauchement complet',
+    'meeting.slotLocal': '{time} heure locale',
+    'meeting.dayOff': 'jour de repos',
+    'meeting.busy': 'occupé',
+    'meeting.available': '{available}/{total} disponibles',
+    'meeting.export': 'Exporter en invitation d’agenda',
+    'meeting.defaultTitle': 'Réunion d’équipe',
+    'meeting.titleLabel': 'Titre de la réunion',
+    'meeting.duration': 'Durée de la réunion',
+    'meeting.download': '📅 Télécharger le .ics',
+    'meeting.suggested': 'suggéré',
+    'meeting.clickToChange': 'cliquez sur un créneau ci-dessus pour changer le début',
+    'meeting.clickToChoose': 'Cliquez sur un créneau ci-dessus pour choisir l’heure de début.',
+
+    'legend.working': 'au travail',
+    'legend.busy': 'occupé',
+    'legend.off': 'jour de repos ou férié',
+    'legend.everyone': 'tout le monde libre',
+    'legend.best': 'le plus de disponibles',
+
+    'rotation.title': '🔁 Réunion récurrente avec une rotation équitable',
+    'rotation.cadence': 'Fréquence',
+    'rotation.every.one': 'Chaque semaine',
+    'rotation.every.other': 'Toutes les {count} semaines',
+    'rotation.on': 'le',
+    'rotation.weekday': 'Jour de la semaine',
+    'rotation.count': 'Nombre de réunions',
+    'rotation.meetings.one': '{count} réunion',
+    'rotation.meetings.other': '{count} réunions',
+    'rotation.each': '{duration} chacune, jours selon {zone}',
+    'rotation.needTwo': 'Ajoutez au moins deux participants pour planifier une rotation.',
+    'rotation.date': 'Date',
+    'rotation.points': '{points} points',
+    'rotation.pts': '{points} pts',
+    'rotation.inconvenience': 'Désagrément',
+    'rotation.tally': '{outside} hors horaires • {night} la nuit',
+    'rotation.legend.ok': 'pendant les horaires',
+    'rotation.legend.outside': 'hors horaires (1 pt/h)',
+    'rotation.legend.night': '22:00–07:00 (3 pts/h)',
+    'rotation.download.one': '📅 Télécharger le .ics ({count} réunion)',
+    'rotation.download.other': '📅 Télécharger le .ics ({count} réunions)',
+
+    'sync.signIn': '☁️ Se connecter pour synchroniser',
+    'sync.hint': 'Synchronisez équipes, zones épinglées et horaires entre vos appareils',
+    'sync.signOut': 'Se déconnecter',
+    'sync.status.synced': 'Synchronisé',
+    'sync.status.syncing': 'Synchronisation…',
+    'sync.status.offline': 'Hors ligne — enregistré sur cet appareil',
+    'sync.status.error': 'Échec de la synchronisation — enregistré sur cet appareil',
+    'sync.conflicts.one': '{count} modification faite aussi sur un autre appareil',
+    'sync.conflicts.other': '{count} modifications faites aussi sur un autre appareil',
+    'sync.conflictsHint': 'Le dernier appareil à enregistrer a gardé sa version. Cliquez pour masquer.',
+    'reminder.for': 'Rappels pour {zone}',
+    'reminder.none': 'Aucun rappel pour ce fuseau pour l’instant.',
+    'reminder.time': '{time} sur place, {days}',
+    'reminder.overlapEnd': '{duration} avant la fin de votre chevauchement avec {place}',
+    'reminder.next': 'prochain : {when}',
+    'reminder.kind': 'Type de rappel',
+    'reminder.kind.time': 'À une heure locale',
+    'reminder.kind.overlapEnd': 'Avant la fin du chevauchement',
+    'reminder.timeIn': 'Heure à {zone}',
+    'reminder.minutesBefore': 'Minutes avant la fin du chevauchement',
+    'reminder.daysIn': 'Jours à {zone}',
+    'reminder.add': 'Ajouter un rappel',
+    'reminder.denied': 'Les notifications sont bloquées pour ce site. Autorisez-les dans le navigateur pour recevoir les rappels.',
+    'reminder.unsupported': 'Ce navigateur ne peut pas afficher de notifications.',
+    'reminder.notify.time': 'Il est {time} à {place}',
+    'reminder.notify.overlapEnd': 'Votre chevauchement avec {place} se termine dans {duration}',
+    'reminder.notify.body': '{time} chez vous',
+}
+
+const de = {
+    'app.title': 'Weltuhr für Remote-Teams',
+    'app.subtitle': 'Ein modernes, einsteigerfreundliches Weltuhr-Dashboard für alle, die remote mit Teams rund um den Globus arbeiten.',
+    'app.share': '🔗 Ansicht teilen',
+    'app.linkCopied': '✓ Link kopiert',
+    'app.shareTitle': 'Link zu dieser Ansicht kopieren (angeheftete Zonen, Filter, Arbeitszeiten, Design, Meeting)',
+    'app.lightMode': '☀️ Heller Modus',
+    'app.darkMode': '🌙 Dunkler Modus',
+    'app.localTime': 'Deine Ortszeit — {zone}',
+    'app.localHint': 'Referenzzeit. Passe unten die Arbeitszeiten an und suche nach Zeitzonen.',
+    'app.planMeeting': '👥 Meeting mit {team} planen',
+    'app.defaultHours': 'Standard-Arbeitszeiten',
+    'app.collapseSameRules': 'Zonen mit gleicher Uhrzeit zusammenfassen',
+    'app.footer': 'Teams (angeheftete Zonen und Mitglieder) und Arbeitszeiten werden im localStorage gespeichert; die aktuelle Ansicht steht auch in der URL. Nutzt die Intl-API des Browsers für genaue Verschiebungen und Sommerzeit.',
+
+    'continent.All': 'Alle',
+    'continent.Africa': 'Afrika',
+    'continent.Antarctica': 'Antarktis',
+    'continent.Asia': 'Asien',
+    'continent.Arctic': 'Arktis',
+    'continent.Atlantic': 'Atlantik',
+    'continent.Indian Ocean': 'Indischer Ozean',
+    'continent.Oceania': 'Ozeanien',
+    'continent.Europe': 'Europa',
+    'continent.North America': 'Nordamerika',
+    'continent.South America': 'Südamerika',
+    'country.all': 'Alle Länder',
+    'country.label': 'Land',
+
+    'common.close': 'Schließen',
+    'common.remove': '{name} entfernen',
+    'common.reset': 'Zurücksetzen',
+    'common.you': '{name} (du)',
+
+    'locale.label': 'Sprache und Format',
+    'locale.language': 'Sprache',
+    'locale.auto': 'Browsersprache',
+    'locale.hourCycle': 'Stunden',
+    'locale.hourCycle.auto': '12/24 h: wie in der Sprache üblich',
+    'locale.hourCycle.h12': '12-Stunden-Format',
+    'locale.hourCycle.h23': '24-Stunden-Format',
+    'locale.digits': 'Ziffern',
+    'locale.digits.auto': 'Ziffern: wie in der Sprache üblich',
+
+    'clock.display': 'Uhrenanzeige',
+    'clock.style': 'Stil',
+    'clock.analog': 'Analog',
+    'clock.digital': 'Nur digital',
+    'clock.dial': 'Zifferblatt',
+    'clock.dial12': '12-Stunden-Zifferblatt',
+    'clock.dial24': '24-Stunden-Zifferblatt',
+    'clock.numerals': 'Zahlen',
+    'clock.allNumerals': 'Alle Zahlen',
+    'clock.secondHand': 'Sekundenzeiger',
+    'clock.ticking': 'Springender Sekundenzeiger',
+    'clock.smooth': 'Gleitender Sekundenzeiger',
+    'clock.noSecondHand': 'Kein Sekundenzeiger',
+    'clock.minuteTicks': 'Minutenstriche',
+
+    'search.label': 'Zeitzonen suchen',
+    'search.short': 'Zeitzonen suchen...',
+    'search.placeholder': 'Suche nach Stadt, Land, Code, Abkürzung oder Verschiebung (z. B. Bangalore, Indien, PST, UTC+5:30)',
+    'search.clear': 'Leeren',
+    'search.kind.zone': 'Zone',
+    'search.kind.city': 'Stadt',
+    'search.kind.country': 'Land',
+    'search.kind.code': 'ISO-Code',
+    'search.kind.abbr': 'Abkürzung',
+    'search.kind.offset': 'Verschiebung',
+    'search.zones.one': '{count} Zone',
+    'search.zones.other': '{count} Zonen',
+
+    'converter.label': 'Uhrzeit umrechnen',
+    'converter.placeholder': 'Uhrzeit umrechnen (auf Englisch): "3pm London", "tomorrow 09:30 in Tokyo", "14:00 PST"',
+    'converter.heading': '{time} in {place}',
+    'converter.days.one': '{count} Tag',
+    'converter.days.other': '{count} Tage',
+    'converter.copy': '📋 Als Text kopieren',
+    'converter.copied': '✓ Kopiert',
+    'converter.error.invalidDate': 'Dieses Datum gibt es nicht.',
+    'converter.error.missingTime': 'Gib eine Uhrzeit an, z. B. "3pm London" oder "14:00 PST".',
+    'converter.error.unknownPlace': 'Kein Ort namens "{place}" gefunden.',
+    'converter.skippedTime': '{time} gibt es an diesem Tag in {zone} nicht (Zeitumstellung); angezeigt wird der Moment direkt nach der Umstellung.',
+
+    'travel.label': '⏱ Zeitreise',
+    'travel.pickerIn': 'Datum und Uhrzeit in {zone}',
+    'travel.slider': 'Zeit verschieben (±7 Tage)',
+    'travel.backToLive': '● Zurück zur aktuellen Zeit',
+    'travel.live': 'Live',
+
+    'time.inHours.one': 'in {count} Stunde',
+    'time.inHours.other': 'in {count} Stunden',
+    'time.inDays.one': 'in {count} Tag',
+    'time.inDays.other': 'in {count} Tagen',
+    'time.tomorrow': 'morgen',
+
+    'zone.pin': 'Zone anheften',
+    'zone.clockFor': 'Uhrenanzeige für {zone}',
+    'zone.clockOwn': 'Uhrenanzeige (eigene Einstellung)',
+    'zone.clockGlobal': 'Uhrenanzeige (globale Einstellung)',
+    'zone.clockLabel': 'Uhr für {zone}',
+    'zone.useGlobal': 'Globale Einstellung verwenden',
+    'zone.polarDay': '☀ Polartag: Die Sonne geht heute nicht unter',
+    'zone.polarNight': '🌑 Polarnacht: Heute kein Sonnenaufgang',
+    'zone.dst.back': '↩ Uhren werden {when} zurückgestellt',
+    'zone.dst.forward': '↪ Uhren werden {when} vorgestellt',
+    'zone.holiday': '🎉 Heute Feiertag: {name}',
+    'zone.holidayTitle': 'Heute Feiertag: zählt im Meeting-Planer als freier Tag',
+    'holiday.observed': '{name} (Ersatztag)',
+    'zone.default': '(Standard)',
+    'zone.hoursIn': 'Arbeitszeiten in {zone}',
+    'zone.daysIn': 'Arbeitstage in {zone}',
+    'zone.quickOverlap': 'Schnelle 3-h-Überschneidung mit {name}',
+    'zone.yourZone': 'deiner Zeitzone',
+    'zone.moreCities.one': '+{count} weitere Stadt',
+    'zone.moreCities.other': '+{count} weitere Städte',
+    'zone.fewerCities.one': '{count} Stadt ausblenden',
+    'zone.fewerCities.other': '{count} Städte ausblenden',
+    'zone.rename': '{zone} umbenennen',
+    'zone.labelPlaceholder': 'Name, z. B. Zentrale',
+    'zone.move': '{zone} verschieben: Position {position} von {total}',
+    'zone.moveHint': 'Zum Sortieren ziehen oder die Pfeiltasten verwenden',
+
+    'workHours.label': 'Arbeitszeiten',
+    'workHours.title': 'Minutengenaue Zeiträume, durch Kommas getrennt (z. B. 09:30-13:00, 14:00-18:30)',
+    'workDays.label': 'Arbeitstage',
+    'workDays.none': 'Keine Tage',
+    'workDays.every': 'Jeden Tag',
+    'workDays.range': '{from}–{to}',
+
+    'team.title': 'Teams',
+    'team.hint': 'Jedes Team hat eigene angeheftete Zonen und Mitglieder. Ein Teamwechsel ändert den angehefteten Bereich und den Meeting-Planer.',
+    'team.active': 'Aktives Team',
+    'team.option': '{name} ({zones} Zonen, {people} Personen)',
+    'team.name': 'Teamname',
+    'team.delete': 'Löschen',
+    'team.deleteNamed': '{name} löschen',
+    'team.confirmDelete': '„{name}“ mit allen angehefteten Zonen und Mitgliedern löschen?',
+    'team.newPlaceholder': 'Neues Team (z. B. Kunde: Acme)',
+    'team.newName': 'Name des neuen Teams',
+    'team.add': 'Team hinzufügen',
+    'team.export': '⬇ Als JSON exportieren',
+    'team.import': '⬆ JSON importieren',
+    'team.imported.one': '{count} Team aus {file} importiert.',
+    'team.imported.other': '{count} Teams aus {file} importiert.',
+    'team.importError.invalidJson': 'Diese Datei ist kein gültiges JSON.',
+    'team.importError.noZones': 'In dieser Datei wurden keine Zeitzonen gefunden.',
+    'team.importError.notTeamsFile': 'Dies ist keine World-Clock-Teamdatei.',
+    'team.importError.newerVersion': 'Diese Datei stammt aus einer neueren Version der App (v{version}).',
+    'team.importError.noTeams': 'In dieser Datei wurden keine Teams gefunden.',
+
+    'people.title': 'Personen',
+    'people.membersOf': 'Mitglieder von {team}',
+    'people.hint': 'Gib Teammitgliedern eigene Arbeitszeiten. Sie können zum Meeting-Planer hinzugefügt werden.',
+    'people.name': 'Name',
+    'people.zone': 'Zeitzone',
+    'people.hoursFor': 'Arbeitszeiten von {name}',
+    'people.namePlaceholder': 'Name (z. B. Priya)',
+    'people.newName': 'Name der neuen Person',
+    'people.newZone': 'Zeitzone der neuen Person',
+    'people.add': 'Person hinzufügen',
+
+    'meeting.title.one': 'Meeting-Planer — {count} Teilnehmer',
+    'meeting.title.other': 'Meeting-Planer — {count} Teilnehmende',
+    'meeting.hoursTitle': 'Arbeitszeiten {hours}',
+    'meeting.add': 'Teilnehmer hinzufügen',
+    'meeting.addOption': '+ Teilnehmer hinzufügen…',
+    'meeting.people': 'Personen',
+    'meeting.zones': 'Zonen',
+    'meeting.unnamed': 'Ohne Namen',
+    'meeting.horizon.one': 'diesem UTC-Tag',
+    'meeting.horizon.other': 'den nächsten {count} UTC-Tagen',
+    'meeting.needTwo': 'Füge mindestens zwei Zonen hinzu, um eine Überschneidung zu suchen.',
+    'meeting.full3h': 'In {horizon} gibt es mindestens eine volle 3-stündige Überschneidung, in der alle arbeiten. Frühester Beginn:',
+    'meeting.shortOverlap': 'Alle überschneiden sich, aber in {horizon} jeweils weniger als 3 Stunden. Frühester Beginn:',
+    'meeting.bestOption': 'In {horizon} gibt es keinen Zeitraum, in dem alle in ihren Arbeitszeiten sind. Beste Option: {best} von {total} verfügbar.',
+    'meeting.nobody': 'In {horizon} ist niemand in seinen Arbeitszeiten.',
+    'meeting.dstHeading': '⚠️ Bevorstehende Zeitumstellungen',
+    'meeting.gapChange': 'Ab {from} ist {a} {after} {b} (jetzt {before}).',
+    'meeting.gapChangeUntil': 'Von {from} bis {until} ist {a} {after} {b} (jetzt {before}).',
+    'meeting.gap.same': 'zeitgleich mit',
+    'meeting.gap.ahead': '{duration} voraus gegenüber',
+    'meeting.gap.behind': '{duration} zurück gegenüber',
+    'meeting.morePairs.one': '…und {count} weiteres Paar. Wiederkehrende Meetings brauchen eventuell eine neue Uhrzeit.',
+    'meeting.morePairs.other': '…und {count} weitere Paare. Wiederkehrende Meetings brauchen eventuell eine neue Uhrzeit.',
+    'meeting.start': 'Beginn ({label}): {time}',
+    'meeting.useSuggested': 'Vorgeschlagenen Beginn übernehmen',
+    'meeting.show': 'Anzeigen',
+    'meeting.daysToShow': 'Angezeigte Tage',
+    'meeting.days.one': '{count} Tag',
+    'meeting.days.other': '{count} Tage',
+    'meeting.icsImport': 'Belegte Zeiten aus .ics-Dateien importieren (oder auf diese Zeile ziehen)',
+    'meeting.holiday': '🎉 Feiertag: {names}',
+    'meeting.everyoneFree': '{duration} alle frei',
+    'meeting.noOverlap': 'keine volle Überschneidung',
+    'meeting.slotLocal': '{time} Ortszeit',
+    'meeting.dayOff': 'freier Tag',
+    'meeting.busy': 'belegt',
+    'meeting.available': '{available}/{total} verfügbar',
+    'meeting.export': 'Als Kalendereinladung exportieren',
+    'meeting.defaultTitle': 'Team-Meeting',
+    'meeting.titleLabel': 'Titel des Meetings',
+    'meeting.duration': 'Dauer des Meetings',
+    'meeting.download': '📅 .ics herunterladen',
+    'meeting.suggested': 'vorgeschlagen',
+    'meeting.clickToChange': 'klicke oben auf einen Zeitraum, um den Beginn zu ändern',
+    'meeting.clickToChoose': 'Klicke oben auf einen Zeitraum, um den Beginn zu wählen.',
+
+    'legend.working': 'arbeitet',
+    'legend.busy': 'belegt',
+    'legend.off': 'freier Tag oder Feiertag',
+    'legend.everyone': 'alle frei',
+    'legend.best': 'die meisten verfügbar',
+
+    'rotation.title': '🔁 Wiederkehrendes Meeting mit fairer Rotation',
+    'rotation.cadence': 'Rhythmus',
+    'rotation.every.one': 'Wöchentlich',
+    'rotation.every.other': 'Alle {count} Wochen',
+    'rotation.on': 'am',
+    'rotation.weekday': 'Wochentag',
+    'rotation.count': 'Anzahl der Meetings',
+    'rotation.meetings.one': '{count} Meeting',
+    'rotation.meetings.other': '{count} Meetings',
+    'rotation.each': 'je {duration}, Tage nach {zone}',
+    'rotation.needTwo': 'Füge mindestens zwei Teilnehmende hinzu, um eine Rotation zu planen.',
+    'rotation.date': 'Datum',
+    'rotation.points': '{points} Punkte',
+    'rotation.pts': '{points} Pkt.',
+    'rotation.inconvenience': 'Belastung',
+    'rotation.tally': '{outside} außerhalb der Arbeitszeit • {night} nachts',
+    'rotation.legend.ok': 'in der Arbeitszeit',
+    'rotation.legend.outside': 'außerhalb der Arbeitszeit (1 Pkt./h)',
+    'rotation.legend.night': '22:00–07:00 (3 Pkt./h)',
+    'rotation.download.one': '📅 .ics herunterladen ({count} Meeting)',
+    'rotation.download.other': '📅 .ics herunterladen ({count} Meetings)',
+
+    'sync.signIn': '☁️ Zum Synchronisieren anmelden',
+    'sync.hint': 'Teams, angeheftete Zonen und Arbeitszeiten zwischen deinen Geräten synchronisieren',
+    'sync.signOut': 'Abmelden',
+    'sync.status.synced': 'Synchronisiert',
+    'sync.status.syncing': 'Synchronisiere…',
+    'sync.status.offline': 'Offline — auf diesem Gerät gespeichert',
+    'sync.status.error': 'Synchronisierung fehlgeschlagen — auf diesem Gerät gespeichert',
+    'sync.conflicts.one': '{count} Änderung auch auf einem anderen Gerät gemacht',
+    'sync.conflicts.other': '{count} Änderungen auch auf einem anderen Gerät gemacht',
+    'sync.conflictsHint': 'Das Gerät, das zuletzt gespeichert hat, hat seine Version behalten. Zum Ausblenden klicken.',
+    'reminder.for': 'Erinnerungen für {zone}',
+    'reminder.none': 'Noch keine Erinnerungen für diese Zone.',
+    'reminder.time': '{time} dort, {days}',
+    'reminder.overlapEnd': '{duration} bevor deine Überschneidung mit {place} endet',
+    'reminder.next': 'nächste: {when}',
+    'reminder.kind': 'Art der Erinnerung',
+    'reminder.kind.time': 'Zu einer Uhrzeit dort',
+    'reminder.kind.overlapEnd': 'Bevor die Überschneidung endet',
+    'reminder.timeIn': 'Uhrzeit in {zone}',
+    'reminder.minutesBefore': 'Minuten vor dem Ende der Überschneidung',
+    'reminder.daysIn': 'Tage in {zone}',
+    'reminder.add': 'Erinnerung hinzufügen',
+    'reminder.denied': 'Benachrichtigungen sind für diese Seite blockiert. Erlaube sie im Browser, um Erinnerungen zu bekommen.',
+    'reminder.unsupported': 'Dieser Browser kann keine Benachrichtigungen anzeigen.',
+    'reminder.notify.time': 'In {place} ist es {time}',
+    'reminder.notify.overlapEnd': 'Deine Überschneidung mit {place} endet in {duration}',
+    'reminder.notify.body': '{time} bei dir',
+}
+
+const hi = {
+    'app.title': 'रिमोट कर्मचारियों के लिए विश्व घड़ी',
+    'app.subtitle': 'दुनिया भर की टीमों के साथ रिमोट काम करने वालों के लिए एक आधुनिक, आसान विश्व-घड़ी डैशबोर्ड।',
+    'app.share': '🔗 व्यू शेयर करें',
+    'app.linkCopied': '✓ लिंक कॉपी हुआ',
+    'app.shareTitle': 'इस व्यू का लिंक कॉपी करें (पिन, फ़िल्टर, काम के घंटे, थीम, मीटिंग)',
+    'app.lightMode': '☀️ लाइट मोड',
+    'app.darkMode': '🌙 डार्क मोड',
+    'app.localTime': 'आपका स्थानीय समय — {zone}',
+    'app.localHint': 'संदर्भ समय। नीचे काम के घंटे बदलें और टाइम ज़ोन खोजें।',
+    'app.planMeeting': '👥 {team} के साथ मीटिंग तय करें',
+    'app.defaultHours': 'डिफ़ॉल्ट काम के घंटे',
+    'app.collapseSameRules': 'एक जैसा समय रखने वाले ज़ोन एक साथ दिखाएँ',
+    'app.footer': 'टीमें (पिन किए ज़ोन और सदस्य) और काम के घंटे localStorage में सहेजे जाते हैं; मौजूदा व्यू URL में भी रहता है। सही ऑफ़सेट और डेलाइट सेविंग के लिए ब्राउज़र की Intl API का उपयोग होता है।',
+
+    'continent.All': 'सभी',
+    'continent.Africa': 'अफ़्रीका',
+    'continent.Antarctica': 'अंटार्कटिका',
+    'continent.Asia': 'एशिया',
+    'continent.Arctic': 'आर्कटिक',
+    'continent.Atlantic': 'अटलांटिक',
+    'continent.Indian Ocean': 'हिंद महासागर',
+    'continent.Oceania': 'ओशिनिया',
+    'continent.Europe': 'यूरोप',
+    'continent.North America': 'उत्तरी अमेरिका',
+    'continent.South America': 'दक्षिणी अमेरिका',
+    'country.all': 'सभी देश',
+    'country.label': 'देश',
+
+    'common.close': 'बंद करें',
+    'common.remove': '{name} हटाएँ',
+    'common.reset': 'रीसेट करें',
+    'common.you': '{name} (आप)',
+
+    'locale.label': 'भाषा और फ़ॉर्मैट',
+    'locale.language': 'भाषा',
+    'locale.auto': 'ब्राउज़र की भाषा',
+    'locale.hourCycle': 'घंटे',
+    'locale.hourCycle.auto': '12/24 घंटे: भाषा के अनुसार',
+    'locale.hourCycle.h12': '12 घंटे का समय',
+    'locale.hourCycle.h23': '24 घंटे का समय',
+    'locale.digits': 'अंक',
+    'locale.digits.auto': 'अंक: भाषा के अनुसार',
+
+    'clock.display': 'घड़ी का प्रदर्शन',
+    'clock.style': 'शैली',
+    'clock.analog': 'एनालॉग',
+    'clock.digital': 'केवल डिजिटल',
+    'clock.dial': 'डायल',
+    'clock.dial12': '12 घंटे का डायल',
+    'clock.dial24': '24 घंटे का डायल',
+    'clock.numerals': 'अंक',
+    'clock.allNumerals': 'सभी अंक',
+    'clock.secondHand': 'सेकंड की सुई',
+    'clock.ticking': 'टिक करती सेकंड की सुई',
+    'clock.smooth': 'सहज चलती सेकंड की सुई',
+    'clock.noSecondHand': 'सेकंड की सुई नहीं',
+    'clock.minuteTicks': 'मिनट के निशान',
+
+    'search.label': 'टाइम ज़ोन खोजें',
+    'search.short': 'टाइम ज़ोन खोजें...',
+    'search.placeholder': 'शहर, देश, कोड, संक्षिप्त नाम या ऑफ़सेट से खोजें (जैसे Bangalore, India, PST, UTC+5:30)',
+    'search.clear': 'साफ़ करें',
+    'search.kind.zone': 'ज़ोन',
+    'search.kind.city': 'शहर',
+    'search.kind.country': 'देश',
+    'search.kind.code': 'ISO कोड',
+    'search.kind.abbr': 'संक्षिप्त नाम',
+    'search.kind.offset': 'ऑफ़सेट',
+    'search.zones.one': '{count} ज़ोन',
+    'search.zones.other': '{count} ज़ोन',
+
+    'converter.label': 'समय बदलें',
+    'converter.placeholder': 'समय बदलें (अंग्रेज़ी में): "3pm London", "tomorrow 09:30 in Tokyo", "14:00 PST"',
+    'converter.heading': '{place} में {time}',
+    'converter.days.one': '{count} दिन',
+    'converter.days.other': '{count} दिन',
+    'converter.copy': '📋 टेक्स्ट के रूप में कॉपी करें',
+    'converter.copied': '✓ कॉपी हुआ',
+    'converter.error.invalidDate': 'यह तारीख मौजूद नहीं है।',
+    'converter.error.missingTime': 'समय जोड़ें, जैसे "3pm London" या "14:00 PST"।',
+    'converter.error.unknownPlace': '"{place}" नाम की कोई जगह नहीं मिली।',
+    'converter.skippedTime': 'उस दिन {zone} में {time} मौजूद नहीं है (घड़ियाँ आगे होती हैं); बदलाव के ठीक बाद का समय दिखाया जा रहा है।',
+
+    'travel.label': '⏱ टाइम ट्रैवल',
+    'travel.pickerIn': '{zone} में तारीख और समय',
+    'travel.slider': 'समय आगे-पीछे करें (±7 दिन)',
+    'travel.backToLive': '● मौजूदा समय पर लौटें',
+    'travel.live': 'लाइव',
+
+    'time.inHours.one': '{count} घंटे में',
+    'time.inHours.other': '{count} घंटों में',
+    'time.inDays.one': '{count} दिन में',
+    'time.inDays.other': '{count} दिनों में',
+    'time.tomorrow': 'कल',
+
+    'zone.pin': 'ज़ोन पिन करें',
+    'zone.clockFor': '{zone} के लिए घड़ी का प्रदर्शन',
+    'zone.clockOwn': 'घड़ी का प्रदर्शन (अपनी सेटिंग)',
+    'zone.clockGlobal': 'घड़ी का प्रदर्शन (सामान्य सेटिंग)',
+    'zone.clockLabel': '{zone} की घड़ी',
+    'zone.useGlobal': 'सामान्य सेटिंग इस्तेमाल करें',
+    'zone.polarDay': '☀ ध्रुवीय दिन: आज सूरज नहीं डूबेगा',
+    'zone.polarNight': '🌑 ध्रुवीय रात: आज सूर्योदय नहीं होगा',
+    'zone.dst.back': '↩ घड़ियाँ {when} पीछे होंगी',
+    'zone.dst.forward': '↪ घड़ियाँ {when} आगे होंगी',
+    'zone.holiday': '🎉 आज सार्वजनिक छुट्टी: {name}',
+    'zone.holidayTitle': 'आज सार्वजनिक छुट्टी: मीटिंग प्लानर में छुट्टी का दिन माना जाता है',
+    'holiday.observed': '{name} (स्थानांतरित)',
+    'zone.default': '(डिफ़ॉल्ट)',
+    'zone.hoursIn': '{zone} में काम के घंटे',
+    'zone.daysIn': '{zone} में काम के दिन',
+    'zone.quickOverlap': '{name} के साथ 3 घंटे का ओवरलैप',
+    'zone.yourZone': 'आपके टाइम ज़ोन',
+    'zone.moreCities.one': '+{count} और शहर',
+    'zone.moreCities.other': '+{count} और शहर',
+    'zone.fewerCities.one': '{count} शहर छिपाएँ',
+    'zone.fewerCities.other': '{count} शहर छिपाएँ',
+    'zone.rename': '{zone} का नाम बदलें',
+    'zone.labelPlaceholder': 'लेबल, जैसे मुख्यालय',
+    'zone.move': '{zone} को खिसकाएँ: {total} में से स्थान {position}',
+    'zone.moveHint': 'क्रम बदलने के लिए खींचें, या तीर कुंजियों का उपयोग करें',
+
+    'workHours.label': 'काम के घंटे',
+    'workHours.title': 'मिनट तक सटीक समय-अंतराल, कॉमा से अलग (जैसे 09:30-13:00, 14:00-18:30)',
+    'workDays.label': 'काम के दिन',
+    'workDays.none': 'कोई दिन नहीं',
+    'workDays.every': 'हर दिन',
+    'workDays.range': '{from}–{to}',
+
+    'team.title': 'टीमें',
+    'team.hint': 'हर टीम के अपने पिन किए ज़ोन और सदस्य होते हैं। टीम बदलने से पिन किया सेक्शन और मीटिंग प्लानर बदल जाते हैं।',
+    'team.active': 'सक्रिय टीम',
+    'team.option': '{name} ({zones} ज़ोन, {people} लोग)',
+    'team.name': 'टीम का नाम',
+    'team.delete': 'हटाएँ',
+    'team.deleteNamed': '{name} हटाएँ',
+    'team.confirmDelete': '"{name}" को उसके पिन किए ज़ोन और सदस्यों सहित हटाएँ?',
+    'team.newPlaceholder': 'नई टीम (जैसे Client: Acme)',
+    'team.newName': 'नई टीम का नाम',
+    'team.add': 'टीम जोड़ें',
+    'team.export': '⬇ JSON एक्सपोर्ट करें',
+    'team.import': '⬆ JSON इंपोर्ट करें',
+    'team.imported.one': '{file} से {count} टीम इंपोर्ट हुई।',
+    'team.imported.other': '{file} से {count} टीमें इंपोर्ट हुईं।',
+    'team.importError.invalidJson': 'यह फ़ाइल मान्य JSON नहीं है।',
+    'team.importError.noZones': 'इस फ़ाइल में कोई टाइम ज़ोन नहीं मिला।',
+    'team.importError.notTeamsFile': 'यह World Clock टीम फ़ाइल नहीं है।',
+    'team.importError.newerVersion': 'यह फ़ाइल ऐप के नए संस्करण (v{version}) से बनी है।',
+    'team.importError.noTeams': 'इस फ़ाइल में कोई टीम नहीं मिली।',
+
+    'people.title': 'लोग',
+    'people.membersOf': '{team} के सदस्य',
+    'people.hint': 'साथियों को उनके अपने काम के घंटे दें। उन्हें मीटिंग प्लानर में जोड़ा जा सकता है।',
+    'people.name': 'नाम',
+    'people.zone': 'टाइम ज़ोन',
+    'people.hoursFor': '{name} के काम के घंटे',
+    'people.namePlaceholder': 'नाम (जैसे Priya)',
+    'people.newName': 'नए व्यक्ति का नाम',
+    'people.newZone': 'नए व्यक्ति का टाइम ज़ोन',
+    'people.add': 'व्यक्ति जोड़ें',
+
+    'meeting.title.one': 'मीटिंग प्लानर — {count} प्रतिभागी',
+    'meeting.title.other': 'मीटिंग प्लानर — {count} प्रतिभागी',
+    'meeting.hoursTitle': 'काम के घंटे {hours}',
+    'meeting.add': 'प्रतिभागी जोड़ें',
+    'meeting.addOption': '+ प्रतिभागी जोड़ें…',
+    'meeting.people': 'लोग',
+    'meeting.zones': 'ज़ोन',
+    'meeting.unnamed': 'बिना नाम',
+    'meeting.horizon.one': 'इस UTC दिन',
+    'meeting.horizon.other': 'अगले {count} UTC दिनों',
+    'meeting.needTwo': 'ओवरलैप खोजने के लिए कम से कम दो ज़ोन जोड़ें।',
+    'meeting.full3h': '{horizon} में कम से कम एक पूरा 3 घंटे का ओवरलैप है जब सभी काम कर रहे हैं। सबसे पहली शुरुआत:',
+    'meeting.shortOverlap': '{horizon} में सभी का ओवरलैप है, पर एक बार में 3 घंटे से कम। सबसे पहली शुरुआत:',
+    'meeting.bestOption': '{horizon} में कोई ऐसा समय नहीं जब सभी काम के घंटों में हों। सबसे अच्छा विकल्प: {total} में से {best} उपलब्ध।',
+    'meeting.nobody': '{horizon} में कोई भी काम के घंटों में नहीं है।',
+    'meeting.dstHeading': '⚠️ आगे घड़ी बदलने वाली है',
+    'meeting.gapChange': '{from} से, {a} {b} से {after} होगा (अभी {before})।',
+    'meeting.gapChangeUntil': '{from} से {until} तक, {a} {b} से {after} होगा (अभी {before})।',
+    'meeting.gap.same': 'समान समय पर',
+    'meeting.gap.ahead': '{duration} आगे',
+    'meeting.gap.behind': '{duration} पीछे',
+    'meeting.morePairs.one': '…और {count} जोड़ी। नियमित मीटिंगों का समय बदलना पड़ सकता है।',
+    'meeting.morePairs.other': '…और {count} जोड़ियाँ। नियमित मीटिंगों का समय बदलना पड़ सकता है।',
+    'meeting.start': 'शुरुआत ({label}): {time}',
+    'meeting.useSuggested': 'सुझाई गई शुरुआत लें',
+    'meeting.show': 'दिखाएँ',
+    'meeting.daysToShow': 'दिखाने के दिन',
+    'meeting.days.one': '{count} दिन',
+    'meeting.days.other': '{count} दिन',
+    'meeting.icsImport': '.ics फ़ाइलों से व्यस्त समय इंपोर्ट करें (या उन्हें इस पंक्ति पर छोड़ें)',
+    'meeting.holiday': '🎉 सार्वजनिक छुट्टी: {names}',
+    'meeting.everyoneFree': '{duration} सभी खाली',
+    'meeting.noOverlap': 'पूरा ओवरलैप नहीं',
+    'meeting.slotLocal': '{time} स्थानीय',
+    'meeting.dayOff': 'छुट्टी',
+    'meeting.busy': 'व्यस्त',
+    'meeting.available': '{available}/{total} उपलब्ध',
+    'meeting.export': 'कैलेंडर आमंत्रण के रूप में एक्सपोर्ट करें',
+    'meeting.defaultTitle': 'टीम मीटिंग',
+    'meeting.titleLabel': 'मीटिंग का शीर्षक',
+    'meeting.duration': 'मीटिंग की अवधि',
+    'meeting.download': '📅 .ics डाउनलोड करें',
+    'meeting.suggested': 'सुझाया गया',
+    'meeting.clickToChange': 'शुरुआत बदलने के लिए ऊपर किसी भी स्लॉट पर क्लिक करें',
+    'meeting.clickToChoose': 'शुरुआत का समय चुनने के लिए ऊपर किसी भी स्लॉट पर क्लिक करें।',
+
+    'legend.working': 'काम पर',
+    'legend.busy': 'व्यस्त',
+    'legend.off': 'छुट्टी या सार्वजनिक अवकाश',
+    'legend.everyone': 'सभी खाली',
+    'legend.best': 'सबसे ज़्यादा उपलब्ध',
+
+    'rotation.title': '🔁 निष्पक्ष बारी के साथ नियमित मीटिंग',
+    'rotation.cadence': 'अंतराल',
+    'rotation.every.one': 'हर हफ़्ते',
+    'rotation.every.other': 'हर {count} हफ़्ते',
+    'rotation.on': 'को',
+    'rotation.weekday': 'सप्ताह का दिन',
+    'rotation.count': 'मीटिंगों की संख्या',
+    'rotation.meetings.one': '{count} मीटिंग',
+    'rotation.meetings.other': '{count} मीटिंग',
+    'rotation.each': 'हर एक {duration}, दिन {zone} के अनुसार',
+    'rotation.needTwo': 'बारी तय करने के लिए कम से कम दो प्रतिभागी जोड़ें।',
+    'rotation.date': 'तारीख',
+    'rotation.points': '{points} अंक',
+    'rotation.pts': '{points} अंक',
+    'rotation.inconvenience': 'असुविधा',
+    'rotation.tally': '{outside} काम के घंटों के बाहर • {night} रात में',
+    'rotation.legend.ok': 'काम के घंटों में',
+    'rotation.legend.outside': 'काम के घंटों के बाहर (1 अंक/घंटा)',
+    'rotation.legend.night': '22:00–07:00 (3 अंक/घंटा)',
+    'rotation.download.one': '📅 .ics डाउनलोड करें ({count} मीटिंग)',
+    'rotation.download.other': '📅 .ics डाउनलोड करें ({count} मीटिंग)',
+
+    'sync.signIn': '☁️ सिंक के लिए साइन इन करें',
+    'sync.hint': 'अपने डिवाइसों के बीच टीमें, पिन किए ज़ोन और काम के घंटे सिंक करें',
+    'sync.signOut': 'साइन आउट',
+    'sync.status.synced': 'सिंक हो गया',
+    'sync.status.syncing': 'सिंक हो रहा है…',
+    'sync.status.offline': 'ऑफ़लाइन — इस डिवाइस पर सहेजा गया',
+    'sync.status.error': 'सिंक नहीं हुआ — इस डिवाइस पर सहेजा गया',
+    'sync.conflicts.one': '{count} बदलाव किसी दूसरे डिवाइस पर भी हुआ',
+    'sync.conflicts.other': '{count} बदलाव किसी दूसरे डिवाइस पर भी हुए',
+    'sync.conflictsHint': 'आखिर में सहेजने वाले डिवाइस का संस्करण रखा गया। हटाने के लिए क्लिक करें।',
+    'reminder.for': '{zone} के लिए रिमाइंडर',
+    'reminder.none': 'इस ज़ोन के लिए अभी कोई रिमाइंडर नहीं है।',
+    'reminder.time': 'वहाँ {time}, {days}',
+    'reminder.overlapEnd': '{place} के साथ आपका ओवरलैप ख़त्म होने से {duration} पहले',
+    'reminder.next': 'अगला: {when}',
+    'reminder.kind': 'रिमाइंडर का प्रकार',
+    'reminder.kind.time': 'वहाँ के किसी समय पर',
+    'reminder.kind.overlapEnd': 'ओवरलैप ख़त्म होने से पहले',
+    'reminder.timeIn': '{zone} में समय',
+    'reminder.minutesBefore': 'ओवरलैप ख़त्म होने से कितने मिनट पहले',
+    'reminder.daysIn': '{zone} में दिन',
+    'reminder.add': 'रिमाइंडर जोड़ें',
+    'reminder.denied': 'इस साइट के लिए सूचनाएँ बंद हैं। रिमाइंडर पाने के लिए ब्राउज़र में उन्हें अनुमति दें।',
+    'reminder.unsupported': 'यह ब्राउज़र सूचनाएँ नहीं दिखा सकता।',
+    'reminder.notify.time': '{place} में {time} बज गए',
+    'reminder.notify.overlapEnd': '{place} के साथ आपका ओवरलैप {duration} में ख़त्म होगा',
+    'reminder.notify.body': 'आपके समय से {time}',
+}
+
+const ja = {
+    'app.title': 'リモートワーカーのための世界時計',
+    'app.subtitle': '世界中のチームとリモートで働く人のための、モダンでわかりやすい世界時計ダッシュボード。',
+    'app.share': '🔗 表示を共有',
+    'app.linkCopied': '✓ リンクをコピーしました',
+    'app.shareTitle': 'この表示へのリンクをコピー（ピン、フィルター、勤務時間、テーマ、会議）',
+    'app.lightMode': '☀️ ライトモード',
+    'app.darkMode': '🌙 ダークモード',
+    'app.localTime': 'あなたの現地時刻 — {zone}',
+    'app.localHint': '基準となる時刻です。下で勤務時間を調整し、タイムゾーンを検索できます。',
+    'app.planMeeting': '👥 {team} との会議を計画',
+    'app.defaultHours': '既定の勤務時間',
+    'app.collapseSameRules': '同じ時刻のゾーンをまとめる',
+    'app.footer': 'チーム（ピン留めしたゾーンとメンバー）と勤務時間は localStorage に保存され、現在の表示は URL にも保持されます。正確な時差と夏時間のためにブラウザーの Intl API を使用しています。',
+
+    'continent.All': 'すべて',
+    'continent.Africa': 'アフリカ',
+    'continent.Antarctica': '南極',
+    'continent.Asia': 'アジア',
+    'continent.Arctic': '北極',
+    'continent.Atlantic': '大西洋',
+    'continent.Indian Ocean': 'インド洋',
+    'continent.Oceania': 'オセアニア',
+    'continent.Europe': 'ヨーロッパ',
+    'continent.North America': '北アメリカ',
+    'continent.South America': '南アメリカ',
+    'country.all': 'すべての国',
+    'country.label': '国',
+
+    'common.close': '閉じる',
+    'common.remove': '{name} を削除',
+    'common.reset': 'リセット',
+    'common.you': '{name}（あなた）',
+
+    'locale.label': '言語と表示形式',
+    'locale.language': '言語',
+    'locale.auto': 'ブラウザーの言語',
+    'locale.hourCycle': '時刻',
+    'locale.hourCycle.auto': '12/24 時間：言語の既定',
+    'locale.hourCycle.h12': '12 時間表示',
+    'locale.hourCycle.h23': '24 時間表示',
+    'locale.digits': '数字',
+    'locale.digits.auto': '数字：言語の既定',
+
+    'clock.display': '時計の表示',
+    'clock.style': 'スタイル',
+    'clock.analog': 'アナログ',
+    'clock.digital': 'デジタルのみ',
+    'clock.dial': '文字盤',
+    'clock.dial12': '12 時間文字盤',
+    'clock.dial24': '24 時間文字盤',
+    'clock.numerals': '数字',
+    'clock.allNumerals': 'すべての数字',
+    'clock.secondHand': '秒針',
+    'clock.ticking': '1 秒ごとに動く秒針',
+    'clock.smooth': 'なめらかな秒針',
+    'clock.noSecondHand': '秒針なし',
+    'clock.minuteTicks': '分の目盛り',
+
+    'search.label': 'タイムゾーンを検索',
+    'search.short': 'タイムゾーンを検索...',
+    'search.placeholder': '都市、国、コード、略称、時差で検索（例：Bangalore、India、PST、UTC+5:30）',
+    'search.clear': 'クリア',
+    'search.kind.zone': 'ゾーン',
+    'search.kind.city': '都市',
+    'search.kind.country': '国',
+    'search.kind.code': 'ISO コード',
+    'search.kind.abbr': '略称',
+    'search.kind.offset': '時差',
+    'search.zones.other': '{count} 件のタイムゾーン',
+
+    'converter.label': '時刻を変換',
+    'converter.placeholder': '時刻を変換（英語で入力）："3pm London"、"tomorrow 09:30 in Tokyo"、"14:00 PST"',
+    'converter.heading': '{place} の {time}',
+    'converter.days.other': '{count} 日',
+    'converter.copy': '📋 テキストとしてコピー',
+    'converter.copied': '✓ コピーしました',
+    'converter.error.invalidDate': 'その日付は存在しません。',
+    'converter.error.missingTime': '時刻を入力してください(例: "3pm London"、"14:00 PST")。',
+    'converter.error.unknownPlace': '「{place}」という場所は見つかりませんでした。',
+    'converter.skippedTime': '{zone} ではその日の {time} は存在しません(夏時間の開始)。切り替え直後の時刻を表示しています。',
+
+    'travel.label': '⏱ タイムトラベル',
+    'travel.pickerIn': '{zone} の日時',
+    'travel.slider': '時刻をずらす（±7 日）',
+    'travel.backToLive': '● 現在時刻に戻る',
+    'travel.live': 'ライブ',
+
+    'time.inHours.other': '{count} 時間後',
+    'time.inDays.other': '{count} 日後',
+    'time.tomorrow': '明日',
+
+    'zone.pin': 'ゾーンをピン留め',
+    'zone.clockFor': '{zone} の時計の表示',
+    'zone.clockOwn': '時計の表示（個別設定）',
+    'zone.clockGlobal': '時計の表示（全体設定）',
+    'zone.clockLabel': '{zone} の時計',
+    'zone.useGlobal': '全体設定を使う',
+    'zone.polarDay': '☀ 白夜：今日は太陽が沈みません',
+    'zone.polarNight': '🌑 極夜：今日は日の出がありません',
+    'zone.dst.back': '↩ {when}に時計が戻ります',
+    'zone.dst.forward': '↪ {when}に時計が進みます',
+    'zone.holiday': '🎉 今日は祝日：{name}',
+    'zone.holidayTitle': '今日は祝日：会議プランナーでは休日として扱います',
+    'holiday.observed': '{name}（振替）',
+    'zone.default': '（既定）',
+    'zone.hoursIn': '{zone} の勤務時間',
+    'zone.daysIn': '{zone} の勤務日',
+    'zone.quickOverlap': '{name} との 3 時間の重なりを確認',
+    'zone.yourZone': 'あなたのタイムゾーン',
+    'zone.moreCities.other': '他 {count} 都市',
+    'zone.fewerCities.other': '{count} 都市を隠す',
+    'zone.rename': '{zone} の名前を変更',
+    'zone.labelPlaceholder': 'ラベル(例: 本社)',
+    'zone.move': '{zone} を移動: {total} 件中 {position} 番目',
+    'zone.moveHint': 'ドラッグするか矢印キーで並べ替え',
+
+    'workHours.label': '勤務時間',
+    'workHours.title': '分単位の時間帯をカンマ区切りで（例：09:30-13:00, 14:00-18:30）',
+    'workDays.label': '勤務日',
+    'workDays.none': 'なし',
+    'workDays.every': '毎日',
+    'workDays.range': '{from}〜{to}',
+
+    'team.title': 'チーム',
+    'team.hint': 'チームごとにピン留めしたゾーンとメンバーを持てます。チームを切り替えると、ピン留め欄と会議プランナーが切り替わります。',
+    'team.active': '現在のチーム',
+    'team.option': '{name}（{zones} ゾーン、{people} 人）',
+    'team.name': 'チーム名',
+    'team.delete': '削除',
+    'team.deleteNamed': '{name} を削除',
+    'team.confirmDelete': '「{name}」をピン留めしたゾーンとメンバーごと削除しますか？',
+    'team.newPlaceholder': '新しいチーム（例：顧客: Acme）',
+    'team.newName': '新しいチームの名前',
+    'team.add': 'チームを追加',
+    'team.export': '⬇ JSON をエクスポート',
+    'team.import': '⬆ JSON をインポート',
+    'team.imported.other': '{file} から {count} 件のチームをインポートしました。',
+    'team.importError.invalidJson': 'このファイルは有効な JSON ではありません。',
+    'team.importError.noZones': 'このファイルにタイムゾーンが見つかりません。',
+    'team.importError.notTeamsFile': 'World Clock のチームファイルではありません。',
+    'team.importError.newerVersion': 'このファイルは新しいバージョンのアプリ (v{version}) で作成されています。',
+    'team.importError.noTeams': 'このファイルにチームが見つかりません。',
+
+    'people.title': 'メンバー',
+    'people.membersOf': '{team} のメンバー',
+    'people.hint': 'メンバーごとに勤務時間を設定できます。会議プランナーに追加できます。',
+    'people.name': '名前',
+    'people.zone': 'タイムゾーン',
+    'people.hoursFor': '{name} の勤務時間',
+    'people.namePlaceholder': '名前（例：Priya）',
+    'people.newName': '新しいメンバーの名前',
+    'people.newZone': '新しいメンバーのタイムゾーン',
+    'people.add': 'メンバーを追加',
+
+    'meeting.title.other': '会議プランナー — 参加者 {count} 人',
+    'meeting.hoursTitle': '勤務時間 {hours}',
+    'meeting.add': '参加者を追加',
+    'meeting.addOption': '+ 参加者を追加…',
+    'meeting.people': 'メンバー',
+    'meeting.zones': 'ゾーン',
+    'meeting.unnamed': '名前なし',
+    'meeting.horizon.other': '今後 {count} 日間（UTC）',
+    'meeting.needTwo': '重なりを探すには 2 つ以上のゾーンを追加してください。',
+    'meeting.full3h': '{horizon}に、全員が勤務中の 3 時間の重なりが少なくとも 1 つあります。最も早い開始：',
+    'meeting.shortOverlap': '{horizon}に全員の重なりはありますが、一度に 3 時間未満です。最も早い開始：',
+    'meeting.bestOption': '{horizon}に全員が勤務時間内になる時間帯はありません。最善の候補：{total} 人中 {best} 人が参加可能。',
+    'meeting.nobody': '{horizon}に勤務時間内の人はいません。',
+    'meeting.dstHeading': '⚠️ 時刻の切り替えが近づいています',
+    'meeting.gapChange': '{from}から、{a} は {b} より{after}になります（現在は{before}）。',
+    'meeting.gapChangeUntil': '{from}から{until}まで、{a} は {b} より{after}になります（現在は{before}）。',
+    'meeting.gap.same': '同じ時刻',
+    'meeting.gap.ahead': '{duration}進んだ時刻',
+    'meeting.gap.behind': '{duration}遅れた時刻',
+    'meeting.morePairs.other': '…ほか {count} 組。定例会議の時刻変更が必要かもしれません。',
+    'meeting.start': '開始（{label}）：{time}',
+    'meeting.useSuggested': '提案された開始時刻を使う',
+    'meeting.show': '表示',
+    'meeting.daysToShow': '表示する日数',
+    'meeting.days.other': '{count} 日',
+    'meeting.icsImport': '.ics ファイルから予定ありの時間をインポート（この行にドロップも可）',
+    'meeting.holiday': '🎉 祝日：{names}',
+    'meeting.everyoneFree': '全員空き {duration}',
+    'meeting.noOverlap': '全員の重なりなし',
+    'meeting.slotLocal': '現地 {time}',
+    'meeting.dayOff': '休日',
+    'meeting.busy': '予定あり',
+    'meeting.available': '{available}/{total} 人が参加可能',
+    'meeting.export': 'カレンダーの招待としてエクスポート',
+    'meeting.defaultTitle': 'チーム会議',
+    'meeting.titleLabel': '会議のタイトル',
+    'meeting.duration': '会議の長さ',
+    'meeting.download': '📅 .ics をダウンロード',
+    'meeting.suggested': '提案',
+    'meeting.clickToChange': '上の時間帯をクリックすると開始時刻を変更できます',
+    'meeting.clickToChoose': '上の時間帯をクリックして開始時刻を選んでください。',
+
+    'legend.working': '勤務中',
+    'legend.busy': '予定あり',
+    'legend.off': '休日または祝日',
+    'legend.everyone': '全員空き',
+    'legend.best': '参加可能な人が最多',
+
+    'rotation.title': '🔁 公平に持ち回る定例会議',
+    'rotation.cadence': '頻度',
+    'rotation.every.other': '{count} 週間ごと',
+    'rotation.on': '曜日：',
+    'rotation.weekday': '曜日',
+    'rotation.count': '会議の回数',
+    'rotation.meetings.other': '{count} 回',
+    'rotation.each': '各 {duration}、日付は {zone} 基準',
+    'rotation.needTwo': '持ち回りを計画するには 2 人以上の参加者を追加してください。',
+    'rotation.date': '日付',
+    'rotation.points': '{points} ポイント',
+    'rotation.pts': '{points} pt',
+    'rotation.inconvenience': '負担',
+    'rotation.tally': '勤務時間外 {outside} 回 • 夜間 {night} 回',
+    'rotation.legend.ok': '勤務時間内',
+    'rotation.legend.outside': '勤務時間外（1 pt/時間）',
+    'rotation.legend.night': '22:00–07:00（3 pt/時間）',
+    'rotation.download.other': '📅 .ics をダウンロード（{count} 回分）',
+
+    'sync.signIn': '☁️ ログインして同期',
+    'sync.hint': 'チーム、ピン留めしたゾーン、勤務時間をデバイス間で同期します',
+    'sync.signOut': 'ログアウト',
+    'sync.status.synced': '同期済み',
+    'sync.status.syncing': '同期中…',
+    'sync.status.offline': 'オフライン — このデバイスに保存済み',
+    'sync.status.error': '同期に失敗 — このデバイスに保存済み',
+    'sync.conflicts.other': '{count} 件の変更が別のデバイスでも行われました',
+    'sync.conflictsHint': '最後に保存したデバイスの内容が残っています。クリックで閉じます。',
+    'reminder.for': '{zone} のリマインダー',
+    'reminder.none': 'このゾーンのリマインダーはまだありません。',
+    'reminder.time': '現地 {time}・{days}',
+    'reminder.overlapEnd': '{place} との重なりが終わる {duration} 前',
+    'reminder.next': '次回: {when}',
+    'reminder.kind': 'リマインダーの種類',
+    'reminder.kind.time': '現地の時刻に',
+    'reminder.kind.overlapEnd': '重なりが終わる前に',
+    'reminder.timeIn': '{zone} の時刻',
+    'reminder.minutesBefore': '重なりが終わる何分前か',
+    'reminder.daysIn': '{zone} の曜日',
+    'reminder.add': 'リマインダーを追加',
+    'reminder.denied': 'このサイトの通知はブロックされています。リマインダーを受け取るにはブラウザで許可してください。',
+    'reminder.unsupported': 'このブラウザは通知を表示できません。',
+    'reminder.notify.time': '{place} は {time} です',
+    'reminder.notify.overlapEnd': '{place} との重なりはあと {duration} で終わります',
+    'reminder.notify.body': 'あなたの時刻で {time}',
+}
+
+const ar = {
+    'app.title': 'ساعة عالمية للعاملين عن بُعد',
+    'app.subtitle': 'لوحة ساعات عالمية حديثة وسهلة لمن يعملون عن بُعد مع فرق في أنحاء العالم.',
+    'app.share': '🔗 مشاركة العرض',
+    'app.linkCopied': '✓ تم نسخ الرابط',
+    'app.shareTitle': 'نسخ رابط لهذا العرض (المناطق المثبتة، المرشحات، ساعات العمل، المظهر، الاجتماع)',
+    'app.lightMode': '☀️ الوضع الفاتح',
+    'app.darkMode': '🌙 الوضع الداكن',
+    'app.localTime': 'وقتك المحلي — {zone}',
+    'app.localHint': 'الوقت المرجعي. اضبط ساعات العمل وابحث عن المناطق الزمنية أدناه.',
+    'app.planMeeting': '👥 خطّط لاجتماع مع {team}',
+    'app.defaultHours': 'ساعات العمل الافتراضية',
+    'app.collapseSameRules': 'تجميع المناطق التي لها الوقت نفسه',
+    'app.footer': 'تُحفظ الفرق (المناطق المثبتة والأعضاء) وساعات العمل في localStorage، ويُحفظ العرض الحالي في الرابط أيضًا. يستخدم واجهة Intl في المتصفح لفروق توقيت وتوقيت صيفي دقيقة.',
+
+    'continent.All': 'الكل',
+    'continent.Africa': 'أفريقيا',
+    'continent.Antarctica': 'القارة القطبية الجنوبية',
+    'continent.Asia': 'آسيا',
+    'continent.Arctic': 'القطب الشمالي',
+    'continent.Atlantic': 'الأطلسي',
+    'continent.Indian Ocean': 'المحيط الهندي',
+    'continent.Oceania': 'أوقيانوسيا',
+    'continent.Europe': 'أوروبا',
+    'continent.North America': 'أمريكا الشمالية',
+    'continent.South America': 'أمريكا الجنوبية',
+    'country.all': 'كل الدول',
+    'country.label': 'الدولة',
+
+    'common.close': 'إغلاق',
+    'common.remove': 'إزالة {name}',
+    'common.reset': 'إعادة تعيين',
+    'common.you': '{name} (أنت)',
+
+    'locale.label': 'اللغة والتنسيق',
+    'locale.language': 'اللغة',
+    'locale.auto': 'لغة المتصفح',
+    'locale.hourCycle': 'الساعات',
+    'locale.hourCycle.auto': '12/24 ساعة: حسب اللغة',
+    'locale.hourCycle.h12': 'نظام 12 ساعة',
+    'locale.hourCycle.h23': 'نظام 24 ساعة',
+    'locale.digits': 'الأرقام',
+    'locale.digits.auto': 'الأرقام: حسب اللغة',
+
+    'clock.display': 'عرض الساعة',
+    'clock.style': 'النمط',
+    'clock.analog': 'عقارب',
+    'clock.digital': 'رقمية فقط',
+    'clock.dial': 'المينا',
+    'clock.dial12': 'مينا 12 ساعة',
+    'clock.dial24': 'مينا 24 ساعة',
+    'clock.numerals': 'الأرقام',
+    'clock.allNumerals': 'كل الأرقام',
+    'clock.secondHand': 'عقرب الثواني',
+    'clock.ticking': 'عقرب ثوانٍ متقطع',
+    'clock.smooth': 'عقرب ثوانٍ انسيابي',
+    'clock.noSecondHand': 'بدون عقرب ثوانٍ',
+    'clock.minuteTicks': 'علامات الدقائق',
+
+    'search.label': 'البحث عن المناطق الزمنية',
+    'search.short': 'ابحث عن منطقة زمنية...',
+    'search.placeholder': 'ابحث بالمدينة أو الدولة أو الرمز أو الاختصار أو فرق التوقيت (مثل Bangalore وIndia وPST وUTC+5:30)',
+    'search.clear': 'مسح',
+    'search.kind.zone': 'منطقة',
+    'search.kind.city': 'مدينة',
+    'search.kind.country': 'دولة',
+    'search.kind.code': 'رمز ISO',
+    'search.kind.abbr': 'اختصار',
+    'search.kind.offset': 'فرق التوقيت',
+    'search.zones.one': 'منطقة واحدة',
+    'search.zones.two': 'منطقتان',
+    'search.zones.few': '{count} مناطق',
+    'search.zones.other': '{count} منطقة',
+
+    'converter.label': 'تحويل وقت',
+    'converter.placeholder': 'حوّل وقتًا (بالإنجليزية): "3pm London"، "tomorrow 09:30 in Tokyo"، "14:00 PST"',
+    'converter.heading': '{time} في {place}',
+    'converter.days.one': 'يوم واحد',
+    'converter.days.two': 'يومان',
+    'converter.days.few': '{count} أيام',
+    'converter.days.other': '{count} يومًا',
+    'converter.copy': '📋 نسخ كنص',
+    'converter.copied': '✓ تم النسخ',
+    'converter.error.invalidDate': 'هذا التاريخ غير موجود.',
+    'converter.error.missingTime': 'أضف وقتًا، مثل "3pm London" أو "14:00 PST".',
+    'converter.error.unknownPlace': 'لم يُعثر على مكان باسم "{place}".',
+    'converter.skippedTime': 'الساعة {time} غير موجودة في ذلك اليوم في {zone} (تقديم الساعة)؛ يُعرض الوقت الذي يلي التغيير مباشرة.',
+
+    'travel.label': '⏱ السفر عبر الزمن',
+    'travel.pickerIn': 'التاريخ والوقت في {zone}',
+    'travel.slider': 'تحريك الوقت (±7 أيام)',
+    'travel.backToLive': '● العودة إلى الوقت الحالي',
+    'travel.live': 'مباشر',
+
+    'time.inHours.one': 'خلال ساعة',
+    'time.inHours.two': 'خلال ساعتين',
+    'time.inHours.few': 'خلال {count} ساعات',
+    'time.inHours.other': 'خلال {count} ساعة',
+    'time.inDays.one': 'خلال يوم',
+    'time.inDays.two': 'خلال يومين',
+    'time.inDays.few': 'خلال {count} أيام',
+    'time.inDays.other': 'خلال {count} يومًا',
+    'time.tomorrow': 'غدًا',
+
+    'zone.pin': 'تثبيت المنطقة',
+    'zone.clockFor': 'عرض الساعة لـ {zone}',
+    'zone.clockOwn': 'عرض الساعة (إعداد خاص)',
+    'zone.clockGlobal': 'عرض الساعة (الإعداد العام)',
+    'zone.clockLabel': 'ساعة {zone}',
+    'zone.useGlobal': 'استخدام الإعداد العام',
+    'zone.polarDay': '☀ نهار قطبي: لا تغرب الشمس اليوم',
+    'zone.polarNight': '🌑 ليل قطبي: لا شروق اليوم',
+    'zone.dst.back': '↩ تُؤخَّر الساعات {when}',
+    'zone.dst.forward': '↪ تُقدَّم الساعات {when}',
+    'zone.holiday': '🎉 عطلة رسمية اليوم: {name}',
+    'zone.holidayTitle': 'عطلة رسمية اليوم: تُحتسب يوم عطلة في مخطط الاجتماعات',
+    'holiday.observed': '{name} (بديل)',
+    'zone.default': '(افتراضي)',
+    'zone.hoursIn': 'ساعات العمل في {zone}',
+    'zone.daysIn': 'أيام العمل في {zone}',
+    'zone.quickOverlap': 'تداخل سريع لمدة 3 ساعات مع {name}',
+    'zone.yourZone': 'منطقتك الزمنية',
+    'zone.moreCities.one': '+ مدينة أخرى',
+    'zone.moreCities.two': '+ مدينتان أخريان',
+    'zone.moreCities.few': '+{count} مدن أخرى',
+    'zone.moreCities.other': '+{count} مدينة أخرى',
+    'zone.fewerCities.one': 'إخفاء مدينة واحدة',
+    'zone.fewerCities.two': 'إخفاء مدينتين',
+    'zone.fewerCities.few': 'إخفاء {count} مدن',
+    'zone.fewerCities.other': 'إخفاء {count} مدينة',
+    'zone.rename': 'إعادة تسمية {zone}',
+    'zone.labelPlaceholder': 'تسمية، مثل المقر الرئيسي',
+    'zone.move': 'نقل {zone}: الموضع {position} من {total}',
+    'zone.moveHint': 'اسحب لإعادة الترتيب، أو استخدم مفاتيح الأسهم',
+
+    'workHours.label': 'ساعات العمل',
+    'workHours.title': 'فترات بدقة الدقيقة مفصولة بفواصل (مثل 09:30-13:00, 14:00-18:30)',
+    'workDays.label': 'أيام العمل',
+    'workDays.none': 'لا أيام',
+    'workDays.every': 'كل يوم',
+    'workDays.range': '{from}–{to}',
+
+    'team.title': 'الفرق',
+    'team.hint': 'لكل فريق مناطقه المثبتة وأعضاؤه. تبديل الفريق يغيّر قسم المناطق المثبتة ومخطط الاجتماعات.',
+    'team.active': 'الفريق النشط',
+    'team.option': '{name} ({zones} مناطق، {people} أشخاص)',
+    'team.name': 'اسم الفريق',
+    'team.delete': 'حذف',
+    'team.deleteNamed': 'حذف {name}',
+    'team.confirmDelete': 'هل تريد حذف «{name}» مع مناطقه المثبتة وأعضائه؟',
+    'team.newPlaceholder': 'فريق جديد (مثل: العميل Acme)',
+    'team.newName': 'اسم الفريق الجديد',
+    'team.add': 'إضافة فريق',
+    'team.export': '⬇ تصدير JSON',
+    'team.import': '⬆ استيراد JSON',
+    'team.imported.one': 'تم استيراد فريق واحد من {file}.',
+    'team.imported.two': 'تم استيراد فريقين من {file}.',
+    'team.imported.few': 'تم استيراد {count} فرق من {file}.',
+    'team.imported.other': 'تم استيراد {count} فريقًا من {file}.',
+    'team.importError.invalidJson': 'هذا الملف ليس JSON صالحًا.',
+    'team.importError.noZones': 'لم يتم العثور على مناطق زمنية في هذا الملف.',
+    'team.importError.notTeamsFile': 'هذا ليس ملف فرق World Clock.',
+    'team.importError.newerVersion': 'أُنشئ هذا الملف بإصدار أحدث من التطبيق (v{version}).',
+    'team.importError.noTeams': 'لم يتم العثور على فرق في هذا الملف.',
+
+    'people.title': 'الأشخاص',
+    'people.membersOf': 'أعضاء {team}',
+    'people.hint': 'حدّد لكل زميل ساعات عمله الخاصة. يمكن إضافتهم إلى مخطط الاجتماعات.',
+    'people.name': 'الاسم',
+    'people.zone': 'المنطقة الزمنية',
+    'people.hoursFor': 'ساعات عمل {name}',
+    'people.namePlaceholder': 'الاسم (مثل Priya)',
+    'people.newName': 'اسم الشخص الجديد',
+    'people.newZone': 'المنطقة الزمنية للشخص الجديد',
+    'people.add': 'إضافة شخص',
+
+    'meeting.title.one': 'مخطط الاجتماعات — مشارك واحد',
+    'meeting.title.two': 'مخطط الاجتماعات — مشاركان',
+    'meeting.title.few': 'مخطط الاجتماعات — {count} مشاركين',
+    'meeting.title.other': 'مخطط الاجتماعات — {count} مشاركًا',
+    'meeting.hoursTitle': 'ساعات العمل {hours}',
+    'meeting.add': 'إضافة مشارك',
+    'meeting.addOption': '+ إضافة مشارك…',
+    'meeting.people': 'الأشخاص',
+    'meeting.zones': 'المناطق',
+    'meeting.unnamed': 'بلا اسم',
+    'meeting.horizon.one': 'هذا اليوم (UTC)',
+    'meeting.horizon.two': 'اليومين القادمين (UTC)',
+    'meeting.horizon.few': 'الأيام الـ{count} القادمة (UTC)',
+    'meeting.horizon.other': 'الـ{count} يومًا القادمة (UTC)',
+    'meeting.needTwo': 'أضف منطقتين على الأقل للبحث عن تداخل.',
+    'meeting.full3h': 'يوجد في {horizon} تداخل كامل واحد على الأقل مدته 3 ساعات يعمل فيه الجميع. أبكر بداية:',
+    'meeting.shortOverlap': 'يتداخل الجميع في {horizon}، لكن لأقل من 3 ساعات متواصلة. أبكر بداية:',
+    'meeting.bestOption': 'لا توجد فترة في {horizon} يكون فيها الجميع ضمن ساعات العمل. أفضل خيار: {best} من {total} متاحون.',
+    'meeting.nobody': 'لا أحد ضمن ساعات العمل في {horizon}.',
+    'meeting.dstHeading': '⚠️ تغييرات قادمة في التوقيت',
+    'meeting.gapChange': 'اعتبارًا من {from}، سيكون توقيت {a} {after} {b} (حاليًا {before}).',
+    'meeting.gapChangeUntil': 'من {from} حتى {until}، سيكون توقيت {a} {after} {b} (حاليًا {before}).',
+    'meeting.gap.same': 'مطابقًا لتوقيت',
+    'meeting.gap.ahead': 'متقدمًا بـ{duration} على',
+    'meeting.gap.behind': 'متأخرًا بـ{duration} عن',
+    'meeting.morePairs.one': '…وزوج آخر. قد تحتاج الاجتماعات المتكررة إلى وقت جديد.',
+    'meeting.morePairs.other': '…و{count} أزواج أخرى. قد تحتاج الاجتماعات المتكررة إلى وقت جديد.',
+    'meeting.start': 'البداية ({label}): {time}',
+    'meeting.useSuggested': 'استخدام البداية المقترحة',
+    'meeting.show': 'عرض',
+    'meeting.daysToShow': 'الأيام المعروضة',
+    'meeting.days.one': 'يوم واحد',
+    'meeting.days.two': 'يومان',
+    'meeting.days.few': '{count} أيام',
+    'meeting.days.other': '{count} يومًا',
+    'meeting.icsImport': 'استيراد أوقات الانشغال من ملفات ‎.ics (أو أفلتها على هذا الصف)',
+    'meeting.holiday': '🎉 عطلة رسمية: {names}',
+    'meeting.everyoneFree': '{duration} الجميع متفرغ',
+    'meeting.noOverlap': 'لا تداخل كامل',
+    'meeting.slotLocal': '{time} بالتوقيت المحلي',
+    'meeting.dayOff': 'يوم عطلة',
+    'meeting.busy': 'مشغول',
+    'meeting.available': '{available}/{total} متاحون',
+    'meeting.export': 'تصدير كدعوة تقويم',
+    'meeting.defaultTitle': 'اجتماع الفريق',
+    'meeting.titleLabel': 'عنوان الاجتماع',
+    'meeting.duration': 'مدة الاجتماع',
+    'meeting.download': '📅 تنزيل ‎.ics',
+    'meeting.suggested': 'مقترح',
+    'meeting.clickToChange': 'انقر على أي فترة أعلاه لتغيير البداية',
+    'meeting.clickToChoose': 'انقر على أي فترة أعلاه لاختيار وقت البداية.',
+
+    'legend.working': 'في العمل',
+    'legend.busy': 'مشغول',
+    'legend.off': 'يوم عطلة أو عطلة رسمية',
+    'legend.everyone': 'الجميع متفرغ',
+    'legend.best': 'أكثر المتاحين',
+
+    'rotation.title': '🔁 اجتماع متكرر بتناوب عادل',
+    'rotation.cadence': 'التكرار',
+    'rotation.every.one': 'أسبوعيًا',
+    'rotation.every.two': 'كل أسبوعين',
+    'rotation.every.few': 'كل {count} أسابيع',
+    'rotation.every.other': 'كل {count} أسبوعًا',
+    'rotation.on': 'يوم',
+    'rotation.weekday': 'يوم الأسبوع',
+    'rotation.count': 'عدد الاجتماعات',
+    'rotation.meetings.one': 'اجتماع واحد',
+    'rotation.meetings.two': 'اجتماعان',
+    'rotation.meetings.few': '{count} اجتماعات',
+    'rotation.meetings.other': '{count} اجتماعًا',
+    'rotation.each': '{duration} لكل اجتماع، الأيام حسب {zone}',
+    'rotation.needTwo': 'أضف مشاركَين على الأقل للتخطيط للتناوب.',
+    'rotation.date': 'التاريخ',
+    'rotation.points': '{points} نقاط',
+    'rotation.pts': '{points} نقطة',
+    'rotation.inconvenience': 'الإزعاج',
+    'rotation.tally': '{outside} خارج ساعات العمل • {night} ليلًا',
+    'rotation.legend.ok': 'ضمن ساعات العمل',
+    'rotation.legend.outside': 'خارج ساعات العمل (نقطة/ساعة)',
+    'rotation.legend.night': '22:00–07:00 (3 نقاط/ساعة)',
+    'rotation.download.one': '📅 تنزيل ‎.ics (اجتماع واحد)',
+    'rotation.download.two': '📅 تنزيل ‎.ics (اجتماعان)',
+    'rotation.download.few': '📅 تنزيل ‎.ics ({count} اجتماعات)',
+    'rotation.download.other': '📅 تنزيل ‎.ics ({count} اجتماعًا)',
+
+    'sync.signIn': '☁️ سجّل الدخول للمزامنة',
+    'sync.hint': 'زامن الفرق والمناطق المثبتة وساعات العمل بين أجهزتك',
+    'sync.signOut': 'تسجيل الخروج',
+    'sync.status.synced': 'تمت المزامنة',
+    'sync.status.syncing': 'جارٍ المزامنة…',
+    'sync.status.offline': 'غير متصل — محفوظ على هذا الجهاز',
+    'sync.status.error': 'فشلت المزامنة — محفوظ على هذا الجهاز',
+    'sync.conflicts.one': 'تعديل واحد تغيّر أيضًا على جهاز آخر',
+    'sync.conflicts.two': 'تعديلان تغيّرا أيضًا على جهاز آخر',
+    'sync.conflicts.few': '{count} تعديلات تغيّرت أيضًا على جهاز آخر',
+    'sync.conflicts.other': '{count} تعديلًا تغيّر أيضًا على جهاز آخر',
+    'sync.conflictsHint': 'احتفظ آخر جهاز حفظ بنسخته. انقر للإخفاء.',
+    'reminder.for': 'تذكيرات {zone}',
+    'reminder.none': 'لا توجد تذكيرات لهذه المنطقة بعد.',
+    'reminder.time': '{time} هناك، {days}',
+    'reminder.overlapEnd': 'قبل {duration} من انتهاء التداخل مع {place}',
+    'reminder.next': 'التالي: {when}',
+    'reminder.kind': 'نوع التذكير',
+    'reminder.kind.time': 'في وقت محدد هناك',
+    'reminder.kind.overlapEnd': 'قبل انتهاء التداخل',
+    'reminder.timeIn': 'الوقت في {zone}',
+    'reminder.minutesBefore': 'الدقائق قبل انتهاء التداخل',
+    'reminder.daysIn': 'الأيام في {zone}',
+    'reminder.add': 'إضافة تذكير',
+    'reminder.denied': 'الإشعارات محظورة لهذا الموقع. اسمح بها في المتصفح لتصلك التذكيرات.',
+    'reminder.unsupported': 'لا يستطيع هذا المتصفح عرض الإشعارات.',
+    'reminder.notify.time': 'الساعة الآن {time} في {place}',
+    'reminder.notify.overlapEnd': 'ينتهي تداخلك مع {place} خلال {duration}',
+    'reminder.notify.body': '{time} بتوقيتك',
+}
+
+const he = {
+    'app.title': 'שעון עולמי לעובדים מרחוק',
+    'app.subtitle': 'לוח שעונים עולמי מודרני ופשוט למי שעובדים מרחוק עם צוותים ברחבי העולם.',
+    'app.share': '🔗 שיתוף התצוגה',
+    'app.linkCopied': '✓ הקישור הועתק',
+    'app.shareTitle': 'העתקת קישור לתצוגה הזו (אזורים מוצמדים, מסננים, שעות, ערכת נושא, פגישה)',
+    'app.lightMode': '☀️ מצב בהיר',
+    'app.darkMode': '🌙 מצב כהה',
+    'app.localTime': 'השעה המקומית שלך — {zone}',
+    'app.localHint': 'שעת ייחוס. אפשר לשנות שעות עבודה ולחפש אזורי זמן למטה.',
+    'app.planMeeting': '👥 תכנון פגישה עם {team}',
+    'app.defaultHours': 'שעות עבודה ברירת מחדל',
+    'app.collapseSameRules': 'קיבוץ אזורים שמראים אותה שעה',
+    'app.footer': 'צוותים (אזורים מוצמדים וחברים) ושעות עבודה נשמרים ב-localStorage; התצוגה הנוכחית נשמרת גם בכתובת. נעשה שימוש ב-Intl API של הדפדפן להפרשי שעות ושעון קיץ מדויקים.',
+
+    'continent.All': 'הכול',
+    'continent.Africa': 'אפריקה',
+    'continent.Antarctica': 'אנטארקטיקה',
+    'continent.Asia': 'אסיה',
+    'continent.Arctic': 'הארקטי',
+    'continent.Atlantic': 'האוקיינוס האטלנטי',
+    'continent.Indian Ocean': 'האוקיינוס ההודי',
+    'continent.Oceania': 'אוקיאניה',
+    'continent.Europe': 'אירופה',
+    'continent.North America': 'צפון אמריקה',
+    'continent.South America': 'דרום אמריקה',
+    'country.all': 'כל המדינות',
+    'country.label': 'מדינה',
+
+    'common.close': 'סגירה',
+    'common.remove': 'הסרת {name}',
+    'common.reset': 'איפוס',
+    'common.you': '{name} (את/ה)',
+
+    'locale.label': 'שפה ותבנית',
+    'locale.language': 'שפה',
+    'locale.auto': 'שפת הדפדפן',
+    'locale.hourCycle': 'שעות',
+    'locale.hourCycle.auto': '12/24 שעות: לפי השפה',
+    'locale.hourCycle.h12': 'תצוגת 12 שעות',
+    'locale.hourCycle.h23': 'תצוגת 24 שעות',
+    'locale.digits': 'ספרות',
+    'locale.digits.auto': 'ספרות: לפי השפה',
+
+    'clock.display': 'תצוגת השעון',
+    'clock.style': 'סגנון',
+    'clock.analog': 'אנלוגי',
+    'clock.digital': 'דיגיטלי בלבד',
+    'clock.dial': 'לוח',
+    'clock.dial12': 'לוח 12 שעות',
+    'clock.dial24': 'לוח 24 שעות',
+    'clock.numerals': 'ספרות',
+    'clock.allNumerals': 'כל הספרות',
+    'clock.secondHand': 'מחוג שניות',
+    'clock.ticking': 'מחוג שניות מתקתק',
+    'clock.smooth': 'מחוג שניות רציף',
+    'clock.noSecondHand': 'ללא מחוג שניות',
+    'clock.minuteTicks': 'סימוני דקות',
+
+    'search.label': 'חיפוש אזורי זמן',
+    'search.short': 'חיפוש אזורי זמן...',
+    'search.placeholder': 'חיפוש לפי עיר, מדינה, קוד, קיצור או הפרש שעות (למשל Bangalore,‏ India,‏ PST,‏ UTC+5:30)',
+    'search.clear': 'ניקוי',
+    'search.kind.zone': 'אזור',
+    'search.kind.city': 'עיר',
+    'search.kind.country': 'מדינה',
+    'search.kind.code': 'קוד ISO',
+    'search.kind.abbr': 'קיצור',
+    'search.kind.offset': 'הפרש שעות',
+    'search.zones.one': 'אזור אחד',
+    'search.zones.other': '{count} אזורים',
+
+    'converter.label': 'המרת שעה',
+    'converter.placeholder': 'המרת שעה (באנגלית): "3pm London",‏ "tomorrow 09:30 in Tokyo",‏ "14:00 PST"',
+    'converter.heading': '{time} ב-{place}',
+    'converter.days.one': 'יום אחד',
+    'converter.days.two': 'יומיים',
+    'converter.days.other': '{count} ימים',
+    'converter.copy': '📋 העתקה כטקסט',
+    'converter.copied': '✓ הועתק',
+    'converter.error.invalidDate': 'התאריך הזה לא קיים.',
+    'converter.error.missingTime': 'הוסיפו שעה, למשל "3pm London" או "14:00 PST".',
+    'converter.error.unknownPlace': 'לא נמצא מקום בשם "{place}".',
+    'converter.skippedTime': 'השעה {time} לא קיימת באותו יום ב-{zone} (מעבר לשעון קיץ); מוצג הרגע שמיד אחרי השינוי.',
+
+    'travel.label': '⏱ מסע בזמן',
+    'travel.pickerIn': 'תאריך ושעה ב-{zone}',
+    'travel.slider': 'הזזת הזמן (±7 ימים)',
+    'travel.backToLive': '● חזרה לזמן אמת',
+    'travel.live': 'חי',
+
+    'time.inHours.one': 'בעוד שעה',
+    'time.inHours.two': 'בעוד שעתיים',
+    'time.inHours.other': 'בעוד {count} שעות',
+    'time.inDays.one': 'בעוד יום',
+    'time.inDays.two': 'בעוד יומיים',
+    'time.inDays.other': 'בעוד {count} ימים',
+    'time.tomorrow': 'מחר',
+
+    'zone.pin': 'הצמדת האזור',
+    'zone.clockFor': 'תצוגת השעון של {zone}',
+    'zone.clockOwn': 'תצוגת השעון (הגדרה נפרדת)',
+    'zone.clockGlobal': 'תצוגת השעון (הגדרה כללית)',
+    'zone.clockLabel': 'השעון של {zone}',
+    'zone.useGlobal': 'שימוש בהגדרה הכללית',
+    'zone.polarDay': '☀ יום קוטבי: השמש לא שוקעת היום',
+    'zone.polarNight': '🌑 לילה קוטבי: אין זריחה היום',
+    'zone.dst.back': '↩ השעון יוזז אחורה {when}',
+    'zone.dst.forward': '↪ השעון יוזז קדימה {when}',
+    'zone.holiday': '🎉 חג היום: {name}',
+    'zone.holidayTitle': 'חג היום: נחשב ליום חופש במתכנן הפגישות',
+    'holiday.observed': '{name} (יום חלופי)',
+    'zone.default': '(ברירת מחדל)',
+    'zone.hoursIn': 'שעות העבודה ב-{zone}',
+    'zone.daysIn': 'ימי העבודה ב-{zone}',
+    'zone.quickOverlap': 'חפיפה מהירה של 3 שעות עם {name}',
+    'zone.yourZone': 'אזור הזמן שלך',
+    'zone.moreCities.one': '+ עיר נוספת',
+    'zone.moreCities.other': '+{count} ערים נוספות',
+    'zone.fewerCities.one': 'הסתרת עיר אחת',
+    'zone.fewerCities.other': 'הסתרת {count} ערים',
+    'zone.rename': 'שינוי השם של {zone}',
+    'zone.labelPlaceholder': 'תווית, למשל מטה',
+    'zone.move': 'הזזת {zone}: מיקום {position} מתוך {total}',
+    'zone.moveHint': 'גררו כדי לשנות את הסדר, או השתמשו במקשי החצים',
+
+    'workHours.label': 'שעות עבודה',
+    'workHours.title': 'טווחים ברמת דקה, מופרדים בפסיקים (למשל 09:30-13:00, 14:00-18:30)',
+    'workDays.label': 'ימי עבודה',
+    'workDays.none': 'אף יום',
+    'workDays.every': 'כל יום',
+    'workDays.range': '{from}–{to}',
+
+    'team.title': 'צוותים',
+    'team.hint': 'לכל צוות יש אזורים מוצמדים וחברים משלו. החלפת צוות משנה את האזור המוצמד ואת מתכנן הפגישות.',
+    'team.active': 'הצוות הפעיל',
+    'team.option': '{name} ({zones} אזורים, {people} אנשים)',
+    'team.name': 'שם הצוות',
+    'team.delete': 'מחיקה',
+    'team.deleteNamed': 'מחיקת {name}',
+    'team.confirmDelete': 'למחוק את "{name}" יחד עם האזורים המוצמדים והחברים?',
+    'team.newPlaceholder': 'צוות חדש (למשל לקוח: Acme)',
+    'team.newName': 'שם הצוות החדש',
+    'team.add': 'הוספת צוות',
+    'team.export': '⬇ ייצוא JSON',
+    'team.import': '⬆ ייבוא JSON',
+    'team.imported.one': 'יובא צוות אחד מ-{file}.',
+    'team.imported.other': 'יובאו {count} צוותים מ-{file}.',
+    'team.importError.invalidJson': 'הקובץ אינו JSON תקין.',
+    'team.importError.noZones': 'לא נמצאו אזורי זמן בקובץ.',
+    'team.importError.notTeamsFile': 'זה אינו קובץ צוותים של World Clock.',
+    'team.importError.newerVersion': 'הקובץ נוצר בגרסה חדשה יותר של האפליקציה (v{version}).',
+    'team.importError.noTeams': 'לא נמצאו צוותים בקובץ.',
+
+    'people.title': 'אנשים',
+    'people.membersOf': 'חברי {team}',
+    'people.hint': 'אפשר לתת לכל חבר צוות שעות עבודה משלו. אפשר להוסיף אותם למתכנן הפגישות.',
+    'people.name': 'שם',
+    'people.zone': 'אזור זמן',
+    'people.hoursFor': 'שעות העבודה של {name}',
+    'people.namePlaceholder': 'שם (למשל Priya)',
+    'people.newName': 'שם האדם החדש',
+    'people.newZone': 'אזור הזמן של האדם החדש',
+    'people.add': 'הוספת אדם',
+
+    'meeting.title.one': 'מתכנן פגישות — משתתף אחד',
+    'meeting.title.other': 'מתכנן פגישות — {count} משתתפים',
+    'meeting.hoursTitle': 'שעות עבודה {hours}',
+    'meeting.add': 'הוספת משתתף',
+    'meeting.addOption': '+ הוספת משתתף…',
+    'meeting.people': 'אנשים',
+    'meeting.zones': 'אזורים',
+    'meeting.unnamed': 'ללא שם',
+    'meeting.horizon.one': 'היום הזה (UTC)',
+    'meeting.horizon.two': 'היומיים הקרובים (UTC)',
+    'meeting.horizon.other': '{count} הימים הקרובים (UTC)',
+    'meeting.needTwo': 'יש להוסיף לפחות שני אזורים כדי לחפש חפיפה.',
+    'meeting.full3h': 'ב{horizon} יש לפחות חפיפה מלאה אחת של 3 שעות שבה כולם עובדים. ההתחלה המוקדמת ביותר:',
+    'meeting.shortOverlap': 'כולם חופפים, אבל פחות מ-3 שעות ברצף ב{horizon}. ההתחלה המוקדמת ביותר:',
+    'meeting.bestOption': 'אין ב{horizon} משבצת שבה כולם בשעות העבודה. האפשרות הטובה ביותר: {best} מתוך {total} זמינים.',
+    'meeting.nobody': 'אף אחד לא בשעות העבודה ב{horizon}.',
+    'meeting.dstHeading': '⚠️ שינויי שעון בקרוב',
+    'meeting.gapChange': 'החל מ-{from}, ‏{a} יהיה {after} {b} (כעת {before}).',
+    'meeting.gapChangeUntil': 'מ-{from} עד {until}, ‏{a} יהיה {after} {b} (כעת {before}).',
+    'meeting.gap.same': 'באותה שעה כמו',
+    'meeting.gap.ahead': '{duration} לפני',
+    'meeting.gap.behind': '{duration} אחרי',
+    'meeting.morePairs.one': '…ועוד זוג אחד. ייתכן שפגישות קבועות יצטרכו שעה חדשה.',
+    'meeting.morePairs.other': '…ועוד {count} זוגות. ייתכן שפגישות קבועות יצטרכו שעה חדשה.',
+    'meeting.start': 'התחלה ({label}): {time}',
+    'meeting.useSuggested': 'שימוש בהתחלה המוצעת',
+    'meeting.show': 'הצגה',
+    'meeting.daysToShow': 'ימים להצגה',
+    'meeting.days.one': 'יום אחד',
+    'meeting.days.two': 'יומיים',
+    'meeting.days.other': '{count} ימים',
+    'meeting.icsImport': 'ייבוא זמנים תפוסים מקובצי ‎.ics (או גרירתם לשורה הזו)',
+    'meeting.holiday': '🎉 חג: {names}',
+    'meeting.everyoneFree': '{duration} כולם פנויים',
+    'meeting.noOverlap': 'אין חפיפה מלאה',
+    'meeting.slotLocal': '{time} שעון מקומי',
+    'meeting.dayOff': 'יום חופש',
+    'meeting.busy': 'תפוס',
+    'meeting.available': '{available}/{total} זמינים',
+    'meeting.export': 'ייצוא כהזמנה ללוח השנה',
+    'meeting.defaultTitle': 'פגישת צוות',
+    'meeting.titleLabel': 'כותרת הפגישה',
+    'meeting.duration': 'משך הפגישה',
+    'meeting.download': '📅 הורדת ‎.ics',
+    'meeting.suggested': 'מוצע',
+    'meeting.clickToChange': 'אפשר ללחוץ על משבצת למעלה כדי לשנות את ההתחלה',
+    'meeting.clickToChoose': 'יש ללחוץ על משבצת למעלה כדי לבחור שעת התחלה.',
+
+    'legend.working': 'בעבודה',
+    'legend.busy': 'תפוס',
+    'legend.off': 'יום חופש או חג',
+    'legend.everyone': 'כולם פנויים',
+    'legend.best': 'הכי הרבה זמינים',
+
+    'rotation.title': '🔁 פגישה קבועה עם רוטציה הוגנת',
+    'rotation.cadence': 'תדירות',
+    'rotation.every.one': 'כל שבוע',
+    'rotation.every.two': 'כל שבועיים',
+    'rotation.every.other': 'כל {count} שבועות',
+    'rotation.on': 'ביום',
+    'rotation.weekday': 'יום בשבוע',
+    'rotation.count': 'מספר הפגישות',
+    'rotation.meetings.one': 'פגישה אחת',
+    'rotation.meetings.two': 'שתי פגישות',
+    'rotation.meetings.other': '{count} פגישות',
+    'rotation.each': '{duration} כל אחת, ימים לפי {zone}',
+    'rotation.needTwo': 'יש להוסיף לפחות שני משתתפים כדי לתכנן רוטציה.',
+    'rotation.date': 'תאריך',
+    'rotation.points': '{points} נקודות',
+    'rotation.pts': '{points} נק׳',
+    'rotation.inconvenience': 'אי-נוחות',
+    'rotation.tally': '{outside} מחוץ לשעות • {night} בלילה',
+    'rotation.legend.ok': 'בשעות העבודה',
+    'rotation.legend.outside': 'מחוץ לשעות (נק׳ אחת לשעה)',
+    'rotation.legend.night': '22:00–07:00 (3 נק׳ לשעה)',
+    'rotation.download.one': '📅 הורדת ‎.ics (פגישה אחת)',
+    'rotation.download.other': '📅 הורדת ‎.ics ({count} פגישות)',
+
+    'sync.signIn': '☁️ התחברות לסנכרון',
+    'sync.hint': 'סנכרון צוותים, אזורים מוצמדים ושעות עבודה בין המכשירים שלך',
+    'sync.signOut': 'התנתקות',
+    'sync.status.synced': 'מסונכרן',
+    'sync.status.syncing': 'מסנכרן…',
+    'sync.status.offline': 'לא מחובר — נשמר במכשיר הזה',
+    'sync.status.error': 'הסנכרון נכשל — נשמר במכשיר הזה',
+    'sync.conflicts.one': 'שינוי אחד נעשה גם במכשיר אחר',
+    'sync.conflicts.other': '{count} שינויים נעשו גם במכשיר אחר',
+    'sync.conflictsHint': 'המכשיר ששמר אחרון שמר על הגרסה שלו. לחיצה להסתרה.',
+    'reminder.for': 'תזכורות עבור {zone}',
+    'reminder.none': 'עדיין אין תזכורות לאזור הזה.',
+    'reminder.time': '{time} שם, {days}',
+    'reminder.overlapEnd': '{duration} לפני סוף החפיפה עם {place}',
+    'reminder.next': 'הבאה: {when}',
+    'reminder.kind': 'סוג התזכורת',
+    'reminder.kind.time': 'בשעה מסוימת שם',
+    'reminder.kind.overlapEnd': 'לפני סוף החפיפה',
+    'reminder.timeIn': 'השעה ב־{zone}',
+    'reminder.minutesBefore': 'דקות לפני סוף החפיפה',
+    'reminder.daysIn': 'ימים ב־{zone}',
+    'reminder.add': 'הוספת תזכורת',
+    'reminder.denied': 'ההתראות חסומות באתר הזה. יש לאשר אותן בדפדפן כדי לקבל תזכורות.',
+    'reminder.unsupported': 'הדפדפן הזה לא יכול להציג התראות.',
+    'reminder.notify.time': 'השעה {time} ב־{place}',
+    'reminder.notify.overlapEnd': 'החפיפה שלך עם {place} מסתיימת בעוד {duration}',
+    'reminder.notify.body': '{time} לפי השעה שלך',
+}
+
+export const MESSAGES = { en, es, fr, de, hi, ja, ar, he }
@@ -0,0 +1,72 @@
+/**
+ * regions.js
+ *
+ * Offline country -> region table, so every zone gets a real region through its
+ * country (countries.js) instead of guessing from the IANA name.
+ *
+ * Explanations:
+ * - Regions are the continents plus Oceania and the ocean island groups IANA itself uses
+ *   (Atlantic/*, Indian/*, Arctic/*). Central America and the Caribbean are North America.
+ * - Island countries follow their IANA ocean: Cape Verde and Bermuda are Atlantic, the
+ *   Maldives and Madagascar Indian Ocean. Iceland and the Faroe Islands are listed with Europe.
+ * - Countries spanning two regions (Russia, Portugal with the Azores, the US with Hawaii):
+ *   a zone whose IANA prefix names another region follows the prefix (Asia/Yakutsk is Asia,
+ *   Pacific/Honolulu is Oceania).
+ * - Zones without a country (Etc/GMT+5, UTC) have no region; they show under "All" only.
+ *
+ * Format: region -> [country codes...]
+ */
+
+import { countryByCode, countryCodeOfZone } from './countries'
+
+export const REGIONS = ['Africa', 'Antarctica', 'Arctic', 'Asia', 'Atlantic', 'Europe', 'Indian Ocean', 'North America', 'Oceania', 'South America']
+
+const REGION_COUNTRIES = {
+    'Africa': ['AO', 'BF', 'BI', 'BJ', 'BW', 'CD', 'CF', 'CG', 'CI', 'CM', 'DJ', 'DZ', 'EG', 'EH', 'ER', 'ET', 'GA', 'GH', 'GM', 'GN', 'GQ', 'GW', 'KE', 'LR', 'LS', 'LY', 'MA', 'ML', 'MR', 'MW', 'MZ', 'NA', 'NE', 'NG', 'RW', 'SD', 'SL', 'SN', 'SO', 'SS', 'ST', 'SZ', 'TD', 'TG', 'TN', 'TZ', 'UG', 'ZA', 'ZM', 'ZW'],
+    'Antarctica': ['AQ'],
+    'Arctic': ['SJ'],
+    'Asia': ['AE', 'AF', 'AM', 'AZ', 'BD', 'BH', 'BN', 'BT', 'CN', 'CY', 'GE', 'HK', 'ID', 'IL', 'IN', 'IQ', 'IR', 'JO', 'JP', 'KG', 'KH', 'KP', 'KR', 'KW', 'KZ', 'LA', 'LB', 'LK', 'MM', 'MN', 'MO', 'MY', 'NP', 'OM', 'PH', 'PK', 'PS', 'QA', 'SA', 'SG', 'SY', 'TH', 'TJ', 'TL', 'TM', 'TW', 'UZ', 'VN', 'YE'],
+    'Atlantic': ['BM', 'CV', 'FK', 'GS', 'SH'],
+    'Europe': ['AD', 'AL', 'AT', 'AX', 'BA', 'BE', 'BG', 'BY', 'CH', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FO', 'FR', 'GB', 'GG', 'GI', 'GR', 'HR', 'HU', 'IE', 'IM', 'IS', 'IT', 'JE', 'LI', 'LT', 'LU', 'LV', 'MC', 'MD', 'ME', 'MK', 'MT', 'NL', 'NO', 'PL', 'PT', 'RO', 'RS', 'RU', 'SE', 'SI', 'SK', 'SM', 'TR', 'UA', 'VA'],
+    'Indian Ocean': ['CC', 'CX', 'IO', 'KM', 'MG', 'MU', 'MV', 'RE', 'SC', 'TF', 'YT'],
+    'North America': ['AG', 'AI', 'AW', 'BB', 'BL', 'BQ', 'BS', 'BZ', 'CA', 'CR', 'CU', 'CW', 'DM', 'DO', 'GD', 'GL', 'GP', 'GT', 'HN', 'HT', 'JM', 'KN', 'KY', 'LC', 'MF', 'MQ', 'MS', 'MX', 'NI', 'PA', 'PM', 'PR', 'SV', 'SX', 'TC', 'TT', 'US', 'VC', 'VG', 'VI'],
+    'Oceania': ['AS', 'AU', 'CK', 'FJ', 'FM', 'GU', 'KI', 'MH', 'MP', 'NC', 'NF', 'NR', 'NU', 'NZ', 'PF', 'PG', 'PN', 'PW', 'SB', 'TK', 'TO', 'TV', 'UM', 'VU', 'WF', 'WS'],
+    'South America': ['AR', 'BO', 'BR', 'CL', 'CO', 'EC', 'GF', 'GY', 'PE', 'PY', 'SR', 'UY', 'VE'],
+}
+
+// region named by an IANA prefix (America/* is split by country, so it is not here)
+const PREFIX_REGIONS = {
+    Africa: 'Africa',
+    Antarctica: 'Antarctica',
+    Arctic: 'Arctic',
+    Asia: 'Asia',
+    Atlantic: 'Atlantic',
+    Australia: 'Oceania',
+    Europe: 'Europe',
+    Indian: 'Indian Ocean',
+    Pacific: 'Oceania',
+}
+
+const COUNTRY_TO_REGION = new Map()
+Object.entries(REGION_COUNTRIES).forEach(([region, codes]) => {
+    codes.forEach(code => COUNTRY_TO_REGION.set(code, region))
+})
+
+/**
+ * Region of an ISO country code, or null.
+ */
+export function regionOfCountry(code) {
+    return COUNTRY_TO_REGION.get(code) || null
+}
+
+/**
+ * Region of an IANA zone ('Europe', 'Oceania', …), or null for zones without a country.
+ */
+export function regionOfZone(tz) {
+    const byPrefix = PREFIX_REGIONS[tz.split('/')[0]] || null
+    const code = countryCodeOfZone(tz)
+    const region = regionOfCountry(code)
+    if (!region) return byPrefix
+    // a country spanning two regions: the prefix tells which side this zone is on
+    return byPrefix && byPrefix !== region && countryByCode(code).zones.length > 1 ? byPrefix : region
+}
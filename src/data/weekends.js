@@ -0,0 +1,31 @@
+/**
+ * weekends.js
+ *
+ * Weekly rest days by country (ISO 3166-1 alpha-2), used as the default working
+ * days of a zone. Days are numbered like Date#getDay(): 0 = Sunday … 6 = Saturday.
+ *
+ * Countries not listed rest on Saturday and Sunday.
+ * Notes:
+ * - Most of the Gulf rests Friday–Saturday (Saudi Arabia, Kuwait, Qatar, Bahrain, Oman),
+ *   but the United Arab Emirates moved to Saturday–Sunday in 2022.
+ * - Israel rests Friday–Saturday, i.e. works Sunday–Thursday.
+ * - Countries where the weekend differs by region (e.g. some Malaysian states)
+ *   keep the national default; it can be changed per zone in the app.
+ */
+
+export const DEFAULT_WEEKEND = [6, 0]
+
+export const WEEKENDS = {
+    // Friday–Saturday
+    SA: [5, 6], KW: [5, 6], QA: [5, 6], BH: [5, 6], OM: [5, 6], YE: [5, 6],
+    IQ: [5, 6], JO: [5, 6], SY: [5, 6], EG: [5, 6], DZ: [5, 6], LY: [5, 6], SD: [5, 6],
+    IL: [5, 6], PS: [5, 6], BD: [5, 6], MV: [5, 6],
+    // Thursday–Friday
+    AF: [4, 5],
+    // Friday only
+    IR: [5], DJ: [5],
+    // Saturday only
+    NP: [6],
+    // Friday and Sunday
+    BN: [5, 0],
+}
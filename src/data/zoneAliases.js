@@ -0,0 +1,163 @@
+/**
+ * zoneAliases.js
+ *
+ * Old and alternative IANA zone names -> the canonical id used everywhere in the app
+ * (tzdata's "backward" links, with targets as in zone.tab / countries.js).
+ *
+ * Explanations:
+ * - Browsers (ICU) still list some zones under their older names, e.g.
+ *   Intl.supportedValuesOf('timeZone') gives 'Asia/Calcutta' rather than 'Asia/Kolkata'.
+ * - Other names are valid but never listed: 'US/Pacific', 'GB', 'Etc/UTC'. They can still
+ *   arrive through a shared link, an imported teams file or the browser's own zone.
+ * - utils/timeUtils.js canonicalZone() applies this table; the app only ever stores and shows
+ *   the canonical id.
+ *
+ * Format: alias -> canonical id
+ */
+
+export const ZONE_ALIASES = {
+    // renamed zones still reported by ICU
+    'Africa/Asmera': 'Africa/Asmara',
+    'America/Buenos_Aires': 'America/Argentina/Buenos_Aires',
+    'America/Catamarca': 'America/Argentina/Catamarca',
+    'America/Coral_Harbour': 'America/Atikokan',
+    'America/Cordoba': 'America/Argentina/Cordoba',
+    'America/Godthab': 'America/Nuuk',
+    'America/Indianapolis': 'America/Indiana/Indianapolis',
+    'America/Jujuy': 'America/Argentina/Jujuy',
+    'America/Louisville': 'America/Kentucky/Louisville',
+    'America/Mendoza': 'America/Argentina/Mendoza',
+    'Asia/Calcutta': 'Asia/Kolkata',
+    'Asia/Katmandu': 'Asia/Kathmandu',
+    'Asia/Rangoon': 'Asia/Yangon',
+    'Asia/Saigon': 'Asia/Ho_Chi_Minh',
+    'Atlantic/Faeroe': 'Atlantic/Faroe',
+    'Europe/Kiev': 'Europe/Kyiv',
+    'Pacific/Enderbury': 'Pacific/Kanton',
+    'Pacific/Ponape': 'Pacific/Pohnpei',
+    'Pacific/Truk': 'Pacific/Chuuk',
+
+    // other old names and merged zones
+    'America/Argentina/ComodRivadavia': 'America/Argentina/Catamarca',
+    'America/Atka': 'America/Adak',
+    'America/Ensenada': 'America/Tijuana',
+    'America/Fort_Wayne': 'America/Indiana/Indianapolis',
+    'America/Knox_IN': 'America/Indiana/Knox',
+    'America/Montreal': 'America/Toronto',
+    'America/Nipigon': 'America/Toronto',
+    'America/Pangnirtung': 'America/Iqaluit',
+    'America/Porto_Acre': 'America/Rio_Branco',
+    'America/Rainy_River': 'America/Winnipeg',
+    'America/Rosario': 'America/Argentina/Cordoba',
+    'America/Santa_Isabel': 'America/Tijuana',
+    'America/Shiprock': 'America/Denver',
+    'America/Thunder_Bay': 'America/Toronto',
+    'America/Yellowknife': 'America/Edmonton',
+    'Antarctica/South_Pole': 'Antarctica/McMurdo',
+    'Asia/Ashkhabad': 'Asia/Ashgabat',
+    'Asia/Chongqing': 'Asia/Shanghai',
+    'Asia/Chungking': 'Asia/Shanghai',
+    'Asia/Dacca': 'Asia/Dhaka',
+    'Asia/Harbin': 'Asia/Shanghai',
+    'Asia/Istanbul': 'Europe/Istanbul',
+    'Asia/Kashgar': 'Asia/Urumqi',
+    'Asia/Macao': 'Asia/Macau',
+    'Asia/Tel_Aviv': 'Asia/Jerusalem',
+    'Asia/Thimbu': 'Asia/Thimphu',
+    'Asia/Ujung_Pandang': 'Asia/Makassar',
+    'Asia/Ulan_Bator': 'Asia/Ulaanbaatar',
+    'Atlantic/Jan_Mayen': 'Arctic/Longyearbyen',
+    'Australia/Currie': 'Australia/Hobart',
+    'Europe/Belfast': 'Europe/London',
+    'Europe/Nicosia': 'Asia/Nicosia',
+    'Europe/Tiraspol': 'Europe/Chisinau',
+    'Europe/Uzhgorod': 'Europe/Kyiv',
+    'Europe/Zaporozhye': 'Europe/Kyiv',
+    'Pacific/Johnston': 'Pacific/Honolulu',
+    'Pacific/Samoa': 'Pacific/Pago_Pago',
+    'Pacific/Yap': 'Pacific/Chuuk',
+
+    // country and region style names
+    'Australia/ACT': 'Australia/Sydney',
+    'Australia/Canberra': 'Australia/Sydney',
+    'Australia/LHI': 'Australia/Lord_Howe',
+    'Australia/NSW': 'Australia/Sydney',
+    'Australia/North': 'Australia/Darwin',
+    'Australia/Queensland': 'Australia/Brisbane',
+    'Australia/South': 'Australia/Adelaide',
+    'Australia/Tasmania': 'Australia/Hobart',
+    'Australia/Victoria': 'Australia/Melbourne',
+    'Australia/West': 'Australia/Perth',
+    'Australia/Yancowinna': 'Australia/Broken_Hill',
+    'Brazil/Acre': 'America/Rio_Branco',
+    'Brazil/DeNoronha': 'America/Noronha',
+    'Brazil/East': 'America/Sao_Paulo',
+    'Brazil/West': 'America/Manaus',
+    'Canada/Atlantic': 'America/Halifax',
+    'Canada/Central': 'America/Winnipeg',
+    'Canada/Eastern': 'America/Toronto',
+    'Canada/Mountain': 'America/Edmonton',
+    'Canada/Newfoundland': 'America/St_Johns',
+    'Canada/Pacific': 'America/Vancouver',
+    'Canada/Saskatchewan': 'America/Regina',
+    'Canada/Yukon': 'America/Whitehorse',
+    'Chile/Continental': 'America/Santiago',
+    'Chile/EasterIsland': 'Pacific/Easter',
+    'Cuba': 'America/Havana',
+    'Egypt': 'Africa/Cairo',
+    'Eire': 'Europe/Dublin',
+    'GB': 'Europe/London',
+    'GB-Eire': 'Europe/London',
+    'Hongkong': 'Asia/Hong_Kong',
+    'Iceland': 'Atlantic/Reykjavik',
+    'Iran': 'Asia/Tehran',
+    'Israel': 'Asia/Jerusalem',
+    'Jamaica': 'America/Jamaica',
+    'Japan': 'Asia/Tokyo',
+    'Kwajalein': 'Pacific/Kwajalein',
+    'Libya': 'Africa/Tripoli',
+    'Mexico/BajaNorte': 'America/Tijuana',
+    'Mexico/BajaSur': 'America/Mazatlan',
+    'Mexico/General': 'America/Mexico_City',
+    'NZ': 'Pacific/Auckland',
+    'NZ-CHAT': 'Pacific/Chatham',
+    'Navajo': 'America/Denver',
+    'PRC': 'Asia/Shanghai',
+    'Poland': 'Europe/Warsaw',
+    'Portugal': 'Europe/Lisbon',
+    'ROC': 'Asia/Taipei',
+    'ROK': 'Asia/Seoul',
+    'Singapore': 'Asia/Singapore',
+    'Turkey': 'Europe/Istanbul',
+    'US/Alaska': 'America/Anchorage',
+    'US/Aleutian': 'America/Adak',
+    'US/Arizona': 'America/Phoenix',
+    'US/Central': 'America/Chicago',
+    'US/East-Indiana': 'America/Indiana/Indianapolis',
+    'US/Eastern': 'America/New_York',
+    'US/Hawaii': 'Pacific/Honolulu',
+    'US/Indiana-Starke': 'America/Indiana/Knox',
+    'US/Michigan': 'America/Detroit',
+    'US/Mountain': 'America/Denver',
+    'US/Pacific': 'America/Los_Angeles',
+    'US/Samoa': 'Pacific/Pago_Pago',
+    'W-SU': 'Europe/Moscow',
+
+    // UTC and GMT spellings
+    'Etc/UCT': 'UTC',
+    'Etc/UTC': 'UTC',
+    'Etc/Universal': 'UTC',
+    'Etc/Zulu': 'UTC',
+    'UCT': 'UTC',
+    'Universal': 'UTC',
+    'Zulu': 'UTC',
+    'Etc/GMT+0': 'Etc/GMT',
+    'Etc/GMT-0': 'Etc/GMT',
+    'Etc/GMT0': 'Etc/GMT',
+    'Etc/Greenwich': 'Etc/GMT',
+    'GMT': 'Etc/GMT',
+    'GMT+0': 'Etc/GMT',
+    'GMT-0': 'Etc/GMT',
+    'GMT0': 'Etc/GMT',
+    'Greenwich': 'Etc/GMT',
+}
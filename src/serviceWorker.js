@@ -0,0 +1,65 @@
+/**
+ * serviceWorker.js
+ *
+ * Offline support. Built into dist/sw.js by vite-plugins/precacheServiceWorker.js, which
+ * replaces the two placeholders below with the list of built files and a version.
+ *
+ * Explanations:
+ * - install: every built file (HTML, JS, CSS, icons, manifest) goes into one cache.
+ *   Zones, cities and holiday rules are bundled into the JS, so they come along.
+ * - activate: caches from older builds are deleted.
+ * - Page loads try the network first (to pick up a new build) and fall back to the
+ *   cached index.html; other same-origin files come from the cache first.
+ *
+ * Beginner notes:
+ * - This file runs in the service worker, not the page: `self` is the worker and there is
+ *   no `window` or `document`.
+ * - Only registered in production builds (see main.jsx); the dev server never uses it.
+ */
+
+const PRECACHE_URLS = self.__PRECACHE_URLS
+const CACHE_NAME = `world-clock-${self.__CACHE_VERSION}`
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    )
+})
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names.filter(name => name.startsWith('world-clock-') && name !== CACHE_NAME).map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    )
+})
+
+async function fromNetwork(request) {
+    const response = await fetch(request)
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME)
+        cache.put(request, response.clone())
+    }
+    return response
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+    if (request.mode === 'navigate') {
+        // every route is the single-page app (see the rewrite in firebase.json)
+        event.respondWith(
+            fromNetwork(request).catch(() => caches.match('/index.html'))
+        )
+        return
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fromNetwork(request))
+    )
+})
@@ -0,0 +1,54 @@
+/**
+ * busyCalendars.js
+ *
+ * Imported .ics calendars per meeting participant, persisted in localStorage.
+ *
+ * Explanations:
+ * - Stored as { participantId: [{ id, name, events }] } under 'wc_busyCalendars',
+ *   where `events` is the output of parseIcsEvents() (see ics.js).
+ * - Only parsed events are kept, not the raw file text, to stay small.
+ * - localStorage can be full; saving then fails quietly and the calendars
+ *   simply live for the current session.
+ */
+
+import { parseIcsEvents } from './ics'
+import { makeId } from './workHours'
+import { canonicalParticipantId } from './meetingUtils'
+
+const BUSY_KEY = 'wc_busyCalendars'
+
+export function loadBusyCalendars() {
+    try {
+        const map = JSON.parse(localStorage.getItem(BUSY_KEY) || '{}')
+        if (!map || typeof map !== 'object' || Array.isArray(map)) return {}
+        // keys are participant ids; zones saved under an old name move to the canonical one
+        const clean = {}
+        Object.keys(map).forEach(id => { clean[canonicalParticipantId(id)] = map[id] })
+        return clean
+    } catch {
+        return {}
+    }
+}
+
+export function saveBusyCalendars(map) {
+    try {
+        localStorage.setItem(BUSY_KEY, JSON.stringify(map))
+    } catch (e) {
+        console.warn('Could not save imported calendars', e)
+    }
+}
+
+/**
+ * Read .ics File objects (from a picker or a drop) into calendar entries.
+ * tz: the participant's zone, used for floating times.
+ * Files that are not .ics or contain no usable events are skipped.
+ */
+export async function readIcsFiles(files, tz) {
+    const out = []
+    for (const file of Array.from(files)) {
+        if (!/\.ics$/i.test(file.name) && file.type !== 'text/calendar') continue
+        const events = parseIcsEvents(await file.text(), tz)
+        if (events.length) out.push({ id: makeId(), name: file.name, events })
+    }
+    return out
+}
@@ -0,0 +1,94 @@
+/**
+ * clockOptions.js
+ *
+ * How clocks are drawn: a global display setting plus optional per-card overrides,
+ * both saved in localStorage.
+ *
+ * Explanations:
+ * - Options: { dial: '12h' | '24h', numerals: 'quarters' | 'all', minuteTicks: bool,
+ *   secondHand: 'ticking' | 'smooth' | 'hidden', style: 'analog' | 'digital' }.
+ * - The defaults reproduce the original look (12-hour dial, 12/3/6/9, ticking second hand).
+ * - A card override only stores the options that differ ({ dial: '24h' }); everything
+ *   else follows the global setting, so changing the global setting still reaches that card.
+ */
+
+import { canonicalZoneMap } from './timeUtils'
+
+export const CLOCK_OPTIONS_KEY = 'wc_clockOptions'
+export const CARD_CLOCK_OPTIONS_KEY = 'wc_cardClockOptions'
+
+export const DEFAULT_CLOCK_OPTIONS = {
+    dial: '12h',
+    numerals: 'quarters',
+    minuteTicks: false,
+    secondHand: 'ticking',
+    style: 'analog',
+}
+
+// allowed values per option (booleans are checked separately)
+const CHOICES = {
+    dial: ['12h', '24h'],
+    numerals: ['quarters', 'all'],
+    secondHand: ['ticking', 'smooth', 'hidden'],
+    style: ['analog', 'digital'],
+}
+
+function readJson(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key)
+        return raw ? JSON.parse(raw) : fallback
+    } catch {
+        return fallback
+    }
+}
+
+/**
+ * Keep only known options with valid values (a partial object stays partial).
+ */
+export function normalizeClockOptions(options) {
+    const clean = {}
+    if (!options || typeof options !== 'object') return clean
+    Object.keys(CHOICES).forEach(key => {
+        if (CHOICES[key].includes(options[key])) clean[key] = options[key]
+    })
+    if (typeof options.minuteTicks === 'boolean') clean.minuteTicks = options.minuteTicks
+    return clean
+}
+
+/**
+ * Global options, card override on top: the options a card actually uses.
+ */
+export function resolveClockOptions(globalOptions, override) {
+    return { ...DEFAULT_CLOCK_OPTIONS, ...globalOptions, ...override }
+}
+
+/**
+ * Override that only keeps what differs from the global options (null when nothing does).
+ */
+export function clockOverride(globalOptions, options) {
+    const resolved = resolveClockOptions(globalOptions)
+    const diff = {}
+    Object.keys(normalizeClockOptions(options)).forEach(key => {
+        if (options[key] !== resolved[key]) diff[key] = options[key]
+    })
+    return Object.keys(diff).length ? diff : null
+}
+
+export function loadClockOptions() {
+    return { ...DEFAULT_CLOCK_OPTIONS, ...normalizeClockOptions(readJson(CLOCK_OPTIONS_KEY, {})) }
+}
+
+export function saveClockOptions(options) {
+    localStorage.setItem(CLOCK_OPTIONS_KEY, JSON.stringify(options))
+}
+
+export function loadCardClockOptions() {
+    return canonicalZoneMap(readJson(CARD_CLOCK_OPTIONS_KEY, {}), (options) => {
+        const override = normalizeClockOptions(options)
+        return Object.keys(override).length ? override : null
+    })
+}
+
+export function saveCardClockOptions(map) {
+    localStorage.setItem(CARD_CLOCK_OPTIONS_KEY, JSON.stringify(map))
+}
@@ -0,0 +1,80 @@
+/**
+ * firebase.js
+ *
+ * Firebase for the optional cloud sync (see sync.js): the app, Google sign-in and the
+ * Firestore document users/{uid} that holds a user's synced data.
+ *
+ * Explanations:
+ * - The project comes from VITE_FIREBASE_* variables in .env.local (see .env.example).
+ *   sync.js only imports this module when they are set, so without them the Firebase SDK
+ *   never runs.
+ * - VITE_FIREBASE_EMULATORS=true talks to the local emulator suite instead
+ *   (`npx firebase-tools emulators:start`, ports in firebase.json). With no project id the
+ *   'demo-world-clock' project is used, which the emulators accept without a real project.
+ * - Saving is a transaction: read the cloud copy, merge into it, write it back. If another
+ *   device writes in between, Firestore runs the merge again on the newer copy.
+ */
+
+import { initializeApp } from 'firebase/app'
+import { GoogleAuthProvider, connectAuthEmulator, getAuth, onAuthStateChanged, signInWithPopup, signOut } from 'firebase/auth'
+import { connectFirestoreEmulator, doc, initializeFirestore, onSnapshot, runTransaction, serverTimestamp } from 'firebase/firestore'
+
+const env = import.meta.env
+const useEmulators = env.VITE_FIREBASE_EMULATORS === 'true'
+
+const app = initializeApp({
+    apiKey: env.VITE_FIREBASE_API_KEY || 'demo-api-key',
+    authDomain: env.VITE_FIREBASE_AUTH_DOMAIN,
+    projectId: env.VITE_FIREBASE_PROJECT_ID || 'demo-world-clock',
+    appId: env.VITE_FIREBASE_APP_ID,
+})
+
+const auth = getAuth(app)
+const db = initializeFirestore(app, { ignoreUndefinedProperties: true })
+
+if (useEmulators) {
+    const host = env.VITE_FIREBASE_EMULATOR_HOST || '127.0.0.1'
+    connectAuthEmulator(auth, `http://${host}:9099`, { disableWarnings: true })
+    connectFirestoreEmulator(db, host, 8080)
+}
+
+const userDoc = (uid) => doc(db, 'users', uid)
+
+/**
+ * Follow sign-in: callback({ uid, name }) or callback(null). Returns an unsubscribe function.
+ */
+export function watchUser(callback) {
+    return onAuthStateChanged(auth, user => callback(user && { uid: user.uid, name: user.displayName || user.email || user.uid }))
+}
+
+export function signIn() {
+    return signInWithPopup(auth, new GoogleAuthProvider())
+}
+
+export function signOutUser() {
+    return signOut(auth)
+}
+
+/**
+ * Follow the user's synced document as the server sees it: callback(data or null).
+ * Snapshots from the local cache are skipped; this device's own data lives in localStorage.
+ */
+export function watchSyncedDoc(uid, callback, onError) {
+    return onSnapshot(userDoc(uid), { includeMetadataChanges: true }, snap => {
+        if (snap.metadata.fromCache || snap.metadata.hasPendingWrites) return
+        callback(snap.exists() ? snap.data() : null)
+    }, onError)
+}
+
+/**
+ * Read-merge-write in one transaction. merge(cloudData or null) -> { data, rev, ... };
+ * { ...data, rev } is written and the merge result returned.
+ */
+export function mergeIntoSyncedDoc(uid, merge) {
+    return runTransaction(db, async (tx) => {
+        const snap = await tx.get(userDoc(uid))
+        const result = merge(snap.exists() ? snap.data() : null)
+        tx.set(userDoc(uid), { ...result.data, rev: result.rev, updatedAt: serverTimestamp() })
+        return result
+    })
+}
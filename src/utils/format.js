@@ -0,0 +1,88 @@
+/**
+ * format.js
+ *
+ * Small display helpers shared by the clocks and the meeting planner components.
+ *
+ * Explanations:
+ * - All times are UTC ms and are shown in the given IANA zone with Intl,
+ *   so DST is always taken into account.
+ * - `locale` is a BCP 47 tag such as useLocale().tag ('de-u-hc-h12'); it defaults to
+ *   'en-US', which is also what code that reads numbers back out of the parts must use.
+ */
+
+const DEFAULT_LOCALE = 'en-US'
+const formatters = new WeakMap() // options object -> Map(`${locale}|${tz}` -> Intl.DateTimeFormat)
+
+/**
+ * Intl.DateTimeFormat for `options` in tz, created once and reused.
+ * Creating a formatter is far slower than calling it, and clocks format every second,
+ * so pass a module-level options object (it is the cache key).
+ */
+export function zoneFormatter(tz, options, locale = DEFAULT_LOCALE) {
+    let byZone = formatters.get(options)
+    if (!byZone) {
+        byZone = new Map()
+        formatters.set(options, byZone)
+    }
+    const key = `${locale}|${tz}`
+    let fmt = byZone.get(key)
+    if (!fmt) {
+        fmt = new Intl.DateTimeFormat(locale, { ...options, timeZone: tz })
+        byZone.set(key, fmt)
+    }
+    return fmt
+}
+
+/**
+ * { hour: '09', minute: '05', ... } from a cached formatter's formatToParts.
+ */
+export function zoneParts(utcMs, tz, options, locale = DEFAULT_LOCALE) {
+    const map = {}
+    zoneFormatter(tz, options, locale).formatToParts(new Date(utcMs)).forEach(p => { map[p.type] = p.value })
+    return map
+}
+
+// no hour12 here: the locale (and its -u-hc- setting) decides between 12 and 24 hours
+const TIME_OPTIONS = { hour: 'numeric', minute: '2-digit' }
+const DAY_OPTIONS = { weekday: 'short', month: 'short', day: 'numeric' }
+
+/**
+ * 1761000000000, 'Asia/Kolkata' -> "4:10 AM" (en-US), "04:10" (de)
+ */
+export function formatLocalTime(utcMs, tz, locale = DEFAULT_LOCALE) {
+    return zoneFormatter(tz, TIME_OPTIONS, locale).format(new Date(utcMs))
+}
+
+/**
+ * 1761000000000, 'Asia/Kolkata' -> "Tue, Oct 21" (en-US), "mar. 21 oct." (fr)
+ */
+export function formatLocalDay(utcMs, tz, locale = DEFAULT_LOCALE) {
+    return zoneFormatter(tz, DAY_OPTIONS, locale).format(new Date(utcMs))
+}
+
+const numberFormats = new Map() // `${locale}|${unit}` -> Intl.NumberFormat
+
+function numberFormat(locale, unit) {
+    const key = `${locale}|${unit}`
+    if (!numberFormats.has(key)) {
+        numberFormats.set(key, new Intl.NumberFormat(locale, unit ? { style: 'unit', unit, unitDisplay: 'narrow' } : {}))
+    }
+    return numberFormats.get(key)
+}
+
+/**
+ * 7 -> "7", or "٧" with Arabic digits
+ */
+export function formatNumber(n, locale = DEFAULT_LOCALE) {
+    return numberFormat(locale, null).format(n)
+}
+
+/**
+ * 90 -> "1h 30m", 45 -> "45m" (narrow units of the locale)
+ */
+export function formatDuration(minutes, locale = DEFAULT_LOCALE) {
+    const h = Math.floor(minutes / 60), m = minutes % 60
+    const hours = numberFormat(locale, 'hour').format(h)
+    const mins = numberFormat(locale, 'minute').format(m)
+    return h ? `${hours}${m ? ` ${mins}` : ''}` : mins
+}
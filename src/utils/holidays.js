@@ -0,0 +1,163 @@
+/**
+ * holidays.js
+ *
+ * Public holidays without any network: expands the rules in data/holidays.js into
+ * concrete dates and answers "is this a public holiday in that zone?".
+ *
+ * Explanations:
+ * - A zone maps to a country through data/countries.js (Asia/Kolkata -> IN).
+ * - Dates are handled as "day numbers": whole days since 1970-01-01 on the local calendar,
+ *   so comparing days never involves a timezone.
+ * - Every country/year is expanded once and cached as Map(dayNumber -> { name, observed }).
+ * - Observed rules move a holiday that falls on a weekend (US: Sat -> Fri, Sun -> Mon;
+ *   UK: to the next weekday that is not already a holiday); the moved day has `observed: true`.
+ * - Holiday names come from data/holidays.js; holidayName() adds the translated "(observed)".
+ */
+
+import { HOLIDAY_RULES, PASSOVER } from '../data/holidays'
+import { countryCodeOfZone } from '../data/countries'
+import { tzOffsetMinutes } from './timeUtils'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const yearCache = new Map() // 'IN:2026' -> Map(dayNumber -> { name, observed })
+
+function dayNumberOf(y, m, d) {
+    return Math.floor(Date.UTC(y, m - 1, d) / DAY_MS)
+}
+
+function weekdayOf(dayNumber) {
+    // day 0 (1970-01-01) was a Thursday
+    return (((dayNumber + 4) % 7) + 7) % 7
+}
+
+function yearOf(dayNumber) {
+    return new Date(dayNumber * DAY_MS).getUTCFullYear()
+}
+
+function parseMonthDay(year, text) {
+    const [m, d] = text.split('-').map(Number)
+    return dayNumberOf(year, m, d)
+}
+
+/**
+ * Western (Gregorian) Easter Sunday as { m, d } — the anonymous Gregorian algorithm.
+ */
+export function easterSunday(year) {
+    const a = year % 19
+    const b = Math.floor(year / 100)
+    const c = year % 100
+    const d = Math.floor(b / 4)
+    const e = b % 4
+    const f = Math.floor((b + 8) / 25)
+    const g = Math.floor((b - f + 1) / 3)
+    const h = (19 * a + b - d - g + 15) % 30
+    const i = Math.floor(c / 4)
+    const k = c % 4
+    const l = (32 + 2 * e + 2 * i - h - k) % 7
+    const m = Math.floor((a + 11 * h + 22 * l) / 451)
+    const month = Math.floor((h + l - 7 * m + 114) / 31)
+    const day = ((h + l - 7 * m + 114) % 31) + 1
+    return { m: month, d: day }
+}
+
+// n-th weekday of a month (n = -1 for the last one)
+function nthWeekday(year, month, weekday, n) {
+    if (n > 0) {
+        const first = dayNumberOf(year, month, 1)
+        return first + ((weekday - weekdayOf(first) + 7) % 7) + (n - 1) * 7
+    }
+    const last = dayNumberOf(year, month + 1, 0)
+    return last - ((weekdayOf(last) - weekday + 7) % 7)
+}
+
+// first day number of a rule in a year, or null when unknown for that year
+function ruleStart(rule, year) {
+    if (rule.since && year < rule.since) return null
+    if (rule.date) return parseMonthDay(year, rule.date)
+    if (rule.nth) return nthWeekday(year, ...rule.nth)
+    if (rule.before) {
+        const [date, weekday] = rule.before
+        const limit = parseMonthDay(year, date) - 1
+        return limit - ((weekdayOf(limit) - weekday + 7) % 7)
+    }
+    if (rule.easter !== undefined) {
+        const { m, d } = easterSunday(year)
+        return dayNumberOf(year, m, d) + rule.easter
+    }
+    if (rule.passover !== undefined) {
+        return PASSOVER[year] ? parseMonthDay(year, PASSOVER[year]) + rule.passover : null
+    }
+    if (rule.dates) return rule.dates[year] ? parseMonthDay(year, rule.dates[year]) : null
+    return null
+}
+
+function observedDay(dayNumber, observed, taken) {
+    const weekday = weekdayOf(dayNumber)
+    if (observed === 'us') {
+        if (weekday === 6) return dayNumber - 1
+        if (weekday === 0) return dayNumber + 1
+        return dayNumber
+    }
+    if (observed === 'uk' && (weekday === 0 || weekday === 6)) {
+        let day = dayNumber + 1
+        while (taken.has(day) || weekdayOf(day) === 0 || weekdayOf(day) === 6) day++
+        return day
+    }
+    if (observed === 'sunday' && weekday === 0) {
+        let day = dayNumber + 1
+        while (taken.has(day)) day++
+        return day
+    }
+    return dayNumber
+}
+
+/**
+ * All public holidays of a country in a year: Map(dayNumber -> { name, observed }), cached.
+ * Unknown countries give an empty map.
+ */
+export function holidaysInYear(country, year) {
+    const key = `${country}:${year}`
+    if (yearCache.has(key)) return yearCache.get(key)
+    const result = new Map()
+    const rules = HOLIDAY_RULES[country] || []
+    // real dates first, so observed days can skip over them
+    const starts = rules.map(rule => ruleStart(rule, year))
+    rules.forEach((rule, i) => {
+        if (starts[i] === null) return
+        for (let k = 0; k < (rule.days || 1); k++) {
+            if (!result.has(starts[i] + k)) result.set(starts[i] + k, { name: rule.name, observed: false })
+        }
+    })
+    rules.forEach((rule, i) => {
+        if (starts[i] === null || !rule.observed) return
+        const moved = observedDay(starts[i], rule.observed, result)
+        if (moved !== starts[i]) result.set(moved, { name: rule.name, observed: true })
+    })
+    yearCache.set(key, result)
+    return result
+}
+
+/**
+ * The public holiday ({ name, observed }) on a local day number in a country, or null.
+ */
+export function holidayOnDay(country, dayNumber) {
+    if (!country || !HOLIDAY_RULES[country]) return null
+    const year = yearOf(dayNumber)
+    // a Saturday New Year's Day is observed on December 31 of the year before
+    return holidaysInYear(country, year).get(dayNumber) || holidaysInYear(country, year + 1).get(dayNumber) || null
+}
+
+/**
+ * The public holiday ({ name, observed }) in a zone at a UTC instant (its local date), or null.
+ */
+export function holidayInZone(tz, utcMs) {
+    const localMs = utcMs + tzOffsetMinutes(tz, new Date(utcMs)) * 60000
+    return holidayOnDay(countryCodeOfZone(tz), Math.floor(localMs / DAY_MS))
+}
+
+/**
+ * Display name of a holiday: "Independence Day", or "Christmas Day (observed)" translated with t().
+ */
+export function holidayName(holiday, t) {
+    return holiday.observed ? t('holiday.observed', { name: holiday.name }) : holiday.name
+}
@@ -0,0 +1,101 @@
+/**
+ * i18n.js
+ *
+ * Language and formatting settings: which locale the Intl formatters use (12/24-hour
+ * preference, digits) and which language the UI text comes from (data/messages.js).
+ *
+ * Explanations:
+ * - Settings: { locale: 'auto' | 'es' | 'ar' | …, hourCycle: 'auto' | 'h12' | 'h23',
+ *   numberingSystem: 'auto' | 'latn' | 'arab' | … }, saved in localStorage.
+ * - The settings become one BCP 47 tag with Unicode extensions, e.g. 'de-u-hc-h12-nu-arab';
+ *   every Intl formatter created with that tag follows them (see utils/format.js).
+ * - LocaleContext holds { tag, language, dir, t } for the whole tree (App.jsx provides it,
+ *   like TimeTravelContext); components call useLocale().
+ * - The settings, LocaleContext and useLocale() live in utils/locale.js, which has no
+ *   message catalog (the embeddable widget uses it); they are re-exported here.
+ * - t('zone.pin') looks the key up in the language's catalog, then in English, so a
+ *   partly translated language still shows every string. { count } picks a plural form
+ *   with Intl.PluralRules ('key.one', 'key.other', …).
+ * - Arabic, Hebrew, Persian and Urdu are written right to left: dir is 'rtl' for them.
+ *
+ * Beginner notes:
+ * - 'auto' means "whatever the browser says": navigator.languages for the locale and the
+ *   locale's own default for the clock and digits.
+ * - Languages without a catalog still get localized dates and times; their UI text is English.
+ */
+
+import { MESSAGES } from '../data/messages'
+import { FALLBACK_TAG, resolveLocale } from './locale'
+
+export {
+    DEFAULT_LOCALE_SETTINGS, HOUR_CYCLES, LOCALE_SETTINGS_KEY, LocaleContext, NUMBERING_SYSTEMS, SUPPORTED_LOCALES,
+    loadLocaleSettings, normalizeLocaleSettings, resolveLocale, saveLocaleSettings, useLocale,
+} from './locale'
+
+// t(key, params) for one language; params fill {name} placeholders (numbers in local digits)
+function makeTranslator(language, tag) {
+    const catalog = MESSAGES[language] || {}
+    const rules = new Intl.PluralRules(tag)
+    const englishRules = new Intl.PluralRules(FALLBACK_TAG)
+    const numbers = new Intl.NumberFormat(tag)
+
+    const pick = (messages, pluralRules, key, count) => count === undefined
+        ? messages[key]
+        : messages[`${key}.${pluralRules.select(count)}`] ?? messages[`${key}.other`]
+
+    return (key, params = {}) => {
+        const message = pick(catalog, rules, key, params.count) ?? pick(MESSAGES.en, englishRules, key, params.count) ?? key
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name]
+            if (value === undefined) return match
+            return typeof value === 'number' ? numbers.format(value) : String(value)
+        })
+    }
+}
+
+/**
+ * Settings (+ browser languages for 'auto') -> { tag, language, dir, t }.
+ */
+export function makeLocale(settings, languages = []) {
+    const locale = resolveLocale(settings, languages)
+    return { ...locale, t: makeTranslator(locale.language, locale.tag) }
+}
+
+const displayNames = new Map() // `${tag}|${type}` -> Intl.DisplayNames
+
+/**
+ * Localized name of a language, region or script ('DE' -> "Allemagne" in French);
+ * falls back to the code when the browser has no name for it.
+ */
+export function displayName(code, type, tag) {
+    const key = `${tag}|${type}`
+    let names = displayNames.get(key)
+    if (names === undefined) {
+        try {
+            names = new Intl.DisplayNames(tag, { type, fallback: 'code' })
+        } catch {
+            names = null
+        }
+        displayNames.set(key, names)
+    }
+    try {
+        return names ? names.of(code) : code
+    } catch {
+        return code
+    }
+}
+
+const weekdays = new Map() // `${tag}|${style}` -> names
+
+/**
+ * Weekday names in the locale, Sunday first: 'short' -> ['Sun', 'Mon', …], 'long', 'narrow'.
+ */
+export function weekdayNames(tag, style = 'short') {
+    const key = `${tag}|${style}`
+    if (!weekdays.has(key)) {
+        const fmt = new Intl.DateTimeFormat(tag, { weekday: style, timeZone: 'UTC' })
+        // 1970-01-04 was a Sunday
+        weekdays.set(key, Array.from({ length: 7 }, (_, i) => fmt.format(new Date(Date.UTC(1970, 0, 4 + i)))))
+    }
+    return weekdays.get(key)
+}
@@ -0,0 +1,413 @@
+/**
+ * ics.js
+ *
+ * Tiny RFC 5545 (iCalendar) reader and writer: meeting slots are exported as .ics
+ * files, and imported .ics files provide busy blocks for the meeting planner.
+ * Everything runs in the browser — no network needed.
+ *
+ * Explanations (writing):
+ * - Times are written in UTC ("20261020T093000Z") so every calendar app
+ *   places the event correctly regardless of its own timezone settings.
+ * - Text values must escape backslash, semicolon, comma and newlines.
+ * - Lines longer than 75 octets are "folded": continued on the next line
+ *   which starts with a single space.
+ * - Lines end with CRLF as the spec requires.
+ *
+ * Explanations (reading):
+ * - parseIcsEvents() reads VEVENTs (skipping cancelled and "free"/transparent ones).
+ *   Times can be UTC ("...Z"), have a TZID, or be "floating" (no zone) — floating
+ *   times and unknown TZIDs are read in the participant's own zone.
+ * - expandBusyBlocks() turns events into concrete { start, end } blocks inside a range,
+ *   including RRULE recurrences. Supported rule parts:
+ *     - FREQ=DAILY, WEEKLY, MONTHLY or YEARLY, with INTERVAL, COUNT and UNTIL;
+ *     - BYDAY: weekdays for DAILY and WEEKLY ("MO,TU,WE,TH,FR"), weekdays or numbered
+ *       weekdays for MONTHLY ("2TU", "-1FR");
+ *     - BYMONTHDAY for MONTHLY ("1,15", "-1");
+ *     - EXDATE removes single occurrences.
+ *   Other parts (BYMONTH, BYSETPOS, BYHOUR, WKST, …) are ignored. Recurrences repeat on the
+ *   local wall clock, so a 09:00 meeting stays at 09:00 across DST changes.
+ */
+
+import { isValidTimeZone, localToUtcMs } from './timeUtils'
+
+const PRODID = '-//World Clock for Remote Workers//Meeting Planner//EN'
+
+/**
+ * UTC ms -> "YYYYMMDDTHHMMSSZ"
+ */
+export function formatIcsDateUtc(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+export function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Fold a content line at 75 octets (UTF-8 bytes), never splitting a character.
+ */
+export function foldIcsLine(line) {
+    const encoder = new TextEncoder()
+    const out = []
+    let cur = ''
+    let curBytes = 0
+    for (const ch of line) {
+        const bytes = encoder.encode(ch).length
+        // continuation lines start with a space, which counts towards their 75 octets
+        const limit = out.length === 0 ? 75 : 74
+        if (curBytes + bytes > limit) {
+            out.push(cur)
+            cur = ''
+            curBytes = 0
+        }
+        cur += ch
+        curBytes += bytes
+    }
+    out.push(cur)
+    return out.join('\r\n ')
+}
+
+/**
+ * Build a VCALENDAR with one VEVENT per entry.
+ * events: [{ uid, start, end, summary, description, location }] (start/end in UTC ms)
+ */
+export function buildIcsCalendar(events, { now = Date.now() } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+    ]
+    events.forEach(ev => {
+        lines.push('BEGIN:VEVENT')
+        lines.push(`UID:${ev.uid}`)
+        lines.push(`DTSTAMP:${formatIcsDateUtc(now)}`)
+        lines.push(`DTSTART:${formatIcsDateUtc(ev.start)}`)
+        lines.push(`DTEND:${formatIcsDateUtc(ev.end)}`)
+        lines.push(`SUMMARY:${escapeIcsText(ev.summary || 'Meeting')}`)
+        if (ev.description) lines.push(`DESCRIPTION:${escapeIcsText(ev.description)}`)
+        if (ev.location) lines.push(`LOCATION:${escapeIcsText(ev.location)}`)
+        lines.push('END:VEVENT')
+    })
+    lines.push('END:VCALENDAR')
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * Unique-enough UID for an exported event.
+ */
+export function makeIcsUid(startMs) {
+    return `${formatIcsDateUtc(startMs)}-${Math.random().toString(36).slice(2, 10)}@world-clock`
+}
+
+/**
+ * Trigger a browser download of `text` as a file.
+ */
+export function downloadTextFile(filename, text, mime = 'text/calendar;charset=utf-8') {
+    const blob = new Blob([text], { type: mime })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    a.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const MAX_OCCURRENCES = 5000 // safety net: busy blocks per event inside one range
+
+function unfoldLines(text) {
+    return String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n')
+}
+
+// "DTSTART;TZID=Europe/London:20261020T090000" -> { name, params, value }
+function parseContentLine(line) {
+    let inQuote = false
+    let i = 0
+    for (; i < line.length; i++) {
+        if (line[i] === '"') inQuote = !inQuote
+        else if (line[i] === ':' && !inQuote) break
+    }
+    if (i >= line.length) return null
+    const [name, ...paramParts] = line.slice(0, i).split(';')
+    const params = {}
+    paramParts.forEach(p => {
+        const eq = p.indexOf('=')
+        if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '')
+    })
+    return { name: name.toUpperCase(), params, value: line.slice(i + 1) }
+}
+
+function unescapeIcsText(text) {
+    return text.replace(/\\n/gi, '\n').replace(/\\([\\;,])/g, '$1')
+}
+
+/**
+ * Read a DATE or DATE-TIME value.
+ * Returns { ms, tz, allDay, local: { y, mo, d, h, mi, s } } or null.
+ */
+function parseIcsDate(value, params, fallbackTz) {
+    const m = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/)
+    if (!m) return null
+    const local = {
+        y: Number(m[1]), mo: Number(m[2]), d: Number(m[3]),
+        h: Number(m[4] || 0), mi: Number(m[5] || 0), s: Number(m[6] || 0)
+    }
+    const allDay = !m[4] || params.VALUE === 'DATE'
+    const tz = m[7] ? 'UTC' : (isValidTimeZone(params.TZID) ? params.TZID : fallbackTz)
+    const ms = localToUtcMs(tz, local.y, local.mo, local.d, local.h, local.mi) + local.s * 1000
+    return { ms, tz, allDay, local }
+}
+
+// "PT1H30M" / "P1D" / "P1W" -> ms
+function parseIcsDuration(value) {
+    const m = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/)
+    if (!m) return null
+    const ms = ((Number(m[2] || 0) * 7 + Number(m[3] || 0)) * 24 * 3600 +
+        Number(m[4] || 0) * 3600 + Number(m[5] || 0) * 60 + Number(m[6] || 0)) * 1000
+    return m[1] === '-' ? -ms : ms
+}
+
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE" -> { freq, interval, count, until, byDay, byMonthDay }
+function parseRrule(value, fallbackTz) {
+    const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [] }
+    value.split(';').forEach(part => {
+        const [key, val = ''] = part.split('=')
+        switch (key.toUpperCase()) {
+            case 'FREQ': rule.freq = val.toUpperCase(); break
+            case 'INTERVAL': rule.interval = Math.max(1, Number(val) || 1); break
+            case 'COUNT': rule.count = Number(val) || null; break
+            case 'UNTIL': {
+                const until = parseIcsDate(val, {}, fallbackTz)
+                // a date-only UNTIL includes that whole day
+                rule.until = until ? until.ms + (until.allDay ? DAY_MS - 1 : 0) : null
+                break
+            }
+            case 'BYDAY':
+                rule.byDay = val.split(',').map(d => {
+                    const dm = d.trim().toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/)
+                    return dm ? { n: dm[1] ? Number(dm[1]) : null, wd: WEEKDAYS.indexOf(dm[2]) } : null
+                }).filter(Boolean)
+                break
+            case 'BYMONTHDAY':
+                rule.byMonthDay = val.split(',').map(Number).filter(n => n && Math.abs(n) <= 31)
+                break
+            default:
+                break
+        }
+    })
+    return ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq) ? rule : null
+}
+
+/**
+ * Parse all VEVENTs from .ics text.
+ * fallbackTz: zone used for floating times and unknown TZIDs (the participant's zone).
+ * Returns [{ uid, summary, start: { ms, tz, allDay, local }, durationMs, rrule, exdates: [ms] }]
+ */
+export function parseIcsEvents(text, fallbackTz = 'UTC') {
+    const events = []
+    let cur = null // props of the VEVENT being read
+    let nested = 0 // depth inside sub-components such as VALARM (their props are ignored)
+    unfoldLines(text).forEach(line => {
+        if (!line.trim()) return
+        const prop = parseContentLine(line)
+        if (!prop) return
+        const component = prop.value.trim().toUpperCase()
+        if (prop.name === 'BEGIN') {
+            if (component === 'VEVENT') cur = []
+            else if (cur) nested++
+            return
+        }
+        if (prop.name === 'END') {
+            if (component === 'VEVENT' && cur) {
+                const ev = buildEvent(cur, fallbackTz)
+                if (ev) events.push(ev)
+                cur = null
+                nested = 0
+            } else if (cur && nested > 0) nested--
+            return
+        }
+        if (cur && nested === 0) cur.push(prop)
+    })
+    return events
+}
+
+function buildEvent(props, fallbackTz) {
+    const get = name => props.find(p => p.name === name)
+    const status = get('STATUS'), transp = get('TRANSP')
+    if (status && status.value.toUpperCase() === 'CANCELLED') return null
+    if (transp && transp.value.toUpperCase() === 'TRANSPARENT') return null
+
+    const dtstart = get('DTSTART')
+    const start = dtstart && parseIcsDate(dtstart.value, dtstart.params, fallbackTz)
+    if (!start) return null
+
+    let durationMs = null
+    const dtend = get('DTEND'), duration = get('DURATION')
+    if (dtend) {
+        const end = parseIcsDate(dtend.value, dtend.params, fallbackTz)
+        if (end) durationMs = end.ms - start.ms
+    } else if (duration) {
+        durationMs = parseIcsDuration(duration.value)
+    }
+    if (durationMs === null) durationMs = start.allDay ? DAY_MS : 0
+    if (durationMs <= 0) return null // zero-length events do not block anything
+
+    const rrule = get('RRULE')
+    const exdates = []
+    props.filter(p => p.name === 'EXDATE').forEach(p => {
+        p.value.split(',').forEach(v => {
+            const ex = parseIcsDate(v, p.params, start.tz)
+            if (ex) exdates.push(ex.ms)
+        })
+    })
+
+    const uid = get('UID'), summary = get('SUMMARY')
+    return {
+        uid: uid ? uid.value : '',
+        summary: summary ? unescapeIcsText(summary.value) : '',
+        start,
+        durationMs,
+        rrule: rrule ? parseRrule(rrule.value, start.tz) : null,
+        exdates
+    }
+}
+
+// local calendar day helpers (dates as UTC-midnight ms so arithmetic is DST-free)
+function dayMs(y, mo, d) {
+    return Date.UTC(y, mo - 1, d)
+}
+
+function daysInMonth(y, mo) {
+    return new Date(Date.UTC(y, mo, 0)).getUTCDate()
+}
+
+// all candidate days of one MONTHLY period, sorted
+function monthlyDays(y, mo, rule, startDay) {
+    const dim = daysInMonth(y, mo)
+    const days = []
+    if (rule.byMonthDay.length) {
+        rule.byMonthDay.forEach(n => {
+            const d = n > 0 ? n : dim + n + 1
+            if (d >= 1 && d <= dim) days.push(dayMs(y, mo, d))
+        })
+    } else if (rule.byDay.length) {
+        rule.byDay.forEach(({ n, wd }) => {
+            const matches = []
+            for (let d = 1; d <= dim; d++) {
+                if (new Date(dayMs(y, mo, d)).getUTCDay() === wd) matches.push(dayMs(y, mo, d))
+            }
+            if (n === null) days.push(...matches)
+            else {
+                const pick = n > 0 ? matches[n - 1] : matches[matches.length + n]
+                if (pick !== undefined) days.push(pick)
+            }
+        })
+    } else {
+        const d = new Date(startDay).getUTCDate()
+        if (d <= dim) days.push(dayMs(y, mo, d))
+    }
+    return days.sort((a, b) => a - b)
+}
+
+// index of the first period (day, week, month or year, every INTERVAL) that can contain fromDay
+function firstPeriod(rule, startDay, fromDay) {
+    if (fromDay <= startDay) return 0
+    const start = new Date(startDay), from = new Date(fromDay)
+    let units
+    if (rule.freq === 'DAILY') units = Math.floor((fromDay - startDay) / DAY_MS)
+    else if (rule.freq === 'WEEKLY') units = Math.floor((fromDay - startDay + ((start.getUTCDay() + 6) % 7) * DAY_MS) / (7 * DAY_MS))
+    else if (rule.freq === 'MONTHLY') units = (from.getUTCFullYear() - start.getUTCFullYear()) * 12 + from.getUTCMonth() - start.getUTCMonth()
+    else units = from.getUTCFullYear() - start.getUTCFullYear()
+    return Math.floor(units / rule.interval)
+}
+
+/**
+ * Generator of occurrence days (UTC-midnight ms of the local date), from the period that
+ * contains fromDay (DTSTART's date when fromDay is earlier) until the periods start after endDay.
+ */
+function* occurrenceDays(rule, startDay, fromDay, endDay) {
+    const start = new Date(startDay)
+    const y0 = start.getUTCFullYear(), mo0 = start.getUTCMonth() + 1, d0 = start.getUTCDate()
+    const weekdays = rule.byDay.map(b => b.wd)
+
+    for (let k = firstPeriod(rule, startDay, fromDay); ; k++) {
+        const step = k * rule.interval
+        let periodStart
+        let days = []
+        if (rule.freq === 'DAILY') {
+            periodStart = startDay + step * DAY_MS
+            if (!weekdays.length || weekdays.includes(new Date(periodStart).getUTCDay())) days = [periodStart]
+        } else if (rule.freq === 'WEEKLY') {
+            // weeks start on Monday (RFC 5545 default WKST=MO)
+            periodStart = startDay - ((start.getUTCDay() + 6) % 7) * DAY_MS + step * 7 * DAY_MS
+            const wds = weekdays.length ? weekdays : [start.getUTCDay()]
+            days = [...new Set(wds)].map(wd => periodStart + ((wd + 6) % 7) * DAY_MS).sort((a, b) => a - b)
+        } else if (rule.freq === 'MONTHLY') {
+            const total = (mo0 - 1) + step
+            const y = y0 + Math.floor(total / 12), mo = (total % 12) + 1
+            periodStart = dayMs(y, mo, 1)
+            days = monthlyDays(y, mo, rule, startDay)
+        } else if (rule.freq === 'YEARLY') {
+            const y = y0 + step
+            periodStart = dayMs(y, 1, 1)
+            if (d0 <= daysInMonth(y, mo0)) days = [dayMs(y, mo0, d0)]
+        }
+        if (periodStart > endDay) return
+        for (const d of days) {
+            if (d >= startDay) yield d
+        }
+    }
+}
+
+/**
+ * Expand events into concrete busy blocks overlapping [rangeStartMs, rangeEndMs).
+ * Returns [{ start, end, summary }] sorted by start.
+ */
+export function expandBusyBlocks(events, rangeStartMs, rangeEndMs) {
+    const blocks = []
+    events.forEach(ev => {
+        const push = (start) => {
+            const end = start + ev.durationMs
+            if (end > rangeStartMs && start < rangeEndMs) blocks.push({ start, end, summary: ev.summary })
+        }
+        if (!ev.rrule) {
+            push(ev.start.ms)
+            return
+        }
+
+        const { local, tz, allDay } = ev.start
+        const exdates = new Set(ev.exdates)
+        // jump to the range, one day early for the zone's offset; COUNT needs every occurrence from DTSTART
+        const fromDay = ev.rrule.count === null ? Math.floor((rangeStartMs - ev.durationMs) / DAY_MS) * DAY_MS - DAY_MS : -Infinity
+        const endDay = Math.floor(rangeEndMs / DAY_MS) * DAY_MS + DAY_MS
+        let count = 0
+        let inRange = 0
+        for (const day of occurrenceDays(ev.rrule, dayMs(local.y, local.mo, local.d), fromDay, endDay)) {
+            const date = new Date(day)
+            const start = localToUtcMs(tz, date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+                allDay ? 0 : local.h, allDay ? 0 : local.mi) + (allDay ? 0 : local.s * 1000)
+            if (ev.rrule.until !== null && start > ev.rrule.until) break
+            if (start >= rangeEndMs) break
+            count++
+            if (!exdates.has(start) && start + ev.durationMs > rangeStartMs) {
+                push(start)
+                if (++inRange >= MAX_OCCURRENCES) break
+            }
+            if (ev.rrule.count !== null && count >= ev.rrule.count) break
+        }
+    })
+    return blocks.sort((a, b) => a.start - b.start)
+}
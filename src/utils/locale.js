@@ -0,0 +1,102 @@
+/**
+ * locale.js
+ *
+ * Locale settings and the locale context, without any UI text: which BCP 47 tag the Intl
+ * formatters use and whether the layout runs right to left.
+ *
+ * Explanations:
+ * - This is the part of i18n.js that the embeddable widget needs too. The message catalog
+ *   (data/messages.js) is large, so it stays out of this file: i18n.js adds t() on top and
+ *   re-exports everything here, and the app imports from i18n.js.
+ * - The widget and the components it renders (ClockFace) import from here, so its bundle
+ *   ships without the catalog.
+ */
+
+import { createContext, useContext } from 'react'
+
+export const LOCALE_SETTINGS_KEY = 'wc_locale'
+
+export const DEFAULT_LOCALE_SETTINGS = {
+    locale: 'auto',
+    hourCycle: 'auto',
+    numberingSystem: 'auto',
+}
+
+// locales offered in the picker (any other tag still works for formatting)
+export const SUPPORTED_LOCALES = ['en-US', 'en-GB', 'es', 'fr', 'de', 'hi', 'ja', 'ar', 'he']
+export const HOUR_CYCLES = ['h12', 'h23']
+// digits offered in the picker, if the browser knows them
+export const NUMBERING_SYSTEMS = ['latn', 'arab', 'arabext', 'deva', 'beng', 'thai', 'hanidec', 'fullwide']
+
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur']
+export const FALLBACK_TAG = 'en-US'
+
+function readJson(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key)
+        return raw ? JSON.parse(raw) : fallback
+    } catch {
+        return fallback
+    }
+}
+
+function isValidTag(tag) {
+    try {
+        return Intl.getCanonicalLocales(tag).length === 1
+    } catch {
+        return false
+    }
+}
+
+/**
+ * Keep only known settings with valid values; missing ones are 'auto'.
+ */
+export function normalizeLocaleSettings(settings) {
+    const clean = { ...DEFAULT_LOCALE_SETTINGS }
+    if (!settings || typeof settings !== 'object') return clean
+    if (typeof settings.locale === 'string' && (settings.locale === 'auto' || isValidTag(settings.locale))) clean.locale = settings.locale
+    if (HOUR_CYCLES.includes(settings.hourCycle)) clean.hourCycle = settings.hourCycle
+    if (NUMBERING_SYSTEMS.includes(settings.numberingSystem)) clean.numberingSystem = settings.numberingSystem
+    return clean
+}
+
+export function loadLocaleSettings() {
+    return normalizeLocaleSettings(readJson(LOCALE_SETTINGS_KEY, null))
+}
+
+export function saveLocaleSettings(settings) {
+    localStorage.setItem(LOCALE_SETTINGS_KEY, JSON.stringify(settings))
+}
+
+// first browser language Intl understands, e.g. ['fr-CA', 'fr', 'en'] -> 'fr-CA'
+function browserLocale(languages) {
+    return (languages || []).find(isValidTag) || FALLBACK_TAG
+}
+
+/**
+ * Settings (+ browser languages for 'auto') -> { tag, language, dir }.
+ */
+export function resolveLocale(settings, languages = []) {
+    const base = settings.locale === 'auto' ? browserLocale(languages) : settings.locale
+    let locale
+    try {
+        locale = new Intl.Locale(base, {
+            hourCycle: settings.hourCycle === 'auto' ? undefined : settings.hourCycle,
+            numberingSystem: settings.numberingSystem === 'auto' ? undefined : settings.numberingSystem,
+        })
+    } catch {
+        locale = new Intl.Locale(FALLBACK_TAG)
+    }
+    const language = locale.language
+    return { tag: locale.toString(), language, dir: RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr' }
+}
+
+// App.jsx (and the widget) always provide a value; outside of them t() returns the key
+export const LocaleContext = createContext({ ...resolveLocale({ ...DEFAULT_LOCALE_SETTINGS, locale: FALLBACK_TAG }), t: (key) => key })
+
+/**
+ * { tag, language, dir, t } of the current locale.
+ */
+export function useLocale() {
+    return useContext(LocaleContext)
+}
@@ -0,0 +1,164 @@
+/**
+ * meetingUtils.js
+ *
+ * Helpers for the meeting planner: building the 15-minute slot grid for any
+ * number of participants and finding overlap segments inside that grid.
+ *
+ * Explanations:
+ * - A "participant" is { id, label, tz, window, days, country, busy } where window is that
+ *   participant's own working window, days their working weekdays (see workHours.js),
+ *   country the ISO code whose public holidays apply (see holidays.js)
+ *   and busy is an optional list of { start, end } UTC ms blocks imported from .ics files (see ics.js).
+ * - buildSlots() walks one or more UTC days in 15-minute steps and, for every slot,
+ *   records each participant's local time and weekday and whether they are working.
+ * - A slot is "free" for a participant when it is a working day (and not a public holiday),
+ *   inside working hours and not busy.
+ * - A slot is an "overlap" when every participant is free.
+ * - findSegments() groups consecutive matching slots so we can talk about
+ *   "a 3-hour window" instead of single 15-minute blocks.
+ * - upcomingGapChanges() spots DST changes that will shift the gap between two zones.
+ */
+
+import { DEFAULT_WORK_WINDOW, MINUTES_PER_DAY, isWithinWorkWindow, workDaysForZone, workWindowForZone } from './workHours'
+import { canonicalZone, dstTransitions, tzOffsetMinutes } from './timeUtils'
+import { holidayOnDay } from './holidays'
+import { countryCodeOfZone } from '../data/countries'
+
+export const SLOT_MINUTES = 15
+export const SLOTS_PER_DAY = (24 * 60) / SLOT_MINUTES // 96 slots
+export const SLOT_MS = SLOT_MINUTES * 60 * 1000
+
+/**
+ * Local hour, minute, weekday (0 = Sunday) and day number (local days since 1970-01-01)
+ * of a UTC timestamp in tz.
+ * Uses the zone's offset (cached formatter) instead of a new formatter per call,
+ * which matters when a 14-day grid asks thousands of times.
+ */
+export function localTimeFromUtcMs(utcMs, tz) {
+    const total = Math.floor(utcMs / 60000) + tzOffsetMinutes(tz, new Date(utcMs))
+    const minute = ((total % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY
+    const dayNumber = Math.floor(total / MINUTES_PER_DAY)
+    // day 0 (1970-01-01) was a Thursday
+    return { h: Math.floor(minute / 60), m: minute % 60, weekday: (((dayNumber + 4) % 7) + 7) % 7, dayNumber }
+}
+
+/**
+ * Participant ids are strings so they can be stored and compared easily:
+ *  - 'zone:<tz>' for a plain timezone (uses that zone's working window)
+ *  - 'person:<id>' for a named person (uses the person's own window)
+ */
+export function zoneParticipantId(tz) {
+    return `zone:${tz}`
+}
+
+export function personParticipantId(personId) {
+    return `person:${personId}`
+}
+
+// stored ids made before zones were canonical: 'zone:Asia/Calcutta' -> 'zone:Asia/Kolkata'
+export function canonicalParticipantId(id) {
+    return id.startsWith('zone:') ? zoneParticipantId(canonicalZone(id.slice(5))) : id
+}
+
+/**
+ * Turn participant ids into { id, label, tz, window, days, country } objects.
+ * Unknown ids (e.g. a person that was deleted) are skipped. Zones with a custom label
+ * ({ tz: 'HQ' }, see teams.js) use it instead of the IANA id; people without a name are
+ * shown as `unnamed` (the translated 'meeting.unnamed').
+ */
+export function resolveParticipants(ids, { people = [], zoneHours = {}, zoneDays = {}, defaultWindow = DEFAULT_WORK_WINDOW, labels = {}, unnamed = '—' } = {}) {
+    const out = []
+    ids.forEach(id => {
+        if (id.startsWith('zone:')) {
+            const tz = id.slice(5)
+            out.push({ id, label: labels[tz] || tz, tz, window: workWindowForZone(zoneHours, tz, defaultWindow), days: workDaysForZone(zoneDays, tz), country: countryCodeOfZone(tz) })
+        } else if (id.startsWith('person:')) {
+            const person = people.find(p => p.id === id.slice(7))
+            if (person) out.push({ id, label: `${person.name || unnamed} (${person.tz})`, tz: person.tz, window: person.window, days: workDaysForZone(zoneDays, person.tz), country: countryCodeOfZone(person.tz) })
+        }
+    })
+    return out
+}
+
+/**
+ * Build the slot grid for `days` UTC days starting at dayStartMs.
+ *
+ * Returns [{ i, slotStart, slotEnd, locals: [{ id, tz, h, m, weekday, holiday, off, work, busy, free }], available, overlap }, ...]
+ *  - holiday: the public holiday ({ name, observed }) in the participant's country that local day, or null
+ *  - off: the participant's day off (weekend or public holiday)
+ *  - work: a working day and inside the participant's working window
+ *  - busy: overlaps one of the participant's busy blocks
+ *  - free: work && !busy
+ *  - available: how many participants are free in that slot
+ *  - overlap: true when everyone is free
+ */
+export function buildSlots({ dayStartMs, participants, days = 1 }) {
+    const arr = []
+    for (let i = 0; i < SLOTS_PER_DAY * days; i++) {
+        const slotStart = dayStartMs + i * SLOT_MS
+        const slotEnd = slotStart + SLOT_MS
+        const locals = participants.map(p => {
+            const { h, m, weekday, dayNumber } = localTimeFromUtcMs(slotStart, p.tz)
+            const holiday = holidayOnDay(p.country, dayNumber)
+            const off = Boolean(holiday) || (Boolean(p.days) && !p.days.includes(weekday))
+            const work = !off && isWithinWorkWindow(h, m, p.window)
+            const busy = (p.busy || []).some(b => b.start < slotEnd && b.end > slotStart)
+            return { id: p.id, tz: p.tz, h, m, weekday, holiday, off, work, busy, free: work && !busy }
+        })
+        const available = locals.filter(l => l.free).length
+        const overlap = participants.length > 0 && available === participants.length
+        arr.push({ i, slotStart, slotEnd, locals, available, overlap })
+    }
+    return arr
+}
+
+/**
+ * Group consecutive slots that satisfy `test` into segments.
+ * Returns [{ startIdx, endIdx, length }, ...] in slot order.
+ */
+export function findSegments(slots, test) {
+    const segs = []
+    let cur = null
+    slots.forEach(s => {
+        if (test(s)) {
+            if (!cur) cur = { startIdx: s.i, endIdx: s.i }
+            else cur.endIdx = s.i
+        } else if (cur) {
+            segs.push(cur)
+            cur = null
+        }
+    })
+    if (cur) segs.push(cur)
+    return segs.map(seg => ({ ...seg, length: seg.endIdx - seg.startIdx + 1 }))
+}
+
+/**
+ * Warn about DST mismatches: for every pair of participant zones, find the first moment
+ * within `days` after fromMs where the hour gap between them changes
+ * (e.g. New York and London are 4h apart for a few weeks in March and October/November).
+ *
+ * Returns [{ tzA, tzB, at, until, gapBefore, gapAfter }] sorted by `at`, where gaps are
+ * "minutes A is ahead of B" and `until` is when the old gap comes back (or null if not within `days`).
+ */
+export function upcomingGapChanges(tzs, fromMs, days = 28) {
+    const unique = [...new Set(tzs)]
+    const toMs = fromMs + days * 24 * 60 * 60 * 1000
+    const transitions = {}
+    unique.forEach(tz => { transitions[tz] = dstTransitions(tz, fromMs, toMs) })
+
+    const changes = []
+    unique.forEach((tzA, i) => {
+        unique.slice(i + 1).forEach(tzB => {
+            // instants where either side changes offset, oldest first
+            const moments = [...transitions[tzA], ...transitions[tzB]].map(tr => tr.at).sort((a, b) => a - b)
+            if (!moments.length) return
+            const gapAt = (ms) => tzOffsetMinutes(tzA, new Date(ms)) - tzOffsetMinutes(tzB, new Date(ms))
+            const gapBefore = gapAt(fromMs)
+            const changeAt = moments.find(ms => gapAt(ms) !== gapBefore)
+            if (changeAt === undefined) return // both moved together (e.g. two EU zones)
+            const until = moments.find(ms => ms > changeAt && gapAt(ms) === gapBefore) ?? null
+            changes.push({ tzA, tzB, at: changeAt, until, gapBefore, gapAfter: gapAt(changeAt) })
+        })
+    })
+    return changes.sort((a, b) => a.at - b.at)
+}
@@ -0,0 +1,182 @@
+/**
+ * reminders.js
+ *
+ * Reminders tied to another zone's wall clock, shown as browser notifications:
+ * "ping me when it's 09:00 in New York on weekdays" or
+ * "30 minutes before my overlap with London ends".
+ *
+ * Explanations:
+ * - A reminder is { id, tz, kind, time, days, before, enabled }:
+ *     - kind 'time': at `time` (minutes after midnight) in tz, on the weekdays `days` there;
+ *     - kind 'overlapEnd': `before` minutes before the overlap between your working hours
+ *       and tz's working hours ends (same 15-minute grid and rules as the meeting planner:
+ *       working days and public holidays count).
+ * - Stored in localStorage under 'wc_reminders'.
+ * - nextReminderTime() turns a wall-clock time into UTC with localToUtcMs() for each
+ *   candidate day, so "09:00 in New York" stays 09:00 there when either side changes DST.
+ *   A time skipped by a DST change (02:30 on spring-forward day) fires at the first minute after it.
+ * - useReminderNotifications() runs in App while the tab is open: one timer for the next
+ *   reminder due, then a Notification. Missed reminders (laptop asleep) older than
+ *   STALE_MS are dropped instead of firing late.
+ */
+
+import { useEffect } from 'react'
+import { canonicalZone, isValidTimeZone, localToUtcMs } from './timeUtils'
+import { formatDuration, formatLocalTime } from './format'
+import { makeId, normalizeWorkDays } from './workHours'
+import { buildSlots, findSegments, resolveParticipants, SLOT_MS, zoneParticipantId } from './meetingUtils'
+
+const REMINDERS_KEY = 'wc_reminders'
+const SEARCH_DAYS = 8 // every weekday comes up within a week (+1 for today's time already passed)
+const MAX_WAIT_MS = 60 * 60 * 1000 // re-check at least hourly (sleep, changed hours)
+const STALE_MS = 10 * 60 * 1000
+
+export const REMINDER_KINDS = ['time', 'overlapEnd']
+export const WEEKDAYS = [1, 2, 3, 4, 5]
+
+export function makeReminder(tz, kind = 'time') {
+    return { id: makeId(), tz, kind, time: 9 * 60, days: WEEKDAYS, before: 30, enabled: true }
+}
+
+/**
+ * Clean up a stored reminder; null when it is unusable.
+ */
+export function normalizeReminder(r) {
+    if (!r || typeof r !== 'object' || !isValidTimeZone(r.tz) || !REMINDER_KINDS.includes(r.kind)) return null
+    const time = Number(r.time)
+    const before = Number(r.before)
+    return {
+        id: r.id ? String(r.id) : makeId(),
+        tz: canonicalZone(r.tz),
+        kind: r.kind,
+        time: Number.isInteger(time) && time >= 0 && time < 24 * 60 ? time : 9 * 60,
+        days: normalizeWorkDays(r.days) || WEEKDAYS,
+        before: Number.isInteger(before) && before >= 0 && before <= 12 * 60 ? before : 30,
+        enabled: r.enabled !== false,
+    }
+}
+
+export function loadReminders() {
+    try {
+        const list = JSON.parse(localStorage.getItem(REMINDERS_KEY) || '[]')
+        return Array.isArray(list) ? list.map(normalizeReminder).filter(Boolean) : []
+    } catch {
+        return []
+    }
+}
+
+export function saveReminders(list) {
+    localStorage.setItem(REMINDERS_KEY, JSON.stringify(list))
+}
+
+// { year, month, day, weekday } of the calendar day in tz that contains utcMs
+const dayFormatters = new Map()
+function localDate(utcMs, tz) {
+    let fmt = dayFormatters.get(tz)
+    if (!fmt) {
+        fmt = new Intl.DateTimeFormat('en-US', { timeZone: tz, year: 'numeric', month: 'numeric', day: 'numeric' })
+        dayFormatters.set(tz, fmt)
+    }
+    const map = {}
+    fmt.formatToParts(new Date(utcMs)).forEach(p => { map[p.type] = p.value })
+    const year = Number(map.year), month = Number(map.month), day = Number(map.day)
+    return { year, month, day, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() }
+}
+
+// the calendar date `days` after a localDate() one (no 24-hour steps, which DST would skew)
+function addDays({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days))
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() }
+}
+
+function nextWallClockTime(r, fromMs) {
+    const today = localDate(fromMs, r.tz)
+    for (let i = 0; i < SEARCH_DAYS; i++) {
+        const date = addDays(today, i)
+        if (!r.days.includes(date.weekday)) continue
+        const at = localToUtcMs(r.tz, date.year, date.month, date.day, Math.floor(r.time / 60), r.time % 60)
+        if (at > fromMs) return at
+    }
+    return null
+}
+
+function nextOverlapEnd(r, fromMs, context) {
+    const participants = resolveParticipants([zoneParticipantId(context.localZone), zoneParticipantId(r.tz)], context)
+    const dayStartMs = Math.floor(fromMs / SLOT_MS) * SLOT_MS
+    const slots = buildSlots({ dayStartMs, participants, days: SEARCH_DAYS })
+    // the last segment may still be open at the end of the grid; its end is unknown
+    const segments = findSegments(slots, s => s.overlap).filter(seg => seg.endIdx < slots.length - 1)
+    for (const seg of segments) {
+        const at = slots[seg.endIdx].slotEnd - r.before * 60000
+        if (at > fromMs) return at
+    }
+    return null
+}
+
+/**
+ * First moment (UTC ms) after fromMs when the reminder fires, or null if not within a week.
+ * context: { localZone, zoneHours, zoneDays, defaultWindow } (used by 'overlapEnd').
+ */
+export function nextReminderTime(r, fromMs, context) {
+    return r.kind === 'overlapEnd' ? nextOverlapEnd(r, fromMs, context) : nextWallClockTime(r, fromMs)
+}
+
+/**
+ * 'granted', 'denied', 'default' or 'unsupported'.
+ */
+export function notificationPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+}
+
+export async function requestNotificationPermission() {
+    if (typeof Notification === 'undefined') return 'unsupported'
+    if (Notification.permission !== 'default') return Notification.permission
+    return Notification.requestPermission()
+}
+
+function notify(r, at, { context, tag, t }) {
+    if (notificationPermission() !== 'granted') return
+    const place = r.tz.split('/').pop().replace(/_/g, ' ')
+    const title = r.kind === 'overlapEnd'
+        ? t('reminder.notify.overlapEnd', { place, duration: formatDuration(r.before, tag) })
+        : t('reminder.notify.time', { place, time: formatLocalTime(at, r.tz, tag) })
+    const body = t('reminder.notify.body', { time: formatLocalTime(at, context.localZone, tag) })
+    try {
+        new Notification(title, { body, tag: `${r.id}|${at}`, icon: '/clock.png' })
+    } catch (err) {
+        // some mobile browsers only allow notifications from a service worker
+        console.warn('Could not show notification', err)
+    }
+}
+
+/**
+ * Fire enabled reminders as notifications while the page is open.
+ * context must be memoized (it is an effect dependency); locale is useLocale().
+ */
+export function useReminderNotifications(reminders, context, locale) {
+    useEffect(() => {
+        const active = reminders.filter(r => r.enabled)
+        if (!active.length) return
+        let timer = null
+        let checkedAt = Date.now()
+
+        const schedule = () => {
+            const now = Date.now()
+            const next = Math.min(...active.map(r => nextReminderTime(r, now, context) ?? Infinity))
+            timer = setTimeout(check, Math.max(1000, Math.min(next - now, MAX_WAIT_MS)))
+        }
+
+        const check = () => {
+            const now = Date.now()
+            active.forEach(r => {
+                const at = nextReminderTime(r, checkedAt, context)
+                if (at !== null && at <= now && now - at < STALE_MS) notify(r, at, { context, ...locale })
+            })
+            checkedAt = now
+            schedule()
+        }
+
+        schedule()
+        return () => clearTimeout(timer)
+    }, [reminders, context, locale])
+}
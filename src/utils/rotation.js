@@ -0,0 +1,126 @@
+/**
+ * rotation.js
+ *
+ * Fair rotation for a recurring meeting: when no time suits everyone (India, the UK and
+ * the US West Coast), move the slot from meeting to meeting so the out-of-hours burden
+ * is shared instead of always landing on the same people.
+ *
+ * Explanations:
+ * - Every meeting is scored per participant in "inconvenience points":
+ *   1 point per hour outside their working window (or on their day off or a public holiday),
+ *   3 points per hour at night (22:00–07:00 local).
+ * - For every meeting date we try start times every 30 minutes across the organizer's day
+ *   and pick the one that keeps the running tallies most even: the smallest sum of
+ *   squared tallies. Squaring means adding to someone who already suffered costs more,
+ *   so the pain rotates; it also keeps the total low.
+ * - Dates step on the organizer's calendar (weekly, every 2 weeks, ...), and every
+ *   start is converted with the zone rules of that date, so DST changes are respected.
+ * - Starts before `nowMs` are never picked; when today has no future start left, the
+ *   whole series begins a week later.
+ */
+
+import { localToUtcMs } from './timeUtils'
+import { MINUTES_PER_DAY, isWithinWorkWindow } from './workHours'
+import { localTimeFromUtcMs } from './meetingUtils'
+import { holidayOnDay } from './holidays'
+
+export const NIGHT_START = 22 * 60
+export const NIGHT_END = 7 * 60
+const CHECK_MINUTES = 15 // resolution used to score a meeting
+const OUTSIDE_WEIGHT = 1 // points per hour outside working hours
+const NIGHT_WEIGHT = 3 // points per hour at night
+
+export function isNightMinute(minute) {
+    return minute >= NIGHT_START || minute < NIGHT_END
+}
+
+/**
+ * Score one meeting for one participant ({ tz, window, days, country }).
+ * Returns { points, outsideMinutes, nightMinutes }.
+ */
+export function meetingCost(participant, startMs, durationMinutes) {
+    let outsideMinutes = 0, nightMinutes = 0
+    for (let t = 0; t < durationMinutes; t += CHECK_MINUTES) {
+        const step = Math.min(CHECK_MINUTES, durationMinutes - t)
+        const { h, m, weekday, dayNumber } = localTimeFromUtcMs(startMs + t * 60000, participant.tz)
+        const workingDay = (!participant.days || participant.days.includes(weekday)) && !holidayOnDay(participant.country, dayNumber)
+        if (workingDay && isWithinWorkWindow(h, m, participant.window)) continue
+        outsideMinutes += step
+        if (isNightMinute(h * 60 + m)) nightMinutes += step
+    }
+    const points = ((outsideMinutes - nightMinutes) * OUTSIDE_WEIGHT + nightMinutes * NIGHT_WEIGHT) / 60
+    return { points, outsideMinutes, nightMinutes }
+}
+
+// add days to a calendar date without touching any timezone
+function addDays({ y, m, d }, days) {
+    const date = new Date(Date.UTC(y, m - 1, d + days))
+    return { y: date.getUTCFullYear(), m: date.getUTCMonth() + 1, d: date.getUTCDate() }
+}
+
+/**
+ * Plan `count` meetings.
+ *  - participants: resolved participants [{ id, label, tz, window, days, country }]
+ *  - firstDate: { y, m, d } of the first meeting, on the organizer's calendar
+ *  - organizerTz: zone whose calendar days the meetings follow
+ *  - everyWeeks: 1 = weekly, 2 = every other week, ...
+ *  - durationMinutes, stepMinutes (spacing of candidate start times)
+ *  - nowMs: earliest allowed start (meetings are never planned in the past)
+ *
+ * Returns {
+ *   meetings: [{ index, start, end, costs: [{ points, outsideMinutes, nightMinutes }] (same order as participants) }],
+ *   tally: [{ id, label, points, outOfHours, atNight }]
+ * }
+ */
+export function planRotation({ participants, firstDate, organizerTz, everyWeeks = 1, count = 8, durationMinutes = 60, stepMinutes = 30, nowMs = -Infinity }) {
+    const totals = participants.map(() => 0)
+    const meetings = []
+    let skipDays = 0 // 7 once the first date turned out to be over already
+
+    for (let index = 0; index < count; index++) {
+        const date = addDays(firstDate, skipDays + index * everyWeeks * 7)
+        let best = null
+        for (let minute = 0; minute < MINUTES_PER_DAY; minute += stepMinutes) {
+            const start = localToUtcMs(organizerTz, date.y, date.m, date.d, Math.floor(minute / 60), minute % 60)
+            if (start < nowMs) continue
+            const costs = participants.map(p => meetingCost(p, start, durationMinutes))
+            const spread = costs.reduce((sum, c, i) => sum + (totals[i] + c.points) ** 2, 0)
+            if (!best || spread < best.spread - 1e-9) best = { start, costs, spread }
+        }
+        if (!best) {
+            // every start on this date is in the past: try the same weekday a week later
+            skipDays += 7
+            index--
+            continue
+        }
+        best.costs.forEach((c, i) => { totals[i] += c.points })
+        meetings.push({ index, start: best.start, end: best.start + durationMinutes * 60000, costs: best.costs })
+    }
+
+    const tally = participants.map((p, i) => ({
+        id: p.id,
+        label: p.label,
+        points: totals[i],
+        outOfHours: meetings.filter(m => m.costs[i].outsideMinutes > 0).length,
+        atNight: meetings.filter(m => m.costs[i].nightMinutes > 0).length,
+    }))
+    return { meetings, tally }
+}
+
+/**
+ * CSV text for a planned rotation (one row per meeting, one time column per participant).
+ */
+export function rotationToCsv({ meetings, tally }, participants, formatLocal) {
+    const quote = (v) => `"${String(v).replace(/"/g, '""')}"`
+    const rows = [['#', 'Start (UTC)', ...participants.map(p => p.label), ...participants.map(p => `${p.label} points`)]]
+    meetings.forEach(m => {
+        rows.push([
+            m.index + 1,
+            new Date(m.start).toISOString(),
+            ...participants.map(p => formatLocal(m.start, p.tz)),
+            ...m.costs.map(c => c.points.toFixed(2)),
+        ])
+    })
+    rows.push(['Total', '', ...participants.map(() => ''), ...tally.map(t => t.points.toFixed(2))])
+    return rows.map(r => r.map(quote).join(',')).join('\r\n') + '\r\n'
+}
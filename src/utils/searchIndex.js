@@ -0,0 +1,186 @@
+/**
+ * searchIndex.js
+ *
+ * Offline search over zones, cities, countries, ISO codes, abbreviations and
+ * UTC offsets — so "Bangalore", "India", "IN", "PST" and "UTC+5:30" all find zones.
+ *
+ * Explanations:
+ * - buildSearchIndex(zones, t) turns the bundled data (src/data/*) into entries:
+ *   { id, label, detail, kind, tzs, terms } where `terms` are normalized search keys;
+ *   `t` translates the zone counts shown as details ("IN • 1 zone").
+ * - Matching is forgiving: exact > prefix > word prefix > substring > one typo > letters in order.
+ *   Short queries are the exception: "IN" should mean India, not every name containing "in".
+ * - searchZones() returns ranked suggestions for the dropdown;
+ *   rankZones() returns a Map tz -> score used to filter and order the grid.
+ */
+
+import { COUNTRIES } from '../data/countries'
+import { ZONE_ALIASES } from '../data/zoneAliases'
+import { CITIES } from '../data/cities'
+import { ABBREVIATIONS } from '../data/abbreviations'
+import { formatOffset } from './timeUtils'
+
+/**
+ * Lowercase, strip accents and turn separators into spaces:
+ * "America/Sao_Paulo" -> "america sao paulo", "Zürich" -> "zurich".
+ */
+export function normalizeSearchText(text) {
+    return String(text)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[_/\-.,'()]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/**
+ * "UTC+5:30", "gmt-3", "+0530", "+5.5" -> offset minutes, or null.
+ */
+export function parseOffsetQuery(query) {
+    const m = String(query).trim().toLowerCase().replace('−', '-')
+        .match(/^(?:utc|gmt)?\s*([+-])\s*(\d{1,2})(?:(?::|\.)?(\d{1,2}))?$/)
+    if (!m) return null
+    const hours = Number(m[2])
+    let minutes = 0
+    if (m[3] !== undefined) {
+        // "+5.5" means five and a half hours, "+5:30"/"+0530" means 30 minutes
+        minutes = query.includes('.') && m[3].length === 1 ? Number(m[3]) * 6 : Number(m[3])
+    }
+    if (hours > 14 || minutes > 59) return null
+    return (m[1] === '-' ? -1 : 1) * (hours * 60 + minutes)
+}
+
+// classic edit distance with adjacent swaps, capped for speed
+function editDistance(a, b, max = 2) {
+    if (Math.abs(a.length - b.length) > max) return max + 1
+    const prev2 = new Array(b.length + 1).fill(0)
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i]
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost)
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                cur[j] = Math.min(cur[j], prev2[j - 2] + 1)
+            }
+        }
+        prev2.splice(0, prev2.length, ...prev)
+        prev = cur
+    }
+    return prev[b.length]
+}
+
+/**
+ * Score how well the normalized query matches one normalized term (0 = no match).
+ * `strict` terms (ISO codes) only match exactly.
+ */
+function scoreTerm(term, q, strict) {
+    if (term === q) return 100
+    if (strict) return 0
+    if (term.startsWith(q)) return 90 - Math.min(10, term.length - q.length)
+    if (term.split(' ').some(w => w.startsWith(q))) return 75
+    if (term.includes(q)) return 60
+    if (q.length >= 4) {
+        // one typo in a word ("bangalor", "londno")
+        const words = [term, ...term.split(' ')]
+        if (words.some(w => editDistance(q, w.slice(0, q.length + 1), 1) <= 1 || editDistance(q, w, 1) <= 1)) return 45
+    }
+    if (q.length >= 3) {
+        // letters in order ("nyk" -> "new york"), the tighter the better
+        let pos = -1, first = -1
+        for (const ch of q) {
+            pos = term.indexOf(ch, pos + 1)
+            if (pos < 0) return 0
+            if (first < 0) first = pos
+        }
+        const spread = pos - first + 1
+        return Math.max(5, 30 - (spread - q.length) * 2)
+    }
+    return 0
+}
+
+/**
+ * Build the index for the zones shown in the grid ([{ tz, offset }]).
+ * Data entries that point at zones the browser does not know are dropped.
+ * t: translator from useLocale() for the details.
+ */
+export function buildSearchIndex(zones, t) {
+    const available = new Set(zones.map(z => z.tz))
+    // the bundled data uses current names; a browser too old to know one (Europe/Kyiv) keeps the old id in the grid
+    const gridIdOf = {}
+    // canonical id -> its old names, so "US/Pacific" and "Asia/Calcutta" still find the zone
+    const aliasesOf = {}
+    Object.keys(ZONE_ALIASES).forEach(old => {
+        const canonical = ZONE_ALIASES[old]
+        if (available.has(old)) gridIdOf[canonical] = old
+        aliasesOf[canonical] = [...(aliasesOf[canonical] || []), old]
+    })
+    const resolve = tz => available.has(tz) ? tz : (gridIdOf[tz] || null)
+    const resolveAll = list => [...new Set(list.map(resolve).filter(Boolean))]
+
+    const entries = []
+    const add = (entry) => { if (entry.tzs.length) entries.push(entry) }
+
+    zones.forEach(z => {
+        const city = z.tz.split('/').pop().replace(/_/g, ' ')
+        const aliases = (aliasesOf[ZONE_ALIASES[z.tz] || z.tz] || []).filter(old => old !== z.tz)
+        add({ id: `zone:${z.tz}`, label: z.tz, detail: formatOffset(z.offset), kind: 'zone', tzs: [z.tz], terms: [z.tz, city, ...aliases].map(normalizeSearchText) })
+    })
+    CITIES.forEach(([name, tz, , ...alts]) => {
+        add({ id: `city:${name}`, label: name, detail: tz, kind: 'city', tzs: resolveAll([tz]), terms: [name, ...alts].map(normalizeSearchText) })
+    })
+    COUNTRIES.forEach(([code, name, tzs]) => {
+        const resolved = resolveAll(tzs)
+        add({ id: `country:${code}`, label: name, detail: `${code} • ${t('search.zones', { count: resolved.length })}`, kind: 'country', tzs: resolved, terms: [normalizeSearchText(name)] })
+        add({ id: `code:${code}`, label: code, detail: name, kind: 'code', tzs: resolved, terms: [code.toLowerCase()], strict: true })
+    })
+    Object.keys(ABBREVIATIONS).forEach(abbr => {
+        add({ id: `abbr:${abbr}`, label: abbr, detail: ABBREVIATIONS[abbr][0], kind: 'abbr', tzs: resolveAll(ABBREVIATIONS[abbr]), terms: [abbr.toLowerCase()] })
+    })
+
+    return { entries, zones, t }
+}
+
+// score every entry for a query; offset queries ("UTC+5:30") become a synthetic entry
+function scoredEntries(index, query) {
+    const q = normalizeSearchText(query)
+    if (!q) return []
+
+    const offset = parseOffsetQuery(query)
+    if (offset !== null) {
+        const tzs = index.zones.filter(z => z.offset === offset).map(z => z.tz)
+        return tzs.length ? [{ id: `offset:${offset}`, label: formatOffset(offset), detail: index.t('search.zones', { count: tzs.length }), kind: 'offset', tzs, score: 100 }] : []
+    }
+
+    const out = []
+    index.entries.forEach(entry => {
+        const score = Math.max(...entry.terms.map(t => scoreTerm(t, q, entry.strict)))
+        if (score > 0) out.push({ ...entry, score })
+    })
+    out.sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+    // once something matches properly, loose "letters in order" hits are just noise;
+    // an exact ISO code ("IN", "DE") or any one- or two-letter query keeps only prefix hits
+    const codeHit = out.some(e => e.strict && e.score === 100)
+    const cutoff = codeHit || q.length <= 2 ? 75 : out.length && out[0].score >= 60 ? 45 : 0
+    return out.filter(e => e.score >= cutoff)
+}
+
+/**
+ * Ranked suggestions for the search dropdown.
+ */
+export function searchZones(index, query, limit = 8) {
+    return scoredEntries(index, query).slice(0, limit)
+}
+
+/**
+ * Map tz -> best score for every zone matching the query.
+ */
+export function rankZones(index, query) {
+    const ranks = new Map()
+    scoredEntries(index, query).forEach(entry => {
+        entry.tzs.forEach(tz => {
+            if ((ranks.get(tz) || 0) < entry.score) ranks.set(tz, entry.score)
+        })
+    })
+    return ranks
+}
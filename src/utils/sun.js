@@ -0,0 +1,128 @@
+/**
+ * sun.js
+ *
+ * Sunrise, sunset and the sky phase (dawn, day, dusk, night) for a zone, computed offline
+ * from the zone's coordinates (data/zoneCoordinates.js) with the NOAA solar equations.
+ *
+ * Explanations:
+ * - The sun's declination and the "equation of time" follow from the date alone; with the
+ *   latitude and longitude they give solar noon, sunrise/sunset and the sun's elevation.
+ * - Sunrise/sunset use the usual -0.833° (refraction plus the sun's radius).
+ * - Phases by the sun's elevation: night below -6° (civil twilight ends), dawn / dusk between
+ *   -6° and +6° (twilight and the low "golden hour" sun; dawn before solar noon, dusk after),
+ *   day above that.
+ * - Near the poles the sun may stay up (polar day) or down (polar night) all day;
+ *   then there is no sunrise or sunset.
+ * - Accuracy is about a minute for the next few decades, plenty for a card background.
+ */
+
+import { ZONE_TAB } from '../data/zoneCoordinates'
+import { ZONE_ALIASES } from '../data/zoneAliases'
+import { tzOffsetMinutes } from './timeUtils'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const RAD = Math.PI / 180
+const SUNRISE_ELEVATION = -0.833
+const TWILIGHT_ELEVATION = -6
+const LOW_SUN_ELEVATION = 6
+
+let coordinates = null // Map(zone -> { lat, lon }), parsed on first use
+
+// ISO 6709 "+4230+00131" / "+404251-0740023" -> { lat, lon } in degrees
+function parseIso6709(text) {
+    const [, lat, lon] = text.match(/^([+-]\d+)([+-]\d+)$/) || []
+    if (!lat) return null
+    const toDegrees = (part, degreeDigits) => {
+        const sign = part[0] === '-' ? -1 : 1
+        const digits = part.slice(1)
+        const d = Number(digits.slice(0, degreeDigits))
+        const m = Number(digits.slice(degreeDigits, degreeDigits + 2))
+        const s = Number(digits.slice(degreeDigits + 2) || 0)
+        return sign * (d + m / 60 + s / 3600)
+    }
+    return { lat: toDegrees(lat, 2), lon: toDegrees(lon, 3) }
+}
+
+/**
+ * { lat, lon } of a zone's principal city, or null (e.g. 'UTC').
+ */
+export function zoneCoordinates(tz) {
+    if (!coordinates) {
+        coordinates = new Map()
+        ZONE_TAB.trim().split('\n').forEach(line => {
+            const [zone, coord] = line.split(' ')
+            const point = parseIso6709(coord)
+            if (point) coordinates.set(zone, point)
+        })
+    }
+    return coordinates.get(tz) || coordinates.get(ZONE_ALIASES[tz]) || null
+}
+
+// declination (degrees) and equation of time (minutes) at a UTC instant
+function solarParams(utcMs) {
+    const T = (utcMs / DAY_MS + 2440587.5 - 2451545) / 36525
+    const L0 = (280.46646 + T * (36000.76983 + T * 0.0003032)) % 360
+    const M = 357.52911 + T * (35999.05029 - 0.0001537 * T)
+    const e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T)
+    const C = Math.sin(M * RAD) * (1.914602 - T * (0.004817 + 0.000014 * T))
+        + Math.sin(2 * M * RAD) * (0.019993 - 0.000101 * T)
+        + Math.sin(3 * M * RAD) * 0.000289
+    const omega = 125.04 - 1934.136 * T
+    const lambda = L0 + C - 0.00569 - 0.00478 * Math.sin(omega * RAD)
+    const eps0 = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60
+    const eps = eps0 + 0.00256 * Math.cos(omega * RAD)
+    const declination = Math.asin(Math.sin(eps * RAD) * Math.sin(lambda * RAD)) / RAD
+    const y = Math.tan((eps / 2) * RAD) ** 2
+    const eqTime = 4 / RAD * (y * Math.sin(2 * L0 * RAD) - 2 * e * Math.sin(M * RAD)
+        + 4 * e * y * Math.sin(M * RAD) * Math.cos(2 * L0 * RAD)
+        - 0.5 * y * y * Math.sin(4 * L0 * RAD) - 1.25 * e * e * Math.sin(2 * M * RAD))
+    return { declination, eqTime }
+}
+
+/**
+ * Sun elevation in degrees and hour angle (negative before solar noon) at a UTC instant.
+ */
+export function sunPosition(utcMs, lat, lon) {
+    const { declination, eqTime } = solarParams(utcMs)
+    const utcMinutes = ((utcMs % DAY_MS) + DAY_MS) % DAY_MS / 60000
+    const solarMinutes = (((utcMinutes + eqTime + 4 * lon) % 1440) + 1440) % 1440
+    const hourAngle = solarMinutes / 4 - 180
+    const cosZenith = Math.sin(lat * RAD) * Math.sin(declination * RAD)
+        + Math.cos(lat * RAD) * Math.cos(declination * RAD) * Math.cos(hourAngle * RAD)
+    const elevation = 90 - Math.acos(Math.min(1, Math.max(-1, cosZenith))) / RAD
+    return { elevation, hourAngle }
+}
+
+/**
+ * Sunrise and sunset (UTC ms) on the local calendar day of `utcMs` in tz.
+ * Returns { sunrise, sunset, noon, polar: null | 'day' | 'night' }, or null when the zone
+ * has no coordinates. During polar day / night sunrise and sunset are null.
+ */
+export function sunTimes(tz, utcMs) {
+    const point = zoneCoordinates(tz)
+    if (!point) return null
+    // UTC midnight of the zone's local date; solar times are counted from it
+    const localDay = Math.floor((utcMs + tzOffsetMinutes(tz, new Date(utcMs)) * 60000) / DAY_MS) * DAY_MS
+    const approxNoon = localDay + (720 - 4 * point.lon) * 60000
+    const { declination, eqTime } = solarParams(approxNoon)
+    const noon = localDay + (720 - 4 * point.lon - eqTime) * 60000
+    const cosH = (Math.sin(SUNRISE_ELEVATION * RAD) - Math.sin(point.lat * RAD) * Math.sin(declination * RAD))
+        / (Math.cos(point.lat * RAD) * Math.cos(declination * RAD))
+    if (cosH > 1) return { sunrise: null, sunset: null, noon, polar: 'night' }
+    if (cosH < -1) return { sunrise: null, sunset: null, noon, polar: 'day' }
+    const halfDayMs = (Math.acos(cosH) / RAD) * 4 * 60000
+    return { sunrise: noon - halfDayMs, sunset: noon + halfDayMs, noon, polar: null }
+}
+
+/**
+ * Sky phase of a zone at a UTC instant: 'dawn' | 'day' | 'dusk' | 'night',
+ * or null when the zone has no coordinates.
+ */
+export function skyPhase(tz, utcMs) {
+    const point = zoneCoordinates(tz)
+    if (!point) return null
+    const { elevation, hourAngle } = sunPosition(utcMs, point.lat, point.lon)
+    if (elevation < TWILIGHT_ELEVATION) return 'night'
+    if (elevation < LOW_SUN_ELEVATION) return hourAngle < 0 ? 'dawn' : 'dusk'
+    return 'day'
+}
@@ -0,0 +1,351 @@
+/**
+ * sync.js
+ *
+ * Optional cross-device sync of teams (pinned zones + members) and working hours,
+ * through Google sign-in and one Firestore document per user (see firebase.js).
+ *
+ * Explanations:
+ * - Synced data is { teams, zoneHours, zoneDays }. Which team is active, the theme and
+ *   the display settings stay per device.
+ * - Offline first: the app keeps reading and writing localStorage exactly as before.
+ *   Sync copies changes up and down while signed in and online; edits made offline are
+ *   saved to the cloud when the connection comes back.
+ * - Conflicts: two devices can edit before seeing each other's changes. Each device remembers
+ *   the last cloud copy it saw (the "base", localStorage 'wc_sync'), so a three-way merge can
+ *   tell which side changed what:
+ *     - changed on one side only -> that change is kept;
+ *     - zones pinned or unpinned on either side -> both are applied (a reorder made on one
+ *       side only is kept too);
+ *     - the same field changed differently on both -> the device saving now wins, and the
+ *       UI reports the conflict;
+ *     - edited on one side, deleted on the other -> the edit is kept.
+ * - The first sync on a device has no base: its teams are paired with cloud teams of the same
+ *   name, so the "My team" every device starts with does not end up in the cloud twice.
+ * - Every save increments `rev` in the document, so a late snapshot older than what this
+ *   device already merged is ignored.
+ *
+ * Beginner notes:
+ * - Without VITE_FIREBASE_* settings SYNC_CONFIGURED is false and nothing here runs.
+ * - useCloudSync(data, onRemoteData) is the hook App.jsx uses: it reports local edits to
+ *   the session and calls onRemoteData(data) when merged data should replace the local copy.
+ */
+
+import { useEffect, useRef, useState } from 'react'
+import { normalizeTeam } from './teams'
+import { normalizeZoneDays, normalizeZoneHours } from './workHours'
+
+export const SYNC_CONFIGURED = Boolean(import.meta.env.VITE_FIREBASE_PROJECT_ID) || import.meta.env.VITE_FIREBASE_EMULATORS === 'true'
+
+const SYNC_KEY = 'wc_sync'
+const PUSH_DELAY_MS = 1500
+
+export const EMPTY_SYNCED = { teams: [], zoneHours: {}, zoneDays: {} }
+
+/**
+ * Clean up synced data from the cloud, localStorage or the app; extra fields are dropped.
+ */
+export function normalizeSynced(data) {
+    if (!data || typeof data !== 'object') return EMPTY_SYNCED
+    return {
+        teams: Array.isArray(data.teams) ? data.teams.map(normalizeTeam).filter(Boolean) : [],
+        zoneHours: normalizeZoneHours(data.zoneHours),
+        zoneDays: normalizeZoneDays(data.zoneDays),
+    }
+}
+
+// JSON with sorted object keys: Firestore does not keep key order
+function stableJson(value) {
+    if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`
+    }
+    return JSON.stringify(value) ?? 'undefined'
+}
+
+export function sameSynced(a, b) {
+    return stableJson(a) === stableJson(b)
+}
+
+// one value changed on up to two sides; both changed -> local (the device saving now), but an edit beats a delete
+function mergeValue(base, local, remote, conflict) {
+    if (sameSynced(local, remote)) return local
+    if (sameSynced(local, base)) return remote
+    if (sameSynced(remote, base)) return local
+    conflict()
+    return local === undefined ? remote : local
+}
+
+// a set of strings (pinned zones): additions and removals from both sides are applied;
+// the order is the local one, unless only the remote side changed the list
+function mergeList(base = [], local = [], remote = []) {
+    if (sameSynced(local, base)) return remote
+    if (sameSynced(remote, base)) return local
+    const removed = new Set(base.filter(item => !local.includes(item) || !remote.includes(item)))
+    return [...new Set([...local, ...remote])].filter(item => !removed.has(item))
+}
+
+function mergeRecords(base = {}, local = {}, remote = {}, conflict, mergeItem = mergeValue) {
+    const merged = {}
+    new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]).forEach(key => {
+        const value = mergeItem(base[key], local[key], remote[key], conflict)
+        if (value !== undefined) merged[key] = value
+    })
+    return merged
+}
+
+// lists of { id, ... }: merged per id, in local order with remote-only items after
+function mergeById(base = [], local = [], remote = [], conflict, mergeItem) {
+    const byId = (list) => Object.fromEntries(list.map(item => [item.id, item]))
+    const merged = mergeRecords(byId(base), byId(local), byId(remote), conflict, mergeItem)
+    const order = [...new Set([...local, ...remote].map(item => item.id))]
+    return order.filter(id => merged[id]).map(id => merged[id])
+}
+
+function mergeMember(base, local, remote, conflict) {
+    if (!base || !local || !remote) return mergeValue(base, local, remote, conflict)
+    return {
+        id: local.id,
+        name: mergeValue(base.name, local.name, remote.name, conflict),
+        tz: mergeValue(base.tz, local.tz, remote.tz, conflict),
+        window: mergeValue(base.window, local.window, remote.window, conflict),
+    }
+}
+
+function mergeTeam(base, local, remote, conflict) {
+    if (!base || !local || !remote) return mergeValue(base, local, remote, conflict)
+    return {
+        id: local.id,
+        name: mergeValue(base.name, local.name, remote.name, conflict),
+        zones: mergeList(base.zones, local.zones, remote.zones),
+        members: mergeById(base.members, local.members, remote.members, conflict, mergeMember),
+        labels: mergeRecords(base.labels, local.labels, remote.labels, conflict),
+    }
+}
+
+// First merge on this device (no base yet): a local team named like a cloud team it does not
+// know is the same team made twice — every device starts with its own "My team". It takes the
+// cloud team's id and an empty team as base, so both sides' zones and members are added up.
+function pairFirstTeams(base, local, remote) {
+    if (base.teams.length) return { baseTeams: base.teams, localTeams: local.teams }
+    const unpaired = remote.teams.filter(r => !local.teams.some(t => t.id === r.id))
+    const baseTeams = []
+    const localTeams = local.teams.map(t => {
+        if (remote.teams.some(r => r.id === t.id)) return t
+        const twin = unpaired.find(r => r.name === t.name)
+        if (!twin) return t
+        unpaired.splice(unpaired.indexOf(twin), 1)
+        baseTeams.push({ id: twin.id, name: twin.name, zones: [], members: [], labels: {} })
+        return { ...t, id: twin.id }
+    })
+    return { baseTeams, localTeams }
+}
+
+/**
+ * Three-way merge of synced data; base is the last cloud copy this device saw.
+ * Returns { data, conflicts }: conflicts counts fields changed differently on both sides.
+ */
+export function mergeSynced(base, local, remote) {
+    let conflicts = 0
+    const conflict = () => { conflicts++ }
+    const { baseTeams, localTeams } = pairFirstTeams(base, local, remote)
+    const data = {
+        teams: mergeById(baseTeams, localTeams, remote.teams, conflict, mergeTeam),
+        zoneHours: mergeRecords(base.zoneHours, local.zoneHours, remote.zoneHours, conflict),
+        zoneDays: mergeRecords(base.zoneDays, local.zoneDays, remote.zoneDays, conflict),
+    }
+    return { data, conflicts }
+}
+
+function revOf(doc) {
+    return Number(doc && doc.rev) || 0
+}
+
+// base = { rev, data } of the last cloud copy, per signed-in user
+function loadBase(uid) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SYNC_KEY) || 'null')
+        if (saved && saved.uid === uid) return { rev: revOf(saved), data: normalizeSynced(saved.data) }
+    } catch {
+        // start over
+    }
+    return { rev: 0, data: EMPTY_SYNCED }
+}
+
+function saveBase(uid, base) {
+    localStorage.setItem(SYNC_KEY, JSON.stringify({ uid, rev: base.rev, data: base.data }))
+}
+
+/**
+ * Sync one signed-in user's data until stop().
+ * - getLocal() -> the app's current synced data
+ * - applyRemote(data) replaces the app's data with merged data
+ * - setStatus('syncing' | 'synced' | 'offline' | 'error'), addConflicts(n)
+ */
+function startSession(firebase, uid, { getLocal, applyRemote, setStatus, addConflicts }) {
+    let base = loadBase(uid)
+    let timer = null
+    let saving = false
+    let stopped = false
+
+    const setBase = (next) => {
+        base = next
+        saveBase(uid, base)
+    }
+
+    const save = async () => {
+        timer = null
+        if (stopped) return
+        if (saving) {
+            schedule()
+            return
+        }
+        if (!navigator.onLine) {
+            setStatus('offline')
+            return
+        }
+        saving = true
+        setStatus('syncing')
+        const local = getLocal()
+        try {
+            const result = await firebase.mergeIntoSyncedDoc(uid, (cloud) => {
+                const { data, conflicts } = mergeSynced(base.data, local, normalizeSynced(cloud))
+                return { data, conflicts, rev: revOf(cloud) + 1 }
+            })
+            if (stopped) return
+            setBase({ rev: result.rev, data: result.data })
+            if (result.conflicts) addConflicts(result.conflicts)
+            // edits made while saving are merged by the next save
+            if (!sameSynced(getLocal(), local)) schedule()
+            else if (!sameSynced(result.data, local)) applyRemote(result.data)
+            if (!timer) setStatus('synced')
+        } catch (err) {
+            if (stopped) return
+            console.warn('Sync failed', err)
+            setStatus(navigator.onLine ? 'error' : 'offline')
+        } finally {
+            saving = false
+        }
+    }
+
+    const schedule = () => {
+        clearTimeout(timer)
+        timer = setTimeout(save, PUSH_DELAY_MS)
+        setStatus(navigator.onLine ? 'syncing' : 'offline')
+    }
+
+    // the cloud copy changed (another device saved): merge it into the local data
+    const onCloud = (cloud) => {
+        if (revOf(cloud) <= base.rev) return
+        const remote = normalizeSynced(cloud)
+        const local = getLocal()
+        const { data, conflicts } = mergeSynced(base.data, local, remote)
+        setBase({ rev: revOf(cloud), data: remote })
+        if (conflicts) addConflicts(conflicts)
+        if (!sameSynced(data, local)) applyRemote(data)
+        if (!sameSynced(data, remote)) schedule()
+        else if (!timer && !saving) setStatus('synced')
+    }
+
+    const localChanged = () => {
+        if (!sameSynced(getLocal(), base.data)) schedule()
+    }
+
+    const onOnline = () => {
+        if (timer || !sameSynced(getLocal(), base.data)) save()
+        else setStatus('synced')
+    }
+
+    const onOffline = () => setStatus('offline')
+
+    const unwatch = firebase.watchSyncedDoc(uid, onCloud, (err) => {
+        console.warn('Sync stopped', err)
+        setStatus('error')
+    })
+    window.addEventListener('online', onOnline)
+    window.addEventListener('offline', onOffline)
+    // first sign-in on this device, or edits made while signed out / offline
+    if (!sameSynced(getLocal(), base.data)) schedule()
+    else setStatus(navigator.onLine ? 'synced' : 'offline')
+
+    return {
+        localChanged,
+        stop() {
+            stopped = true
+            clearTimeout(timer)
+            unwatch()
+            window.removeEventListener('online', onOnline)
+            window.removeEventListener('offline', onOffline)
+        },
+    }
+}
+
+/**
+ * Cloud sync for App.jsx. data: the app's { teams, zoneHours, zoneDays } (memoized);
+ * onRemoteData(data) is called with merged data that should replace it.
+ * Returns { available, user, status, conflicts, signIn, signOut, clearConflicts }.
+ */
+export function useCloudSync(data, onRemoteData) {
+    const [firebase, setFirebase] = useState(null)
+    const [user, setUser] = useState(null)
+    const [status, setStatus] = useState('synced')
+    const [conflicts, setConflicts] = useState(0)
+    const latest = useRef({ data, onRemoteData })
+    const session = useRef(null)
+
+    useEffect(() => {
+        latest.current = { data, onRemoteData }
+    }, [data, onRemoteData])
+
+    // local edit: let the session decide whether there is something to save
+    useEffect(() => {
+        if (session.current) session.current.localChanged()
+    }, [data])
+
+    // load Firebase only when sync is configured, then follow sign-in
+    useEffect(() => {
+        if (!SYNC_CONFIGURED) return
+        let unwatch = () => {}
+        let cancelled = false
+        import('./firebase')
+            .then(module => {
+                if (cancelled) return
+                setFirebase(module)
+                unwatch = module.watchUser(setUser)
+            })
+            .catch(err => console.warn('Could not load Firebase', err))
+        return () => {
+            cancelled = true
+            unwatch()
+        }
+    }, [])
+
+    // one session per signed-in user
+    const uid = user && user.uid
+    useEffect(() => {
+        if (!firebase || !uid) return
+        const current = startSession(firebase, uid, {
+            getLocal: () => normalizeSynced(latest.current.data),
+            applyRemote: (next) => latest.current.onRemoteData(next),
+            setStatus,
+            addConflicts: (n) => setConflicts(prev => prev + n),
+        })
+        session.current = current
+        return () => {
+            current.stop()
+            session.current = null
+        }
+    }, [firebase, uid])
+
+    return {
+        available: Boolean(firebase),
+        user,
+        status,
+        conflicts,
+        signIn: () => firebase.signIn().catch(err => console.warn('Sign-in failed', err)),
+        signOut: () => {
+            setConflicts(0)
+            return firebase.signOutUser()
+        },
+        clearConflicts: () => setConflicts(0),
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * teams.js
+ *
+ * Named teams ("Platform team", "Client: Acme"): each one is a saved group of
+ * pinned zones and people with their own working hours.
+ *
+ * Explanations:
+ * - A team is { id, name, zones: [tz], members: [{ id, name, tz, window }], labels: { tz: label } }.
+ * - The active team drives the pinned section and the meeting planner. `zones` is also the
+ *   order of the pinned cards; `labels` are custom names for pinned zones ("HQ").
+ * - Stored in localStorage under 'wc_teams' as { version, activeId, teams }.
+ * - Older saves had one flat 'favZones' array (and 'wc_people'); loadTeams() turns
+ *   them into a first team called "My team" the first time it runs.
+ * - Teams can be exported to / imported from a versioned JSON file:
+ *   { format: 'world-clock-teams', version: 1, exportedAt, teams: [...] }.
+ *   A plain favZones array (["Asia/Kolkata", ...]) is accepted too.
+ */
+
+import { loadPeople, makeId, normalizePerson } from './workHours'
+import { canonicalZone, canonicalZoneMap, isValidTimeZone } from './timeUtils'
+
+const TEAMS_KEY = 'wc_teams'
+const LEGACY_PINS_KEY = 'favZones'
+
+export const TEAMS_FILE_FORMAT = 'world-clock-teams'
+export const TEAMS_FILE_VERSION = 1
+export const SHARED_TEAM_NAME = 'Shared view'
+
+export const MAX_LABEL_LENGTH = 60
+
+export function makeTeam(name, { zones = [], members = [], labels = {} } = {}) {
+    return { id: makeId(), name: name.trim() || 'Untitled team', zones, members, labels }
+}
+
+/**
+ * A custom zone label as stored: trimmed and shortened, null when empty.
+ */
+export function normalizeLabel(label) {
+    if (typeof label !== 'string') return null
+    return label.trim().slice(0, MAX_LABEL_LENGTH) || null
+}
+
+/**
+ * Clean up a stored or imported team; null when it is unusable.
+ * Members without an id (hand-written files) get a fresh one.
+ */
+export function normalizeTeam(t) {
+    if (!t || typeof t !== 'object') return null
+    const zones = Array.isArray(t.zones) ? [...new Set(t.zones.filter(z => typeof z === 'string' && isValidTimeZone(z)).map(canonicalZone))] : []
+    const members = Array.isArray(t.members)
+        ? t.members.map(m => normalizePerson(m && { ...m, id: m.id || makeId() })).filter(m => m && isValidTimeZone(m.tz))
+        : []
+    // labels only for zones the team pins
+    const labels = Object.fromEntries(Object.entries(canonicalZoneMap(t.labels, normalizeLabel)).filter(([tz]) => zones.includes(tz)))
+    return { id: t.id ? String(t.id) : makeId(), name: String(t.name || '').trim() || 'Untitled team', zones, members, labels }
+}
+
+/**
+ * Move a pinned zone to another position in the list (clamped to the ends).
+ */
+export function moveZone(zones, tz, toIndex) {
+    const rest = zones.filter(z => z !== tz)
+    if (rest.length === zones.length) return zones
+    const at = Math.max(0, Math.min(rest.length, toIndex))
+    return [...rest.slice(0, at), tz, ...rest.slice(at)]
+}
+
+function readLegacyPins() {
+    try {
+        const list = JSON.parse(localStorage.getItem(LEGACY_PINS_KEY) || '[]')
+        return Array.isArray(list) ? [...new Set(list.filter(z => typeof z === 'string' && isValidTimeZone(z)).map(canonicalZone))] : []
+    } catch {
+        return []
+    }
+}
+
+/**
+ * Read { activeId, teams } from localStorage, migrating favZones + wc_people on first run.
+ * There is always at least one team.
+ */
+export function loadTeams() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TEAMS_KEY) || 'null')
+        const teams = saved && Array.isArray(saved.teams) ? saved.teams.map(normalizeTeam).filter(Boolean) : []
+        if (teams.length) {
+            const activeId = teams.some(t => t.id === saved.activeId) ? saved.activeId : teams[0].id
+            return { activeId, teams }
+        }
+    } catch {
+        // fall through to migration
+    }
+    const first = makeTeam('My team', { zones: readLegacyPins(), members: loadPeople() })
+    return { activeId: first.id, teams: [first] }
+}
+
+export function saveTeams({ activeId, teams }) {
+    localStorage.setItem(TEAMS_KEY, JSON.stringify({ version: TEAMS_FILE_VERSION, activeId, teams }))
+}
+
+export function activeTeamOf({ activeId, teams }) {
+    return teams.find(t => t.id === activeId) || teams[0]
+}
+
+/**
+ * Return a new state where the active team is changed by `update(team) -> patch`.
+ */
+export function updateActiveTeam(state, update) {
+    const active = activeTeamOf(state)
+    return { ...state, teams: state.teams.map(t => t === active ? { ...t, ...update(t) } : t) }
+}
+
+// same zones, in any order
+function samePins(a, b) {
+    return a.length === b.length && a.every(tz => b.includes(tz))
+}
+
+/**
+ * Make a known team the active one (unknown ids leave the state as it is).
+ */
+export function activateTeam(state, id) {
+    return id && state.teams.some(t => t.id === id) ? { ...state, activeId: id } : state
+}
+
+/**
+ * Apply a view opened from a link ({ team, pinned } from urlState.js). A link never changes
+ * the zones a team has saved:
+ * - a team we know is activated when the link has no pins or the same ones (an old bookmark);
+ * - other pins open a team that already has exactly those zones, or a new "Shared view" team
+ *   ("Shared view 2", …), so neither your teams nor an earlier shared view are overwritten.
+ */
+export function applySharedView(state, { team, pinned }) {
+    const known = team && state.teams.find(t => t.id === team)
+    if (known && (!pinned || samePins(known.zones, pinned))) return activateTeam(state, known.id)
+    if (!pinned || !pinned.length) return state
+    const same = state.teams.find(t => samePins(t.zones, pinned))
+    if (same) return activateTeam(state, same.id)
+    const taken = new Set(state.teams.map(t => t.name))
+    let name = SHARED_TEAM_NAME
+    for (let n = 2; taken.has(name); n++) name = `${SHARED_TEAM_NAME} ${n}`
+    const created = makeTeam(name, { zones: pinned })
+    return { activeId: created.id, teams: [...state.teams, created] }
+}
+
+/**
+ * JSON text for the export file.
+ */
+export function exportTeamsFile(teams) {
+    return JSON.stringify({ format: TEAMS_FILE_FORMAT, version: TEAMS_FILE_VERSION, exportedAt: new Date().toISOString(), teams }, null, 2)
+}
+
+// errors carry a catalog code instead of text: TeamPanel shows t(`team.importError.${code}`, params)
+function fileError(code, params = {}) {
+    return Object.assign(new Error(`teams file: ${code}`), { code, params })
+}
+
+/**
+ * Parse an imported file into teams. Throws an Error with `code` ('invalidJson', 'noZones',
+ * 'notTeamsFile', 'newerVersion' with params.version, 'noTeams') when the file cannot be used.
+ */
+export function parseTeamsFile(text) {
+    let data
+    try {
+        data = JSON.parse(text)
+    } catch {
+        throw fileError('invalidJson')
+    }
+
+    // version 0: the old favZones array
+    if (Array.isArray(data)) {
+        const zones = [...new Set(data.filter(z => typeof z === 'string' && isValidTimeZone(z)).map(canonicalZone))]
+        if (!zones.length) throw fileError('noZones')
+        return [makeTeam('Imported favourites', { zones })]
+    }
+
+    if (!data || data.format !== TEAMS_FILE_FORMAT || !Array.isArray(data.teams)) {
+        throw fileError('notTeamsFile')
+    }
+    if (Number(data.version) > TEAMS_FILE_VERSION) {
+        throw fileError('newerVersion', { version: data.version })
+    }
+    const teams = data.teams.map(normalizeTeam).filter(Boolean)
+    if (!teams.length) throw fileError('noTeams')
+    return teams
+}
+
+/**
+ * Add imported teams: a team with the same id replaces the existing one, the rest are appended.
+ */
+export function mergeTeams(existing, imported) {
+    const byId = new Map(imported.map(t => [t.id, t]))
+    const merged = existing.map(t => byId.get(t.id) || t)
+    imported.forEach(t => { if (!existing.some(e => e.id === t.id)) merged.push(t) })
+    return merged
+}
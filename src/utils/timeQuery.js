@@ -0,0 +1,209 @@
+/**
+ * timeQuery.js
+ *
+ * Parser for the time converter bar: turns phrases such as "3pm London",
+ * "tomorrow 09:30 in Tokyo", "14:00 PST", "Tuesday 10am Berlin" or
+ * "2026-11-02 10:00 Europe/Berlin" into a UTC instant, then converts it to other zones.
+ *
+ * Explanations:
+ * - The phrase is taken apart in three steps: the date ("2026-11-02", "Nov 2", "today",
+ *   "tomorrow", a weekday), the time ("3pm", "09:30", "noon") and whatever is left,
+ *   which names the place.
+ * - The place is resolved like the search box does (cities, countries, zone ids);
+ *   "UTC+5:30" and abbreviations like PST or CEST are fixed offsets (PST is UTC−8 even in
+ *   summer); no place means your own zone.
+ * - Relative dates ("tomorrow", "Tuesday") count from today in the named place.
+ * - Wall times are turned into UTC with the zone's own rules for that date (localToUtcMs),
+ *   so DST is handled; a time skipped by a spring-forward change is reported in `note`.
+ * - Nothing here is user-facing text: errors and notes are codes with parameters, which
+ *   TimeConverter.jsx translates with t().
+ */
+
+import { formatOffset, localToUtcMs } from './timeUtils'
+import { localTimeFromUtcMs } from './meetingUtils'
+import { normalizeSearchText, parseOffsetQuery, searchZones } from './searchIndex'
+import { formatLocalDay, formatLocalTime } from './format'
+import { ABBREVIATION_OFFSETS } from '../data/abbreviations'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MIN_PLACE_SCORE = 45 // same bar as the search box's "one typo" matches
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+// whole words only, so "Monrovia" or "Marseille" are not read as a date
+const MONTH_WORDS = 'january|february|march|april|june|july|august|september|sept|october|november|december|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec'
+const WEEKDAY_WORDS = 'sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues|tue|wed|thurs|thur|thu|fri|sat'
+// connective words around the place ("at 3pm in Tokyo", "3pm London time"); words inside it stay ("The Valley")
+const LEADING_WORDS = /^(?:(?:in|at|on|for|next|this)\s+)+/
+const TRAILING_WORDS = /\s+time$/
+const MAX_MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+
+function dateOfDayNumber(dayNumber) {
+    const date = new Date(dayNumber * DAY_MS)
+    return { y: date.getUTCFullYear(), m: date.getUTCMonth() + 1, d: date.getUTCDate() }
+}
+
+function dayNumberOf({ y, m, d }) {
+    return Math.floor(Date.UTC(y, m - 1, d) / DAY_MS)
+}
+
+// false for dates that would roll over into the next month (Feb 30 -> Mar 2)
+function dateExists(date) {
+    const back = dateOfDayNumber(dayNumberOf(date))
+    return back.y === date.y && back.m === date.m && back.d === date.d
+}
+
+// "3pm", "3:30 pm", "09:30", "14.00", "noon", "midnight" -> { h, mi, rest } or null
+function takeTime(text) {
+    if (/\bnoon\b/.test(text)) return { h: 12, mi: 0, rest: text.replace(/\bnoon\b/, ' ') }
+    if (/\bmidnight\b/.test(text)) return { h: 0, mi: 0, rest: text.replace(/\bmidnight\b/, ' ') }
+    const match = text.match(/\b(\d{1,2})(?:[:.h](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?=\s|$)/g)
+    // the first token that is a real time: has minutes or am/pm
+    for (const token of match || []) {
+        const m = token.match(/^(\d{1,2})(?:[:.h](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/)
+        if (!m || (m[2] === undefined && !m[3])) continue
+        let h = Number(m[1])
+        const mi = m[2] === undefined ? 0 : Number(m[2])
+        const meridiem = m[3] ? m[3][0] : null
+        if (mi > 59 || h > 23 || (meridiem && (h < 1 || h > 12))) return null
+        if (meridiem === 'p' && h < 12) h += 12
+        if (meridiem === 'a' && h === 12) h = 0
+        return { h, mi, rest: text.replace(token, ' ') }
+    }
+    return null
+}
+
+// date words -> { resolve(todayDayNumber) -> dayNumber, rest } (resolve is null when no date was given)
+function takeDate(text) {
+    let m = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/)
+    if (m) {
+        const date = { y: Number(m[1]), m: Number(m[2]), d: Number(m[3]) }
+        return { resolve: () => dayNumberOf(date), rest: text.replace(m[0], ' '), valid: dateExists(date) }
+    }
+    const month = `(${MONTH_WORDS})\\.?`
+    m = text.match(new RegExp(`\\b${month}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`)) ||
+        text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${month}(?:,?\\s+(\\d{4}))?\\b`))
+    if (m) {
+        const monthFirst = isNaN(Number(m[1]))
+        const monthIdx = MONTHS.indexOf((monthFirst ? m[1] : m[2]).slice(0, 3)) + 1
+        const day = Number(monthFirst ? m[2] : m[1])
+        const year = m[3] ? Number(m[3]) : null
+        return {
+            // without a year: the next such date from today (Feb 29 waits for a leap year)
+            resolve: (today) => {
+                if (year) return dayNumberOf({ y: year, m: monthIdx, d: day })
+                for (let y = dateOfDayNumber(today).y; ; y++) {
+                    const date = { y, m: monthIdx, d: day }
+                    if (dateExists(date) && dayNumberOf(date) >= today) return dayNumberOf(date)
+                }
+            },
+            rest: text.replace(m[0], ' '),
+            valid: year ? dateExists({ y: year, m: monthIdx, d: day }) : day >= 1 && day <= MAX_MONTH_DAYS[monthIdx - 1],
+        }
+    }
+    const relative = { today: 0, tonight: 0, tomorrow: 1, tmrw: 1, yesterday: -1 }
+    m = text.match(/\b(today|tonight|tomorrow|tmrw|yesterday)\b/)
+    if (m) return { resolve: (today) => today + relative[m[1]], rest: text.replace(m[0], ' '), valid: true }
+    m = text.match(new RegExp(`\\b(next\\s+)?(${WEEKDAY_WORDS})\\b`))
+    if (m) {
+        const weekday = WEEKDAYS.indexOf(m[2].slice(0, 3))
+        return {
+            resolve: (today) => {
+                const ahead = (weekday - ((today + 4) % 7) + 7) % 7 // day 0 was a Thursday
+                return today + (ahead === 0 && m[1] ? 7 : ahead)
+            },
+            rest: text.replace(m[0], ' '),
+            valid: true,
+        }
+    }
+    return { resolve: null, rest: text, valid: true }
+}
+
+// place text -> { tz, label } or { offset, label } or null
+function resolvePlace(text, { index, zones, localZone }) {
+    const place = text.trim()
+    if (!place) return { tz: localZone, label: localZone, you: true }
+    const exact = zones.find(tz => tz.toLowerCase() === place.toLowerCase())
+    if (exact) return { tz: exact, label: exact }
+    const offset = parseOffsetQuery(place.replace(/\s+/g, ''))
+    if (offset !== null) return { offset, label: formatOffset(offset) }
+    if (/^(utc|gmt|z)$/.test(place)) return { offset: 0, label: 'UTC' }
+    // "PST" means UTC−8 whatever the season, not Los Angeles' current offset
+    const abbr = place.toUpperCase()
+    if (ABBREVIATION_OFFSETS[abbr] !== undefined) return { offset: ABBREVIATION_OFFSETS[abbr], label: `${abbr} (${formatOffset(ABBREVIATION_OFFSETS[abbr])})` }
+    const [best] = searchZones(index, place, 1)
+    if (!best || best.score < MIN_PLACE_SCORE) return null
+    const tz = best.tzs[0]
+    return { tz, label: best.label === tz ? tz : `${best.label} (${tz})` }
+}
+
+/**
+ * Parse a phrase. Returns
+ *  { ok: true, utcMs, source: { tz | offset, label, you }, note } or { ok: false, error, place }.
+ *  - error: 'empty', 'invalidDate', 'missingTime' or 'unknownPlace' (with the place text)
+ *  - source.you: the phrase named no place, so your own zone was used
+ *  - note: { time: 'HH:MM', zone } when that wall time was skipped by a DST change, else null
+ *  - index: search index from buildSearchIndex(), zones: known tz ids
+ *  - localZone: used when the phrase names no place
+ *  - nowMs: "today" for relative dates
+ */
+export function parseTimeQuery(text, { index, zones, localZone, nowMs }) {
+    const cleaned = ` ${String(text).toLowerCase().replace(/,/g, ' ')} `
+    if (!cleaned.trim()) return { ok: false, error: 'empty' }
+
+    const date = takeDate(cleaned)
+    if (!date.valid) return { ok: false, error: 'invalidDate' }
+    const time = takeTime(date.rest)
+    if (!time) return { ok: false, error: 'missingTime' }
+
+    // zone ids ("europe/berlin") are matched as typed, everything else like the search box
+    const placeRaw = time.rest.replace(/\s+/g, ' ').trim().replace(LEADING_WORDS, '').replace(TRAILING_WORDS, '')
+    const placeText = placeRaw.includes('/') ? placeRaw : normalizeSearchText(placeRaw)
+    const source = resolvePlace(placeText, { index, zones, localZone })
+    if (!source) return { ok: false, error: 'unknownPlace', place: placeText }
+
+    const today = source.tz
+        ? localTimeFromUtcMs(nowMs, source.tz).dayNumber
+        : Math.floor((nowMs + source.offset * 60000) / DAY_MS)
+    const day = dateOfDayNumber(date.resolve ? date.resolve(today) : today)
+
+    if (source.tz === undefined) {
+        const utcMs = Date.UTC(day.y, day.m - 1, day.d, time.h, time.mi) - source.offset * 60000
+        return { ok: true, utcMs, source, note: null }
+    }
+    const utcMs = localToUtcMs(source.tz, day.y, day.m, day.d, time.h, time.mi)
+    const check = localTimeFromUtcMs(utcMs, source.tz)
+    const note = check.h !== time.h || check.m !== time.mi
+        ? { time: `${String(time.h).padStart(2, '0')}:${String(time.mi).padStart(2, '0')}`, zone: source.tz }
+        : null
+    return { ok: true, utcMs, source, note }
+}
+
+/**
+ * Conversion rows for a parsed instant: [{ tz, label, time, day, dayDelta }].
+ * dayDelta is the calendar-day difference to the source place (+1 = the next day there).
+ * time and day are formatted for `locale` (see utils/format.js).
+ */
+export function convertTime({ utcMs, source }, targets, locale) {
+    const sourceDay = source.tz
+        ? localTimeFromUtcMs(utcMs, source.tz).dayNumber
+        : Math.floor((utcMs + source.offset * 60000) / DAY_MS)
+    return targets.map(({ tz, label }) => ({
+        tz,
+        label,
+        time: formatLocalTime(utcMs, tz, locale),
+        day: formatLocalDay(utcMs, tz, locale),
+        dayDelta: localTimeFromUtcMs(utcMs, tz).dayNumber - sourceDay,
+    }))
+}
+
+/**
+ * Plain-text version of a conversion, for the clipboard.
+ * formatDelta turns a non-zero day difference into translated text ("+1 day").
+ */
+export function conversionToText(sourceText, rows, formatDelta) {
+    const width = Math.max(...rows.map(r => r.label.length))
+    return [
+        sourceText,
+        ...rows.map(r => `${r.label.padEnd(width)}  ${r.time}, ${r.day}${r.dayDelta ? ` (${formatDelta(r.dayDelta)})` : ''}`),
+    ].join('\n')
+}
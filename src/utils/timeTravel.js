@@ -0,0 +1,77 @@
+/**
+ * timeTravel.js
+ *
+ * "What if it's Thursday 15:00?" support.
+ *
+ * Explanations:
+ * - TimeTravelContext holds either null (live time) or a fixed UTC timestamp in ms
+ *   chosen with the scrubber in the header.
+ * - useNow(intervalMs) is what clocks and cards call instead of `new Date()`:
+ *   it returns the travelled timestamp when one is set, otherwise a live timestamp
+ *   that refreshes every `intervalMs`.
+ * - Because every clock reads from the same context, moving the scrubber updates
+ *   all of them at once; clearing it ("back to live") resumes normal ticking.
+ * - Live time comes from one shared clock per interval (not one timer per component):
+ *   all cards asking for 1-second ticks subscribe to the same timer through
+ *   useSyncExternalStore. The timer is aligned to whole intervals so every clock
+ *   flips its second together, and it stops when the last subscriber unmounts.
+ */
+
+import { createContext, useCallback, useContext, useSyncExternalStore } from 'react'
+
+export const TimeTravelContext = createContext(null)
+
+const clocks = new Map() // intervalMs -> { now, listeners: Set, timer }
+
+function clockFor(intervalMs) {
+    let clock = clocks.get(intervalMs)
+    if (!clock) {
+        clock = { now: Date.now(), listeners: new Set(), timer: null }
+        clocks.set(intervalMs, clock)
+    }
+    return clock
+}
+
+function startClock(clock, intervalMs) {
+    const tick = () => {
+        clock.now = Date.now()
+        clock.listeners.forEach(listener => listener())
+        // wait for the next whole interval (e.g. the next second) rather than drifting
+        clock.timer = setTimeout(tick, intervalMs - (Date.now() % intervalMs))
+    }
+    clock.now = Date.now()
+    clock.timer = setTimeout(tick, intervalMs - (clock.now % intervalMs))
+}
+
+function subscribeClock(intervalMs, listener) {
+    const clock = clockFor(intervalMs)
+    clock.listeners.add(listener)
+    if (clock.timer === null) startClock(clock, intervalMs)
+    return () => {
+        clock.listeners.delete(listener)
+        if (clock.listeners.size === 0) {
+            clearTimeout(clock.timer)
+            clock.timer = null
+        }
+    }
+}
+
+/**
+ * Current time in UTC ms — live or time-travelled.
+ * While travelling nothing subscribes to the clock, so frozen cards don't re-render.
+ */
+export function useNow(intervalMs = 1000) {
+    const override = useContext(TimeTravelContext)
+    const subscribe = useCallback(
+        (listener) => override !== null ? () => {} : subscribeClock(intervalMs, listener),
+        [override, intervalMs]
+    )
+    return useSyncExternalStore(subscribe, () => override ?? clockFor(intervalMs).now)
+}
+
+/**
+ * True while the dashboard shows a travelled (non-live) time.
+ */
+export function useIsTimeTravelling() {
+    return useContext(TimeTravelContext) !== null
+}
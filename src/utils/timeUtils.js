@@ -1,21 +1,73 @@
 /**
  * timeUtils.js
  *
- * Helper functions for timezone list, offsets, continent detection, and
+ * Helper functions for timezone list, offsets, regions and countries, and
  * utilities for converting local windows to UTC for overlap calculations.
  *
  * Explanations:
  * - buildZonesList() uses Intl.supportedValuesOf('timeZone') if available.
+ * - canonicalZone(tz) turns old names and aliases into the canonical IANA id
+ *   ('Asia/Calcutta', 'US/Pacific' -> 'Asia/Kolkata', 'America/Los_Angeles'), so a zone
+ *   is listed, pinned and stored under one id only.
  * - tzOffsetMinutes(tz) computes current offset in minutes relative to UTC.
- * - continentOf(tz) uses the IANA naming to assign a continent for grouping.
+ * - each zone's country and region come from the offline tables in data/countries.js
+ *   and data/regions.js (Pacific/Fiji -> FJ -> Oceania).
+ * - dstTransitions(tz, from, to) / nextDstTransition(tz, from) find the instants
+ *   where a zone's offset changes (daylight saving time starts or ends).
  *
  * Comments are deliberately verbose for beginners.
  */
 
+import { countryCodeOfZone } from '../data/countries'
+import { regionOfZone } from '../data/regions'
+import { ZONE_ALIASES } from '../data/zoneAliases'
+
+const supportedZones = new Map() // tz -> whether this browser knows it
+
+/**
+ * True when this browser knows the zone name (an IANA id or an alias such as 'US/Pacific').
+ */
+export function isValidTimeZone(tz) {
+    if (!tz) return false
+    if (!supportedZones.has(tz)) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: tz })
+            supportedZones.set(tz, true)
+        } catch {
+            supportedZones.set(tz, false)
+        }
+    }
+    return supportedZones.get(tz)
+}
+
+/**
+ * Canonical IANA id of a zone name (unknown names are returned as they are).
+ * A browser too old to know the new name (Europe/Kyiv) keeps the old one.
+ */
+export function canonicalZone(tz) {
+    const target = ZONE_ALIASES[tz]
+    return target && isValidTimeZone(target) ? target : tz
+}
+
+/**
+ * Copy a { tz: value } map (stored per-zone settings) under canonical ids; normalize(value)
+ * returns the cleaned value or null to drop it. An entry saved under the canonical id wins
+ * over one saved under an alias.
+ */
+export function canonicalZoneMap(map, normalize) {
+    const clean = {}
+    Object.keys(map || {}).forEach(tz => {
+        const value = normalize(map[tz])
+        const key = canonicalZone(tz)
+        if (value && (key === tz || !(key in clean))) clean[key] = value
+    })
+    return clean
+}
+
 export function getAllTimeZones() {
-    // Modern browsers provide Intl.supportedValuesOf('timeZone')
+    // Modern browsers provide Intl.supportedValuesOf('timeZone'); some names in it are old aliases
     if (typeof Intl.supportedValuesOf === 'function') {
-        return Intl.supportedValuesOf('timeZone')
+        return [...new Set(Intl.supportedValuesOf('timeZone').map(canonicalZone))]
     }
     // Fallback: a minimal list used only if browser is old
     return [
@@ -26,6 +78,11 @@ export function getAllTimeZones() {
     ]
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// one formatter per zone: creating Intl.DateTimeFormat is far slower than using it
+const offsetFormatters = new Map()
+
 /**
  * Compute the offset in minutes between the given timeZone and UTC
  * at the current instant (or a provided Date).
@@ -35,70 +92,137 @@ export function getAllTimeZones() {
  * real Date() timestamp yields the offset.
  */
 export function tzOffsetMinutes(timeZone, now = new Date()) {
-    const fmt = new Intl.DateTimeFormat('en-US', {
-        timeZone,
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-    })
+    let fmt = offsetFormatters.get(timeZone)
+    if (!fmt) {
+        fmt = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: false
+        })
+        offsetFormatters.set(timeZone, fmt)
+    }
     const parts = fmt.formatToParts(now)
     const map = {}
     parts.forEach(p => { if (p.type) map[p.type] = p.value })
     const y = Number(map.year), m = Number(map.month), d = Number(map.day)
-    const h = Number(map.hour), min = Number(map.minute), s = Number(map.second)
+    const h = Number(map.hour) % 24, min = Number(map.minute), s = Number(map.second)
     const utcMs = Date.UTC(y, m - 1, d, h, min, s)
     const diffMin = Math.round((utcMs - now.getTime()) / 60000)
     return diffMin // positive means the timezone is ahead of UTC (e.g. +330)
 }
 
 /**
- * Return an array of objects [{ tz, offset, cont }, ...] sorted by offset asc.
+ * Offset minutes as text: 330 -> "UTC+5:30", -180 -> "UTC-3:00".
+ */
+export function formatOffset(offset) {
+    return `UTC${offset >= 0 ? '+' : '-'}${Math.floor(Math.abs(offset) / 60)}:${String(Math.abs(offset) % 60).padStart(2, '0')}`
+}
+
+/**
+ * Return an array of objects [{ tz, offset, cont, country }, ...] sorted by offset asc.
+ * cont is the zone's region ('Europe', 'Oceania', … or null), country its ISO code or null.
+ * Offsets are the ones in effect at `now` (they change when DST starts or ends).
  */
-export function buildZonesList() {
+export function buildZonesList(now = new Date()) {
     const zones = getAllTimeZones()
-    const now = new Date()
     const arr = zones.map(tz => ({
         tz,
         offset: tzOffsetMinutes(tz, now),
-        cont: continentOf(tz)
+        cont: regionOfZone(tz),
+        country: countryCodeOfZone(tz)
     }))
     arr.sort((a, b) => a.offset - b.offset || a.tz.localeCompare(b.tz))
     return arr
 }
 
-/**
- * Map IANA tz string to continent label for grouping.
- * This is a simple heuristic based on the standard naming.
- */
-export function continentOf(tz) {
-    if (tz.startsWith('Africa/')) return 'Africa'
-    if (tz.startsWith('Antarctica/')) return 'Antarctica'
-    if (tz.startsWith('Asia/')) return 'Asia'
-    if (tz.startsWith('Australia/') || tz.startsWith('Pacific/')) return 'Australia'
-    if (tz.startsWith('Europe/')) return 'Europe'
-    if (tz.startsWith('America/')) {
-        // lightweight heuristic: treat some known South America zones separately
-        const south = ['Argentina','Sao_Paulo','Bogota','Lima','Caracas','Santiago','Montevideo','Asuncion','La_Paz']
-        if (south.some(k => tz.includes(k))) return 'South America'
-        return 'North America'
-    }
-    return 'Other'
-}
-
 /**
  * Convert a local date/time in a timezone into UTC ms.
  * - year/month/day/hour/min are local to the timezone tz.
  * - We compute the UTC timestamp by subtracting that tz's offset minutes at that date.
  *
+ * The offset must be the one of the *target zone* around that wall time, so we try the
+ * offsets in effect a day before and a day after and keep the one that round-trips:
+ * - a wall time skipped by DST (02:30 on spring-forward day) moves forward, like a wall clock would;
+ * - a wall time that happens twice (01:30 on fall-back day) picks the first one.
+ *
  * This helper is used when we build working windows and find overlaps.
  */
 export function localToUtcMs(tz, year, month, day, hour = 0, minute = 0) {
     const localUtcMs = Date.UTC(year, month - 1, day, hour, minute, 0)
-    // offset in minutes at that local date
-    const offsetMin = tzOffsetMinutes(tz, new Date(year, month - 1, day, hour, minute))
-    return localUtcMs - offsetMin * 60000
+    const before = tzOffsetMinutes(tz, new Date(localUtcMs - DAY_MS))
+    const after = tzOffsetMinutes(tz, new Date(localUtcMs + DAY_MS))
+    const candidates = [...new Set([before, after])]
+        .map(offsetMin => localUtcMs - offsetMin * 60000)
+        .filter(ms => localUtcMs - tzOffsetMinutes(tz, new Date(ms)) * 60000 === ms)
+    if (candidates.length) return Math.min(...candidates)
+    // skipped wall time: use the offset from before the change
+    return localUtcMs - before * 60000
+}
+
+const SCAN_STEP_MS = 7 * DAY_MS // zones change offset at most a few times a year
+
+// tz -> { from, to, list }: transitions already found between from and to
+const transitionCache = new Map()
+
+// find all offset changes between fromMs and toMs by stepping a week at a time, then bisecting to the minute
+function scanTransitions(tz, fromMs, toMs) {
+    const list = []
+    let t = fromMs
+    let offset = tzOffsetMinutes(tz, new Date(t))
+    while (t < toMs) {
+        const next = Math.min(t + SCAN_STEP_MS, toMs)
+        const nextOffset = tzOffsetMinutes(tz, new Date(next))
+        if (nextOffset !== offset) {
+            let lo = t, hi = next
+            while (hi - lo > 60000) {
+                const mid = lo + Math.floor((hi - lo) / 120000) * 60000
+                if (tzOffsetMinutes(tz, new Date(mid)) === offset) lo = mid
+                else hi = mid
+            }
+            list.push({ at: hi, offsetBefore: offset, offsetAfter: nextOffset, direction: nextOffset > offset ? 'forward' : 'back' })
+        }
+        t = next
+        offset = nextOffset
+    }
+    return list
+}
+
+/**
+ * All DST (offset) transitions of `tz` after fromMs and up to toMs, oldest first:
+ * [{ at (UTC ms of the first minute with the new offset), offsetBefore, offsetAfter, direction: 'forward' | 'back' }]
+ *
+ * Results are cached per zone, so calling this every second from a card is cheap.
+ */
+export function dstTransitions(tz, fromMs, toMs) {
+    const cached = transitionCache.get(tz)
+    if (!cached || fromMs < cached.from || toMs > cached.to) {
+        // scan a bit further than asked so the next calls (a second later) hit the cache
+        const from = fromMs - DAY_MS
+        const to = Math.max(toMs, fromMs + 60 * DAY_MS) + 7 * DAY_MS
+        transitionCache.set(tz, { from, to, list: scanTransitions(tz, from, to) })
+    }
+    return transitionCache.get(tz).list.filter(tr => tr.at > fromMs && tr.at <= toMs)
+}
+
+/**
+ * The next DST transition of `tz` after `fromMs` within `horizonDays`, or null.
+ * e.g. nextDstTransition('Europe/London') in mid-October -> { at: <last Sunday of October 01:00 UTC>, direction: 'back', ... }
+ */
+export function nextDstTransition(tz, fromMs = Date.now(), horizonDays = 366) {
+    return dstTransitions(tz, fromMs, fromMs + horizonDays * DAY_MS)[0] || null
+}
+
+/**
+ * A key that is equal for zones following the same clock rules from fromMs for the next year:
+ * the same offset now and the same changes at the same instants (Europe/Paris and Europe/Berlin,
+ * or Asia/Dubai and Asia/Muscat). Used to collapse look-alike cards in the grid.
+ */
+export function zoneRulesKey(tz, fromMs = Date.now()) {
+    const changes = dstTransitions(tz, fromMs, fromMs + 366 * DAY_MS).map(tr => `${tr.at}:${tr.offsetAfter}`)
+    return [tzOffsetMinutes(tz, new Date(fromMs)), ...changes].join('|')
 }
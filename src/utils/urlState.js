@@ -0,0 +1,92 @@
+/**
+ * urlState.js
+ *
+ * Encode the dashboard view in the URL so it can be shared as a link and
+ * navigated with the browser's back/forward buttons.
+ *
+ * Explanations:
+ * - The view is { team, pinned, continent, country, query, workWindow, theme, meeting }.
+ *   continent is a region from data/regions.js, country an ISO code.
+ *   `team` is the active team's id; it only means something in the browser that made the link
+ *   (teams.js puts a teammate's pins into a "Shared view" team instead).
+ * - encodeUrlState(view) -> "?pins=Asia/Kolkata,Europe/London&cont=Europe&hours=09:00-17:00"
+ *   Only values that differ from the defaults are written, so the plain URL stays clean.
+ * - decodeUrlState(search) -> the fields found in the URL (missing or invalid ones are left out),
+ *   so App.jsx can fall back to localStorage or its defaults for the rest.
+ * - "/", ":" and "," are allowed in a query string, so we keep them readable instead of "%2F".
+ */
+
+import { DEFAULT_WORK_WINDOW, formatWorkWindow, parseWorkWindow } from './workHours'
+import { canonicalZone, isValidTimeZone } from './timeUtils'
+import { canonicalParticipantId } from './meetingUtils'
+import { REGIONS } from '../data/regions'
+import { countryByCode } from '../data/countries'
+
+// links made before Oceania replaced Australia
+const OLD_REGIONS = { Australia: 'Oceania' }
+const THEMES = ['light', 'dark']
+
+function encodeValue(value) {
+    return encodeURIComponent(value).replace(/%2F/g, '/').replace(/%3A/g, ':').replace(/%2C/g, ',')
+}
+
+function splitList(value) {
+    return value.split(',').map(v => v.trim()).filter(Boolean)
+}
+
+/**
+ * Build the query string ("" when everything is at its default) for a view.
+ */
+export function encodeUrlState({ team = null, pinned = [], continent = 'all', country = 'all', query = '', workWindow = DEFAULT_WORK_WINDOW, theme = 'light', meeting = null }) {
+    const params = []
+    if (team) params.push(['team', team])
+    if (pinned.length) params.push(['pins', pinned.join(',')])
+    if (continent.toLowerCase() !== 'all') params.push(['cont', continent])
+    if (country !== 'all') params.push(['country', country])
+    if (query.trim()) params.push(['q', query])
+    const hours = formatWorkWindow(workWindow, '-').replace(/\s/g, '')
+    if (hours !== formatWorkWindow(DEFAULT_WORK_WINDOW, '-').replace(/\s/g, '')) params.push(['hours', hours])
+    if (theme !== 'light') params.push(['theme', theme])
+    if (meeting && meeting.length) params.push(['meet', meeting.join(',')])
+    return params.length ? '?' + params.map(([k, v]) => `${k}=${encodeValue(v)}`).join('&') : ''
+}
+
+/**
+ * Read a view from a query string (e.g. window.location.search).
+ * Returns only the fields present and valid, e.g. { pinned: [...], theme: 'dark' }.
+ */
+export function decodeUrlState(search) {
+    const params = new URLSearchParams(search)
+    const view = {}
+
+    const team = params.get('team')
+    if (team && /^[\w-]+$/.test(team)) view.team = team
+
+    if (params.has('pins')) view.pinned = [...new Set(splitList(params.get('pins')).filter(isValidTimeZone).map(canonicalZone))]
+
+    const cont = OLD_REGIONS[params.get('cont')] || params.get('cont')
+    if (cont && REGIONS.includes(cont)) view.continent = cont
+
+    const country = countryByCode(params.get('country') || '')
+    if (country) view.country = country.code
+
+    if (params.has('q')) view.query = params.get('q')
+
+    if (params.has('hours')) {
+        const win = parseWorkWindow(params.get('hours'))
+        if (win) view.workWindow = win
+    }
+
+    const theme = params.get('theme')
+    if (THEMES.includes(theme)) view.theme = theme
+
+    if (params.has('meet')) {
+        // person ids only mean something on the device that created them; resolveParticipants skips unknown ones
+        const ids = splitList(params.get('meet'))
+            .filter(id => id.startsWith('zone:') ? isValidTimeZone(id.slice(5)) : id.startsWith('person:'))
+            .map(canonicalParticipantId)
+        if (ids.length) view.meeting = [...new Set(ids)]
+    }
+
+    return view
+}
@@ -0,0 +1,240 @@
+/**
+ * workHours.js
+ *
+ * Working-hour windows for zones and people, and their localStorage persistence.
+ *
+ * Explanations:
+ * - A work window is a list of minute-precision intervals in local time:
+ *   [{ start: 570, end: 780 }, { start: 840, end: 1110 }] means 09:30–13:00 and 14:00–18:30.
+ *   Minutes are counted from local midnight (0..1440), `end` is exclusive.
+ * - Split shifts (a lunch break) are just two intervals; an overnight shift such
+ *   as 22:00–06:00 is stored as 22:00–24:00 plus 00:00–06:00.
+ * - Every pinned zone may have its own window (stored in 'wc_zoneHours' as { tz: window }).
+ * - Named people (e.g. "Priya" in Asia/Kolkata) are [{ id, name, tz, window }] and carry
+ *   their own window. They now live inside teams (see teams.js); 'wc_people' is only
+ *   read once to migrate older saves.
+ * - Anything without a custom window falls back to the global default window.
+ * - Working days are a list of weekday numbers (0 = Sunday … 6 = Saturday). Each zone
+ *   defaults to its country's usual week (Sunday–Thursday in Israel and most of the Gulf,
+ *   see data/weekends.js) and can be changed ('wc_zoneDays' as { tz: days }).
+ *   People work on their zone's days.
+ * - Older saves used whole hours ({ start: 9, end: 17 }); normalizeWorkWindow() upgrades them.
+ */
+
+import { countryCodeOfZone } from '../data/countries'
+import { DEFAULT_WEEKEND, WEEKENDS } from '../data/weekends'
+import { canonicalZone, canonicalZoneMap } from './timeUtils'
+import { weekdayNames } from './i18n'
+
+export const MINUTES_PER_DAY = 24 * 60
+export const WEEKDAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+export const DEFAULT_WORK_WINDOW = [{ start: 9 * 60, end: 17 * 60 }]
+
+const ZONE_HOURS_KEY = 'wc_zoneHours'
+const PEOPLE_KEY = 'wc_people'
+const ZONE_DAYS_KEY = 'wc_zoneDays'
+
+function readJson(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key)
+        return raw ? JSON.parse(raw) : fallback
+    } catch {
+        return fallback
+    }
+}
+
+/**
+ * "09:30" -> 570. Accepts "9", "09", "9:30", "09:30" and "24:00".
+ * Returns null for anything else.
+ */
+export function parseTimeOfDay(text) {
+    const m = String(text).trim().match(/^(\d{1,2})(?::(\d{2}))?$/)
+    if (!m) return null
+    const h = Number(m[1]), min = Number(m[2] || 0)
+    if (min > 59 || h > 24 || (h === 24 && min !== 0)) return null
+    return h * 60 + min
+}
+
+/**
+ * 570 -> "09:30"
+ */
+export function formatTimeOfDay(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+/**
+ * Clean up any window-like input into sorted, merged minute intervals.
+ * - accepts the current interval list or the old { start, end } hour object
+ * - wraps overnight intervals (end <= start) around midnight
+ * Returns null when nothing usable is left.
+ */
+export function normalizeWorkWindow(win) {
+    if (!win) return null
+    // legacy shape: whole hours { start: 9, end: 17 }
+    const list = Array.isArray(win) ? win : [{ start: Number(win.start) * 60, end: Number(win.end) * 60 }]
+
+    const pieces = []
+    list.forEach(iv => {
+        if (!iv) return
+        const start = Math.round(Number(iv.start)), end = Math.round(Number(iv.end))
+        if (!Number.isFinite(start) || !Number.isFinite(end)) return
+        const s = Math.min(MINUTES_PER_DAY, Math.max(0, start))
+        const e = Math.min(MINUTES_PER_DAY, Math.max(0, end))
+        if (e > s) pieces.push({ start: s, end: e })
+        else if (e < s) {
+            // overnight: split at midnight
+            pieces.push({ start: s, end: MINUTES_PER_DAY })
+            if (e > 0) pieces.push({ start: 0, end: e })
+        }
+    })
+    if (!pieces.length) return null
+
+    pieces.sort((a, b) => a.start - b.start)
+    const merged = [pieces[0]]
+    pieces.slice(1).forEach(iv => {
+        const last = merged[merged.length - 1]
+        if (iv.start <= last.end) last.end = Math.max(last.end, iv.end)
+        else merged.push(iv)
+    })
+    return merged
+}
+
+/**
+ * "09:30-13:00, 14:00-18:30" -> [{ start: 570, end: 780 }, { start: 840, end: 1110 }]
+ * Returns null if any part cannot be read.
+ */
+export function parseWorkWindow(text) {
+    const parts = String(text).split(/[,;]/).map(p => p.trim()).filter(Boolean)
+    if (!parts.length) return null
+    const list = []
+    for (const part of parts) {
+        const m = part.match(/^(.+?)\s*(?:-|–|—|to)\s*(.+)$/)
+        if (!m) return null
+        const start = parseTimeOfDay(m[1]), end = parseTimeOfDay(m[2])
+        if (start === null || end === null || start === end) return null
+        list.push({ start, end })
+    }
+    return normalizeWorkWindow(list)
+}
+
+/**
+ * [{ start: 570, end: 780 }] -> "09:30–13:00"
+ * Pass a different separator (e.g. '-') to get text that parseWorkWindow() reads back.
+ */
+export function formatWorkWindow(win, dash = '–') {
+    return win.map(iv => `${formatTimeOfDay(iv.start)}${dash}${formatTimeOfDay(iv.end)}`).join(', ')
+}
+
+/**
+ * Is the local time h:m inside one of the window's intervals?
+ */
+export function isWithinWorkWindow(h, m, win) {
+    const t = h * 60 + m
+    return win.some(iv => t >= iv.start && t < iv.end)
+}
+
+/**
+ * Pick the window for a zone: its own override or the default one.
+ */
+export function workWindowForZone(zoneHours, tz, fallback = DEFAULT_WORK_WINDOW) {
+    return zoneHours[tz] || fallback
+}
+
+/**
+ * Clean up a { tz: window } map (stored or synced); unusable entries are dropped.
+ */
+export function normalizeZoneHours(map) {
+    return canonicalZoneMap(map, normalizeWorkWindow)
+}
+
+export function loadZoneHours() {
+    return normalizeZoneHours(readJson(ZONE_HOURS_KEY, {}))
+}
+
+export function saveZoneHours(map) {
+    localStorage.setItem(ZONE_HOURS_KEY, JSON.stringify(map))
+}
+
+/**
+ * Clean up one stored person ({ id, name, tz, window }); null when it is unusable.
+ */
+export function normalizePerson(p) {
+    if (!p || !p.id || !p.tz) return null
+    return { id: String(p.id), name: p.name || '', tz: canonicalZone(p.tz), window: normalizeWorkWindow(p.window) || DEFAULT_WORK_WINDOW }
+}
+
+export function loadPeople() {
+    const list = readJson(PEOPLE_KEY, [])
+    if (!Array.isArray(list)) return []
+    return list.map(normalizePerson).filter(Boolean)
+}
+
+/**
+ * Small unique id for new people (not cryptographic, just unique enough for localStorage).
+ */
+export function makeId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 7)
+}
+
+/**
+ * Sort, dedupe and validate a list of weekday numbers; null if nothing usable is left.
+ */
+export function normalizeWorkDays(days) {
+    if (!Array.isArray(days)) return null
+    const clean = [...new Set(days.map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort((a, b) => a - b)
+    return clean.length ? clean : null
+}
+
+/**
+ * The usual working days in a zone's country, e.g. [1, 2, 3, 4, 5] or [0, 1, 2, 3, 4] for Asia/Jerusalem.
+ */
+export function defaultWorkDaysForZone(tz) {
+    const weekend = WEEKENDS[countryCodeOfZone(tz)] || DEFAULT_WEEKEND
+    return [0, 1, 2, 3, 4, 5, 6].filter(d => !weekend.includes(d))
+}
+
+/**
+ * Pick the working days for a zone: its own override or its country's default.
+ */
+export function workDaysForZone(zoneDays, tz) {
+    return zoneDays[tz] || defaultWorkDaysForZone(tz)
+}
+
+// one list formatter per locale tag ("Mon, Wed" / "月、水")
+const listFormats = new Map()
+function listFormat(tag) {
+    if (!listFormats.has(tag)) listFormats.set(tag, new Intl.ListFormat(tag, { type: 'unit', style: 'short' }))
+    return listFormats.get(tag)
+}
+
+/**
+ * [1, 2, 3, 4, 5] -> "Mon–Fri", [0, 1, 2, 3, 4] -> "Sun–Thu", [1, 3] -> "Mon, Wed",
+ * with day names for the locale's tag and the words from its catalog ({ tag, t } from useLocale()).
+ */
+export function formatWorkDays(days, { tag, t }) {
+    if (!days.length) return t('workDays.none')
+    if (days.length === 7) return t('workDays.every')
+    const names = weekdayNames(tag, 'short')
+    // a single run that may wrap around the week (Sat–Wed)
+    const start = days.find(d => !days.includes((d + 6) % 7))
+    const run = []
+    for (let d = start; days.includes(d) && run.length < 7; d = (d + 1) % 7) run.push(d)
+    if (run.length === days.length && run.length > 2) return t('workDays.range', { from: names[run[0]], to: names[run[run.length - 1]] })
+    return listFormat(tag).format((run.length === days.length ? run : days).map(d => names[d]))
+}
+
+/**
+ * Clean up a { tz: [weekday] } map (stored or synced); unusable entries are dropped.
+ */
+export function normalizeZoneDays(map) {
+    return canonicalZoneMap(map, normalizeWorkDays)
+}
+
+export function loadZoneDays() {
+    return normalizeZoneDays(readJson(ZONE_DAYS_KEY, {}))
+}
+
+export function saveZoneDays(map) {
+    localStorage.setItem(ZONE_DAYS_KEY, JSON.stringify(map))
+}
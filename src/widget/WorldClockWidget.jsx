@@ -0,0 +1,57 @@
+/**
+ * WorldClockWidget.jsx
+ *
+ * What the <world-clock> element shows (see widget/main.jsx): one ClockFace per zone
+ * with the city, the local time and the day underneath.
+ *
+ * Props:
+ *  - zones: IANA zone ids, in display order
+ *  - theme: "light" | "dark"
+ *  - size: clock diameter in px
+ *  - clockOptions: { dial, numerals, minuteTicks, secondHand, style } (see utils/clockOptions.js);
+ *    style "digital" shows the time text without the clock face
+ *
+ * Beginner notes:
+ * - Everything here is the same code the dashboard uses; only the surrounding page differs.
+ * - Styles come from widget.css, which lives inside the element's Shadow DOM, so the host
+ *   page's CSS cannot change the clocks (and ours cannot leak out).
+ */
+
+import React from 'react'
+import ClockFace from '../components/ClockFace'
+import { formatLocalDay, formatLocalTime } from '../utils/format'
+import { useLocale } from '../utils/locale'
+import { useNow } from '../utils/timeTravel'
+
+const cityName = (tz) => tz.split('/').pop().replace(/_/g, ' ')
+
+export default function WorldClockWidget({ zones, theme, size, clockOptions }) {
+    const nowMs = useNow(1000)
+    const { tag, dir } = useLocale()
+    const digital = clockOptions.style === 'digital'
+
+    return (
+        <div className={`world-clock ${theme}`} dir={dir} lang={tag}>
+            {zones.map(tz => (
+                <figure key={tz} className="world-clock-zone" title={tz}>
+                    {!digital && (
+                        <ClockFace
+                            zone={tz}
+                            theme={theme}
+                            size={size}
+                            dial={clockOptions.dial}
+                            numerals={clockOptions.numerals}
+                            minuteTicks={clockOptions.minuteTicks}
+                            secondHand={clockOptions.secondHand}
+                        />
+                    )}
+                    <figcaption>
+                        <span className="city">{cityName(tz)}</span>
+                        <span className={digital ? 'time large' : 'time'}>{formatLocalTime(nowMs, tz, tag)}</span>
+                        <span className="day">{formatLocalDay(nowMs, tz, tag)}</span>
+                    </figcaption>
+                </figure>
+            ))}
+        </div>
+    )
+}
@@ -0,0 +1,120 @@
+/**
+ * main.jsx (widget)
+ *
+ * Entry of the separately built widget bundle (vite.widget.config.js): defines the
+ * <world-clock> custom element, so our clocks can be dropped into any page — a wiki,
+ * a status page, an intranet — without React on that page.
+ *
+ *   <script src="https://<host>/widget/world-clock.js"></script>
+ *   <world-clock zones="Asia/Kolkata,Europe/London" theme="dark" size="120"></world-clock>
+ *
+ * Attributes (all optional, changes are picked up live):
+ *  - zones: comma-separated IANA zone ids (default: the visitor's own zone); unknown ids are skipped
+ *  - theme: "light" | "dark"
+ *  - size: clock diameter in px (default 120)
+ *  - locale: BCP 47 tag for times and digits, e.g. "de" or "ar" (default: the browser's language)
+ *  - hour-cycle: "h12" | "h23"
+ *  - dial ("12h" | "24h"), numerals ("quarters" | "all"), minute-ticks (present = on),
+ *    second-hand ("ticking" | "smooth" | "hidden"), clock-style ("analog" | "digital")
+ *
+ * Beginner notes:
+ * - React and our components are bundled into the file; the element renders them into its
+ *   own Shadow DOM together with widget.css, so the host page's styles don't apply inside.
+ * - Each element has its own React root; all of them share one ticking clock (useNow).
+ * - Locale settings come from utils/locale.js, not i18n.js, which would bundle every
+ *   UI text catalog.
+ */
+
+import React from 'react'
+import { createRoot } from 'react-dom/client'
+import WorldClockWidget from './WorldClockWidget'
+import widgetCss from './widget.css?inline'
+import { LocaleContext, normalizeLocaleSettings, resolveLocale } from '../utils/locale'
+import { DEFAULT_CLOCK_OPTIONS, normalizeClockOptions } from '../utils/clockOptions'
+import { isValidTimeZone } from '../utils/timeUtils'
+
+const TAG_NAME = 'world-clock'
+const DEFAULT_SIZE = 120
+
+function localZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+    } catch {
+        return 'UTC'
+    }
+}
+
+function parseZones(value) {
+    const zones = (value || '').split(',').map(z => z.trim()).filter(isValidTimeZone)
+    return zones.length ? [...new Set(zones)] : [localZone()]
+}
+
+function parseSize(value) {
+    const size = Number(value)
+    return Number.isFinite(size) && size >= 40 && size <= 600 ? size : DEFAULT_SIZE
+}
+
+class WorldClockElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['zones', 'theme', 'size', 'locale', 'hour-cycle', 'dial', 'numerals', 'minute-ticks', 'second-hand', 'clock-style']
+    }
+
+    connectedCallback() {
+        if (!this.root) {
+            const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' })
+            const style = document.createElement('style')
+            style.textContent = widgetCss
+            const mount = document.createElement('div')
+            shadow.replaceChildren(style, mount)
+            this.root = createRoot(mount)
+        }
+        this.update()
+    }
+
+    attributeChangedCallback() {
+        if (this.root) this.update()
+    }
+
+    disconnectedCallback() {
+        // moving the element around the page disconnects and reconnects it right away
+        queueMicrotask(() => {
+            if (!this.isConnected && this.root) {
+                this.root.unmount()
+                this.root = null
+            }
+        })
+    }
+
+    update() {
+        // the widget shows no UI text, so its bundle has no message catalog and t() returns the key
+        const locale = {
+            ...resolveLocale(normalizeLocaleSettings({
+                locale: this.getAttribute('locale') || 'auto',
+                hourCycle: this.getAttribute('hour-cycle'),
+            }), navigator.languages),
+            t: (key) => key,
+        }
+        const clockOptions = {
+            ...DEFAULT_CLOCK_OPTIONS,
+            ...normalizeClockOptions({
+                dial: this.getAttribute('dial'),
+                numerals: this.getAttribute('numerals'),
+                minuteTicks: this.hasAttribute('minute-ticks'),
+                secondHand: this.getAttribute('second-hand'),
+                style: this.getAttribute('clock-style'),
+            }),
+        }
+        this.root.render(
+            <LocaleContext.Provider value={locale}>
+                <WorldClockWidget
+                    zones={parseZones(this.getAttribute('zones'))}
+                    theme={this.getAttribute('theme') === 'dark' ? 'dark' : 'light'}
+                    size={parseSize(this.getAttribute('size'))}
+                    clockOptions={clockOptions}
+                />
+            </LocaleContext.Provider>
+        )
+    }
+}
+
+if (!customElements.get(TAG_NAME)) customElements.define(TAG_NAME, WorldClockElement)
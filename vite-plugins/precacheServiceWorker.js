@@ -0,0 +1,50 @@
+/**
+ * precacheServiceWorker.js
+ *
+ * Small Vite plugin that turns src/serviceWorker.js into dist/sw.js with the list of
+ * every file the build produced, so the service worker can cache the whole app on
+ * the first visit.
+ *
+ * Explanations:
+ * - Built file names carry a content hash (index-3f2a.js), so the list changes with
+ *   every build that changes something; the cache version is a hash of that list.
+ * - Files copied from public/ (icons, manifest) are not part of the bundle, so they are
+ *   listed from the public folder.
+ * - Only runs for `vite build`; the dev server has no service worker.
+ */
+
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import { join } from 'node:path'
+
+function publicFiles(dir) {
+    try {
+        return readdirSync(dir, { recursive: true })
+            .filter(name => statSync(join(dir, name)).isFile())
+            .map(name => name.split('\\').join('/'))
+    } catch {
+        return []
+    }
+}
+
+export default function precacheServiceWorker({ source, fileName = 'sw.js' }) {
+    let publicDir = ''
+    return {
+        name: 'precache-service-worker',
+        apply: 'build',
+        enforce: 'post', // after Vite's own plugins have added index.html to the bundle
+        configResolved(config) {
+            publicDir = config.publicDir
+        },
+        generateBundle(_options, bundle) {
+            const files = [...Object.keys(bundle), ...publicFiles(publicDir)]
+                .filter(name => name !== fileName && !name.endsWith('.map'))
+            const urls = ['/', ...new Set(files.map(name => `/${name}`))].sort()
+            const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+            const code = readFileSync(source, 'utf8')
+                .replace('self.__PRECACHE_URLS', JSON.stringify(urls))
+                .replace('self.__CACHE_VERSION', JSON.stringify(version))
+            this.emitFile({ type: 'asset', fileName, source: code })
+        },
+    }
+}
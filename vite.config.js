@@ -1,5 +1,7 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+import precacheServiceWorker from './vite-plugins/precacheServiceWorker.js'
 
 // https://vite.dev/config/
 export default defineConfig({
@@ -9,5 +11,8 @@ export default defineConfig({
         plugins: [['babel-plugin-react-compiler']],
       },
     }),
+    precacheServiceWorker({
+      source: fileURLToPath(new URL('./src/serviceWorker.js', import.meta.url)),
+    }),
   ],
 })
@@ -0,0 +1,32 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+
+// Separate build for the embeddable <world-clock> element (src/widget/main.jsx).
+// Output in dist/widget/ (run after the app build, which empties dist/):
+//  - world-clock.js  for a plain <script src> tag
+//  - world-clock.mjs for <script type="module">
+export default defineConfig({
+  plugins: [
+    react({
+      babel: {
+        plugins: [['babel-plugin-react-compiler']],
+      },
+    }),
+  ],
+  // library builds leave process.env.NODE_ENV alone; React needs it to pick its production build
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  build: {
+    outDir: 'dist/widget',
+    emptyOutDir: true,
+    copyPublicDir: false,
+    lib: {
+      entry: fileURLToPath(new URL('./src/widget/main.jsx', import.meta.url)),
+      name: 'WorldClock',
+      formats: ['iife', 'es'],
+      fileName: (format) => format === 'es' ? 'world-clock.mjs' : 'world-clock.js',
+    },
+  },
+})